@@ -0,0 +1,86 @@
+// Benchmark: '0'/'1' string pipeline vs typed-array bit writer/reader
+// Usage: node benchmarks/bitio.js [size in MB, default 10]
+const fs = require('fs');
+const path = require('path');
+const HuffmanCodec = require('../lib/codec');
+
+const sizeMB = Number(process.argv[2]) || 10;
+const sample = fs.readFileSync(path.join(__dirname, '..', 'long_test.txt'), 'utf8');
+const text = sample.repeat(Math.ceil(sizeMB * 1024 * 1024 / sample.length)).slice(0, sizeMB * 1024 * 1024);
+const byteLength = Buffer.byteLength(text);
+
+// Previous string-based implementation, kept here for comparison
+function encodeText(text, codes) {
+    let encoded = '';
+    for (const char of text) {
+        encoded += codes[char];
+    }
+    return encoded;
+}
+
+function binaryToBytes(binStr) {
+    const bytes = [];
+    for (let i = 0; i < binStr.length; i += 8) {
+        bytes.push(parseInt(binStr.substr(i, 8).padEnd(8, '0'), 2));
+    }
+    return new Uint8Array(bytes);
+}
+
+function bytesToBinary(bytes, lengthBits) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binary += bytes[i].toString(2).padStart(8, '0');
+    }
+    return binary.substr(0, lengthBits);
+}
+
+function decodeText(binaryData, tree) {
+    let decoded = '';
+    let current = tree;
+    for (const bit of binaryData) {
+        current = bit === '0' ? current.left : current.right;
+        if (current.char !== null) {
+            decoded += current.char;
+            current = tree;
+        }
+    }
+    return decoded;
+}
+
+function time(fn) {
+    const start = process.hrtime.bigint();
+    const result = fn();
+    return { result, ms: Number(process.hrtime.bigint() - start) / 1e6 };
+}
+
+async function timeAsync(fn) {
+    const start = process.hrtime.bigint();
+    const result = await fn();
+    return { result, ms: Number(process.hrtime.bigint() - start) / 1e6 };
+}
+
+function report(label, ms) {
+    const rate = (byteLength / 1024 / 1024) / (ms / 1000);
+    console.log(`${label.padEnd(28)} ${ms.toFixed(0).padStart(7)} ms  ${rate.toFixed(1).padStart(7)} MB/s`);
+}
+
+(async () => {
+    console.log(`Input: long_test.txt scaled to ${(byteLength / 1024 / 1024).toFixed(2)} MB (${process.version})\n`);
+    const model = HuffmanCodec.buildModel(text);
+
+    const oldEncode = time(() => {
+        const bits = encodeText(text, model.codes);
+        return { bytes: binaryToBytes(bits), bitLength: bits.length };
+    });
+    report('string pipeline: encode', oldEncode.ms);
+    const oldDecode = time(() => decodeText(bytesToBinary(oldEncode.result.bytes, oldEncode.result.bitLength), model.tree));
+    report('string pipeline: decode', oldDecode.ms);
+
+    const newCompress = await timeAsync(() => HuffmanCodec.compress(text, { model, checksum: 'none' }));
+    report('bit writer: compress', newCompress.ms);
+    const newDecompress = await timeAsync(() => HuffmanCodec.decompress(newCompress.result));
+    report('bit reader: decompress', newDecompress.ms);
+
+    const identical = oldDecode.result === text && newDecompress.result.text === text;
+    console.log(`\nRound trip identical: ${identical}`);
+})();
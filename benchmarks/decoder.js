@@ -0,0 +1,49 @@
+// Benchmark: tree-walking decoder vs table-driven decoder
+// Usage: node benchmarks/decoder.js [size in MB, default 8]
+const fs = require('fs');
+const path = require('path');
+const HuffmanCodec = require('../lib/codec');
+
+const sizeMB = Number(process.argv[2]) || 8;
+const RUNS = 5;
+const sample = fs.readFileSync(path.join(__dirname, '..', 'long_test.txt'), 'utf8');
+const text = sample.repeat(Math.ceil(sizeMB * 1024 * 1024 / sample.length)).slice(0, sizeMB * 1024 * 1024);
+const byteLength = Buffer.byteLength(text);
+
+function bestOf(fn) {
+    let best = Infinity;
+    let result;
+    for (let run = 0; run < RUNS; run++) {
+        const start = process.hrtime.bigint();
+        result = fn();
+        best = Math.min(best, Number(process.hrtime.bigint() - start) / 1e6);
+    }
+    return { result, ms: best };
+}
+
+function report(label, ms) {
+    const rate = (byteLength / 1024 / 1024) / (ms / 1000);
+    console.log(`${label.padEnd(28)} ${ms.toFixed(0).padStart(7)} ms  ${rate.toFixed(1).padStart(7)} MB/s`);
+}
+
+(async () => {
+    console.log(`Input: long_test.txt scaled to ${(byteLength / 1024 / 1024).toFixed(2)} MB (${process.version}, best of ${RUNS})\n`);
+
+    for (const canonical of [false, true]) {
+        const bytes = await HuffmanCodec.compress(text, { canonical, checksum: 'none' });
+        const { metadata, tree, data } = HuffmanCodec.readContainer(bytes);
+        const decode = decoder => HuffmanCodec.decodeSymbols(data, metadata.binaryLength, tree, {
+            leafFormat: metadata.leafFormat,
+            expectedLength: metadata.originalSize,
+            decoder: decoder
+        }).output;
+
+        const walk = bestOf(() => decode('tree'));
+        const lookup = bestOf(() => decode('table'));
+        const label = canonical ? 'canonical' : 'tree table';
+        report(`${label}: tree walk`, walk.ms);
+        report(`${label}: lookup table`, lookup.ms);
+        const identical = Buffer.from(walk.result).equals(Buffer.from(lookup.result));
+        console.log(`${''.padEnd(28)} identical: ${identical}, ${(walk.ms / lookup.ms).toFixed(1)}x faster\n`);
+    }
+})();
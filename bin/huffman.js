@@ -0,0 +1,857 @@
+#!/usr/bin/env node
+// Huffman CLI - compress, decompress, inspect, verify and bench .bin files and train codebooks from the command line
+// Usage: node bin/huffman.js <command> [options] [files]   (run with --help for the full list)
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const HuffmanCodec = require('../lib/codec');
+const HuffmanContainer = require('../lib/container');
+const HuffmanStream = require('../lib/stream');
+const HuffmanArchive = require('../lib/archive');
+const HuffmanEncryption = require('../lib/encryption');
+
+// Same cut-over as the web app: larger inputs are written as block streams
+const MAX_IN_MEMORY_SIZE = 10 * 1024 * 1024;
+
+const USAGE = `Usage: huffman <command> [options] [file...]
+
+Commands:
+  compress [file|dir...]   Compress a file (or stdin) to .bin; several files or a folder make an archive
+  decompress [file]        Restore the original file (archives are extracted into a folder)
+  inspect <file>           Print the header fields, block index or archive directory
+  verify <file...>         Decode and recompute the SHA-256 of each file
+  bench <dir>              Report ratio and throughput for every file under a folder
+  train <file|dir...>      Train a shared codebook (.hcb) on sample files, one sample per file
+
+Options:
+  -o, --output <path>      Output file (archive extraction: output folder)
+  -c, --stdout             Write to stdout (also the default when reading stdin)
+  -f, --force              Overwrite existing output files
+  --mode <auto|text|bytes> Alphabet (default auto: text for valid UTF-8)
+  --codec <huffman|adaptive|lz77|context|tokens|codebook>
+                           context: order-1 model, a code table per preceding symbol
+                           tokens: Huffman-coded words, text only
+                           codebook: the --codebook code; the file stores only its ID
+  --codebook <path>        A trained .hcb codebook (compress implies --codec codebook). Decoding
+                           also takes a folder, and looks in the file's folder and HUFFMAN_CODEBOOKS
+  --name <text>            train: name stored in the codebook
+  --window <bytes>         LZ77 window, a power of two (default 32768)
+  --canonical              Store canonical code lengths instead of the tree
+  --max-length <bits>      Cap code lengths (package-merge)
+  --block-size <bytes>     Block size for block streams (default 1 MB)
+  --stream                 Write a block stream whatever the input size
+  --shared-table           Archives: one code table for every entry
+  --encrypt                Encrypt the output with AES-256-GCM (key from the passphrase via PBKDF2)
+  --passphrase-file <path> Read the passphrase from the first line of a file
+                           (otherwise from HUFFMAN_PASSPHRASE; needed to read encrypted files)
+  --entry <path>           Archives: extract only this entry
+  --recover                Block streams: write every intact block, zero-filling damaged ones
+  --decoder <auto|table|tree>
+  --json                   inspect/bench: print JSON instead of text
+  -h, --help               Show this help
+
+A file name of - reads stdin. Exit codes: 0 OK, 1 failure, 2 usage error, 3 wrong passphrase.`;
+
+// Option name -> [key, takes a value]
+const OPTIONS = {
+    '-o': ['output', true],
+    '--output': ['output', true],
+    '-c': ['stdout', false],
+    '--stdout': ['stdout', false],
+    '-f': ['force', false],
+    '--force': ['force', false],
+    '--mode': ['mode', true],
+    '--codec': ['codec', true],
+    '--codebook': ['codebook', true],
+    '--name': ['name', true],
+    '--window': ['window', true],
+    '--canonical': ['canonical', false],
+    '--max-length': ['maxCodeLength', true],
+    '--block-size': ['blockSize', true],
+    '--stream': ['stream', false],
+    '--shared-table': ['sharedTable', false],
+    '--encrypt': ['encrypt', false],
+    '--passphrase-file': ['passphraseFile', true],
+    '--entry': ['entry', true],
+    '--recover': ['recover', false],
+    '--decoder': ['decoder', true],
+    '--json': ['json', false],
+    '-h': ['help', false],
+    '--help': ['help', false]
+};
+
+// Thrown for bad command lines; reported with the usage hint and exit code 2
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+    const options = { mode: 'auto' };
+    const files = [];
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-' || !arg.startsWith('-')) {
+            files.push(arg);
+            continue;
+        }
+        const [name, inline] = arg.split(/=(.*)/s);
+        const option = OPTIONS[name];
+        if (!option) throw new UsageError(`Unknown option ${name}`);
+        const [key, takesValue] = option;
+        if (!takesValue) {
+            options[key] = true;
+        } else if (inline !== undefined) {
+            options[key] = inline;
+        } else if (i + 1 < argv.length) {
+            options[key] = argv[++i];
+        } else {
+            throw new UsageError(`${name} needs a value`);
+        }
+    }
+
+    for (const key of ['window', 'maxCodeLength', 'blockSize']) {
+        if (options[key] === undefined) continue;
+        options[key] = Number(options[key]);
+        if (!Number.isInteger(options[key]) || options[key] <= 0) throw new UsageError(`--${key === 'maxCodeLength' ? 'max-length' : key === 'blockSize' ? 'block-size' : key} must be a positive integer`);
+    }
+    if (!['auto', 'text', 'bytes'].includes(options.mode)) throw new UsageError(`Unknown mode ${options.mode}`);
+    if (options.codec && !['huffman', 'adaptive', 'lz77', 'context', 'tokens', 'codebook'].includes(options.codec)) throw new UsageError(`Unknown codec ${options.codec}`);
+    if (options.codec === 'codebook' && !options.codebook) throw new UsageError('--codec codebook needs --codebook');
+    return { options, files };
+}
+
+// Utility Functions
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(2)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+}
+
+function replaceExtension(filename, extension) {
+    const dot = filename.lastIndexOf('.');
+    return (dot > 0 ? filename.slice(0, dot) : filename) + extension;
+}
+
+function log(message) {
+    process.stderr.write(message + '\n');
+}
+
+async function readAll(chunks) {
+    const parts = [];
+    for await (const chunk of chunks) parts.push(chunk);
+    return new Uint8Array(Buffer.concat(parts));
+}
+
+function openInput(file) {
+    return file === '-' ? process.stdin : fs.createReadStream(file);
+}
+
+// Where output goes: stdout for piped input or -c, otherwise -o or the default name.
+// The input itself is never a target, even with --force: opening the output truncates it
+// before it has been read.
+function resolveOutput(options, input, defaultName) {
+    if (options.stdout || (input === '-' && !options.output)) return null;
+    const output = options.output || defaultName;
+    if (!fs.existsSync(output)) return output;
+    if (input && input !== '-' && fs.realpathSync(output) === fs.realpathSync(input)) {
+        throw new UsageError(`${output} is the input file; choose another output with -o`);
+    }
+    if (!options.force) throw new Error(`${output} already exists (use --force to overwrite)`);
+    return output;
+}
+
+// A failed write leaves no partial file behind
+async function writeOutput(output, pieces) {
+    try {
+        await pipeline(pieces, output === null ? process.stdout : fs.createWriteStream(output));
+    } catch (error) {
+        if (output !== null) fs.rmSync(output, { force: true });
+        throw error;
+    }
+}
+
+// Never taken as an option value, which other users could read from the process list
+function readPassphrase(options) {
+    if (options.passphraseFile) return fs.readFileSync(options.passphraseFile, 'utf8').split(/\r?\n/)[0];
+    return process.env.HUFFMAN_PASSPHRASE || null;
+}
+
+// --encrypt wraps the finished file, so it is collected in memory first
+async function* sealed(options, output, pieces) {
+    if (!options.encrypt) {
+        yield* pieces;
+        return;
+    }
+    const bytes = await HuffmanEncryption.encrypt(await readAll(pieces), readPassphrase(options));
+    if (output !== null) log(`${output}: encrypted with AES-256-GCM (${bytes.length} bytes written)`);
+    yield bytes;
+}
+
+// `codebook` is the imported --codebook file, when one was given
+function compressOptions(options, filename, mtime, codebook = null) {
+    return {
+        codec: options.codec || (codebook ? 'codebook' : undefined),
+        codebook: codebook,
+        window: options.window,
+        canonical: options.canonical,
+        maxCodeLength: options.maxCodeLength,
+        filename: filename,
+        mtime: mtime
+    };
+}
+
+// Compress
+async function compress(options, files) {
+    if (!files.length) files = ['-'];
+    if (options.encrypt && !readPassphrase(options)) throw new UsageError('--encrypt needs --passphrase-file or HUFFMAN_PASSPHRASE');
+    if (files.length > 1 || (files[0] !== '-' && fs.statSync(files[0]).isDirectory())) {
+        return compressArchive(options, files);
+    }
+
+    const input = files[0];
+    const stat = input === '-' ? null : fs.statSync(input);
+    const filename = stat ? path.basename(input) : '';
+    if (options.codebook && options.stream) throw new UsageError('--codebook applies to single files, not block streams');
+    const codebook = options.codebook ? await readCodebook(options.codebook) : null;
+    const output = resolveOutput(options, input, stat && replaceExtension(input, '.bin'));
+
+    // stdin is buffered up to the in-memory limit; past it the rest is streamed into blocks
+    const iterator = openInput(input)[Symbol.asyncIterator]();
+    const head = [];
+    let headLength = 0;
+    let ended = false;
+    while (headLength <= MAX_IN_MEMORY_SIZE && !options.stream) {
+        const { done, value } = await iterator.next();
+        if (done) {
+            ended = true;
+            break;
+        }
+        head.push(value);
+        headLength += value.length;
+    }
+    if (!ended && codebook) throw new UsageError('--codebook applies to single files; this input is past the in-memory limit and would be a block stream');
+
+    const base = compressOptions(options, filename, stat ? Math.round(stat.mtimeMs) : undefined, codebook);
+    if (ended) {
+        const bytes = new Uint8Array(Buffer.concat(head));
+        // A codebook fixes the alphabet it was trained on
+        const mode = options.mode !== 'auto' ? options.mode : codebook ? codebook.alphabet : HuffmanCodec.detectMode(bytes);
+        const symbols = HuffmanCodec.toSymbols(bytes, mode);
+        const encoded = await HuffmanCodec.compress(symbols, { ...base, mode: mode });
+        await writeOutput(output, sealed(options, output, [encoded]));
+        reportRatio(output, bytes.length, encoded.length);
+        return 0;
+    }
+
+    async function* chunks() {
+        yield* head;
+        for (;;) {
+            const { done, value } = await iterator.next();
+            if (done) return;
+            yield value;
+        }
+    }
+    let originalSize = 0;
+    let compressedSize = 0;
+    async function* pieces() {
+        for await (const piece of HuffmanStream.compress(chunks(), {
+            ...base,
+            mode: options.mode,
+            blockSize: options.blockSize,
+            onBlock: (block) => { originalSize += block.originalLength; }
+        })) {
+            compressedSize += piece.length;
+            yield piece;
+        }
+    }
+    await writeOutput(output, sealed(options, output, pieces()));
+    reportRatio(output, originalSize, compressedSize);
+    return 0;
+}
+
+function reportRatio(output, originalSize, compressedSize) {
+    if (output === null) return;
+    const saved = originalSize ? (1 - compressedSize / originalSize) * 100 : 0;
+    log(`${output}: ${formatBytes(originalSize)} -> ${formatBytes(compressedSize)} (${saved.toFixed(2)}% saved)`);
+}
+
+// Files under a folder, with '/'-separated paths relative to the folder's parent
+function listFiles(root, prefix = path.basename(path.resolve(root))) {
+    const items = [];
+    for (const dirent of fs.readdirSync(root, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+        const full = path.join(root, dirent.name);
+        if (dirent.isDirectory()) items.push(...listFiles(full, `${prefix}/${dirent.name}`));
+        else if (dirent.isFile()) items.push({ file: full, path: `${prefix}/${dirent.name}` });
+    }
+    return items;
+}
+
+async function compressArchive(options, files) {
+    if (files.includes('-')) throw new UsageError('stdin cannot be part of an archive');
+    if (options.codebook) throw new UsageError('--codebook applies to single files, not archives');
+    const items = [];
+    for (const file of files) {
+        if (fs.statSync(file).isDirectory()) items.push(...listFiles(file));
+        else items.push({ file: file, path: path.basename(file) });
+    }
+
+    // Named after the folder when a single folder is given, like the web app
+    const name = files.length === 1 ? path.basename(path.resolve(files[0])) : 'archive';
+    const output = resolveOutput(options, null, name + '.bin');
+    let originalSize = 0;
+    let compressedSize = 0;
+    async function* pieces() {
+        for await (const piece of HuffmanArchive.create(items.map(item => ({
+            path: item.path,
+            mtime: Math.round(fs.statSync(item.file).mtimeMs),
+            read: async () => new Uint8Array(fs.readFileSync(item.file))
+        })), {
+            mode: options.mode,
+            sharedTable: options.sharedTable,
+            canonical: options.canonical,
+            maxCodeLength: options.maxCodeLength,
+            filename: name,
+            onEntry: (entry) => { originalSize += entry.originalLength; }
+        })) {
+            compressedSize += piece.length;
+            yield piece;
+        }
+    }
+    await writeOutput(output, sealed(options, output, pieces()));
+    if (output !== null) log(`${items.length} entries`);
+    reportRatio(output, originalSize, compressedSize);
+    return 0;
+}
+
+// Decompress
+// The first bytes decide the reader; block streams are decoded as they are read.
+// Encrypted files are decrypted in memory first and read like stdin; without a
+// passphrase only `allowLocked` callers (inspect) get them back, still sealed.
+async function openContainer(input, options = {}, allowLocked = false) {
+    let bytes = null;
+    let prefix;
+    if (input === '-') {
+        bytes = await readAll(process.stdin);
+        prefix = bytes;
+    } else {
+        const fd = fs.openSync(input, 'r');
+        const head = Buffer.alloc(HuffmanContainer.STREAM_PREFIX_LENGTH);
+        const length = fs.readSync(fd, head, 0, head.length, 0);
+        fs.closeSync(fd);
+        prefix = new Uint8Array(head.subarray(0, length));
+    }
+    if (!HuffmanContainer.isEncrypted(prefix)) return { bytes, prefix, encryption: null, locked: false };
+
+    const sealedBytes = bytes || new Uint8Array(fs.readFileSync(input));
+    const encryption = HuffmanEncryption.describe(sealedBytes);
+    const passphrase = readPassphrase(options);
+    if (!passphrase) {
+        if (allowLocked) return { bytes: sealedBytes, prefix, encryption, locked: true };
+        throw new Error(`${input} is encrypted; give its passphrase with --passphrase-file or HUFFMAN_PASSPHRASE`);
+    }
+    const inner = await HuffmanEncryption.decrypt(sealedBytes, passphrase);
+    return { bytes: inner, prefix: inner, encryption, locked: false };
+}
+
+// Chunks for the block stream reader, which takes async iterables only
+async function* readChunks(input, bytes) {
+    if (bytes) yield bytes;
+    else yield* fs.createReadStream(input);
+}
+
+// Archives and block streams from disk are read lazily
+async function openSource(input, bytes) {
+    return bytes || fs.openAsBlob(input);
+}
+
+function restoreMtime(output, mtime) {
+    if (output !== null && mtime) fs.utimesSync(output, new Date(), new Date(mtime));
+}
+
+function describeChecks(hashMatch, sizeMatch) {
+    const hash = hashMatch === null ? 'no checksum' : hashMatch ? 'SHA-256 OK' : 'SHA-256 MISMATCH';
+    return `${hash}, ${sizeMatch ? 'size OK' : 'SIZE MISMATCH'}`;
+}
+
+async function decompress(options, files) {
+    if (files.length > 1) throw new UsageError('decompress takes one file');
+    const input = files[0] || '-';
+    const { bytes, prefix } = await openContainer(input, options);
+    const inputName = input === '-' ? 'stdin.bin' : input;
+
+    if (options.recover && !HuffmanContainer.isBlockStream(prefix)) throw new UsageError('--recover only applies to block streams');
+
+    if (HuffmanContainer.isArchive(prefix)) {
+        return extractArchive(options, inputName, await HuffmanArchive.openDirectory(await openSource(input, bytes)));
+    }
+
+    if (options.recover) {
+        return recoverStream(options, input, inputName, await openSource(input, bytes));
+    }
+
+    if (HuffmanContainer.isBlockStream(prefix)) {
+        let header = null;
+        let summary = null;
+        const chunks = readChunks(input, bytes);
+        const blocks = HuffmanStream.decompress(chunks, {
+            decoder: options.decoder,
+            onHeader: (h) => { header = h; },
+            onEnd: (end) => { summary = end; }
+        });
+        // The output name needs the header, so the first block is decoded before opening it
+        const first = await blocks.next();
+        const output = resolveOutput(options, input, outputName(inputName, header.alphabet, header.metadata.filename));
+        async function* pieces() {
+            if (!first.done) yield first.value;
+            yield* { [Symbol.asyncIterator]: () => blocks };
+        }
+        await writeOutput(output, pieces());
+        restoreMtime(output, header.metadata.mtime);
+        return finish(output, summary.hashMatch, summary.sizeMatch);
+    }
+
+    const container = bytes || fs.readFileSync(input);
+    const result = await HuffmanCodec.decompress(container, { decoder: options.decoder, codebooks: await findCodebooks(options, input, container) });
+    const output = resolveOutput(options, input, outputName(inputName, result.metadata.mode, result.metadata.filename));
+    await writeOutput(output, [result.data]);
+    restoreMtime(output, result.metadata.mtime);
+    return finish(output, result.hashMatch, result.sizeMatch);
+}
+
+// Damaged block streams: intact blocks are decoded and the rest zero-filled so offsets still line up
+async function recoverStream(options, input, inputName, source) {
+    let header = null;
+    let summary = null;
+    const blocks = HuffmanStream.recover(source, {
+        decoder: options.decoder,
+        onHeader: (h) => { header = h; },
+        onBlock: (block) => {
+            if (!block.ok) log(`block ${block.index + 1} (bytes ${block.originalOffset}-${block.originalOffset + block.originalLength}): ${block.error}`);
+        },
+        onEnd: (end) => { summary = end; }
+    });
+    const first = await blocks.next();
+    const output = resolveOutput(options, input, outputName(inputName, header.alphabet, header.metadata.filename));
+    async function* pieces() {
+        if (!first.done) yield first.value;
+        yield* { [Symbol.asyncIterator]: () => blocks };
+    }
+    await writeOutput(output, pieces());
+
+    if (summary.indexError) log(`index unreadable (${summary.indexError.message}); blocks were walked from the header`);
+    log(`${output || 'stdout'}: recovered ${formatBytes(summary.recoveredBytes)} from ${summary.blockCount - summary.damagedBlocks} of ${summary.blockCount} blocks`
+        + (summary.damagedBlocks ? `, ${formatBytes(summary.lostBytes)} zero-filled` : '')
+        + (summary.complete ? '' : '; blocks after the last one could not be located'));
+    return summary.damagedBlocks || !summary.complete ? 1 : 0;
+}
+
+// The original extension, as the web app downloads it
+function outputName(input, mode, filename) {
+    return replaceExtension(input, path.extname(filename || '') || (mode === 'text' ? '.txt' : ''));
+}
+
+function finish(output, hashMatch, sizeMatch) {
+    const ok = hashMatch !== false && sizeMatch;
+    if (output !== null || !ok) log(`${output || 'stdout'}: ${describeChecks(hashMatch, sizeMatch)}`);
+    return ok ? 0 : 1;
+}
+
+async function extractArchive(options, input, archive) {
+    const entries = options.entry === undefined
+        ? archive.entries
+        : archive.entries.filter(entry => entry.path === HuffmanArchive.normalizePath(options.entry));
+    if (!entries.length) throw new Error(`No entry ${options.entry} in ${input}`);
+
+    // A single entry can go to stdout; whole archives always go to a folder
+    if (options.entry !== undefined && options.stdout) {
+        const data = await HuffmanArchive.extractEntry(archive, archive.entries.indexOf(entries[0]), { decoder: options.decoder });
+        await writeOutput(null, [data]);
+        return 0;
+    }
+    if (options.stdout) throw new UsageError('Only a single --entry can be written to stdout');
+
+    const folder = options.output || replaceExtension(input, '');
+    for (const entry of entries) {
+        const target = path.join(folder, ...entry.path.split('/'));
+        if (fs.existsSync(target) && !options.force) throw new Error(`${target} already exists (use --force to overwrite)`);
+        const data = await HuffmanArchive.extractEntry(archive, archive.entries.indexOf(entry), { decoder: options.decoder });
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, data);
+        restoreMtime(target, entry.mtime);
+    }
+    log(`${folder}: extracted ${entries.length} of ${archive.entries.length} entries`);
+    return 0;
+}
+
+// Inspect
+const CODEC_NAMES = {
+    huffman: 'static Huffman',
+    adaptive: 'adaptive Huffman',
+    lz77: 'LZ77 + Huffman',
+    context: 'order-1 context model',
+    tokens: 'word tokens',
+    codebook: 'shared codebook'
+};
+
+function describeMetadata(metadata) {
+    return [
+        ['Filename', metadata.filename || '(none)'],
+        ['Modified', metadata.mtime ? new Date(metadata.mtime).toISOString() : '(unknown)'],
+        ['MIME type', metadata.mimeType || '(none)'],
+        ['Max code length', metadata.maxCodeLength || '(unlimited)']
+    ];
+}
+
+async function inspect(options, files) {
+    if (files.length !== 1) throw new UsageError('inspect takes one file');
+    const input = files[0];
+    const { bytes, prefix, encryption, locked } = await openContainer(input, options, true);
+    let info;
+
+    if (locked) {
+        info = { format: 'encrypted', version: prefix[HuffmanContainer.MAGIC.length], compressedSize: bytes.length };
+    } else if (HuffmanContainer.isCodebook(prefix)) {
+        const codebook = await readCodebook(input);
+        info = {
+            format: 'codebook',
+            version: HuffmanContainer.readCodebook(fs.readFileSync(input)).version,
+            id: codebook.id,
+            name: codebook.name,
+            mode: codebook.alphabet,
+            sampleCount: codebook.sampleCount,
+            trainedSymbols: codebook.symbolCount,
+            codes: codebook.codeLengths.size - 1,
+            tableBits: codebook.tableBits
+        };
+    } else if (HuffmanContainer.isArchive(prefix)) {
+        const archive = await HuffmanArchive.openDirectory(await openSource(input, bytes));
+        info = {
+            format: 'archive',
+            version: archive.header.version,
+            checksum: archive.header.checksum,
+            sharedTable: archive.sharedTree !== null,
+            metadata: archive.header.metadata,
+            originalSize: archive.originalSize,
+            compressedSize: archive.compressedSize,
+            entries: archive.entries.map(entry => ({
+                path: entry.path,
+                offset: entry.offset,
+                mtime: entry.mtime,
+                originalLength: entry.originalLength,
+                compressedLength: entry.compressedLength,
+                sha256: entry.hash
+            }))
+        };
+    } else if (HuffmanContainer.isBlockStream(prefix)) {
+        const index = await HuffmanStream.openIndex(await openSource(input, bytes));
+        const blocks = [];
+        for (let i = 0; i < index.blocks.length; i++) {
+            const block = await HuffmanStream.readRawBlock(index, i);
+            blocks.push({
+                offset: index.blocks[i].offset,
+                originalOffset: index.blocks[i].originalOffset,
+                originalLength: block.originalLength,
+                compressedLength: index.blocks[i].compressedLength,
+                alphabet: block.alphabet,
+                tableBits: block.tableBits,
+                dataBits: block.dataBits,
+                sha256: block.hash
+            });
+        }
+        info = {
+            format: 'block stream',
+            version: index.header.version,
+            checksum: index.header.checksum,
+            blockSize: index.header.blockSize,
+            metadata: index.header.metadata,
+            originalSize: index.originalSize,
+            compressedSize: index.compressedSize,
+            blocks: blocks
+        };
+    } else {
+        // The fields readBinaryFile shows on the Decompress tab
+        const container = bytes || fs.readFileSync(input);
+        const { metadata } = HuffmanCodec.readContainer(container);
+        info = {
+            format: metadata.version === 0 ? 'legacy v0' : 'single',
+            version: metadata.version,
+            codec: metadata.codec,
+            codebookId: metadata.codebookId,
+            mode: metadata.mode,
+            canonical: metadata.canonical,
+            metadata: {
+                filename: metadata.filename,
+                mtime: metadata.mtime,
+                mimeType: metadata.mimeType,
+                maxCodeLength: metadata.maxCodeLength
+            },
+            treeBits: metadata.tableLength,
+            dataBits: metadata.binaryLength,
+            originalSize: metadata.originalSize,
+            symbolCount: metadata.symbolCount,
+            compressedSize: container.length,
+            sha256: metadata.hash
+        };
+    }
+
+    // Sizes below are of the decrypted file when the passphrase was given
+    if (encryption) info.encryption = encryption;
+
+    if (options.json) {
+        process.stdout.write(JSON.stringify(info, null, 2) + '\n');
+        return 0;
+    }
+
+    const rows = [['Format', `${info.format}, version ${info.version}`]];
+    if (info.encryption) {
+        rows.push(['Encryption', `AES-256-GCM, PBKDF2-SHA-256 with ${info.encryption.iterations} iterations${locked ? ' (no passphrase given)' : ''}`]);
+    }
+    if (locked) {
+        rows.push(['Compressed size', `${info.compressedSize} bytes`]);
+        for (const [label, value] of rows) console.log(`${(label + ':').padEnd(17)} ${value}`);
+        return 0;
+    }
+    if (info.format === 'codebook') {
+        rows.push(['ID', info.id], ['Name', info.name || '(none)'], ['Alphabet', info.mode],
+            ['Trained on', `${info.sampleCount} samples, ${info.trainedSymbols} symbols`],
+            ['Codes', `${info.codes} + escape`], ['Table bits', info.tableBits]);
+        for (const [label, value] of rows) console.log(`${(label + ':').padEnd(17)} ${value}`);
+        return 0;
+    }
+    if (info.codec) rows.push(['Codec', CODEC_NAMES[info.codec] + (info.canonical ? ', canonical table' : '')]);
+    if (info.codebookId) rows.push(['Codebook', info.codebookId]);
+    if (info.mode) rows.push(['Alphabet', info.mode]);
+    if (info.blockSize) rows.push(['Block size', formatBytes(info.blockSize)]);
+    if (info.sharedTable !== undefined) rows.push(['Code tables', info.sharedTable ? 'shared' : 'per entry']);
+    rows.push(...describeMetadata(info.metadata));
+    if (info.treeBits !== undefined) rows.push(['Tree bits', info.treeBits], ['Data bits', info.dataBits]);
+    rows.push(['Original size', `${info.originalSize} bytes`]);
+    if (info.symbolCount !== undefined) rows.push(['Symbols', info.symbolCount]);
+    rows.push(['Compressed size', `${info.compressedSize} bytes`]);
+    if (info.sha256 !== undefined) rows.push(['SHA-256', info.sha256 || '(none)']);
+    for (const [label, value] of rows) console.log(`${(label + ':').padEnd(17)} ${value}`);
+
+    if (info.blocks) {
+        console.log(`\n${'#'.padStart(5)} ${'Offset'.padStart(12)} ${'Original'.padStart(10)} ${'Compressed'.padStart(10)}  Alphabet  Tree bits  Data bits`);
+        info.blocks.forEach((block, i) => {
+            console.log(`${String(i + 1).padStart(5)} ${String(block.originalOffset).padStart(12)} ${String(block.originalLength).padStart(10)} ${String(block.compressedLength).padStart(10)}  ${block.alphabet.padEnd(8)}  ${String(block.tableBits).padStart(9)}  ${String(block.dataBits).padStart(9)}`);
+        });
+    }
+    if (info.entries) {
+        console.log(`\n${'Original'.padStart(10)} ${'Compressed'.padStart(10)}  ${'Modified'.padEnd(24)}  Path`);
+        for (const entry of info.entries) {
+            const mtime = entry.mtime ? new Date(entry.mtime).toISOString() : '';
+            console.log(`${String(entry.originalLength).padStart(10)} ${String(entry.compressedLength).padStart(10)}  ${mtime.padEnd(24)}  ${entry.path}`);
+        }
+    }
+    return 0;
+}
+
+// Verify
+async function verifyFile(input, options) {
+    const { bytes, prefix } = await openContainer(input, options);
+
+    if (HuffmanContainer.isArchive(prefix)) {
+        const archive = await HuffmanArchive.openDirectory(await openSource(input, bytes));
+        const failed = [];
+        for (let i = 0; i < archive.entries.length; i++) {
+            try {
+                await HuffmanArchive.extractEntry(archive, i, { decoder: options.decoder });
+            } catch (error) {
+                failed.push(error.message);
+            }
+        }
+        return {
+            ok: !failed.length,
+            detail: failed.length ? failed.join('; ') : `${archive.entries.length} entries, SHA-256 and sizes OK`
+        };
+    }
+
+    if (HuffmanContainer.isBlockStream(prefix)) {
+        let summary = null;
+        const failed = [];
+        const chunks = readChunks(input, bytes);
+        for await (const data of HuffmanStream.decompress(chunks, {
+            decoder: options.decoder,
+            onBlock: (block) => { if (block.hashMatch === false || !block.sizeMatch) failed.push(block.index + 1); },
+            onEnd: (end) => { summary = end; }
+        })) {
+            data; // blocks are checked in onBlock
+        }
+        const ok = summary.hashMatch !== false && summary.sizeMatch;
+        return {
+            ok: ok,
+            detail: `${summary.blockCount} blocks, ${describeChecks(summary.hashMatch, summary.sizeMatch)}`
+                + (failed.length ? ` (blocks ${failed.join(', ')})` : '')
+        };
+    }
+
+    const container = bytes || fs.readFileSync(input);
+    const result = await HuffmanCodec.decompress(container, { decoder: options.decoder, codebooks: await findCodebooks(options, input, container) });
+    const computed = await HuffmanCodec.calculateHash(result.data);
+    return {
+        ok: result.hashMatch !== false && result.sizeMatch,
+        detail: `${describeChecks(result.hashMatch, result.sizeMatch)}\n  stored   ${result.metadata.hash || '(none)'}\n  computed ${computed}`
+    };
+}
+
+async function verify(options, files) {
+    if (!files.length) throw new UsageError('verify needs at least one file');
+    let status = 0;
+    for (const input of files) {
+        let result;
+        try {
+            result = await verifyFile(input, options);
+        } catch (error) {
+            result = { ok: false, detail: error.message, status: exitStatus(error) };
+        }
+        console.log(`${input}: ${result.ok ? 'OK' : 'FAILED'} - ${result.detail}`);
+        if (!result.ok) status = Math.max(status, result.status || 1);
+    }
+    return status;
+}
+
+// Bench
+// Every file is compressed and decompressed in memory; the round trip must be exact
+async function bench(options, files) {
+    if (files.length !== 1 || !fs.statSync(files[0]).isDirectory()) throw new UsageError('bench takes one folder');
+    const codebook = options.codebook ? await readCodebook(options.codebook) : null;
+    const results = [];
+    for (const item of listFiles(files[0])) {
+        const bytes = new Uint8Array(fs.readFileSync(item.file));
+        const mode = options.mode !== 'auto' ? options.mode : codebook ? codebook.alphabet : HuffmanCodec.detectMode(bytes);
+
+        let start = process.hrtime.bigint();
+        const encoded = await HuffmanCodec.compress(HuffmanCodec.toSymbols(bytes, mode), {
+            ...compressOptions(options, path.basename(item.file), undefined, codebook),
+            mode: mode
+        });
+        const compressMs = Number(process.hrtime.bigint() - start) / 1e6;
+
+        start = process.hrtime.bigint();
+        const decoded = await HuffmanCodec.decompress(encoded, { decoder: options.decoder, codebooks: codebook ? [codebook] : [] });
+        const decompressMs = Number(process.hrtime.bigint() - start) / 1e6;
+
+        results.push({
+            path: item.path,
+            mode: mode,
+            originalSize: bytes.length,
+            compressedSize: encoded.length,
+            ratio: bytes.length ? encoded.length / bytes.length : 0,
+            compressMs: compressMs,
+            decompressMs: decompressMs,
+            roundTrip: Buffer.from(decoded.data).equals(Buffer.from(bytes))
+        });
+    }
+
+    const total = results.reduce((sum, result) => ({
+        originalSize: sum.originalSize + result.originalSize,
+        compressedSize: sum.compressedSize + result.compressedSize,
+        compressMs: sum.compressMs + result.compressMs,
+        decompressMs: sum.decompressMs + result.decompressMs
+    }), { originalSize: 0, compressedSize: 0, compressMs: 0, decompressMs: 0 });
+    total.ratio = total.originalSize ? total.compressedSize / total.originalSize : 0;
+    const rate = (size, ms) => ms ? (size / 1024 / 1024) / (ms / 1000) : 0;
+    const failed = results.filter(result => !result.roundTrip).length;
+
+    if (options.json) {
+        process.stdout.write(JSON.stringify({ codec: options.codec || (codebook ? 'codebook' : 'huffman'), codebook: codebook && codebook.id, node: process.version, files: results, total }, null, 2) + '\n');
+        return failed ? 1 : 0;
+    }
+
+    const line = (label, result) => console.log(`${label.padEnd(40)} ${formatBytes(result.originalSize).padStart(10)} ${formatBytes(result.compressedSize).padStart(10)} ${(result.ratio * 100).toFixed(1).padStart(6)}% ${rate(result.originalSize, result.compressMs).toFixed(1).padStart(8)} ${rate(result.originalSize, result.decompressMs).toFixed(1).padStart(8)}${result.roundTrip === false ? '  ROUND TRIP FAILED' : ''}`);
+    console.log(`Codec: ${CODEC_NAMES[options.codec || (codebook ? 'codebook' : 'huffman')]}${codebook ? ` ${codebook.id}` : ''} (${process.version})\n`);
+    console.log(`${'File'.padEnd(40)} ${'Original'.padStart(10)} ${'Compressed'.padStart(10)} ${'Ratio'.padStart(7)} ${'Comp MB/s'.padStart(8)} ${'Dec MB/s'.padStart(8)}`);
+    for (const result of results) line(result.path.length > 40 ? '…' + result.path.slice(-39) : result.path, result);
+    line(`Total (${results.length} files)`, total);
+    if (failed) log(`${failed} files did not round-trip`);
+    return failed ? 1 : 0;
+}
+
+// Codebooks
+async function readCodebook(file) {
+    if (fs.statSync(file).isDirectory()) throw new UsageError(`${file} is a folder; compress needs one .hcb file`);
+    return HuffmanCodec.importCodebook(fs.readFileSync(file));
+}
+
+function codebookFiles(location) {
+    if (!location || !fs.existsSync(location)) return [];
+    if (!fs.statSync(location).isDirectory()) return [location];
+    return fs.readdirSync(location).filter(name => name.endsWith('.hcb')).sort().map(name => path.join(location, name));
+}
+
+// The codebook a single file was coded with, from --codebook (a file or folder), the file's
+// own folder or HUFFMAN_CODEBOOKS. Unreadable .hcb files found while searching are skipped.
+async function findCodebooks(options, input, container) {
+    const { codebookId } = HuffmanCodec.readContainer(container).metadata;
+    if (!codebookId) return [];
+    const locations = [options.codebook, input === '-' ? null : path.dirname(input), process.env.HUFFMAN_CODEBOOKS];
+    for (const file of new Set(locations.flatMap(codebookFiles))) {
+        let codebook;
+        try {
+            codebook = await HuffmanCodec.importCodebook(fs.readFileSync(file));
+        } catch (error) {
+            if (file === options.codebook) throw new Error(`${file}: ${error.message}`);
+            continue;
+        }
+        if (codebook.id === codebookId) return [codebook];
+    }
+    throw new Error(`${input === '-' ? 'stdin' : input} was coded with codebook ${codebookId}, which was not found; `
+        + 'give it with --codebook, or put it in the file\'s folder or HUFFMAN_CODEBOOKS');
+}
+
+// Train
+// Every file given or found under a folder is one sample
+async function train(options, files) {
+    if (!files.length) throw new UsageError('train needs sample files or folders');
+    if (files.includes('-')) throw new UsageError('train reads samples from files, not stdin');
+    const samples = [];
+    for (const file of files) {
+        const items = fs.statSync(file).isDirectory() ? listFiles(file).map(item => item.file) : [file];
+        for (const item of items) samples.push(new Uint8Array(fs.readFileSync(item)));
+    }
+
+    const codebook = await HuffmanCodec.trainCodebook(samples, { mode: options.mode, name: options.name || '' });
+    const output = resolveOutput(options, null, `${options.name || 'codebook'}-${codebook.id.slice(0, 8)}.hcb`);
+    const bytes = HuffmanCodec.exportCodebook(codebook);
+    await writeOutput(output, [bytes]);
+    if (output !== null) {
+        log(`${output}: codebook ${codebook.id}, ${codebook.codeLengths.size - 1} ${codebook.alphabet === 'text' ? 'characters' : 'byte values'}`
+            + ` from ${samples.length} samples (${formatBytes(bytes.length)})`);
+    }
+    return 0;
+}
+
+const COMMANDS = {
+    compress,
+    decompress,
+    inspect,
+    verify,
+    bench,
+    train
+};
+
+async function main(argv) {
+    const [command, ...rest] = argv;
+    const { options, files } = parseArgs(rest);
+    if (!command || command === '-h' || command === '--help' || options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (!COMMANDS[command]) throw new UsageError(`Unknown command ${command}`);
+    return COMMANDS[command](options, files);
+}
+
+// A wrong passphrase gets its own code so scripts can tell it from a damaged file
+function exitStatus(error) {
+    if (error instanceof UsageError) return 2;
+    if (error instanceof HuffmanEncryption.WrongPassphraseError) return 3;
+    return 1;
+}
+
+main(process.argv.slice(2)).then(
+    (status) => { process.exitCode = status; },
+    (error) => {
+        log(`huffman: ${error.message}`);
+        if (error instanceof UsageError) log('Run huffman --help for usage.');
+        process.exitCode = exitStatus(error);
+    }
+);
@@ -2,10 +2,50 @@
 let state = {
     currentFile: null,
     originalText: '',
+    originalBytes: null,
+    detectedMode: 'text',
+    mode: 'text',
     compressedData: null,
+    compressedBytes: null,
+    binaryString: '',
     decompressedText: '',
+    decompressedBytes: null,
+    decompressedMetadata: null,
+    decompressedBlob: null,
+    streaming: false,
+    streamBlocks: [],
+    streamPreview: null,
+    archiveFiles: null,
+    archiveEntries: [],
+    decodeStream: null,
+    decodeArchive: null,
+    decodeDamaged: null,
+    decodeEncryption: null,
+    encrypted: false,
+    deflate: null,
+    deflateBlocks: [],
     huffmanTree: null,
     huffmanCodes: {},
+    canonical: false,
+    tableSizes: null,
+    lengthLimit: null,
+    codec: 'huffman',
+    staticSize: null,
+    lzStats: null,
+    contextStats: null,
+    contextFrequencies: null,
+    tokenStats: null,
+    tokenModel: null,
+    codebooks: [],
+    codebook: null,
+    codebookStats: null,
+    decodeCodebookId: null,
+    awaitingCodebook: false,
+    containerSize: 0,
+    benchmark: null,
+    payloadBits: null,
+    originalHash: null,
+    compressedHash: null,
     frequencyMap: new Map()
 };
 
@@ -18,338 +58,363 @@ function formatBytes(bytes) {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 }
 
-function showToast(message, type = 'success') {
-    const toast = document.createElement('div');
-    toast.className = `toast ${type}`;
-    toast.innerHTML = `<span>${type === 'success' ? '✓' : '✗'}</span><span>${message}</span>`;
-    document.getElementById('toastContainer').appendChild(toast);
-    setTimeout(() => toast.remove(), 3000);
-}
+// Bytes that are not text are previewed as a hex dump
+const HEX_PREVIEW_LIMIT = 4096;
 
-function showSpinner() {
-    document.getElementById('spinner').style.display = 'flex';
+function formatHexPreview(bytes) {
+    const lines = [];
+    const limit = Math.min(bytes.length, HEX_PREVIEW_LIMIT);
+    for (let i = 0; i < limit; i += 16) {
+        const row = Array.from(bytes.subarray(i, Math.min(i + 16, limit)))
+            .map(b => b.toString(16).padStart(2, '0'));
+        lines.push(i.toString(16).padStart(8, '0') + '  ' + row.join(' '));
+    }
+    if (bytes.length > limit) {
+        lines.push(`... ${bytes.length - limit} more bytes`);
+    }
+    return lines.join('\n');
 }
 
-function hideSpinner() {
-    document.getElementById('spinner').style.display = 'none';
+// Files above this size are compressed as a block stream read in chunks
+const MAX_IN_MEMORY_SIZE = 10 * 1024 * 1024;
+const STREAM_PREVIEW_SIZE = 64 * 1024;
+
+// Encoded bits are shown as 0s and 1s; past this many the rest is summarized
+const BIT_PREVIEW_LIMIT = 1 << 20;
+
+function formatBitPreview(bytes, bitLength) {
+    const bits = HuffmanBitIO.toBitString(bytes, bitLength, BIT_PREVIEW_LIMIT);
+    if (bitLength > BIT_PREVIEW_LIMIT) {
+        return bits + `\n... ${(bitLength - BIT_PREVIEW_LIMIT).toLocaleString()} more bits`;
+    }
+    return bits;
 }
 
-async function calculateHash(text) {
-    const encoder = new TextEncoder();
-    const data = encoder.encode(text);
-    const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-    const hashArray = Array.from(new Uint8Array(hashBuffer));
-    return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
 }
 
-// Huffman Node Class
-class HuffmanNode {
-    constructor(char, freq, left = null, right = null) {
-        this.char = char;
-        this.freq = freq;
-        this.left = left;
-        this.right = right;
+// Table label for a symbol: characters in text mode, byte values in byte mode.
+// Word tokens show their whitespace as visible marks.
+function formatSymbol(symbol) {
+    if (typeof symbol === 'number' || (state.mode === 'bytes' && /^\d+$/.test(symbol))) {
+        const byte = Number(symbol);
+        const printable = byte >= 0x21 && byte <= 0x7e ? ` '${String.fromCharCode(byte)}'` : '';
+        return '0x' + byte.toString(16).padStart(2, '0') + escapeHtml(printable);
+    }
+    if (symbol.length > 2 || (symbol.length === 2 && symbol.codePointAt(0) <= 0xFFFF)) {
+        return escapeHtml(symbol.replace(/ /g, '␣').replace(/\r/g, '␍').replace(/\n/g, '↵').replace(/\t/g, '⇥'));
     }
+    return symbol === ' ' ? '(space)' : symbol === '\n' ? '(newline)' : escapeHtml(symbol);
 }
 
-// Huffman Algorithm
-function calculateFrequencies(text) {
-    const freq = new Map();
-    for (const char of text) {
-        freq.set(char, (freq.get(char) || 0) + 1);
-    }
-    return freq;
+function getExtension(filename) {
+    const dot = filename.lastIndexOf('.');
+    return dot > 0 ? filename.slice(dot) : '';
 }
 
-function buildHuffmanTree(frequencyMap) {
-    const queue = Array.from(frequencyMap.entries())
-        .map(([char, freq]) => new HuffmanNode(char, freq))
-        .sort((a, b) => a.freq - b.freq);
-    
-    while (queue.length > 1) {
-        queue.sort((a, b) => a.freq - b.freq);
-        const left = queue.shift();
-        const right = queue.shift();
-        const parent = new HuffmanNode(null, left.freq + right.freq, left, right);
-        queue.push(parent);
-    }
-    
-    return queue[0];
+function replaceExtension(filename, extension) {
+    const dot = filename.lastIndexOf('.');
+    return (dot > 0 ? filename.slice(0, dot) : filename) + extension;
 }
 
-function generateCodes(node, code = '', codes = {}) {
-    if (!node) return codes;
-    if (node.char !== null) {
-        codes[node.char] = code || '0';
-        return codes;
-    }
-    generateCodes(node.left, code + '0', codes);
-    generateCodes(node.right, code + '1', codes);
-    return codes;
+// Messages are plain text: they carry filenames, archive paths and error messages from the file
+function showToast(message, type = 'success') {
+    const toast = document.createElement('div');
+    toast.className = `toast ${type}`;
+    toast.innerHTML = `<span>${type === 'success' ? '✓' : '✗'}</span><span></span>`;
+    toast.lastChild.textContent = message;
+    document.getElementById('toastContainer').appendChild(toast);
+    setTimeout(() => toast.remove(), 3000);
 }
 
-function encodeText(text, codes) {
-    let encoded = '';
-    for (const char of text) {
-        encoded += codes[char];
-    }
-    return encoded;
+// Progress overlay: each job stage fills its own share of the bar (in percent)
+const JOB_STAGES = {
+    compress: { frequencies: [0, 15], tree: [15, 20], encoding: [20, 85], hashing: [85, 100] },
+    compressLz77: { frequencies: [0, 10], tree: [10, 15], matching: [15, 60], encoding: [60, 85], hashing: [85, 100] },
+    decompress: { decoding: [0, 85], hashing: [85, 100] },
+    compressStream: { blocks: [0, 100] },
+    decompressStream: { blocks: [0, 100] },
+    recoverStream: { blocks: [0, 100] },
+    extractRange: { blocks: [0, 100] },
+    compressArchive: { entries: [0, 100] },
+    encrypt: { encrypting: [0, 100] },
+    decrypt: { decrypting: [0, 100] },
+    trainCodebook: { samples: [0, 60], training: [60, 100] },
+    inflate: { inflating: [0, 100] },
+    benchmark: { benchmarking: [0, 100] }
+};
+
+const STAGE_LABELS = {
+    frequencies: 'Counting frequencies...',
+    tree: 'Building Huffman tree...',
+    matching: 'Finding LZ77 matches...',
+    encoding: 'Encoding...',
+    decoding: 'Decoding...',
+    hashing: 'Hashing (SHA-256)...',
+    blocks: 'Processing blocks...',
+    entries: 'Compressing entries...',
+    encrypting: 'Deriving key and encrypting...',
+    decrypting: 'Deriving key and decrypting...',
+    samples: 'Reading samples...',
+    training: 'Training codebook...',
+    inflating: 'Inflating DEFLATE blocks...',
+    benchmarking: 'Running benchmark...'
+};
+
+function showProgress(label) {
+    updateProgress(label, 0);
+    document.getElementById('progressOverlay').style.display = 'flex';
 }
 
-function decodeText(binaryData, tree) {
-    let decoded = '';
-    let current = tree;
-    
-    for (const bit of binaryData) {
-        current = bit === '0' ? current.left : current.right;
-        if (current.char !== null) {
-            decoded += current.char;
-            current = tree;
-        }
-    }
-    
-    return decoded;
+function updateProgress(label, percent) {
+    document.getElementById('progressLabel').textContent = label;
+    document.getElementById('progressFill').style.width = percent + '%';
+    document.getElementById('progressPercent').textContent = Math.floor(percent) + '%';
 }
 
-// Serialize tree to binary (PROPERLY - no JSON!)
-function serializeTreeToBinary(node) {
-    const bits = [];
-    
-    function traverse(n) {
-        if (!n) return;
-        
-        if (n.char !== null) {
-            // Leaf node: 1 + 16-bit char code
-            bits.push('1');
-            const charCode = n.char.charCodeAt(0);
-            bits.push(charCode.toString(2).padStart(16, '0'));
-        } else {
-            // Internal node: 0
-            bits.push('0');
-            traverse(n.left);
-            traverse(n.right);
+function hideProgress() {
+    document.getElementById('progressOverlay').style.display = 'none';
+}
+
+// Codec jobs run in a Web Worker. Browsers that refuse workers (e.g. Chrome on
+// file:// pages) run them on the page instead, where they cannot be cancelled.
+let codecWorker = null;
+let activeJob = null;
+let jobCounter = 0;
+
+function getCodecWorker() {
+    if (!codecWorker && typeof Worker !== 'undefined') {
+        try {
+            codecWorker = new Worker('lib/worker.js');
+        } catch (error) {
+            codecWorker = null;
         }
     }
-    
-    traverse(node);
-    return bits.join('');
+    return codecWorker;
 }
 
-// Deserialize tree from binary
-function deserializeTreeFromBinary(bits, index = {i: 0}) {
-    if (index.i >= bits.length) return null;
-    
-    const bit = bits[index.i++];
-    
-    if (bit === '1') {
-        // Leaf node
-        const charBits = bits.substr(index.i, 16);
-        index.i += 16;
-        const charCode = parseInt(charBits, 2);
-        const char = String.fromCharCode(charCode);
-        return new HuffmanNode(char, 0);
-    } else {
-        // Internal node
-        const left = deserializeTreeFromBinary(bits, index);
-        const right = deserializeTreeFromBinary(bits, index);
-        return new HuffmanNode(null, 0, left, right);
-    }
+function reportJobProgress(type, stage, fraction) {
+    const [start, end] = JOB_STAGES[type][stage] || [0, 100];
+    updateProgress(STAGE_LABELS[stage] || 'Working...', start + (end - start) * fraction);
 }
 
-async function createBinaryFile(text, tree, codes, originalFilename) {
-    // 1. Encode text to binary
-    const encodedData = encodeText(text, codes);
-    
-    // 2. Serialize tree to binary (NO JSON!)
-    const treeBinary = serializeTreeToBinary(tree);
-    
-    // 3. Create compact header
-    const hash = await calculateHash(text);
-    
-    // Header format (minimal):
-    // - Original filename length (1 byte)
-    // - Filename (UTF-8 bytes)
-    // - Tree length in bits (4 bytes = 32-bit int)
-    // - Tree binary
-    // - Data length in bits (4 bytes)
-    // - Encoded data binary
-    // - SHA-256 hash (32 bytes)
-    
-    const filenameBytes = new TextEncoder().encode(originalFilename);
-    const hashBytes = new Uint8Array(hash.match(/.{2}/g).map(byte => parseInt(byte, 16)));
-    
-    // Convert binary strings to bytes
-    function binaryToBytes(binStr) {
-        const bytes = [];
-        for (let i = 0; i < binStr.length; i += 8) {
-            bytes.push(parseInt(binStr.substr(i, 8).padEnd(8, '0'), 2));
-        }
-        return new Uint8Array(bytes);
+// `input` is a Uint8Array, a Blob/File for the block stream jobs, or [{ path, file, mtime }] for archives
+function runCodecJob(type, input, options) {
+    const worker = getCodecWorker();
+    const stages = type === 'compress' && options.codec === 'lz77' ? 'compressLz77' : type;
+    const onProgress = (stage, fraction) => reportJobProgress(stages, stage, fraction);
+    document.getElementById('progressCancelBtn').style.display = worker ? '' : 'none';
+
+    if (!worker) {
+        // Let the overlay paint before the page blocks
+        return new Promise(resolve => setTimeout(resolve, 50))
+            .then(() => HuffmanJobs.run(type, input, options, onProgress))
+            .then(({ result }) => result);
     }
-    
-    const treeBytes = binaryToBytes(treeBinary);
-    const dataBytes = binaryToBytes(encodedData);
-    
-    // Calculate total size
-    const totalSize = 1 + filenameBytes.length + 4 + treeBytes.length + 4 + dataBytes.length + 4 + 4 + hashBytes.length;
-    const buffer = new Uint8Array(totalSize);
-    const view = new DataView(buffer.buffer);
-    
-    let offset = 0;
-    
-    // Write filename length (1 byte)
-    buffer[offset++] = filenameBytes.length;
-    
-    // Write filename
-    buffer.set(filenameBytes, offset);
-    offset += filenameBytes.length;
-    
-    // Write tree length in bits (4 bytes)
-    view.setUint32(offset, treeBinary.length, false);
-    offset += 4;
-    
-    // Write tree
-    buffer.set(treeBytes, offset);
-    offset += treeBytes.length;
-    
-    // Write data length in bits (4 bytes)
-    view.setUint32(offset, encodedData.length, false);
-    offset += 4;
-    
-    // Write encoded data
-    buffer.set(dataBytes, offset);
-    offset += dataBytes.length;
-    
-    // Write original text length (4 bytes)
-    view.setUint32(offset, text.length, false);
-    offset += 4;
-    
-    // Write hash
-    buffer.set(hashBytes, offset);
-    
-    return new Blob([buffer], { type: 'application/octet-stream' });
-}
 
-async function readBinaryFile(file) {
     return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onload = async (e) => {
-            try {
-                const buffer = new Uint8Array(e.target.result);
-                const view = new DataView(buffer.buffer);
-                let offset = 0;
-                
-                // Read filename length
-                const filenameLength = buffer[offset++];
-                
-                // Read filename
-                const filenameBytes = buffer.slice(offset, offset + filenameLength);
-                const filename = new TextDecoder().decode(filenameBytes);
-                offset += filenameLength;
-                
-                // Read tree length
-                const treeLengthBits = view.getUint32(offset, false);
-                offset += 4;
-                
-                // Read tree bytes and convert to binary string
-                const treeBytesLength = Math.ceil(treeLengthBits / 8);
-                const treeBytes = buffer.slice(offset, offset + treeBytesLength);
-                let treeBinary = '';
-                for (let i = 0; i < treeBytes.length; i++) {
-                    treeBinary += treeBytes[i].toString(2).padStart(8, '0');
-                }
-                treeBinary = treeBinary.substr(0, treeLengthBits); // Trim to exact length
-                offset += treeBytesLength;
-                
-                // Read data length
-                const dataLengthBits = view.getUint32(offset, false);
-                offset += 4;
-                
-                // Read data bytes and convert to binary string
-                const dataBytesLength = Math.ceil(dataLengthBits / 8);
-                const dataBytes = buffer.slice(offset, offset + dataBytesLength);
-                let dataBinary = '';
-                for (let i = 0; i < dataBytes.length; i++) {
-                    dataBinary += dataBytes[i].toString(2).padStart(8, '0');
-                }
-                dataBinary = dataBinary.substr(0, dataLengthBits); // Trim to exact length
-                offset += dataBytesLength;
-                
-                // Read original size
-                const originalSize = view.getUint32(offset, false);
-                offset += 4;
-                
-                // Read hash
-                const hashBytes = buffer.slice(offset, offset + 32);
-                const hash = Array.from(hashBytes).map(b => b.toString(16).padStart(2, '0')).join('');
-                
-                // Deserialize tree
-                const tree = deserializeTreeFromBinary(treeBinary);
-                
-                resolve({
-                    metadata: {
-                        filename: filename,
-                        hash: hash,
-                        originalSize: originalSize,
-                        binaryLength: dataLengthBits
-                    },
-                    tree: tree,
-                    binaryData: dataBinary
-                });
-            } catch (error) {
-                reject(new Error('Invalid or corrupted .bin file: ' + error.message));
+        const id = ++jobCounter;
+        activeJob = { id, worker, reject };
+
+        worker.onmessage = (e) => {
+            const message = e.data;
+            if (!activeJob || message.id !== activeJob.id) return;
+            if (message.type === 'progress') {
+                onProgress(message.stage, message.fraction);
+                return;
             }
+            activeJob = null;
+            if (message.type === 'result') resolve(message.result);
+            else reject(Object.assign(new Error(message.message), message.details));
+        };
+
+        worker.onerror = (e) => {
+            e.preventDefault();
+            activeJob = null;
+            worker.terminate();
+            codecWorker = null;
+            reject(new Error(e.message || 'Worker failed to start'));
         };
+
+        // Blobs (and archive file lists) are cloned by reference; bytes are copied so the page keeps its own for previews
+        if (input instanceof Blob || Array.isArray(input)) {
+            worker.postMessage({ id, type, input, options });
+        } else {
+            const buffer = input.slice().buffer;
+            worker.postMessage({ id, type, input: buffer, options }, [buffer]);
+        }
+    });
+}
+
+// Terminating the worker is the only way to stop it mid-job; a new one is created on demand
+function cancelCodecJob() {
+    if (!activeJob) return;
+    const job = activeJob;
+    activeJob = null;
+    job.worker.terminate();
+    if (codecWorker === job.worker) codecWorker = null;
+    job.reject(new DOMException('Job cancelled', 'AbortError'));
+}
+
+function readFileAsBytes(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (e) => resolve(new Uint8Array(e.target.result));
         reader.onerror = () => reject(new Error('Failed to read file'));
         reader.readAsArrayBuffer(file);
     });
 }
+
+async function readBinaryFile(file) {
+    const bytes = await readFileAsBytes(file);
+    try {
+        return { bytes, ...HuffmanCodec.readContainer(bytes) };
+    } catch (error) {
+        // Damage reports already say where the file broke
+        if (error instanceof HuffmanContainer.CorruptFileError) throw error;
+        throw new Error('Invalid or corrupted .bin file: ' + error.message);
+    }
+}
+
 // ENCODE TAB - File Upload Handlers
 function setupEncodeUpload() {
     const dropzone = document.getElementById('encodeDropzone');
     const fileInput = document.getElementById('encodeFileInput');
+    const folderInput = document.getElementById('encodeFolderInput');
     
     dropzone.addEventListener('click', () => fileInput.click());
+    document.getElementById('encodeFolderBtn').addEventListener('click', (e) => {
+        e.stopPropagation();
+        folderInput.click();
+    });
     
     dropzone.addEventListener('dragover', (e) => {
         e.preventDefault();
         e.stopPropagation();
     });
     
-    dropzone.addEventListener('drop', (e) => {
+    dropzone.addEventListener('drop', async (e) => {
         e.preventDefault();
         e.stopPropagation();
-        const file = e.dataTransfer.files[0];
-        handleEncodeFile(file);
+        handleEncodeFiles(await collectDroppedFiles(e.dataTransfer));
     });
     
-    fileInput.addEventListener('change', (e) => {
-        const file = e.target.files[0];
-        handleEncodeFile(file);
-    });
+    // Folder picks carry each file's path below the chosen folder
+    const onPick = (e) => handleEncodeFiles(Array.from(e.target.files, file => ({ file, path: file.webkitRelativePath || file.name })));
+    fileInput.addEventListener('change', onPick);
+    folderInput.addEventListener('change', onPick);
 }
 
-function handleEncodeFile(file) {
-    if (!file) return;
-    
-    if (!file.name.endsWith('.txt')) {
-        showToast('Please upload a .txt file', 'error');
-        return;
+// Dropped folders are walked through the entries API; plain files keep their names
+async function collectDroppedFiles(dataTransfer) {
+    const entries = Array.from(dataTransfer.items || [], item => item.webkitGetAsEntry && item.webkitGetAsEntry()).filter(Boolean);
+    if (!entries.length) return Array.from(dataTransfer.files, file => ({ file, path: file.name }));
+    
+    const items = [];
+    async function walk(entry, prefix) {
+        if (entry.isFile) {
+            const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+            items.push({ file, path: prefix + entry.name });
+            return;
+        }
+        const reader = entry.createReader();
+        // readEntries returns the listing in batches until an empty one
+        for (;;) {
+            const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+            if (!batch.length) break;
+            for (const child of batch) await walk(child, prefix + entry.name + '/');
+        }
     }
-    
-    if (file.size > 10 * 1024 * 1024) {
-        showToast('File too large. Maximum size is 10MB', 'error');
-        return;
+    for (const entry of entries) await walk(entry, '');
+    return items;
+}
+
+// One plain file is compressed as before; several files or a folder become an archive
+function handleEncodeFiles(items) {
+    if (!items.length) return;
+    if (items.length === 1 && items[0].path === items[0].file.name) {
+        handleEncodeFile(items[0].file);
+    } else {
+        handleEncodeArchive(items);
     }
+}
+
+function handleEncodeArchive(items) {
+    // The archive is named after the folder when every path shares one
+    const tops = new Set(items.map(item => item.path.split('/')[0]));
+    const name = tops.size === 1 && items[0].path.includes('/') ? [...tops][0] : 'archive';
+    state.archiveFiles = items.slice().sort((a, b) => a.path.localeCompare(b.path));
+    state.archiveEntries = [];
+    state.streaming = false;
+    state.originalBytes = null;
+    state.originalText = '';
+    state.currentFile = {
+        name: name,
+        size: items.reduce((sum, item) => sum + item.file.size, 0),
+        lastModified: Math.max(...items.map(item => item.file.lastModified || 0)),
+        type: ''
+    };
+    
+    // Archives always use static Huffman tables
+    const codecSelect = document.getElementById('encodeCodecSelect');
+    codecSelect.value = 'huffman';
+    codecSelect.dispatchEvent(new Event('change'));
+    codecSelect.disabled = true;
+    document.getElementById('encodeArchiveRow').style.display = 'flex';
+    showEncodePreview();
+}
+
+function formatArchiveListing() {
+    return state.archiveFiles.map(item => `${item.path}  (${formatBytes(item.file.size)})`).join('\n');
+}
+
+async function handleEncodeFile(file) {
+    if (!file) return;
     
     state.currentFile = file;
+    state.streaming = file.size > MAX_IN_MEMORY_SIZE;
     
-    const reader = new FileReader();
-    reader.onload = (e) => {
-        state.originalText = e.target.result;
+    try {
+        // Large files are only previewed; the worker streams the rest
+        state.originalBytes = await readFileAsBytes(state.streaming ? file.slice(0, STREAM_PREVIEW_SIZE) : file);
+        state.detectedMode = state.streaming ? detectPreviewMode(state.originalBytes) : HuffmanCodec.detectMode(state.originalBytes);
+        applyEncodeMode();
         showEncodePreview();
-    };
-    reader.readAsText(file);
+    } catch (error) {
+        showToast('Error reading file: ' + error.message, 'error');
+    }
+}
+
+// The preview of a streamed file may end inside a character, which is still text
+function detectPreviewMode(bytes) {
+    try {
+        new TextDecoder('utf-8', { fatal: true, ignoreBOM: true }).decode(bytes, { stream: true });
+        return 'text';
+    } catch (error) {
+        return 'bytes';
+    }
+}
+
+// Resolve the alphabet picked on the Compress tab ('auto' follows detection)
+function applyEncodeMode() {
+    const selected = document.getElementById('encodeModeSelect').value;
+    state.mode = selected === 'auto' ? state.detectedMode : selected;
+    state.originalText = state.mode === 'text' && state.detectedMode === 'text'
+        ? new TextDecoder('utf-8', { ignoreBOM: true }).decode(state.originalBytes, { stream: state.streaming })
+        : '';
+}
+
+function getOriginalSize() {
+    return state.streaming || state.archiveFiles ? state.currentFile.size : state.originalBytes.length;
+}
+
+function formatPreviewNote(size) {
+    return `\n\n... preview of the first ${formatBytes(STREAM_PREVIEW_SIZE)} of ${formatBytes(size)}`;
 }
 
 function showEncodePreview() {
@@ -359,57 +424,201 @@ function showEncodePreview() {
     
     // Fill in file info
     document.getElementById('encodeFileName').textContent = state.currentFile.name;
-    document.getElementById('encodeFileMeta').textContent = 
-        `${formatBytes(state.currentFile.size)} • ${state.originalText.length} characters`;
+    if (state.archiveFiles) {
+        document.getElementById('encodeFileMeta').textContent =
+            `${state.archiveFiles.length} files • ${formatBytes(state.currentFile.size)} • archive`;
+        const content = document.getElementById('encodeFileContent');
+        content.textContent = formatArchiveListing();
+        content.classList.remove('hex-content');
+        document.getElementById('encodeCodecHintRow').style.display = 'none';
+        return;
+    }
+    if (state.streaming) {
+        const blockCount = Math.ceil(state.currentFile.size / HuffmanStream.DEFAULT_BLOCK_SIZE);
+        document.getElementById('encodeFileMeta').textContent =
+            `${formatBytes(state.currentFile.size)} • streamed in ${blockCount} blocks of ${formatBytes(HuffmanStream.DEFAULT_BLOCK_SIZE)}; the browser keeps the .bin until you download it`;
+    } else {
+        document.getElementById('encodeFileMeta').textContent = state.mode === 'text'
+            ? `${formatBytes(state.currentFile.size)} • ${HuffmanCodec.countCodePoints(state.originalText)} characters`
+            : `${formatBytes(state.currentFile.size)} • binary`;
+    }
     
     // Show content
-    document.getElementById('encodeFileContent').textContent = state.originalText;
+    const content = document.getElementById('encodeFileContent');
+    content.textContent = (state.mode === 'text' ? state.originalText : formatHexPreview(state.originalBytes))
+        + (state.streaming ? formatPreviewNote(state.currentFile.size) : '');
+    content.classList.toggle('hex-content', state.mode !== 'text');
+    showCodecHint();
+}
+
+// Character or word token coding: both are measured on up to CODEC_HINT_SAMPLE characters
+// (the preview of a streamed file) and scaled to the file, tables included
+const CODEC_HINT_SAMPLE = 256 * 1024;
+
+function showCodecHint() {
+    const row = document.getElementById('encodeCodecHintRow');
+    if (state.mode !== 'text' || !state.originalText) {
+        row.style.display = 'none';
+        return;
+    }
+    const sample = state.originalText.slice(0, CODEC_HINT_SAMPLE);
+    const scale = getOriginalSize() / new TextEncoder().encode(sample).length;
+    const estimate = ({ tableBits, dataBits }) => Math.ceil((tableBits + dataBits * scale) / 8);
+    const characterBytes = estimate(HuffmanCodec.measureEncoding(HuffmanCodec.buildModel(sample, { canonical: true }), 'text'));
+    const tokenBytes = estimate(HuffmanCodec.measureTokens(sample));
+    const codec = tokenBytes < characterBytes ? 'tokens' : 'huffman';
+    
+    document.getElementById('encodeCodecHint').textContent = `Estimated payload: ${formatBytes(characterBytes)} coding characters, `
+        + `${formatBytes(tokenBytes)} coding word tokens. Recommended: ${codec === 'tokens' ? 'word tokens' : 'characters'}.`;
+    const button = document.getElementById('encodeCodecHintBtn');
+    button.textContent = codec === 'tokens' ? 'Use Word Tokens' : 'Use Static Huffman';
+    button.dataset.codec = codec;
+    row.style.display = 'flex';
 }
 
 function clearEncodeFile() {
     state.currentFile = null;
     state.originalText = '';
+    state.originalBytes = null;
+    state.streaming = false;
+    state.streamBlocks = [];
+    state.streamPreview = null;
+    state.archiveFiles = null;
+    state.archiveEntries = [];
     document.getElementById('encodeFileInput').value = '';
+    document.getElementById('encodeFolderInput').value = '';
+    document.getElementById('encodeArchiveRow').style.display = 'none';
+    document.getElementById('encodeCodecHintRow').style.display = 'none';
+    document.getElementById('encodeCodecSelect').disabled = false;
     document.getElementById('encodeUploadContainer').style.display = 'block';
     document.getElementById('encodePreviewContainer').style.display = 'none';
     document.getElementById('encodeSplitContainer').style.display = 'none';
+    document.getElementById('encodeBitDebugger').style.display = 'none';
     document.getElementById('encodeResultsContainer').style.display = 'none';
 }
 
 async function compressFile() {
-    if (!state.originalText) return;
+    if (!state.originalBytes && !state.archiveFiles) return;
+    
+    if (!state.archiveFiles && state.mode === 'text' && state.detectedMode !== 'text') {
+        showToast('This file is not valid UTF-8 text. Use byte mode instead.', 'error');
+        return;
+    }
+    
+    const encrypt = document.getElementById('encodeEncryptToggle').checked;
+    const passphrase = document.getElementById('encodePassphrase').value;
+    if (encrypt && !passphrase) {
+        showToast('Enter a passphrase to encrypt with', 'error');
+        return;
+    }
+    if (encrypt && passphrase !== document.getElementById('encodePassphraseConfirm').value) {
+        showToast('The passphrases do not match', 'error');
+        return;
+    }
+    
+    // A codebook fixes the alphabet it was trained on, and only codes single files
+    const codec = document.getElementById('encodeCodecSelect').value;
+    const codebook = codec === 'codebook' ? findLoadedCodebook(document.getElementById('encodeCodebookSelect').value) : null;
+    if (codec === 'codebook') {
+        if (!codebook) {
+            showToast('Train or load a codebook first', 'error');
+            return;
+        }
+        if (state.streaming || state.archiveFiles) {
+            showToast('Codebooks code single files; this one is streamed in blocks', 'error');
+            return;
+        }
+        if (codebook.alphabet === 'text' && state.detectedMode !== 'text') {
+            showToast(`Codebook ${codebook.name || codebook.id} codes text, and this file is not valid UTF-8`, 'error');
+            return;
+        }
+        state.mode = codebook.alphabet;
+    }
     
-    showSpinner();
-    await new Promise(resolve => setTimeout(resolve, 100));
+    showProgress('Starting...');
     
     try {
         const startTime = performance.now();
         
-        state.frequencyMap = calculateFrequencies(state.originalText);
-        state.huffmanTree = buildHuffmanTree(state.frequencyMap);
-        state.huffmanCodes = generateCodes(state.huffmanTree);
-        state.compressedData = await createBinaryFile(
-            state.originalText,
-            state.huffmanTree,
-            state.huffmanCodes,
-            state.currentFile.name
-        );
+        const options = {
+            mode: state.mode,
+            codec: codec,
+            codebook: codebook,
+            window: Number(document.getElementById('encodeWindowSelect').value),
+            canonical: document.getElementById('encodeCanonicalToggle').checked,
+            maxCodeLength: Number(document.getElementById('encodeMaxLengthSelect').value) || null,
+            filename: state.currentFile.name,
+            mtime: state.currentFile.lastModified,
+            mimeType: state.currentFile.type
+        };
+        let result;
+        if (state.archiveFiles) {
+            // Entries pick their own alphabet in auto mode
+            options.mode = document.getElementById('encodeModeSelect').value;
+            options.sharedTable = document.getElementById('encodeArchiveTableSelect').value === 'shared';
+            result = await runCodecJob('compressArchive',
+                state.archiveFiles.map(item => ({ path: item.path, file: item.file, mtime: item.file.lastModified })), options);
+            state.archiveEntries = result.entries;
+            state.streamPreview = result.preview;
+            state.compressedData = result.blob;
+            state.mode = result.alphabet;
+        } else if (state.streaming) {
+            // Blocks pick their own alphabet in auto mode
+            options.mode = document.getElementById('encodeModeSelect').value;
+            result = await runCodecJob('compressStream', state.currentFile, options);
+            state.streamBlocks = result.blocks;
+            state.streamPreview = result.preview;
+            state.compressedData = result.blob;
+        } else {
+            result = await runCodecJob('compress', state.originalBytes, options);
+            state.compressedData = new Blob([result.bytes], { type: 'application/octet-stream' });
+        }
+        // Sizes before encryption, for the analysis view; single files also carry the original's SHA-256 for exports
+        const container = result.bytes ? HuffmanCodec.readContainer(result.bytes) : null;
+        state.containerSize = state.compressedData.size;
+        state.payloadBits = container ? container.metadata.binaryLength : null;
+        state.originalHash = container ? container.metadata.hash : null;
+        state.compressedHash = null;
+        // The finished file is encrypted as a whole, so the views below still show the plain encoding
+        if (encrypt) {
+            ({ blob: state.compressedData } = await runCodecJob('encrypt', state.compressedData, { passphrase }));
+        }
+        state.encrypted = encrypt;
+        state.frequencyMap = result.frequencyMap;
+        state.huffmanTree = result.tree;
+        state.huffmanCodes = result.codes;
+        state.canonical = result.canonical;
+        state.tableSizes = result.tableSizes;
+        state.lengthLimit = result.lengthLimit;
+        state.codec = result.codec;
+        state.staticSize = result.staticSize;
+        state.lzStats = result.lzStats;
+        state.contextStats = result.contextStats;
+        state.contextFrequencies = null;
+        state.tokenStats = result.tokenStats;
+        state.tokenModel = result.tokenModel;
+        state.codebookStats = result.codebookStats;
+        state.codebook = result.codebook;
         
         const endTime = performance.now();
         const processingTime = Math.round(endTime - startTime);
         
-        showCompressionResults(processingTime);
-        hideSpinner();
+        showCompressionResults(processingTime, result.bytes);
+        hideProgress();
         showToast('File compressed successfully!');
         
     } catch (error) {
-        hideSpinner();
-        showToast('Compression failed: ' + error.message, 'error');
+        hideProgress();
+        if (error.name === 'AbortError') {
+            showToast('Compression cancelled', 'error');
+        } else {
+            showToast('Compression failed: ' + error.message, 'error');
+        }
     }
 }
 
-function showCompressionResults(processingTime) {
-    const originalSize = new Blob([state.originalText]).size;
+function showCompressionResults(processingTime, compressedBytes) {
+    const originalSize = getOriginalSize();
     const compressedSize = state.compressedData.size;
     const compressionRatio = ((compressedSize / originalSize) * 100).toFixed(2);
     const spaceSaved = (100 - compressionRatio).toFixed(2);
@@ -421,14 +630,37 @@ function showCompressionResults(processingTime) {
     // Fill split panels
     document.getElementById('encodeOriginalSize').textContent = formatBytes(originalSize);
     document.getElementById('encodeCompressedSize').textContent = formatBytes(compressedSize);
-    document.getElementById('encodeOriginalContent').textContent = state.originalText;
+    const originalContent = document.getElementById('encodeOriginalContent');
+    if (state.archiveFiles) {
+        originalContent.textContent = formatArchiveListing();
+        originalContent.classList.remove('hex-content');
+    } else {
+        originalContent.textContent = (state.mode === 'text' ? state.originalText : formatHexPreview(state.originalBytes))
+            + (state.streaming ? formatPreviewNote(originalSize) : '');
+        originalContent.classList.toggle('hex-content', state.mode !== 'text');
+    }
     
-    // Show FULL PURE BINARY (all 0s and 1s) - NO TRUNCATION
-    const fullBinary = encodeText(state.originalText, state.huffmanCodes);
-    document.getElementById('encodeBinaryContent').textContent = fullBinary;
+    // Show the encoded data as pure binary (0s and 1s); block streams and archives show their first record
+    const binaryContent = document.getElementById('encodeBinaryContent');
+    let debugSource = null;
+    if (state.archiveFiles) {
+        binaryContent.textContent = `Entry 1 of ${state.archiveEntries.length}:\n`
+            + formatBitPreview(state.streamPreview.data, state.streamPreview.dataBits);
+    } else if (state.streaming) {
+        binaryContent.textContent = `Block 1 of ${state.streamBlocks.length}:\n`
+            + formatBitPreview(state.streamPreview.data, state.streamPreview.dataBits);
+    } else {
+        const { data, tree, metadata } = HuffmanCodec.readContainer(compressedBytes);
+        binaryContent.textContent = formatBitPreview(data, metadata.binaryLength);
+        if (metadata.codec === 'huffman') {
+            debugSource = { data, dataBits: metadata.binaryLength, tree, mode: metadata.mode, symbolCount: metadata.symbolCount, text: state.originalText };
+        }
+    }
+    showBitDebugger('encode', originalContent, binaryContent, debugSource);
     
     // Show results
     document.getElementById('encodeResultsContainer').style.display = 'block';
+    showBlockTable();
     
     // Fill stats
     document.getElementById('statOriginalSize').textContent = formatBytes(originalSize);
@@ -437,6 +669,103 @@ function showCompressionResults(processingTime) {
     document.getElementById('statSpaceSaved').textContent = spaceSaved + '%';
     document.getElementById('statUniqueChars').textContent = state.frequencyMap.size;
     document.getElementById('statProcessingTime').textContent = processingTime + ' ms';
+    
+    // Adaptive, LZ77 and context model coding are compared with static Huffman on the same file
+    const compared = state.codec !== 'huffman';
+    document.getElementById('statStaticCard').style.display = compared ? '' : 'none';
+    document.getElementById('statAdaptiveCard').style.display = compared ? '' : 'none';
+    document.getElementById('statMatchedCard').style.display = state.lzStats ? '' : 'none';
+    if (state.lzStats) {
+        document.getElementById('statMatchedBytes').textContent =
+            `${((state.lzStats.matchedBytes / originalSize) * 100).toFixed(2)}% (${state.lzStats.matchCount.toLocaleString()} matches)`;
+    }
+    if (compared) {
+        const difference = ((compressedSize - state.staticSize) / state.staticSize) * 100;
+        document.getElementById('statAdaptiveLabel').textContent = state.codec === 'lz77' ? 'LZ77 vs Static'
+            : state.codec === 'context' ? 'Order-1 vs Static'
+            : state.codec === 'tokens' ? 'Tokens vs Static'
+            : state.codec === 'codebook' ? 'Codebook vs Static' : 'Adaptive vs Static';
+        document.getElementById('statStaticSize').textContent = formatBytes(state.staticSize);
+        document.getElementById('statAdaptiveDifference').textContent =
+            `${difference > 0 ? '+' : ''}${difference.toFixed(2)}% (${formatBytes(Math.abs(compressedSize - state.staticSize))} ${difference > 0 ? 'larger' : 'smaller'})`;
+    }
+}
+
+// Per-block sizes for block streams (per-entry sizes for archives), above the action buttons
+function showBlockTable() {
+    const resultsContainer = document.getElementById('encodeResultsContainer');
+    const existing = resultsContainer.querySelector('.block-table-section');
+    if (existing) existing.remove();
+    if (state.archiveFiles) {
+        showArchiveTable(resultsContainer);
+        return;
+    }
+    if (!state.streaming) return;
+    
+    const rows = state.streamBlocks.map((block, i) => `
+        <tr style="border-bottom: 1px solid var(--border-color);">
+            <td style="padding: 0.5rem;">${i + 1}</td>
+            <td style="padding: 0.5rem; font-family: 'Courier New', monospace;">${block.originalOffset.toLocaleString()} - ${(block.originalOffset + block.originalLength).toLocaleString()}</td>
+            <td style="padding: 0.5rem;">${block.alphabet === 'text' ? 'Text' : 'Bytes'}</td>
+            <td style="padding: 0.5rem;">${formatBytes(block.compressedLength)}</td>
+            <td style="padding: 0.5rem;">${((block.compressedLength / block.originalLength) * 100).toFixed(2)}%</td>
+        </tr>
+    `).join('');
+    
+    const section = document.createElement('div');
+    section.className = 'block-table-section';
+    section.innerHTML = `
+        <div style="background: var(--bg-secondary); border: 1px solid var(--border-color); padding: 1.5rem; margin-bottom: 1.5rem; max-height: 320px; overflow-y: auto;">
+            <h3 style="font-family: var(--font-display); font-size: 1.2rem; color: var(--rose-pink); margin-bottom: 1rem;">Blocks (${state.streamBlocks.length}, each with its own code table)</h3>
+            <table style="width: 100%; border-collapse: collapse; font-size: 0.85rem;">
+                <thead>
+                    <tr style="border-bottom: 1px solid var(--border-color); color: var(--text-secondary); text-align: left;">
+                        <th style="padding: 0.5rem;">#</th>
+                        <th style="padding: 0.5rem;">Original Bytes</th>
+                        <th style="padding: 0.5rem;">Alphabet</th>
+                        <th style="padding: 0.5rem;">Compressed</th>
+                        <th style="padding: 0.5rem;">Ratio</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+    resultsContainer.insertBefore(section, resultsContainer.querySelector('.action-buttons'));
+}
+
+function showArchiveTable(resultsContainer) {
+    const rows = state.archiveEntries.map((entry, i) => `
+        <tr style="border-bottom: 1px solid var(--border-color);">
+            <td style="padding: 0.5rem;">${i + 1}</td>
+            <td style="padding: 0.5rem; font-family: 'Courier New', monospace;">${escapeHtml(entry.path)}</td>
+            <td style="padding: 0.5rem;">${entry.alphabet === 'text' ? 'Text' : 'Bytes'}</td>
+            <td style="padding: 0.5rem;">${formatBytes(entry.originalLength)}</td>
+            <td style="padding: 0.5rem;">${formatBytes(entry.compressedLength)}</td>
+        </tr>
+    `).join('');
+    const shared = document.getElementById('encodeArchiveTableSelect').value === 'shared';
+    
+    const section = document.createElement('div');
+    section.className = 'block-table-section';
+    section.innerHTML = `
+        <div style="background: var(--bg-secondary); border: 1px solid var(--border-color); padding: 1.5rem; margin-bottom: 1.5rem; max-height: 320px; overflow-y: auto;">
+            <h3 style="font-family: var(--font-display); font-size: 1.2rem; color: var(--rose-pink); margin-bottom: 1rem;">Archive Entries (${state.archiveEntries.length}, ${shared ? 'one shared code table' : 'each with its own code table'})</h3>
+            <table style="width: 100%; border-collapse: collapse; font-size: 0.85rem;">
+                <thead>
+                    <tr style="border-bottom: 1px solid var(--border-color); color: var(--text-secondary); text-align: left;">
+                        <th style="padding: 0.5rem;">#</th>
+                        <th style="padding: 0.5rem;">Path</th>
+                        <th style="padding: 0.5rem;">Alphabet</th>
+                        <th style="padding: 0.5rem;">Original</th>
+                        <th style="padding: 0.5rem;">Compressed</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+    resultsContainer.insertBefore(section, resultsContainer.querySelector('.action-buttons'));
 }
 
 function downloadCompressedFile() {
@@ -445,7 +774,7 @@ function downloadCompressedFile() {
     const url = URL.createObjectURL(state.compressedData);
     const a = document.createElement('a');
     a.href = url;
-    a.download = state.currentFile.name.replace('.txt', '.bin');
+    a.download = replaceExtension(state.currentFile.name, '.bin');
     a.click();
     URL.revokeObjectURL(url);
     
@@ -477,20 +806,90 @@ function setupDecodeUpload() {
     });
 }
 
-async function handleDecodeFile(file) {
+// Standard DEFLATE input for the inspector; raw streams are only recognized by extension
+const DEFLATE_EXTENSIONS = {
+    '.gz': 'gzip',
+    '.gzip': 'gzip',
+    '.tgz': 'gzip',
+    '.zz': 'zlib',
+    '.zlib': 'zlib',
+    '.deflate': 'deflate'
+};
+
+const DEFLATE_FORMAT_NAMES = {
+    gzip: 'gzip (DEFLATE)',
+    zlib: 'zlib (DEFLATE)',
+    deflate: 'Raw DEFLATE'
+};
+
+// `encryption` is passed when `file` is the inner file of a just-decrypted one
+async function handleDecodeFile(file, encryption = null) {
     if (!file) return;
     
-    if (!file.name.endsWith('.bin')) {
-        showToast('Please upload a .bin file', 'error');
+    const extension = getExtension(file.name).toLowerCase();
+    if (extension !== '.bin' && !DEFLATE_EXTENSIONS[extension]) {
+        showToast('Please upload a .bin, .gz, zlib or .deflate file', 'error');
         return;
     }
     
     state.currentFile = file;
+    state.decodeEncryption = encryption;
+    state.decodeCodebookId = null;
     
-    // Read and show FULL PURE BINARY (0s and 1s)
+    // Read and show the encoded data as pure binary (0s and 1s)
     try {
-        const { binaryData } = await readBinaryFile(file);
-        showDecodePreview(binaryData);
+        const head = await readFileAsBytes(file.slice(0, HuffmanContainer.STREAM_PREFIX_LENGTH));
+        state.deflate = null;
+        state.decodeArchive = null;
+        state.decodeDamaged = null;
+        if (DEFLATE_EXTENSIONS[extension]) {
+            // gzip and zlib are detected from their headers; anything else is decoded as raw DEFLATE
+            state.decodeStream = null;
+            state.compressedBytes = await readFileAsBytes(file);
+            state.deflate = DEFLATE_EXTENSIONS[extension] === 'deflate' ? 'deflate' : HuffmanInflate.detectFormat(state.compressedBytes);
+            state.binaryString = formatBitPreview(state.compressedBytes, state.compressedBytes.length * 8);
+        } else if (HuffmanContainer.isEncrypted(head)) {
+            // Nothing else can be read until the passphrase opens the file; the CRCs are checked now
+            // so damage is reported before asking for it
+            state.decodeStream = null;
+            state.compressedBytes = null;
+            state.decodeEncryption = { ...HuffmanEncryption.describe(await readFileAsBytes(file)), locked: true };
+            state.binaryString = `Encrypted file (AES-256-GCM, key from PBKDF2-SHA-256 with ${state.decodeEncryption.iterations.toLocaleString()} iterations).\n`
+                + 'Enter the passphrase to read it.';
+        } else if (HuffmanContainer.isArchive(head)) {
+            // Archives are listed from their central directory; entries are decoded one at a time on request
+            state.decodeStream = null;
+            state.compressedBytes = null;
+            state.decodeArchive = await HuffmanArchive.openDirectory(file);
+            const first = state.decodeArchive.entries[0];
+            state.binaryString = first
+                ? `Entry 1 of ${state.decodeArchive.entries.length} (${first.path}):\n` + await formatEntryBits(state.decodeArchive, first)
+                : 'Empty archive';
+        } else if (HuffmanContainer.isBlockStream(head)) {
+            // Block streams are never loaded whole; only the index and block 1 are read
+            state.compressedBytes = null;
+            state.decodeStream = null;
+            try {
+                state.decodeStream = await HuffmanStream.openIndex(file);
+            } catch (error) {
+                // A damaged index or footer still leaves the blocks themselves readable
+                if (!(error instanceof HuffmanContainer.CorruptFileError)) throw error;
+                state.decodeDamaged = error;
+                showDecodePreview(`The block index could not be read:\n${error.message}`);
+                return;
+            }
+            const first = state.decodeStream.blocks.length
+                ? await HuffmanStream.readRawBlock(state.decodeStream, 0)
+                : { data: new Uint8Array(0), dataBits: 0 };
+            state.binaryString = `Block 1 of ${state.decodeStream.blocks.length}:\n` + formatBitPreview(first.data, first.dataBits);
+        } else {
+            const { bytes, data, metadata } = await readBinaryFile(file);
+            state.decodeStream = null;
+            state.compressedBytes = bytes;
+            state.decodeCodebookId = metadata.codebookId;
+            state.binaryString = formatBitPreview(data, metadata.binaryLength); // Store for display
+        }
+        showDecodePreview(state.binaryString);
     } catch (error) {
         showToast('Error reading file: ' + error.message, 'error');
     }
@@ -500,57 +899,193 @@ function showDecodePreview(binaryContent) {
     document.getElementById('decodeUploadContainer').style.display = 'none';
     document.getElementById('decodePreviewContainer').style.display = 'block';
     
+    const locked = state.decodeEncryption && state.decodeEncryption.locked;
     document.getElementById('decodeFileName').textContent = state.currentFile.name;
-    document.getElementById('decodeFileMeta').textContent = formatBytes(state.currentFile.size);
+    document.getElementById('decodeFileMeta').textContent = (locked ? `${formatBytes(state.currentFile.size)} • encrypted`
+        : state.decodeStream
+        ? `${formatBytes(state.currentFile.size)} • block stream, ${state.decodeStream.blocks.length} blocks, ${formatBytes(state.decodeStream.originalSize)} original`
+        : state.decodeArchive ? `${formatBytes(state.currentFile.size)} • archive, ${state.decodeArchive.entries.length} entries, ${formatBytes(state.decodeArchive.originalSize)} original${state.decodeArchive.sharedTree ? ', shared table' : ''}`
+        : state.deflate ? `${formatBytes(state.currentFile.size)} • ${DEFLATE_FORMAT_NAMES[state.deflate]}`
+        : formatBytes(state.currentFile.size)) + (state.decodeEncryption && !locked ? ' • decrypted' : '');
+    // DEFLATE input always uses the built-in inflater
+    document.getElementById('decodeDecoderSelect').disabled = state.deflate !== null;
+    
+    // Byte ranges can be extracted from block streams without decoding the rest
+    document.getElementById('decodeRangeRow').style.display = state.decodeStream ? 'flex' : 'none';
+    if (state.decodeStream) {
+        document.getElementById('decodeRangeStart').value = 0;
+        document.getElementById('decodeRangeEnd').value = Math.min(state.decodeStream.originalSize, STREAM_PREVIEW_SIZE);
+    }
+    
+    // Archives are extracted entry by entry from the listing instead
+    showArchiveList();
+    showRecoveryPanel();
+    document.getElementById('decodePassphraseRow').style.display = locked ? 'flex' : 'none';
+    showDecodeCodebook();
+    document.getElementById('decompressBtn').style.display = locked || state.decodeArchive || (state.decodeDamaged && !state.decodeStream) ? 'none' : '';
     
-    // Show FULL pure binary (0s and 1s) - ALL of it
+    // Show pure binary (0s and 1s)
     document.getElementById('decodeFileContent').textContent = binaryContent;
 }
 
 function clearDecodeFile() {
     state.currentFile = null;
+    state.compressedBytes = null;
+    state.binaryString = '';
     state.decompressedText = '';
+    state.decompressedBytes = null;
+    state.decompressedBlob = null;
+    state.decompressedMetadata = null;
+    state.decodeStream = null;
+    state.decodeArchive = null;
+    state.decodeDamaged = null;
+    state.decodeEncryption = null;
+    state.decodeCodebookId = null;
+    state.awaitingCodebook = false;
+    state.deflate = null;
+    state.deflateBlocks = [];
     document.getElementById('decodeFileInput').value = '';
+    document.getElementById('decodePassphrase').value = '';
+    document.getElementById('decodePassphraseRow').style.display = 'none';
+    document.getElementById('decodeCodebookRow').style.display = 'none';
+    document.getElementById('decodeArchiveList').style.display = 'none';
+    document.getElementById('decodeRecoveryPanel').style.display = 'none';
+    document.getElementById('decompressBtn').style.display = '';
     document.getElementById('decodeUploadContainer').style.display = 'block';
     document.getElementById('decodePreviewContainer').style.display = 'none';
     document.getElementById('decodeSplitContainer').style.display = 'none';
+    document.getElementById('decodeBitDebugger').style.display = 'none';
     document.getElementById('decodeResultsContainer').style.display = 'none';
 }
 
 async function decompressFile() {
     if (!state.currentFile) return;
     
-    showSpinner();
-    await new Promise(resolve => setTimeout(resolve, 100));
+    // A file coded with a codebook that is not loaded asks for it, and is decoded once it is
+    if (state.decodeCodebookId && !findLoadedCodebook(state.decodeCodebookId)) {
+        state.awaitingCodebook = true;
+        showToast(`This file needs codebook ${state.decodeCodebookId}. Pick its .hcb file.`, 'error');
+        document.getElementById('codebookFileInput').click();
+        return;
+    }
+    
+    showProgress('Starting...');
     
     try {
-        const { metadata, tree, binaryData } = await readBinaryFile(state.currentFile);
-        // Tree is already deserialized from binary format
-        const binaryString = binaryData.substring(0, metadata.binaryLength);
-        state.decompressedText = decodeText(binaryString, tree);
-        state.binaryString = binaryString; // Store for display
-        
-        const currentHash = await calculateHash(state.decompressedText);
-        const hashMatch = currentHash === metadata.hash;
-        const sizeMatch = state.decompressedText.length === metadata.originalSize;
+        const startTime = performance.now();
+        const options = {
+            decoder: document.getElementById('decodeDecoderSelect').value,
+            codebooks: state.decodeCodebookId ? [findLoadedCodebook(state.decodeCodebookId)] : []
+        };
+        let data, text, metadata, hashMatch, sizeMatch, decoder;
+        if (state.decodeStream) {
+            // The output stays a Blob; only its first bytes are kept for the preview
+            ({ blob: state.decompressedBlob, preview: data, metadata, hashMatch, sizeMatch } =
+                await runCodecJob('decompressStream', state.currentFile, options));
+            text = metadata.mode === 'text' ? new TextDecoder().decode(data, { stream: true }) : '';
+            decoder = options.decoder;
+        } else if (state.deflate) {
+            ({ data, text, metadata, hashMatch, sizeMatch } = await inflateFile());
+            state.decompressedBlob = null;
+            decoder = 'inflate';
+        } else {
+            ({ data, text, metadata, hashMatch, sizeMatch, decoder } = await runCodecJob('decompress', state.compressedBytes, options));
+            state.decompressedBlob = null;
+        }
+        state.decompressedBytes = data;
+        state.decompressedText = text || '';
+        state.decompressedMetadata = metadata;
+        const processingTime = Math.round(performance.now() - startTime);
         
-        showDecompressionResults(metadata, hashMatch, sizeMatch);
-        hideSpinner();
+        showDecompressionResults(metadata, hashMatch, sizeMatch, decoder, processingTime);
+        hideProgress();
         showToast('File decompressed successfully!');
         
     } catch (error) {
-        hideSpinner();
-        showToast('Decompression failed: ' + error.message, 'error');
+        hideProgress();
+        if (error.name === 'AbortError') {
+            showToast('Decompression cancelled', 'error');
+        } else {
+            showToast('Decompression failed: ' + error.message, 'error');
+            // Block streams can still give back the blocks that were not hit
+            if (state.decodeStream && error.name === 'CorruptFileError') {
+                state.decodeDamaged = error;
+                showRecoveryPanel();
+            }
+        }
+    }
+}
+
+// Decrypt and reopen the inner file; a wrong passphrase is told apart from damage
+async function unlockDecodeFile() {
+    const input = document.getElementById('decodePassphrase');
+    if (!input.value) {
+        showToast('Enter the passphrase', 'error');
+        return;
+    }
+    
+    showProgress('Starting...');
+    
+    try {
+        const { bytes } = await runCodecJob('decrypt', state.currentFile, { passphrase: input.value });
+        hideProgress();
+        input.value = '';
+        const inner = new File([bytes], state.currentFile.name, { lastModified: state.currentFile.lastModified });
+        await handleDecodeFile(inner, { ...state.decodeEncryption, locked: false });
+        showToast('File decrypted');
+    } catch (error) {
+        hideProgress();
+        if (error.name === 'AbortError') {
+            showToast('Decryption cancelled', 'error');
+        } else if (error.name === 'WrongPassphraseError') {
+            showToast('Wrong passphrase (the file itself is intact)', 'error');
+            input.select();
+        } else {
+            showToast('Decryption failed: ' + error.message, 'error');
+        }
     }
 }
 
-function showDecompressionResults(metadata, hashMatch, sizeMatch) {
+// Decode a gzip/zlib/raw DEFLATE file; the result is shaped like a .bin decompression
+async function inflateFile() {
+    const result = await runCodecJob('inflate', state.compressedBytes, { format: state.deflate });
+    state.deflateBlocks = result.blocks;
+    const header = result.header || {};
+    const filename = header.filename
+        || replaceExtension(state.currentFile.name, getExtension(state.currentFile.name).toLowerCase() === '.tgz' ? '.tar' : '');
+    const formatChecksums = values => values ? values.map(value => value.toString(16).padStart(8, '0')).join(', ') : null;
+    return {
+        data: result.data,
+        text: result.text,
+        hashMatch: result.checksum.match,
+        sizeMatch: result.sizeMatch !== false,
+        metadata: {
+            filename: filename,
+            mtime: header.mtime || null,
+            mimeType: '',
+            format: state.deflate,
+            members: result.members,
+            trailingBytes: result.trailingBytes,
+            checksum: result.checksum.type,
+            checksumStored: formatChecksums(result.checksum.stored),
+            checksumComputed: formatChecksums(result.checksum.computed),
+            mode: result.mode,
+            unicode: true,
+            hash: null,
+            originalSize: result.data.length,
+            symbolCount: result.mode === 'text' ? HuffmanCodec.countCodePoints(result.text) : result.data.length,
+            binaryLength: result.blocks.reduce((sum, block) => sum + block.bitLength, 0)
+        }
+    };
+}
+
+function showDecompressionResults(metadata, hashMatch, sizeMatch, decoder, processingTime) {
     document.getElementById('decodePreviewContainer').style.display = 'none';
     document.getElementById('decodeSplitContainer').style.display = 'grid';
     
     document.getElementById('decodeBinarySize').textContent = formatBytes(state.currentFile.size);
     document.getElementById('decodeDecompressedSize').textContent = 
-        formatBytes(state.decompressedText.length);
+        formatBytes(state.decompressedBlob ? state.decompressedBlob.size : state.decompressedBytes.length);
     
     // LEFT PANEL: Show ONLY pure binary data
     document.getElementById('decodeMetadata').innerHTML = `
@@ -558,10 +1093,29 @@ function showDecompressionResults(metadata, hashMatch, sizeMatch) {
     `;
     
     // RIGHT PANEL: Decompressed content
-    document.getElementById('decodeDecompressedContent').textContent = state.decompressedText;
+    const isText = metadata.mode === 'text';
+    const decompressedContent = document.getElementById('decodeDecompressedContent');
+    decompressedContent.textContent = (isText ? state.decompressedText : formatHexPreview(state.decompressedBytes))
+        + (state.decompressedBlob ? formatPreviewNote(state.decompressedBlob.size) : '');
+    decompressedContent.classList.toggle('hex-content', !isText);
+    
+    // Single static Huffman files get their bits linked to the symbols they decode to
+    let debugSource = null;
+    if (!state.decodeStream && !state.deflate) {
+        const { data, tree, metadata: stored } = HuffmanCodec.readContainer(state.compressedBytes);
+        if (stored.codec === 'huffman') {
+            debugSource = { data, dataBits: stored.binaryLength, tree, mode: stored.mode, symbolCount: stored.symbolCount, text: state.decompressedText };
+        }
+    }
+    showBitDebugger('decode', decompressedContent, document.querySelector('#decodeMetadata pre'), debugSource);
     
     // Show results section with all the info
     document.getElementById('decodeResultsContainer').style.display = 'block';
+    // Adaptive files grow their tree while decoding, LZ77 tables code tokens, context
+    // files hold a table per context, token files code words and codebook files keep their
+    // table elsewhere, so only static Huffman files have a tree to show
+    const hasTree = !state.deflate && !['adaptive', 'lz77', 'context', 'tokens', 'codebook'].includes(metadata.codec);
+    const codebook = metadata.codebookId ? findLoadedCodebook(metadata.codebookId) : null;
     
     // Create info section
     const infoHtml = `
@@ -570,11 +1124,11 @@ function showDecompressionResults(metadata, hashMatch, sizeMatch) {
             <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(250px, 1fr)); gap: 1rem;">
                 <div>
                     <p style="color: var(--text-secondary); font-size: 0.85rem; margin-bottom: 0.25rem;">Filename</p>
-                    <p style="color: var(--text-primary); font-weight: 600;">${metadata.filename}</p>
+                    <p style="color: var(--text-primary); font-weight: 600;">${escapeHtml(metadata.filename)}</p>
                 </div>
                 <div>
                     <p style="color: var(--text-secondary); font-size: 0.85rem; margin-bottom: 0.25rem;">Original Size</p>
-                    <p style="color: var(--text-primary); font-weight: 600;">${metadata.originalSize} characters</p>
+                    <p style="color: var(--text-primary); font-weight: 600;">${formatOriginalSize(metadata)}</p>
                 </div>
                 <div>
                     <p style="color: var(--text-secondary); font-size: 0.85rem; margin-bottom: 0.25rem;">Binary Length</p>
@@ -584,13 +1138,43 @@ function showDecompressionResults(metadata, hashMatch, sizeMatch) {
                     <p style="color: var(--text-secondary); font-size: 0.85rem; margin-bottom: 0.25rem;">Compressed Size</p>
                     <p style="color: var(--text-primary); font-weight: 600;">${formatBytes(state.currentFile.size)}</p>
                 </div>
+                <div>
+                    <p style="color: var(--text-secondary); font-size: 0.85rem; margin-bottom: 0.25rem;">Format</p>
+                    <p style="color: var(--text-primary); font-weight: 600;">${metadata.format
+                        ? `${DEFLATE_FORMAT_NAMES[metadata.format]}${metadata.members > 1 ? ` • ${metadata.members} members` : ''}`
+                        : metadata.version === 0 ? 'Legacy v0 (headerless)' : 'Version ' + metadata.version}</p>
+                </div>
+                <div>
+                    <p style="color: var(--text-secondary); font-size: 0.85rem; margin-bottom: 0.25rem;">Decoder</p>
+                    <p style="color: var(--text-primary); font-weight: 600;">${formatDecoder(decoder)} • ${processingTime} ms</p>
+                </div>
+                ${codebook ? `
+                <div>
+                    <p style="color: var(--text-secondary); font-size: 0.85rem; margin-bottom: 0.25rem;">Codebook</p>
+                    <p style="color: var(--text-primary); font-weight: 600;">${escapeHtml(formatCodebookName(codebook))}</p>
+                </div>` : ''}
+                ${metadata.maxCodeLength ? `
+                <div>
+                    <p style="color: var(--text-secondary); font-size: 0.85rem; margin-bottom: 0.25rem;">Max Code Length</p>
+                    <p style="color: var(--text-primary); font-weight: 600;">${metadata.maxCodeLength} bits</p>
+                </div>` : ''}
+                ${metadata.mimeType ? `
+                <div>
+                    <p style="color: var(--text-secondary); font-size: 0.85rem; margin-bottom: 0.25rem;">MIME Type</p>
+                    <p style="color: var(--text-primary); font-weight: 600;">${escapeHtml(metadata.mimeType)}</p>
+                </div>` : ''}
+                ${metadata.mtime !== null ? `
+                <div>
+                    <p style="color: var(--text-secondary); font-size: 0.85rem; margin-bottom: 0.25rem;">Last Modified</p>
+                    <p style="color: var(--text-primary); font-weight: 600;">${new Date(metadata.mtime).toLocaleString()}</p>
+                </div>` : ''}
             </div>
             
             <div style="margin-top: 1.5rem; padding-top: 1rem; border-top: 1px solid var(--border-color);">
                 <h4 style="color: var(--rose-pink); margin-bottom: 0.75rem; font-size: 1rem;">Verification</h4>
                 <div style="display: flex; gap: 1rem; flex-wrap: wrap;">
-                    <div class="verify-badge ${hashMatch ? 'success' : 'error'}">
-                        ${hashMatch ? '✓ Hash Match' : '✗ Hash Mismatch'}
+                    <div class="verify-badge ${hashMatch === null ? '' : hashMatch ? 'success' : 'error'}">
+                        ${hashMatch === null ? 'No Checksum Stored' : hashMatch ? `✓ ${metadata.checksum || 'Hash'} Match` : `✗ ${metadata.checksum || 'Hash'} Mismatch`}
                     </div>
                     <div class="verify-badge ${sizeMatch ? 'success' : 'error'}">
                         ${sizeMatch ? '✓ Size Match' : '✗ Size Mismatch'}
@@ -599,8 +1183,16 @@ function showDecompressionResults(metadata, hashMatch, sizeMatch) {
             </div>
             
             <div style="margin-top: 1rem;">
-                <p style="color: var(--text-secondary); font-size: 0.8rem;">SHA-256: <code style="font-family: 'Courier New', monospace; color: var(--text-primary);">${metadata.hash}</code></p>
+                ${metadata.checksum ? `
+                <p style="color: var(--text-secondary); font-size: 0.8rem;">${metadata.checksum} stored: <code style="font-family: 'Courier New', monospace; color: var(--text-primary);">${metadata.checksumStored}</code> • computed: <code style="font-family: 'Courier New', monospace; color: var(--text-primary);">${metadata.checksumComputed}</code></p>` : `
+                <p style="color: var(--text-secondary); font-size: 0.8rem;">SHA-256: <code style="font-family: 'Courier New', monospace; color: var(--text-primary);">${metadata.hash || 'none'}</code></p>`}
+                ${metadata.trailingBytes ? `
+                <p style="color: var(--text-secondary); font-size: 0.8rem;">${metadata.trailingBytes} trailing bytes after the stream were ignored</p>` : ''}
             </div>
+            ${hasTree ? `
+            <div style="margin-top: 1rem;">
+                <button class="btn-secondary" id="decodeViewTreeBtn">View Huffman Tree</button>
+            </div>` : ''}
         </div>
     `;
     
@@ -615,37 +1207,509 @@ function showDecompressionResults(metadata, hashMatch, sizeMatch) {
     infoDiv.className = 'decode-info-section';
     infoDiv.innerHTML = infoHtml;
     resultsContainer.insertBefore(infoDiv, resultsContainer.querySelector('.btn-download'));
+    if (hasTree) document.getElementById('decodeViewTreeBtn').addEventListener('click', showDecodeTree);
+    showDeflateBlocks();
 }
 
-function downloadDecompressedFile() {
-    if (!state.decompressedText) return;
-    
-    const blob = new Blob([state.decompressedText], { type: 'text/plain' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = state.currentFile.name.replace('.bin', '.txt');
-    a.click();
-    URL.revokeObjectURL(url);
-    
-    showToast('Text file downloaded!');
+// The tree deserialized from the file (block 1 of a block stream), weighted by the symbols it decoded to
+async function showDecodeTree() {
+    try {
+        let tree, symbols, canonical;
+        let note = '';
+        if (state.decodeStream) {
+            const block = await HuffmanStream.readRawBlock(state.decodeStream, 0);
+            if (block.adaptive || block.lz77 || block.context || block.tokens) {
+                showToast('Block 1 is not coded with a stored tree', 'error');
+                return;
+            }
+            const maxCodeLength = state.decodeStream.header.metadata.maxCodeLength;
+            ({ tree } = HuffmanCodec.readTable(block.table, block.tableBits, block.canonical, block.alphabet, maxCodeLength));
+            symbols = HuffmanCodec.toSymbols(HuffmanCodec.decodeBlock(block, { tree }), block.alphabet);
+            canonical = block.canonical;
+            note = `This is the tree of block 1 of ${state.decodeStream.blocks.length}.`;
+        } else {
+            const { tree: stored, metadata } = HuffmanCodec.readContainer(state.compressedBytes);
+            tree = stored;
+            symbols = metadata.mode === 'text' ? state.decompressedText : state.decompressedBytes;
+            canonical = metadata.canonical;
+        }
+        if (!tree) {
+            showToast('An empty file has no tree', 'error');
+            return;
+        }
+        showTreeView(tree, HuffmanCodec.calculateFrequencies(symbols), {
+            title: canonical ? 'HUFFMAN TREE (FROM CANONICAL CODE LENGTHS)' : 'HUFFMAN TREE',
+            formatSymbol: formatSymbol,
+            canonical: canonical,
+            note: note + ' Weights are counted from the decoded data.'
+        });
+    } catch (error) {
+        showToast('Could not read the tree: ' + error.message, 'error');
+    }
 }
 
-// Tab Switching
-function setupTabs() {
-    const tabBtns = document.querySelectorAll('.tab-btn');
-    const tabContents = document.querySelectorAll('.tab-content');
-    
-    tabBtns.forEach(btn => {
-        btn.addEventListener('click', () => {
-            const targetTab = btn.dataset.tab;
-            
-            tabBtns.forEach(b => b.classList.remove('active'));
-            btn.classList.add('active');
-            
-            tabContents.forEach(content => {
-                content.classList.remove('active');
-                if (content.id === targetTab) {
+// DEFLATE inspector: one row per block, with its tables opened in the frequency and codes modals
+function showDeflateBlocks() {
+    const resultsContainer = document.getElementById('decodeResultsContainer');
+    const existing = resultsContainer.querySelector('.deflate-blocks-section');
+    if (existing) existing.remove();
+    if (!state.deflate) return;
+    
+    const button = (index, table, view, label) =>
+        `<button class="btn-secondary btn-small" data-block="${index}" data-table="${table}" data-view="${view}">${label}</button>`;
+    const rows = state.deflateBlocks.map(block => `
+        <tr style="border-bottom: 1px solid var(--border-color);">
+            <td style="padding: 0.5rem;">${block.index + 1}${block.final ? ' (final)' : ''}</td>
+            <td style="padding: 0.5rem;">${block.type === 'stored' ? 'Stored' : block.type === 'fixed' ? 'Fixed Huffman' : 'Dynamic Huffman'}</td>
+            <td style="padding: 0.5rem; font-family: 'Courier New', monospace;">${Math.floor(block.bitOffset / 8).toLocaleString()} (+${block.bitOffset % 8} bits)</td>
+            <td style="padding: 0.5rem;">${formatBytes(Math.ceil(block.bitLength / 8))}</td>
+            <td style="padding: 0.5rem;">${formatBytes(block.outputLength)}</td>
+            <td style="padding: 0.5rem; display: flex; gap: 0.4rem; flex-wrap: wrap;">${block.type === 'stored' ? '<span style="color: var(--text-secondary);">No codes</span>' : [
+                button(block.index, 'literal', 'frequencies', 'Lit/Len Freq'),
+                button(block.index, 'literal', 'codes', 'Lit/Len Codes'),
+                button(block.index, 'distance', 'frequencies', 'Dist Freq'),
+                button(block.index, 'distance', 'codes', 'Dist Codes')
+            ].join('')}</td>
+        </tr>
+    `).join('');
+    
+    const section = document.createElement('div');
+    section.className = 'deflate-blocks-section';
+    section.innerHTML = `
+        <div style="background: var(--bg-secondary); border: 1px solid var(--border-color); padding: 1.5rem; margin-bottom: 1.5rem; max-height: 420px; overflow-y: auto;">
+            <h3 style="font-family: var(--font-display); font-size: 1.2rem; color: var(--rose-pink); margin-bottom: 1rem;">DEFLATE Blocks (${state.deflateBlocks.length})</h3>
+            <table style="width: 100%; border-collapse: collapse; font-size: 0.85rem;">
+                <thead>
+                    <tr style="border-bottom: 1px solid var(--border-color); color: var(--text-secondary); text-align: left;">
+                        <th style="padding: 0.5rem;">#</th>
+                        <th style="padding: 0.5rem;">Type</th>
+                        <th style="padding: 0.5rem;">Starts at Byte</th>
+                        <th style="padding: 0.5rem;">Compressed</th>
+                        <th style="padding: 0.5rem;">Output</th>
+                        <th style="padding: 0.5rem;">Tables</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+    section.addEventListener('click', (e) => {
+        const target = e.target.closest('button[data-block]');
+        if (target) showDeflateTable(state.deflateBlocks[Number(target.dataset.block)], target.dataset.table, target.dataset.view);
+    });
+    resultsContainer.insertBefore(section, resultsContainer.querySelector('.btn-download'));
+}
+
+// Literal/length symbols: bytes, end of block, then length ranges
+function formatDeflateSymbol(table, symbol) {
+    if (table === 'distance') {
+        const [min, max] = HuffmanInflate.distanceRange(symbol);
+        return `${symbol}: distance ${min === max ? min : `${min}-${max}`}`;
+    }
+    if (symbol < HuffmanInflate.END_OF_BLOCK) return formatSymbol(symbol);
+    if (symbol === HuffmanInflate.END_OF_BLOCK) return '256: end of block';
+    const [min, max] = HuffmanInflate.lengthRange(symbol);
+    return `${symbol}: length ${min === max ? min : `${min}-${max}`}`;
+}
+
+function showDeflateTable(block, table, view) {
+    const lengths = table === 'literal' ? block.literalLengths : block.distanceLengths;
+    const counts = table === 'literal' ? block.literalCounts : block.distanceCounts;
+    const codes = HuffmanInflate.canonicalCodes(lengths);
+    const options = {
+        title: `BLOCK ${block.index + 1} ${table === 'literal' ? 'LITERAL/LENGTH' : 'DISTANCE'} ${view === 'codes' ? 'CODES' : 'FREQUENCIES'}`,
+        symbolHeader: table === 'literal' ? 'Literal / Length' : 'Distance',
+        canonical: true,
+        formatSymbol: symbol => formatDeflateSymbol(table, Number(symbol))
+    };
+    if (view === 'codes') {
+        showCodesTable(codes, options);
+    } else {
+        const frequencyMap = new Map();
+        counts.forEach((count, symbol) => { if (count) frequencyMap.set(symbol, count); });
+        showFrequencyTable(frequencyMap, codes, options);
+    }
+}
+
+// Block streams report the requested decoder; 'auto' is resolved per block
+function formatDecoder(decoder) {
+    if (decoder === 'table') return 'Lookup table';
+    if (decoder === 'tree') return 'Tree walk';
+    if (decoder === 'adaptive') return 'Adaptive (FGK)';
+    if (decoder === 'lz77') return 'LZ77 + canonical tables';
+    if (decoder === 'context') return 'Order-1 context tables';
+    if (decoder === 'tokens') return 'Token vocabulary + character escapes';
+    if (decoder === 'codebook') return 'Shared codebook + escapes';
+    if (decoder === 'inflate') return 'DEFLATE (built-in inflater)';
+    return 'Auto (per block)';
+}
+
+function formatOriginalSize(metadata) {
+    if (metadata.blockCount !== undefined) return `${formatBytes(metadata.originalSize)} • ${metadata.blockCount} blocks`;
+    if (metadata.mode === 'bytes') return `${formatBytes(metadata.originalSize)}`;
+    // Older text files only recorded the UTF-16 length
+    if (!metadata.unicode) return `${metadata.originalSize} characters`;
+    return `${formatBytes(metadata.originalSize)} • ${metadata.symbolCount} characters`;
+}
+
+// Decode only the blocks that overlap [start, end) and download those bytes
+async function extractDecodeRange() {
+    if (!state.decodeStream) return;
+    const start = Number(document.getElementById('decodeRangeStart').value);
+    const end = Number(document.getElementById('decodeRangeEnd').value);
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end <= start) {
+        showToast('Enter a byte range with start < end', 'error');
+        return;
+    }
+    
+    showProgress('Starting...');
+    
+    try {
+        const { bytes } = await runCodecJob('extractRange', state.currentFile, {
+            start: start,
+            end: end,
+            decoder: document.getElementById('decodeDecoderSelect').value
+        });
+        hideProgress();
+        
+        const url = URL.createObjectURL(new Blob([bytes], { type: 'application/octet-stream' }));
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = replaceExtension(state.currentFile.name, `.${start}-${start + bytes.length}.part`);
+        a.click();
+        URL.revokeObjectURL(url);
+        
+        showToast(`Extracted ${formatBytes(bytes.length)}`);
+    } catch (error) {
+        hideProgress();
+        if (error.name === 'AbortError') {
+            showToast('Extraction cancelled', 'error');
+        } else {
+            showToast('Extraction failed: ' + error.message, 'error');
+        }
+    }
+}
+
+// The stored bits of one archive entry, read without decoding it
+async function formatEntryBits(archive, entry) {
+    const block = await HuffmanArchive.readRawEntry(archive, entry.index);
+    return formatBitPreview(block.data, block.dataBits);
+}
+
+// Damaged block streams: say where the file broke and offer to salvage the intact blocks
+function showRecoveryPanel(result = null) {
+    const panel = document.getElementById('decodeRecoveryPanel');
+    const error = state.decodeDamaged;
+    if (!error) {
+        panel.style.display = 'none';
+        return;
+    }
+    
+    const location = [
+        error.block !== null && error.block !== undefined ? `Block: ${error.block + 1}` : null,
+        `Section: ${error.section}`,
+        error.field ? `Field: ${error.field}` : null,
+        error.offset !== null && error.offset !== undefined ? `Byte offset: ${error.offset}` : null
+    ].filter(Boolean).join(' • ');
+    const damagedRows = result ? result.damaged.map(block => `
+        <tr style="border-bottom: 1px solid var(--border-color);">
+            <td style="padding: 0.5rem;">${block.index + 1}</td>
+            <td style="padding: 0.5rem;">${block.originalOffset}–${block.originalOffset + block.originalLength}</td>
+            <td style="padding: 0.5rem;">${escapeHtml(block.error)}</td>
+        </tr>
+    `).join('') : '';
+    const summary = result ? `
+        <div style="font-size: 0.85rem; margin-top: 1rem;">
+            Recovered ${formatBytes(result.recoveredBytes)} from ${result.blockCount - result.damaged.length} of ${result.blockCount} blocks;
+            ${formatBytes(result.lostBytes)} were zero-filled.${result.complete ? '' : ' Blocks after the last one listed could not be located.'}
+        </div>
+        ${result.damaged.length ? `
+            <table style="width: 100%; border-collapse: collapse; font-size: 0.85rem; margin-top: 1rem;">
+                <thead>
+                    <tr style="border-bottom: 1px solid var(--border-color); color: var(--text-secondary); text-align: left;">
+                        <th style="padding: 0.5rem;">Block</th>
+                        <th style="padding: 0.5rem;">Original bytes</th>
+                        <th style="padding: 0.5rem;">Problem</th>
+                    </tr>
+                </thead>
+                <tbody>${damagedRows}</tbody>
+            </table>
+        ` : ''}
+    ` : '';
+    panel.innerHTML = `
+        <div style="background: var(--bg-secondary); border: 1px solid var(--border-color); padding: 1.5rem; margin-bottom: 1.5rem; max-height: 360px; overflow-y: auto;">
+            <h3 style="font-family: var(--font-display); font-size: 1.2rem; color: var(--rose-pink); margin-bottom: 1rem;">Damaged File</h3>
+            <div style="font-size: 0.85rem; margin-bottom: 0.5rem;">${escapeHtml(error.message)}</div>
+            <div style="font-size: 0.8rem; color: var(--text-secondary); margin-bottom: 1rem;">${location}</div>
+            <button class="btn-secondary" id="recoverBtn">Recover Intact Blocks</button>
+            ${summary}
+        </div>
+    `;
+    document.getElementById('recoverBtn').addEventListener('click', recoverDecodeStream);
+    panel.style.display = 'block';
+}
+
+async function recoverDecodeStream() {
+    showProgress('Starting...');
+    
+    try {
+        const result = await runCodecJob('recoverStream', state.currentFile, {
+            decoder: document.getElementById('decodeDecoderSelect').value
+        });
+        hideProgress();
+        
+        const url = URL.createObjectURL(result.blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = replaceExtension(state.currentFile.name, '.recovered');
+        a.click();
+        URL.revokeObjectURL(url);
+        
+        showRecoveryPanel(result);
+        showToast(result.damaged.length ? `Recovered with ${result.damaged.length} damaged block(s) zero-filled` : 'All blocks recovered');
+    } catch (error) {
+        hideProgress();
+        if (error.name === 'AbortError') {
+            showToast('Recovery cancelled', 'error');
+        } else {
+            showToast('Recovery failed: ' + error.message, 'error');
+        }
+    }
+}
+
+function showArchiveList() {
+    const list = document.getElementById('decodeArchiveList');
+    if (!state.decodeArchive) {
+        list.style.display = 'none';
+        return;
+    }
+    
+    const rows = state.decodeArchive.entries.map((entry, i) => `
+        <tr style="border-bottom: 1px solid var(--border-color);">
+            <td style="padding: 0.5rem; font-family: 'Courier New', monospace;">${escapeHtml(entry.path)}</td>
+            <td style="padding: 0.5rem;">${formatBytes(entry.originalLength)}</td>
+            <td style="padding: 0.5rem;">${formatBytes(entry.compressedLength)}</td>
+            <td style="padding: 0.5rem;">${entry.mtime ? new Date(entry.mtime).toLocaleString() : '—'}</td>
+            <td style="padding: 0.5rem;"><button class="btn-secondary" data-entry="${i}">Extract</button></td>
+        </tr>
+    `).join('');
+    list.innerHTML = `
+        <div style="background: var(--bg-secondary); border: 1px solid var(--border-color); padding: 1.5rem; margin-bottom: 1.5rem; max-height: 360px; overflow-y: auto;">
+            <h3 style="font-family: var(--font-display); font-size: 1.2rem; color: var(--rose-pink); margin-bottom: 1rem;">Archive Entries (${state.decodeArchive.entries.length})</h3>
+            <table style="width: 100%; border-collapse: collapse; font-size: 0.85rem;">
+                <thead>
+                    <tr style="border-bottom: 1px solid var(--border-color); color: var(--text-secondary); text-align: left;">
+                        <th style="padding: 0.5rem;">Path</th>
+                        <th style="padding: 0.5rem;">Original</th>
+                        <th style="padding: 0.5rem;">Compressed</th>
+                        <th style="padding: 0.5rem;">Modified</th>
+                        <th style="padding: 0.5rem;"></th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+    list.querySelectorAll('[data-entry]').forEach(button => {
+        button.addEventListener('click', () => extractArchiveEntry(Number(button.dataset.entry)));
+    });
+    list.style.display = 'block';
+}
+
+// Decode one entry (checked against its size and SHA-256) and download it under its own name
+async function extractArchiveEntry(index) {
+    if (!state.decodeArchive) return;
+    
+    showProgress('Decoding...');
+    
+    try {
+        const { bytes, path } = await runCodecJob('extractEntry', state.currentFile, {
+            index: index,
+            decoder: document.getElementById('decodeDecoderSelect').value
+        });
+        hideProgress();
+        
+        const url = URL.createObjectURL(new Blob([bytes], { type: 'application/octet-stream' }));
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = path.split('/').pop();
+        a.click();
+        URL.revokeObjectURL(url);
+        
+        showToast(`Extracted ${path} (${formatBytes(bytes.length)})`);
+    } catch (error) {
+        hideProgress();
+        if (error.name === 'AbortError') {
+            showToast('Extraction cancelled', 'error');
+        } else {
+            showToast('Extraction failed: ' + error.message, 'error');
+        }
+    }
+}
+
+function downloadDecompressedFile() {
+    if (!state.decompressedBytes && !state.decompressedBlob) return;
+    
+    // Emit the exact original bytes under the original extension (DEFLATE input: the stored or stripped name)
+    const isText = state.decompressedMetadata.mode === 'text';
+    const extension = getExtension(state.decompressedMetadata.filename) || (isText ? '.txt' : '');
+    const type = state.decompressedMetadata.mimeType || (isText ? 'text/plain' : 'application/octet-stream');
+    const blob = new Blob([state.decompressedBlob || state.decompressedBytes], { type: type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = state.decompressedMetadata.format
+        ? state.decompressedMetadata.filename
+        : replaceExtension(state.currentFile.name, extension);
+    a.click();
+    URL.revokeObjectURL(url);
+    
+    showToast('File downloaded!');
+}
+
+// Codebooks
+// Trained and loaded codebooks are kept in localStorage as their .hcb bytes, so files coded
+// with one decode on later visits without picking it again
+const CODEBOOK_STORAGE_KEY = 'huffmanCodebooks';
+
+function toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+// Stored codebooks that no longer read (damaged storage) are dropped
+async function restoreCodebooks() {
+    let stored = [];
+    try {
+        stored = JSON.parse(localStorage.getItem(CODEBOOK_STORAGE_KEY) || '[]');
+    } catch (error) {
+        stored = [];
+    }
+    for (const text of stored) {
+        try {
+            state.codebooks.push(await HuffmanCodec.importCodebook(fromBase64(text)));
+        } catch (error) {
+            // Dropped from storage below
+        }
+    }
+    if (state.codebooks.length < stored.length) saveCodebooks();
+    updateCodebookSelect();
+}
+
+function saveCodebooks() {
+    try {
+        localStorage.setItem(CODEBOOK_STORAGE_KEY,
+            JSON.stringify(state.codebooks.map(codebook => toBase64(HuffmanCodec.exportCodebook(codebook)))));
+    } catch (error) {
+        showToast('Codebooks could not be saved in this browser: ' + error.message, 'error');
+    }
+}
+
+function addCodebook(codebook) {
+    state.codebooks = state.codebooks.filter(book => book.id !== codebook.id).concat(codebook);
+    saveCodebooks();
+    updateCodebookSelect(codebook.id);
+}
+
+function findLoadedCodebook(id) {
+    return state.codebooks.find(codebook => codebook.id === id) || null;
+}
+
+function formatCodebookName(codebook) {
+    return `${codebook.name || 'Unnamed'} (${codebook.id.slice(0, 8)}, ${codebook.alphabet})`;
+}
+
+function updateCodebookSelect(selectedId = null) {
+    const select = document.getElementById('encodeCodebookSelect');
+    const current = selectedId || select.value;
+    select.innerHTML = state.codebooks.length
+        ? state.codebooks.map(codebook => `<option value="${codebook.id}">${escapeHtml(formatCodebookName(codebook))}</option>`).join('')
+        : '<option value="">None yet: train or load one</option>';
+    if (findLoadedCodebook(current)) select.value = current;
+}
+
+// Each picked file is one sample; the new codebook is selected and downloaded to share
+async function trainCodebookFromFiles(files) {
+    if (!files.length) return;
+    showProgress('Starting...');
+    
+    try {
+        const { codebook, bytes } = await runCodecJob('trainCodebook', files.map(file => ({ file })), {
+            mode: document.getElementById('encodeModeSelect').value,
+            name: document.getElementById('encodeCodebookName').value.trim()
+        });
+        hideProgress();
+        addCodebook(codebook);
+        
+        const url = URL.createObjectURL(new Blob([bytes], { type: 'application/octet-stream' }));
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${codebook.name || 'codebook'}-${codebook.id.slice(0, 8)}.hcb`;
+        a.click();
+        URL.revokeObjectURL(url);
+        
+        showToast(`Codebook trained on ${files.length} samples and downloaded`);
+    } catch (error) {
+        hideProgress();
+        showToast(error.name === 'AbortError' ? 'Training cancelled' : 'Training failed: ' + error.message, 'error');
+    }
+    document.getElementById('codebookTrainInput').value = '';
+}
+
+// .hcb files picked on either tab; a file waiting for its codebook is decoded once it arrives
+async function loadCodebookFiles(files) {
+    for (const file of files) {
+        try {
+            const codebook = await HuffmanCodec.importCodebook(await readFileAsBytes(file));
+            addCodebook(codebook);
+            showToast(`Codebook ${formatCodebookName(codebook)} loaded`);
+        } catch (error) {
+            showToast(`${file.name}: ${error.message}`, 'error');
+        }
+    }
+    document.getElementById('codebookFileInput').value = '';
+    if (!state.decodeCodebookId) return;
+    showDecodeCodebook();
+    if (state.awaitingCodebook && findLoadedCodebook(state.decodeCodebookId)) {
+        state.awaitingCodebook = false;
+        decompressFile();
+    }
+}
+
+// Which codebook the file on the Decompress tab needs, and whether it is loaded
+function showDecodeCodebook() {
+    const row = document.getElementById('decodeCodebookRow');
+    row.style.display = state.decodeCodebookId ? 'flex' : 'none';
+    if (!state.decodeCodebookId) return;
+    const codebook = findLoadedCodebook(state.decodeCodebookId);
+    document.getElementById('decodeCodebookStatus').textContent = codebook
+        ? `Codebook: ${formatCodebookName(codebook)}, loaded`
+        : `Needs codebook ${state.decodeCodebookId}, which is not loaded`;
+    document.getElementById('decodeCodebookLoadBtn').style.display = codebook ? 'none' : '';
+}
+
+// Tab Switching
+function setupTabs() {
+    const tabBtns = document.querySelectorAll('.tab-btn');
+    const tabContents = document.querySelectorAll('.tab-content');
+    
+    tabBtns.forEach(btn => {
+        btn.addEventListener('click', () => {
+            const targetTab = btn.dataset.tab;
+            
+            tabBtns.forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+            
+            tabContents.forEach(content => {
+                content.classList.remove('active');
+                if (content.id === targetTab) {
                     content.classList.add('active');
                 }
             });
@@ -660,16 +1724,233 @@ document.addEventListener('DOMContentLoaded', () => {
     setupDecodeUpload();
     
     document.getElementById('encodeClearBtn').addEventListener('click', clearEncodeFile);
+    document.getElementById('encodeModeSelect').addEventListener('change', () => {
+        if (!state.originalBytes) return;
+        applyEncodeMode();
+        showEncodePreview();
+    });
+    // Table options only apply to static Huffman; LZ77 always uses 15-bit canonical tables
+    // and the context model canonical tables of up to 24 bits
+    document.getElementById('encodeCodecSelect').addEventListener('change', (e) => {
+        const codec = e.target.value;
+        document.getElementById('encodeCanonicalToggle').disabled = codec !== 'huffman';
+        document.getElementById('encodeMaxLengthSelect').disabled = codec !== 'huffman';
+        document.getElementById('encodeWindowSelect').disabled = codec !== 'lz77';
+        document.getElementById('encodeCodebookRow').style.display = codec === 'codebook' ? 'flex' : 'none';
+    });
+    document.getElementById('encodeCodebookTrainBtn').addEventListener('click', () => document.getElementById('codebookTrainInput').click());
+    document.getElementById('codebookTrainInput').addEventListener('change', (e) => trainCodebookFromFiles(Array.from(e.target.files)));
+    document.getElementById('encodeCodebookLoadBtn').addEventListener('click', () => document.getElementById('codebookFileInput').click());
+    document.getElementById('decodeCodebookLoadBtn').addEventListener('click', () => document.getElementById('codebookFileInput').click());
+    document.getElementById('codebookFileInput').addEventListener('change', (e) => loadCodebookFiles(Array.from(e.target.files)));
+    document.getElementById('encodeCodecHintBtn').addEventListener('click', (e) => {
+        const select = document.getElementById('encodeCodecSelect');
+        select.value = e.target.dataset.codec;
+        select.dispatchEvent(new Event('change'));
+    });
+    document.getElementById('encodeEncryptToggle').addEventListener('change', (e) => {
+        document.getElementById('encodePassphrase').style.display = e.target.checked ? '' : 'none';
+        document.getElementById('encodePassphraseConfirm').style.display = e.target.checked ? '' : 'none';
+    });
     document.getElementById('compressBtn').addEventListener('click', compressFile);
     document.getElementById('downloadCompressedBtn').addEventListener('click', downloadCompressedFile);
     
     document.getElementById('decodeClearBtn').addEventListener('click', clearDecodeFile);
     document.getElementById('decompressBtn').addEventListener('click', decompressFile);
     document.getElementById('downloadDecompressedBtn').addEventListener('click', downloadDecompressedFile);
+    document.getElementById('extractRangeBtn').addEventListener('click', extractDecodeRange);
+    document.getElementById('decodeUnlockBtn').addEventListener('click', unlockDecodeFile);
+    document.getElementById('decodePassphrase').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') unlockDecodeFile();
+    });
+    
+    document.getElementById('progressCancelBtn').addEventListener('click', cancelCodecJob);
+    restoreCodebooks();
     
     console.log('Huffman Codec initialized!');
 });
 
+// Bit Debugger
+// Links the split view's symbols to the bits that code them, for static Huffman single files.
+// Only the first symbols are linked so the page stays responsive on large files.
+const DEBUG_TEXT_LIMIT = 5000;
+
+// source: { data, dataBits, tree, mode, symbolCount, text (the whole text in text mode) }, or null to turn it off
+function showBitDebugger(prefix, textPane, bitPane, source) {
+    const panel = document.getElementById(`${prefix}BitDebugger`);
+    for (const pane of [textPane, bitPane]) {
+        pane.classList.remove('bit-linked');
+        pane.onmouseover = pane.onmouseout = pane.onmouseup = pane.onclick = null;
+    }
+    if (!source || !source.tree) {
+        panel.style.display = 'none';
+        return;
+    }
+    
+    let trace;
+    try {
+        trace = HuffmanCodec.traceSymbols(source.data, source.dataBits, source.tree,
+            source.mode === 'text' ? DEBUG_TEXT_LIMIT : HEX_PREVIEW_LIMIT);
+    } catch (error) {
+        // The panes keep their plain views; decoding reports the damage itself
+        panel.style.display = 'none';
+        return;
+    }
+    const { symbols, offsets } = trace;
+    const count = symbols.length;
+    const bits = formatBitPreview(source.data, source.dataBits);
+    const codeOf = i => bits.slice(offsets[i], offsets[i + 1]);
+    
+    // Text pane: one span per code point, or per byte in the hex dump
+    if (source.mode === 'text') {
+        const units = symbols.reduce((sum, symbol) => sum + symbol.length, 0);
+        textPane.innerHTML = symbols.map((symbol, i) => `<span class="bit-symbol" data-symbol="${i}">${escapeHtml(symbol)}</span>`).join('')
+            + escapeHtml(source.text.slice(units));
+    } else {
+        const lines = [];
+        for (let i = 0; i < count; i += 16) {
+            const row = symbols.slice(i, i + 16)
+                .map((byte, j) => `<span class="bit-symbol" data-symbol="${i + j}">${byte.toString(16).padStart(2, '0')}</span>`);
+            lines.push(i.toString(16).padStart(8, '0') + '  ' + row.join(' '));
+        }
+        if (source.symbolCount > count) lines.push(`... ${source.symbolCount - count} more bytes`);
+        textPane.innerHTML = lines.join('\n');
+    }
+    
+    // Bit pane: one span per code word, then the rest of the preview as it was
+    bitPane.innerHTML = symbols.map((symbol, i) => `<span class="bit-code" data-symbol="${i}">${codeOf(i)}</span>`).join('')
+        + escapeHtml(bits.slice(offsets[count]));
+    textPane.classList.add('bit-linked');
+    bitPane.classList.add('bit-linked');
+    
+    const symbolElements = textPane.querySelectorAll('.bit-symbol');
+    const codeElements = bitPane.querySelectorAll('.bit-code');
+    const describe = i => `<strong style="color: var(--accent-pink);">${formatSymbol(symbols[i])}</strong>`;
+    const button = (step, label, title) =>
+        `<button class="btn-secondary btn-small" data-step="${step}" title="${title}">${label}</button>`;
+    
+    panel.innerHTML = `
+        <div style="display: flex; gap: 0.4rem; flex-wrap: wrap; align-items: center; margin-bottom: 0.75rem;">
+            <span style="font-family: var(--font-display); font-size: 0.75rem; font-weight: 600; letter-spacing: 1px; color: var(--rose-pink); margin-right: 0.5rem;">🔗 BIT DEBUGGER</span>
+            ${button('first', '⏮', 'Back to the start')}
+            ${button('prev', '◀', 'Previous symbol')}
+            ${button('next', '▶ Step', 'Decode the next symbol')}
+            ${button('last', '⏭', 'Last linked symbol')}
+            <span class="bit-debugger-position" style="color: var(--text-secondary); font-size: 0.85rem; margin-left: 0.5rem;"></span>
+        </div>
+        <div class="bit-debugger-info" style="font-size: 0.85rem; line-height: 1.7;"></div>
+    `;
+    panel.style.display = 'block';
+    const info = panel.querySelector('.bit-debugger-info');
+    const position = panel.querySelector('.bit-debugger-position');
+    const idleText = `Hover or select ${source.mode === 'text' ? 'characters' : 'bytes'} to light up their bits; click a bit to see its symbol and tree path.`
+        + (source.symbolCount > count ? ` The first ${count.toLocaleString()} symbols are linked.` : '');
+    info.textContent = idleText;
+    
+    // The walk decodeSymbols makes for symbol i: one branch per bit from the root to a leaf.
+    // `upTo` marks how far a clicked bit has got.
+    function formatWalk(i, upTo = Infinity) {
+        const code = codeOf(i);
+        const steps = [];
+        for (let b = 0; b < code.length; b++) {
+            const style = b <= upTo ? 'color: var(--rose-pink); font-weight: 700;' : 'color: var(--text-secondary);';
+            steps.push(`<span style="${style}">${code[b]} → ${code[b] === '1' ? 'right' : 'left'}</span>`);
+        }
+        return `root, ${steps.join(', ')}, leaf ${describe(i)}: emit it and return to the root`;
+    }
+    
+    function scrollToSymbol(i) {
+        for (const [pane, element] of [[textPane, symbolElements[i]], [bitPane, codeElements[i]]]) {
+            if (element.offsetTop < pane.scrollTop || element.offsetTop > pane.scrollTop + pane.clientHeight - element.offsetHeight) {
+                pane.scrollTop = element.offsetTop - pane.clientHeight / 2;
+            }
+        }
+    }
+    
+    // One range (a selection, a clicked bit or the stepping cursor) is marked at a time
+    let selected = [];
+    function select(first, last) {
+        selected.forEach(element => element.classList.remove('bit-selected'));
+        selected = [];
+        for (let i = first; i <= last; i++) selected.push(symbolElements[i], codeElements[i]);
+        selected.forEach(element => element.classList.add('bit-selected'));
+    }
+    
+    // Stepping: `cursor` symbols have been decoded
+    let cursor = 0;
+    function showCursor() {
+        position.textContent = `${cursor.toLocaleString()} of ${count.toLocaleString()} symbols decoded • bit ${offsets[cursor].toLocaleString()}`;
+        if (cursor === 0) {
+            select(0, -1);
+            info.textContent = idleText;
+            return;
+        }
+        const i = cursor - 1;
+        select(i, i);
+        scrollToSymbol(i);
+        info.innerHTML = `<p>Symbol ${cursor.toLocaleString()}: bits ${offsets[i].toLocaleString()}–${(offsets[i + 1] - 1).toLocaleString()} read as
+            <code style="font-family: 'Courier New', monospace; color: var(--lavender);">${codeOf(i)}</code> decode to ${describe(i)}</p>
+            <p style="color: var(--text-secondary);">${formatWalk(i)}</p>`;
+    }
+    panel.addEventListener('click', (e) => {
+        const target = e.target.closest('button[data-step]');
+        if (!target) return;
+        const step = target.dataset.step;
+        cursor = step === 'first' ? 0 : step === 'last' ? count
+            : Math.max(0, Math.min(count, cursor + (step === 'next' ? 1 : -1)));
+        showCursor();
+    });
+    
+    // Hovering either side lights up its counterpart
+    function hover(e, on) {
+        const element = e.target.closest('[data-symbol]');
+        if (!element) return;
+        const i = Number(element.dataset.symbol);
+        symbolElements[i].classList.toggle('bit-hover', on);
+        codeElements[i].classList.toggle('bit-hover', on);
+    }
+    for (const pane of [textPane, bitPane]) {
+        pane.onmouseover = (e) => hover(e, true);
+        pane.onmouseout = (e) => hover(e, false);
+    }
+    
+    // Selecting characters marks every bit that codes them
+    textPane.onmouseup = () => {
+        const selection = window.getSelection();
+        if (selection.isCollapsed || !textPane.contains(selection.anchorNode)) return;
+        const range = selection.getRangeAt(0);
+        const inside = Array.from(symbolElements).filter(element => range.intersectsNode(element));
+        if (!inside.length) return;
+        const first = Number(inside[0].dataset.symbol);
+        const last = Number(inside[inside.length - 1].dataset.symbol);
+        const bitCount = offsets[last + 1] - offsets[first];
+        select(first, last);
+        scrollToSymbol(first);
+        info.innerHTML = `<p>Symbols ${(first + 1).toLocaleString()}–${(last + 1).toLocaleString()} (${last - first + 1}) are coded by bits
+            ${offsets[first].toLocaleString()}–${(offsets[last + 1] - 1).toLocaleString()}: ${bitCount.toLocaleString()} bits,
+            ${(bitCount / (last - first + 1)).toFixed(2)} per symbol</p>`;
+    };
+    
+    // Clicking a bit names the symbol it belongs to and how far down the tree it leads
+    bitPane.onclick = (e) => {
+        const element = e.target.closest('.bit-code');
+        if (!element) return;
+        const i = Number(element.dataset.symbol);
+        let bit = 0;
+        const caret = document.caretRangeFromPoint ? document.caretRangeFromPoint(e.clientX, e.clientY)
+            : document.caretPositionFromPoint ? document.caretPositionFromPoint(e.clientX, e.clientY) : null;
+        const node = caret && (caret.startContainer || caret.offsetNode);
+        if (node && element.contains(node)) bit = Math.min(caret.startContainer ? caret.startOffset : caret.offset, element.textContent.length - 1);
+        cursor = i + 1;
+        showCursor();
+        info.innerHTML = `<p>Bit ${(offsets[i] + bit).toLocaleString()} is bit ${bit + 1} of ${codeOf(i).length} in
+            <code style="font-family: 'Courier New', monospace; color: var(--lavender);">${codeOf(i)}</code>, the code of symbol ${(i + 1).toLocaleString()}, ${describe(i)}</p>
+            <p style="color: var(--text-secondary);">${formatWalk(i, bit)}</p>`;
+    };
+    
+    showCursor();
+}
+
 // Visualization Functions
 function showModal(title, content) {
     document.getElementById('modalTitle').textContent = title;
@@ -686,20 +1967,107 @@ document.getElementById('modal').addEventListener('click', (e) => {
     if (e.target.id === 'modal') closeModal();
 });
 
+// Exports
+// The views of a compressed file download as CSV, JSON or (the report) HTML. Each export
+// records the file, its SHA-256 and when it was made: single files use the original's
+// SHA-256 from the .bin, block streams and archives (hashed per block or entry) the .bin's own.
+// Encrypted files keep the original's SHA-256 inside the ciphertext, so theirs is the ciphertext's.
+async function getExportRecord() {
+    const originalHash = state.encrypted ? null : state.originalHash;
+    if (!originalHash && !state.compressedHash) {
+        state.compressedHash = await HuffmanCodec.calculateHash(new Uint8Array(await state.compressedData.arrayBuffer()));
+    }
+    return {
+        file: state.currentFile.name,
+        originalSize: getOriginalSize(),
+        compressedSize: state.compressedData.size,
+        alphabet: state.mode,
+        codec: state.codec,
+        sha256: originalHash || state.compressedHash,
+        sha256Of: originalHash ? 'original' : 'compressed',
+        generated: new Date().toISOString()
+    };
+}
+
+function downloadText(text, type, filename) {
+    const url = URL.createObjectURL(new Blob([text], { type: type }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+function exportFilename(view, extension) {
+    return `${replaceExtension(state.currentFile.name, '')}-${view}.${extension}`;
+}
+
+// Byte symbols export as numbers, characters and tokens as themselves
+function exportSymbol(symbol) {
+    return state.mode === 'bytes' ? Number(symbol) : symbol;
+}
+
+function toCsvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Plain CSV with one header row: the file, its SHA-256 and the timestamp are repeated as the
+// last columns of every row, so rows stay traceable when files are merged or filtered
+const CSV_RECORD_COLUMNS = ['file', 'sha256', 'sha256Of', 'generated'];
+
+function toCsv(record, columns, rows) {
+    const recordFields = CSV_RECORD_COLUMNS.map(column => toCsvField(record[column]));
+    return [
+        columns.concat(CSV_RECORD_COLUMNS).join(','),
+        ...rows.map(row => columns.map(column => toCsvField(row[column])).concat(recordFields).join(','))
+    ].join('\r\n') + '\r\n';
+}
+
+// view names the file and the JSON's view field; rows are objects keyed by columns;
+// details go into the JSON only
+async function exportRows(view, format, columns, rows, details = {}) {
+    try {
+        const record = await getExportRecord();
+        if (format === 'csv') {
+            downloadText(toCsv(record, columns, rows), 'text/csv', exportFilename(view, 'csv'));
+        } else {
+            downloadText(JSON.stringify({ ...record, view: view, ...details, rows: rows }, null, 2), 'application/json', exportFilename(view, 'json'));
+        }
+        showToast(`Exported ${view} as ${format.toUpperCase()}`);
+    } catch (error) {
+        showToast('Export failed: ' + error.message, 'error');
+    }
+}
+
+function formatExportButtons(formats) {
+    return formats.map(format =>
+        `<button class="btn-secondary btn-small" data-export="${format}">Export ${format.toUpperCase()}</button>`).join('');
+}
+
+function bindExportButtons(onExport) {
+    document.querySelectorAll('#modalBody [data-export]').forEach(button =>
+        button.addEventListener('click', () => onExport(button.dataset.export)));
+}
+
 // Frequency Table
-document.getElementById('viewFreqBtn').addEventListener('click', () => {
-    const sortedFreq = Array.from(state.frequencyMap.entries())
+// options: title, symbolHeader, canonical, formatSymbol (defaults describe the compressed file),
+// contextFrequencies (a getter; when set the modal can switch to the conditional matrix),
+// exportable (the table belongs to the compressed file and can be exported)
+function formatFrequencyTable(frequencyMap, codes, options) {
+    const sortedFreq = Array.from(frequencyMap.entries())
         .sort((a, b) => b[1] - a[1]);
     
-    const totalChars = state.originalText.length;
+    const totalChars = Array.from(frequencyMap.values()).reduce((sum, freq) => sum + freq, 0);
     
     let tableHtml = `
         <table style="width: 100%; border-collapse: collapse;">
             <thead>
                 <tr>
-                    <th style="text-align: left; padding: 0.5rem; border-bottom: 2px solid var(--rose-pink);">Character</th>
+                    <th style="text-align: left; padding: 0.5rem; border-bottom: 2px solid var(--rose-pink);">${options.symbolHeader}</th>
                     <th style="text-align: left; padding: 0.5rem; border-bottom: 2px solid var(--rose-pink);">Frequency</th>
                     <th style="text-align: left; padding: 0.5rem; border-bottom: 2px solid var(--rose-pink);">Percentage</th>
+                    <th style="text-align: left; padding: 0.5rem; border-bottom: 2px solid var(--rose-pink);">${options.canonical ? 'Canonical Code' : 'Code'}</th>
                 </tr>
             </thead>
             <tbody>
@@ -707,31 +2075,173 @@ document.getElementById('viewFreqBtn').addEventListener('click', () => {
     
     sortedFreq.forEach(([char, freq]) => {
         const percentage = ((freq / totalChars) * 100).toFixed(2);
-        const displayChar = char === ' ' ? '(space)' : char === '\n' ? '(newline)' : char;
+        const displayChar = options.formatSymbol(char);
         tableHtml += `
             <tr style="border-bottom: 1px solid rgba(200, 162, 208, 0.2);">
                 <td style="padding: 0.5rem; font-family: 'Courier New', monospace; color: var(--accent-pink);">${displayChar}</td>
                 <td style="padding: 0.5rem;">${freq}</td>
                 <td style="padding: 0.5rem;">${percentage}%</td>
+                <td style="padding: 0.5rem; font-family: 'Courier New', monospace; color: var(--lavender);">${codes[char]}</td>
             </tr>
         `;
     });
     
     tableHtml += `</tbody></table>`;
-    showModal('FREQUENCY TABLE', tableHtml);
+    return tableHtml;
+}
+
+function showFrequencyTable(frequencyMap, codes, options) {
+    const tableHtml = formatFrequencyTable(frequencyMap, codes, options);
+    if (!options.contextFrequencies && !options.exportable) {
+        showModal(options.title, tableHtml);
+        return;
+    }
+    
+    const button = (id, label) =>
+        `<button class="btn-secondary btn-small" id="${id}">${label}</button>`;
+    showModal(options.title, `
+        <div style="display: flex; flex-wrap: wrap; gap: 0.5rem; margin-bottom: 1rem;">
+            ${options.contextFrequencies ? `${button('freqShowTable', 'Frequencies')}
+            ${button('freqShowMatrix', 'Conditional Matrix')}` : ''}
+            ${options.exportable ? formatExportButtons(['csv', 'json']) : ''}
+        </div>
+        <div id="freqTableView">${tableHtml}</div>
+        <div id="freqMatrixView" style="display: none;"></div>
+    `);
+    if (options.exportable) bindExportButtons(format => exportFrequencies(frequencyMap, codes, options, format));
+    if (!options.contextFrequencies) return;
+    const tableView = document.getElementById('freqTableView');
+    const matrixView = document.getElementById('freqMatrixView');
+    document.getElementById('freqShowTable').addEventListener('click', () => {
+        tableView.style.display = '';
+        matrixView.style.display = 'none';
+    });
+    document.getElementById('freqShowMatrix').addEventListener('click', () => {
+        if (!matrixView.innerHTML) matrixView.innerHTML = formatContextMatrix(options.contextFrequencies(), frequencyMap, options.formatSymbol);
+        tableView.style.display = 'none';
+        matrixView.style.display = '';
+    });
+}
+
+function exportFrequencies(frequencyMap, codes, options, format) {
+    const total = Array.from(frequencyMap.values()).reduce((sum, freq) => sum + freq, 0);
+    const rows = Array.from(frequencyMap.entries())
+        .sort((a, b) => b[1] - a[1])
+        .map(([symbol, freq]) => ({
+            symbol: exportSymbol(symbol),
+            frequency: freq,
+            probability: freq / total,
+            code: codes[symbol] || null,
+            length: codes[symbol] ? codes[symbol].length : null
+        }));
+    exportRows('frequencies', format, ['symbol', 'frequency', 'probability', 'code', 'length'], rows,
+        { title: options.title, canonical: options.canonical });
+}
+
+// Conditional frequency matrix: one row per preceding symbol, one column per following
+// symbol, for the CONTEXT_MATRIX_SIZE most frequent symbols. Cells are shaded by
+// P(column | row); each row ends with what falls outside the matrix and its entropy.
+const CONTEXT_MATRIX_SIZE = 16;
+
+function formatContextMatrix(contextFrequencies, frequencyMap, formatSymbol) {
+    const symbols = Array.from(frequencyMap.entries())
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, CONTEXT_MATRIX_SIZE)
+        .map(([symbol]) => symbol);
+    const cell = 'padding: 0.35rem; text-align: right;';
+    const header = 'padding: 0.35rem; border-bottom: 2px solid var(--rose-pink); font-family: \'Courier New\', monospace; color: var(--accent-pink);';
+    
+    const rows = symbols.map(previous => {
+        const row = contextFrequencies.get(previous) || new Map();
+        let total = 0;
+        let entropyBits = 0;
+        for (const freq of row.values()) total += freq;
+        for (const freq of row.values()) entropyBits -= freq * Math.log2(freq / total);
+        let shown = 0;
+        const cells = symbols.map(next => {
+            const count = row.get(next) || 0;
+            const probability = total ? count / total : 0;
+            shown += count;
+            return `<td title="P(${formatSymbol(next)} | ${formatSymbol(previous)}) = ${probability.toFixed(4)}" style="${cell} background: rgba(255, 179, 217, ${(probability * 0.9).toFixed(3)});">${count || ''}</td>`;
+        }).join('');
+        return `
+            <tr style="border-bottom: 1px solid rgba(200, 162, 208, 0.2);">
+                <th style="${header} text-align: left; border-bottom: none;">${formatSymbol(previous)}</th>${cells}
+                <td style="${cell} color: var(--text-secondary);">${(total - shown) || ''}</td>
+                <td style="${cell} color: var(--lavender);">${total ? (entropyBits / total).toFixed(3) : '-'}</td>
+            </tr>`;
+    }).join('');
+    
+    const { conditionalEntropy } = HuffmanCodec.analyzeContexts(contextFrequencies);
+    return `
+        <p style="color: var(--text-secondary); font-size: 0.85rem; margin-bottom: 1rem;">Rows are the preceding symbol, columns the symbol that follows; darker cells are likelier. ${frequencyMap.size > CONTEXT_MATRIX_SIZE ? `Only the ${CONTEXT_MATRIX_SIZE} most frequent of ${frequencyMap.size} symbols are shown; Other counts the rest.` : ''} Bits is the entropy of each row; over all contexts the conditional entropy is ${formatBitsPerSymbol(conditionalEntropy)}.</p>
+        <div style="overflow-x: auto;">
+            <table style="border-collapse: collapse; font-size: 0.8rem;">
+                <thead>
+                    <tr>
+                        <th style="${header}"></th>
+                        ${symbols.map(symbol => `<th style="${header}">${formatSymbol(symbol)}</th>`).join('')}
+                        <th style="${header} color: var(--text-secondary);">Other</th>
+                        <th style="${header} color: var(--lavender);">Bits</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>`;
+}
+
+// Counted on first use from the input in memory, so only for single files
+function getContextFrequencies() {
+    if (state.streaming || state.archiveFiles) return null;
+    if (!state.contextFrequencies) {
+        state.contextFrequencies = HuffmanCodec.calculateContextFrequencies(
+            state.mode === 'text' ? state.originalText : state.originalBytes);
+    }
+    return state.contextFrequencies;
+}
+
+function fileTableOptions(title) {
+    return {
+        title: title,
+        symbolHeader: state.mode === 'text' ? 'Character' : 'Byte',
+        canonical: state.canonical,
+        formatSymbol: formatSymbol,
+        exportable: true
+    };
+}
+
+document.getElementById('viewFreqBtn').addEventListener('click', () => {
+    if (state.tokenModel) {
+        showFrequencyTable(state.tokenModel.frequencyMap, state.tokenModel.codes, tokenTableOptions(
+            `TOKEN FREQUENCIES (${state.tokenModel.escapeCount.toLocaleString()} RARE TOKENS ESCAPED)`));
+        return;
+    }
+    showFrequencyTable(state.frequencyMap, state.huffmanCodes, {
+        ...fileTableOptions('FREQUENCY TABLE'),
+        contextFrequencies: state.streaming || state.archiveFiles ? null : getContextFrequencies
+    });
 });
 
 // Huffman Codes
-document.getElementById('viewCodesBtn').addEventListener('click', () => {
-    const sortedCodes = Object.entries(state.huffmanCodes)
-        .sort((a, b) => a[1].length - b[1].length);
+// options as for the frequency table, plus escapeCode (token files: the code that
+// announces a token spelled out in characters)
+function sortCodes(codes, options) {
+    // Canonical codes are listed in assignment order (length, then code value)
+    const entries = Object.entries(codes);
+    if (options.escapeCode) entries.push([null, options.escapeCode]);
+    return entries
+        .sort((a, b) => a[1].length - b[1].length || (options.canonical ? a[1].localeCompare(b[1]) : 0));
+}
+
+function showCodesTable(codes, options) {
+    const sortedCodes = sortCodes(codes, options);
     
     let tableHtml = `
         <table style="width: 100%; border-collapse: collapse;">
             <thead>
                 <tr>
-                    <th style="text-align: left; padding: 0.5rem; border-bottom: 2px solid var(--rose-pink);">Character</th>
-                    <th style="text-align: left; padding: 0.5rem; border-bottom: 2px solid var(--rose-pink);">Huffman Code</th>
+                    <th style="text-align: left; padding: 0.5rem; border-bottom: 2px solid var(--rose-pink);">${options.symbolHeader}</th>
+                    <th style="text-align: left; padding: 0.5rem; border-bottom: 2px solid var(--rose-pink);">${options.canonical ? 'Canonical Code' : 'Huffman Code'}</th>
                     <th style="text-align: left; padding: 0.5rem; border-bottom: 2px solid var(--rose-pink);">Length</th>
                 </tr>
             </thead>
@@ -739,7 +2249,7 @@ document.getElementById('viewCodesBtn').addEventListener('click', () => {
     `;
     
     sortedCodes.forEach(([char, code]) => {
-        const displayChar = char === ' ' ? '(space)' : char === '\n' ? '(newline)' : char;
+        const displayChar = char === null ? '<em>(escape)</em>' : options.formatSymbol(char);
         tableHtml += `
             <tr style="border-bottom: 1px solid rgba(200, 162, 208, 0.2);">
                 <td style="padding: 0.5rem; font-family: 'Courier New', monospace; color: var(--accent-pink);">${displayChar}</td>
@@ -750,12 +2260,669 @@ document.getElementById('viewCodesBtn').addEventListener('click', () => {
     });
     
     tableHtml += `</tbody></table>`;
-    showModal('HUFFMAN CODES', tableHtml);
+    if (!options.exportable) {
+        showModal(options.title, tableHtml);
+        return;
+    }
+    showModal(options.title, `
+        <div style="display: flex; gap: 0.5rem; margin-bottom: 1rem;">${formatExportButtons(['csv', 'json'])}</div>
+        ${tableHtml}
+    `);
+    bindExportButtons(format => exportCodes(sortedCodes, options, format));
+}
+
+// The escape row has no symbol (an empty CSV field); no real symbol is empty
+function exportCodes(sortedCodes, options, format) {
+    const rows = sortedCodes.map(([symbol, code]) => ({
+        symbol: symbol === null ? null : exportSymbol(symbol),
+        code: code,
+        length: code.length
+    }));
+    exportRows('codes', format, ['symbol', 'code', 'length'], rows,
+        { title: options.title, canonical: options.canonical, escapeCode: options.escapeCode || null });
+}
+
+// Token files list their vocabulary's codes; the character codes are static Huffman's
+function tokenTableOptions(title) {
+    return {
+        title: title,
+        symbolHeader: 'Token',
+        canonical: true,
+        formatSymbol: formatSymbol,
+        escapeCode: state.tokenModel.escapeCode,
+        exportable: true
+    };
+}
+
+document.getElementById('viewCodesBtn').addEventListener('click', () => {
+    if (state.tokenModel) {
+        showCodesTable(state.tokenModel.codes, tokenTableOptions('TOKEN CODES'));
+        return;
+    }
+    // Codebook files are coded with the codebook's codes, symbols it lacks through the escape
+    if (state.codebook) {
+        showCodesTable(state.codebook.codes, {
+            ...fileTableOptions(`CODEBOOK CODES: ${formatCodebookName(state.codebook)}`),
+            canonical: true,
+            escapeCode: state.codebook.escapeCode
+        });
+        return;
+    }
+    // Adaptive codes change after every symbol, and LZ77 codes tokens and the context
+    // model one table per context rather than symbols; the static codes are shown for comparison
+    const codesTitle = state.canonical ? 'CANONICAL HUFFMAN CODES' : 'HUFFMAN CODES';
+    showCodesTable(state.huffmanCodes, fileTableOptions(state.codec !== 'huffman' ? `STATIC ${codesTitle} (FOR COMPARISON)` : codesTitle));
+});
+
+// Tree View
+// Leaves sit evenly spaced in tree order with each parent centred over its children;
+// the view zooms and pans by moving the SVG viewBox
+const TREE_NODE_SPACING = 52;
+const TREE_LEVEL_HEIGHT = 72;
+const TREE_PLAYBACK_INTERVAL = 700; // ms per merge step
+
+function layoutTree(tree) {
+    const items = [];
+    let leafCount = 0;
+    (function place(node, depth, code, parent) {
+        const item = { node, code, parent, index: items.length, x: 0, y: depth * TREE_LEVEL_HEIGHT, step: -1 };
+        items.push(item);
+        if (node.char !== null) {
+            item.x = leafCount++ * TREE_NODE_SPACING;
+        } else {
+            // A one-symbol tree rebuilt from canonical codes has only a left branch
+            const children = [node.left, node.right]
+                .map((child, bit) => child && place(child, depth + 1, code + bit, item))
+                .filter(Boolean);
+            item.x = children.reduce((sum, child) => sum + child.x, 0) / children.length;
+        }
+        return item;
+    })(tree, 0, '', null);
+    return {
+        items: items,
+        width: Math.max(leafCount - 1, 0) * TREE_NODE_SPACING,
+        height: items.reduce((max, item) => Math.max(max, item.y), 0)
+    };
+}
+
+// Leaf labels have to fit a small box: the character itself or the byte in hex
+function formatTreeSymbol(symbol) {
+    if (typeof symbol === 'number') return symbol.toString(16).padStart(2, '0').toUpperCase();
+    if (symbol === ' ') return '␣';
+    if (symbol === '\n') return '↵';
+    if (symbol === '\t') return '⇥';
+    const codePoint = symbol.codePointAt(0);
+    if (codePoint < 0x20 || codePoint === 0x7f) return 'U+' + codePoint.toString(16).padStart(4, '0').toUpperCase();
+    return escapeHtml(symbol);
+}
+
+function formatTreeWeight(weight) {
+    if (weight < 10000) return String(weight);
+    if (weight < 1e6) return (weight / 1e3).toFixed(weight < 1e5 ? 1 : 0) + 'k';
+    return (weight / 1e6).toFixed(weight < 1e7 ? 1 : 0) + 'M';
+}
+
+function renderTreeSvg(layout, options) {
+    const edges = [];
+    const nodes = [];
+    for (const item of layout.items) {
+        const { node, x, y, index } = item;
+        if (item.parent) {
+            const parent = item.parent;
+            edges.push(`<g class="tree-edge" data-node="${index}">
+                <line x1="${parent.x}" y1="${parent.y}" x2="${x}" y2="${y}"/>
+                <text x="${(parent.x + x) / 2 + (item.code.endsWith('0') ? -7 : 7)}" y="${(parent.y + y) / 2}">${item.code.slice(-1)}</text>
+            </g>`);
+        }
+        nodes.push(node.char !== null ? `<g class="tree-node tree-leaf" data-node="${index}">
+                <title>${options.formatSymbol(node.char)}: ${node.freq.toLocaleString()} • code ${item.code || '0'}</title>
+                <rect x="${x - 21}" y="${y - 16}" width="42" height="32" rx="4"/>
+                <text x="${x}" y="${y - 6}">${formatTreeSymbol(node.char)}</text>
+                <text class="tree-weight" x="${x}" y="${y + 8}">${formatTreeWeight(node.freq)}</text>
+            </g>` : `<g class="tree-node" data-node="${index}">
+                <title>${node.freq.toLocaleString()}</title>
+                <circle cx="${x}" cy="${y}" r="16"/>
+                <text class="tree-weight" x="${x}" y="${y}">${formatTreeWeight(node.freq)}</text>
+            </g>`);
+    }
+    return edges.join('') + nodes.join('');
+}
+
+// options: title, formatSymbol, canonical (the tree was rebuilt from code lengths), note
+function showTreeView(tree, frequencyMap, options) {
+    HuffmanCodec.weighTree(tree, frequencyMap);
+    const layout = layoutTree(tree);
+    const steps = HuffmanCodec.getMergeSteps(tree);
+    const itemOf = new Map(layout.items.map(item => [item.node, item]));
+    steps.forEach((step, i) => { itemOf.get(step.node).step = i; });
+    const describe = node => node.char !== null
+        ? `${options.formatSymbol(node.char)} (${node.freq.toLocaleString()})`
+        : `subtree (${node.freq.toLocaleString()})`;
+    const button = (id, label, title) =>
+        `<button class="btn-secondary btn-small" id="${id}" title="${title}">${label}</button>`;
+    
+    showModal(options.title, `
+        <p class="tree-intro">
+            ${layout.items.length - steps.length} leaves • ${steps.length} merges • depth ${layout.height / TREE_LEVEL_HEIGHT}.
+            ${options.canonical
+                ? 'The codes are canonical, so this tree is rebuilt from the code lengths; playback merges its subtrees lightest first.'
+                : 'Playback replays the priority queue, joining the two lightest nodes at each step.'}
+            ${options.note || ''}
+        </p>
+        <div class="tree-controls">
+            ${button('treeZoomIn', '+', 'Zoom in')}
+            ${button('treeZoomOut', '−', 'Zoom out')}
+            ${button('treeFit', 'Fit', 'Show the whole tree')}
+            <span class="tree-controls-gap"></span>
+            ${button('treeFirst', '⏮', 'First step')}
+            ${button('treePrev', '◀', 'Previous merge')}
+            ${button('treePlay', '▶ Play', 'Play the merges')}
+            ${button('treeNext', '▶', 'Next merge')}
+            ${button('treeLast', '⏭', 'Finished tree')}
+            <input type="range" id="treeStepRange" min="0" max="${steps.length}" value="${steps.length}">
+        </div>
+        <svg id="treeSvg" class="tree-view" xmlns="http://www.w3.org/2000/svg">${renderTreeSvg(layout, options)}</svg>
+        <p id="treeStepCaption" class="tree-caption"></p>
+        <p id="treeQueue" class="tree-queue"></p>
+        <p id="treeLeafInfo" class="tree-leaf-info">Hover a leaf to trace its code from the root.</p>
+    `);
+    
+    const svg = document.getElementById('treeSvg');
+    const nodeElements = [];
+    const edgeElements = [];
+    svg.querySelectorAll('.tree-node').forEach(element => { nodeElements[element.dataset.node] = element; });
+    svg.querySelectorAll('.tree-edge').forEach(element => { edgeElements[element.dataset.node] = element; });
+    
+    // Zoom and pan: the viewBox keeps the element's aspect ratio so pointer positions map linearly
+    const margin = 40;
+    const bounds = { x: -margin, y: -margin, width: layout.width + 2 * margin, height: layout.height + 2 * margin };
+    let view;
+    function applyView() {
+        svg.setAttribute('viewBox', `${view.x} ${view.y} ${view.width} ${view.height}`);
+    }
+    function fitView() {
+        const rect = svg.getBoundingClientRect();
+        const aspect = rect.width && rect.height ? rect.width / rect.height : 5 / 3;
+        const width = Math.max(bounds.width, bounds.height * aspect);
+        const height = width / aspect;
+        view = { x: bounds.x + (bounds.width - width) / 2, y: bounds.y + (bounds.height - height) / 2, width, height };
+        applyView();
+    }
+    function zoom(factor, centerX = view.x + view.width / 2, centerY = view.y + view.height / 2) {
+        // Between a few nodes across and the whole tree with room around it
+        const width = Math.min(Math.max(view.width * factor, TREE_NODE_SPACING * 4), Math.max(bounds.width, bounds.height) * 4);
+        factor = width / view.width;
+        view = {
+            x: centerX - (centerX - view.x) * factor,
+            y: centerY - (centerY - view.y) * factor,
+            width: width,
+            height: view.height * factor
+        };
+        applyView();
+    }
+    function toTreePoint(e) {
+        const rect = svg.getBoundingClientRect();
+        return {
+            x: view.x + (e.clientX - rect.left) / rect.width * view.width,
+            y: view.y + (e.clientY - rect.top) / rect.height * view.height
+        };
+    }
+    
+    svg.addEventListener('wheel', (e) => {
+        e.preventDefault();
+        const point = toTreePoint(e);
+        zoom(e.deltaY > 0 ? 1.2 : 1 / 1.2, point.x, point.y);
+    }, { passive: false });
+    
+    let drag = null;
+    svg.addEventListener('pointerdown', (e) => {
+        drag = { x: e.clientX, y: e.clientY, view: view };
+        svg.setPointerCapture(e.pointerId);
+        svg.classList.add('dragging');
+    });
+    svg.addEventListener('pointermove', (e) => {
+        if (!drag) return;
+        const scale = view.width / svg.getBoundingClientRect().width;
+        view = { ...drag.view, x: drag.view.x - (e.clientX - drag.x) * scale, y: drag.view.y - (e.clientY - drag.y) * scale };
+        applyView();
+    });
+    const endDrag = () => {
+        drag = null;
+        svg.classList.remove('dragging');
+    };
+    svg.addEventListener('pointerup', endDrag);
+    svg.addEventListener('pointercancel', endDrag);
+    
+    document.getElementById('treeZoomIn').addEventListener('click', () => zoom(1 / 1.5));
+    document.getElementById('treeZoomOut').addEventListener('click', () => zoom(1.5));
+    document.getElementById('treeFit').addEventListener('click', fitView);
+    
+    // Hovering a leaf lights up the edges from the root down to it
+    let highlighted = [];
+    function highlightPath(item) {
+        highlighted.forEach(element => element.classList.remove('tree-path'));
+        highlighted = [];
+        for (let current = item; current; current = current.parent) {
+            highlighted.push(nodeElements[current.index]);
+            if (current.parent) highlighted.push(edgeElements[current.index]);
+        }
+        highlighted.forEach(element => element.classList.add('tree-path'));
+    }
+    svg.addEventListener('mouseover', (e) => {
+        const leaf = e.target.closest('.tree-leaf');
+        if (!leaf) return;
+        const item = layout.items[leaf.dataset.node];
+        highlightPath(item);
+        const code = item.code || '0';
+        document.getElementById('treeLeafInfo').innerHTML = `<strong style="color: var(--accent-pink);">${options.formatSymbol(item.node.char)}</strong>
+            • code <code style="font-family: 'Courier New', monospace; color: var(--lavender);">${code}</code>
+            (${code.length} bit${code.length === 1 ? '' : 's'}) • ${item.node.freq.toLocaleString()} occurrences`;
+    });
+    svg.addEventListener('mouseleave', () => highlightPath(null));
+    
+    // Playback: step k shows the tree after k merges; nodes not merged yet are hidden
+    let current = steps.length;
+    let timer = null;
+    function showStep(k) {
+        current = Math.max(0, Math.min(k, steps.length));
+        for (const item of layout.items) {
+            const merged = item.step === -1 || item.step < current;
+            nodeElements[item.index].classList.toggle('tree-pending', !merged);
+            nodeElements[item.index].classList.toggle('tree-current', item.step !== -1 && item.step === current - 1);
+            if (item.parent) {
+                const parentMerged = item.parent.step < current;
+                edgeElements[item.index].classList.toggle('tree-pending', !parentMerged);
+                edgeElements[item.index].classList.toggle('tree-current', item.parent.step === current - 1);
+            }
+        }
+        document.getElementById('treeStepRange').value = current;
+        
+        const step = steps[current - 1];
+        document.getElementById('treeStepCaption').innerHTML = step
+            ? `<strong style="color: var(--rose-pink);">Step ${current} of ${steps.length}:</strong> merged ${[step.left, step.right].filter(Boolean).map(describe).join(' + ')} into ${step.node.freq.toLocaleString()}`
+            : `<strong style="color: var(--rose-pink);">Start:</strong> every symbol is a leaf in the queue`;
+        
+        // The queue holds every merged node whose parent has not been made yet
+        const queue = layout.items
+            .filter(item => (item.step === -1 || item.step < current) && !(item.parent && item.parent.step < current))
+            .map(item => item.node)
+            .sort((a, b) => a.freq - b.freq);
+        const shown = queue.slice(0, 24).map(node => node.char !== null
+            ? `${formatTreeSymbol(node.char)}:${node.freq}`
+            : `(${node.freq})`);
+        document.getElementById('treeQueue').innerHTML = `Queue (${queue.length}): ${shown.join('  ')}${queue.length > shown.length ? '  ...' : ''}`;
+    }
+    function stopPlayback() {
+        clearInterval(timer);
+        timer = null;
+        document.getElementById('treePlay').textContent = '▶ Play';
+    }
+    function togglePlayback() {
+        if (timer) return stopPlayback();
+        if (current >= steps.length) showStep(0);
+        document.getElementById('treePlay').textContent = '⏸ Pause';
+        timer = setInterval(() => {
+            // Closing or replacing the modal ends playback
+            if (!svg.isConnected || !document.getElementById('modal').classList.contains('active')) {
+                clearInterval(timer);
+                return;
+            }
+            showStep(current + 1);
+            if (current >= steps.length) stopPlayback();
+        }, TREE_PLAYBACK_INTERVAL);
+    }
+    
+    const stepTo = k => {
+        stopPlayback();
+        showStep(k);
+    };
+    document.getElementById('treeFirst').addEventListener('click', () => stepTo(0));
+    document.getElementById('treePrev').addEventListener('click', () => stepTo(current - 1));
+    document.getElementById('treeNext').addEventListener('click', () => stepTo(current + 1));
+    document.getElementById('treeLast').addEventListener('click', () => stepTo(steps.length));
+    document.getElementById('treePlay').addEventListener('click', togglePlayback);
+    document.getElementById('treeStepRange').addEventListener('input', (e) => stepTo(Number(e.target.value)));
+    
+    fitView();
+    showStep(steps.length);
+}
+
+document.getElementById('viewTreeBtn').addEventListener('click', () => {
+    if (!state.huffmanTree) {
+        showToast('An empty file has no tree', 'error');
+        return;
+    }
+    // As with the codes, adaptive and LZ77 files are shown the static tree for comparison
+    const title = state.codec !== 'huffman' ? 'STATIC HUFFMAN TREE (FOR COMPARISON)' : 'HUFFMAN TREE';
+    showTreeView(state.huffmanTree, state.frequencyMap, {
+        title: title,
+        formatSymbol: formatSymbol,
+        canonical: state.canonical || Boolean(state.lengthLimit && state.lengthLimit.huffmanMaxLength > state.lengthLimit.maxCodeLength),
+        note: state.archiveFiles
+            ? (document.getElementById('encodeArchiveTableSelect').value === 'shared' ? 'Every entry shares this tree.' : 'This is the tree of entry 1.')
+            : state.streaming ? 'This is the tree of block 1.' : ''
+    });
 });
 
+// Information Theory
+// Order-0 measurements of the code: for block streams and archives the totals add up the
+// per-block figures, since each block (or entry) is coded on its own. Single files also
+// get the order-1 conditional entropy.
+function getAnalysis() {
+    const parts = state.archiveFiles ? state.archiveEntries : state.streaming ? state.streamBlocks : null;
+    const overall = parts
+        ? parts.reduce((total, part) => ({
+            symbolCount: total.symbolCount + part.analysis.symbolCount,
+            entropyBits: total.entropyBits + part.analysis.entropyBits,
+            codedBits: total.codedBits + part.analysis.codedBits,
+            lowerBoundBytes: total.lowerBoundBytes + part.analysis.lowerBoundBytes
+        }), { symbolCount: 0, entropyBits: 0, codedBits: 0, lowerBoundBytes: 0 })
+        : HuffmanCodec.analyzeCode(state.frequencyMap, state.huffmanCodes);
+    overall.entropy = overall.symbolCount ? overall.entropyBits / overall.symbolCount : 0;
+    overall.averageLength = overall.symbolCount ? overall.codedBits / overall.symbolCount : 0;
+    overall.efficiency = overall.averageLength ? overall.entropy / overall.averageLength : 1;
+    overall.redundancy = overall.averageLength - overall.entropy;
+    const payloadBytes = parts
+        ? parts.reduce((sum, part) => sum + Math.ceil(part.dataBits / 8), 0)
+        : Math.ceil(state.payloadBits / 8);
+    const contextFrequencies = getContextFrequencies();
+    const context = contextFrequencies ? HuffmanCodec.analyzeContexts(contextFrequencies) : null;
+    return { overall, context, parts, payloadBytes, overheadBytes: state.containerSize - payloadBytes };
+}
+
+function formatBitsPerSymbol(bits) {
+    return `${bits.toFixed(4)} bits/symbol`;
+}
+
+function formatAnalysisSummary(analysis) {
+    const { overall, context, payloadBytes, overheadBytes } = analysis;
+    return `
+            <p><strong style="color: var(--accent-pink);">Shannon Entropy:</strong> ${formatBitsPerSymbol(overall.entropy)}</p>
+            <p><strong style="color: var(--accent-pink);">Conditional Entropy (Order-1):</strong> ${context
+                ? `${formatBitsPerSymbol(context.conditionalEntropy)} (${formatBitsPerSymbol(overall.entropy - context.conditionalEntropy)} below order-0)`
+                : 'Computed for single files only'}</p>
+            <p><strong style="color: var(--accent-pink);">Average Code Length:</strong> ${formatBitsPerSymbol(overall.averageLength)}</p>
+            <p><strong style="color: var(--accent-pink);">Coding Efficiency:</strong> ${(overall.efficiency * 100).toFixed(2)}%</p>
+            <p><strong style="color: var(--accent-pink);">Redundancy:</strong> ${formatBitsPerSymbol(overall.redundancy)}</p>
+            <p><strong style="color: var(--accent-pink);">Order-0 Lower Bound:</strong> ${overall.lowerBoundBytes.toLocaleString()} bytes</p>
+            <p><strong style="color: var(--accent-pink);">Actual Payload:</strong> ${payloadBytes.toLocaleString()} bytes + ${overheadBytes.toLocaleString()} bytes of headers and code tables</p>`;
+}
+
+function showAnalysis() {
+    const analysis = getAnalysis();
+    const { overall, parts, payloadBytes, overheadBytes } = analysis;
+    const cell = 'padding: 0.5rem;';
+    const header = 'text-align: left; padding: 0.5rem; border-bottom: 2px solid var(--rose-pink);';
+    const boundPercent = overall.lowerBoundBytes ? (state.containerSize / overall.lowerBoundBytes) * 100 : 0;
+    
+    // Per block (or entry): the same measures, each against that block's own code
+    const partRows = parts ? parts.map((part, i) => `
+            <tr style="border-bottom: 1px solid rgba(200, 162, 208, 0.2);">
+                <td style="${cell}">${state.archiveFiles ? escapeHtml(part.path) : i + 1}</td>
+                <td style="${cell}">${part.alphabet === 'text' ? 'Text' : 'Bytes'}</td>
+                <td style="${cell}">${part.analysis.entropy.toFixed(4)}</td>
+                <td style="${cell}">${part.analysis.averageLength.toFixed(4)}</td>
+                <td style="${cell}">${(part.analysis.efficiency * 100).toFixed(2)}%</td>
+                <td style="${cell}">${part.analysis.lowerBoundBytes.toLocaleString()}</td>
+                <td style="${cell}">${Math.ceil(part.dataBits / 8).toLocaleString()}</td>
+                <td style="${cell}">${(part.compressedLength - Math.ceil(part.dataBits / 8)).toLocaleString()}</td>
+            </tr>`).join('') : '';
+    
+    const total = Array.from(state.frequencyMap.values()).reduce((sum, freq) => sum + freq, 0);
+    const symbolRows = Array.from(state.frequencyMap.entries())
+        .sort((a, b) => b[1] - a[1])
+        .map(([symbol, freq]) => `
+            <tr style="border-bottom: 1px solid rgba(200, 162, 208, 0.2);">
+                <td style="${cell} font-family: 'Courier New', monospace; color: var(--accent-pink);">${formatSymbol(symbol)}</td>
+                <td style="${cell}">${freq.toLocaleString()}</td>
+                <td style="${cell}">${(freq / total).toFixed(6)}</td>
+                <td style="${cell}">${(-Math.log2(freq / total)).toFixed(4)}</td>
+                <td style="${cell}">${state.huffmanCodes[symbol].length}</td>
+            </tr>`).join('');
+    
+    const analysisHtml = `
+        <div style="display: flex; gap: 0.5rem; margin-bottom: 1rem;">${formatExportButtons(['csv', 'json'])}</div>
+        <div style="line-height: 1.8;">
+            ${state.codec !== 'huffman' ? `
+            <p style="color: var(--text-secondary); font-size: 0.85rem; margin-bottom: 1rem;">Code lengths are those of the static Huffman code, for comparison; the payload is the ${{ adaptive: 'adaptive Huffman', lz77: 'LZ77', context: 'order-1 context model', tokens: 'word token', codebook: 'shared codebook' }[state.codec]} data actually written.</p>` : ''}
+            ${formatAnalysisSummary(analysis)}
+            <p><strong style="color: var(--accent-pink);">Huffman Code Payload:</strong> ${Math.ceil(overall.codedBits / 8).toLocaleString()} bytes</p>
+            <p><strong style="color: var(--accent-pink);">File vs Lower Bound:</strong> ${overall.lowerBoundBytes ? `${boundPercent.toFixed(2)}% (${formatBytes(state.containerSize)} written)` : 'No bound (zero entropy)'}</p>
+            ${state.encrypted ? `
+            <p><strong style="color: var(--accent-pink);">Encryption Envelope:</strong> ${(state.compressedData.size - state.containerSize).toLocaleString()} bytes</p>` : ''}
+            
+            ${parts ? `
+            <h3 style="color: var(--rose-pink); margin: 1.5rem 0 1rem 0; font-family: var(--font-display);">PER ${state.archiveFiles ? 'ENTRY' : 'BLOCK'}</h3>
+            <div style="overflow-x: auto;">
+                <table style="width: 100%; border-collapse: collapse; font-size: 0.85rem;">
+                    <thead>
+                        <tr>
+                            <th style="${header}">${state.archiveFiles ? 'Entry' : '#'}</th>
+                            <th style="${header}">Alphabet</th>
+                            <th style="${header}">Entropy</th>
+                            <th style="${header}">Avg Length</th>
+                            <th style="${header}">Efficiency</th>
+                            <th style="${header}">Bound (B)</th>
+                            <th style="${header}">Payload (B)</th>
+                            <th style="${header}">Overhead (B)</th>
+                        </tr>
+                    </thead>
+                    <tbody>${partRows}</tbody>
+                </table>
+            </div>` : ''}
+            
+            <h3 style="color: var(--rose-pink); margin: 1.5rem 0 1rem 0; font-family: var(--font-display);">PER SYMBOL${!parts ? '' : !state.archiveFiles ? ' (BLOCK 1)'
+                : document.getElementById('encodeArchiveTableSelect').value === 'shared' ? ' (SHARED TABLE)' : ' (ENTRY 1)'}</h3>
+            <table style="width: 100%; border-collapse: collapse; font-size: 0.85rem;">
+                <thead>
+                    <tr>
+                        <th style="${header}">${state.mode === 'text' ? 'Character' : 'Byte'}</th>
+                        <th style="${header}">Count</th>
+                        <th style="${header}">Probability</th>
+                        <th style="${header}">Information (bits)</th>
+                        <th style="${header}">Code Length</th>
+                    </tr>
+                </thead>
+                <tbody>${symbolRows}</tbody>
+            </table>
+        </div>
+    `;
+    showModal('INFORMATION THEORY ANALYSIS', analysisHtml);
+    bindExportButtons(format => exportAnalysis(analysis, format));
+}
+
+// CSV holds the per-symbol rows; JSON adds the totals and the per-block (or entry) measures
+function exportAnalysis(analysis, format) {
+    const { overall, context, parts, payloadBytes, overheadBytes } = analysis;
+    const total = Array.from(state.frequencyMap.values()).reduce((sum, freq) => sum + freq, 0);
+    const rows = Array.from(state.frequencyMap.entries())
+        .sort((a, b) => b[1] - a[1])
+        .map(([symbol, freq]) => ({
+            symbol: exportSymbol(symbol),
+            count: freq,
+            probability: freq / total,
+            information: -Math.log2(freq / total),
+            codeLength: state.huffmanCodes[symbol].length
+        }));
+    exportRows('analysis', format, ['symbol', 'count', 'probability', 'information', 'codeLength'], rows, {
+        summary: {
+            symbolCount: overall.symbolCount,
+            entropy: overall.entropy,
+            conditionalEntropy: context ? context.conditionalEntropy : null,
+            averageLength: overall.averageLength,
+            efficiency: overall.efficiency,
+            redundancy: overall.redundancy,
+            lowerBoundBytes: overall.lowerBoundBytes,
+            payloadBytes: payloadBytes,
+            overheadBytes: overheadBytes
+        },
+        parts: parts ? parts.map((part, i) => ({
+            [state.archiveFiles ? 'path' : 'block']: state.archiveFiles ? part.path : i + 1,
+            alphabet: part.alphabet,
+            entropy: part.analysis.entropy,
+            averageLength: part.analysis.averageLength,
+            efficiency: part.analysis.efficiency,
+            lowerBoundBytes: part.analysis.lowerBoundBytes,
+            payloadBytes: Math.ceil(part.dataBits / 8),
+            overheadBytes: part.compressedLength - Math.ceil(part.dataBits / 8)
+        })) : null
+    });
+}
+
+document.getElementById('viewAnalysisBtn').addEventListener('click', showAnalysis);
+
+// Benchmark
+// The current file or the sample files shipped with the app, through every Huffman mode and
+// the browser's own gzip/deflate. The samples are fetched, so they need the page served over HTTP.
+const BENCHMARK_CORPUS = ['test.txt', 'long_test.txt', 'wiki test file.txt'];
+
+const BENCHMARK_COLUMNS = [
+    { key: 'input', label: 'Input' },
+    { key: 'label', label: 'Method' },
+    { key: 'compressedSize', label: 'Compressed', format: row => formatBytes(row.compressedSize) },
+    { key: 'ratio', label: 'Ratio', format: row => (row.ratio * 100).toFixed(2) + '%' },
+    { key: 'overheadBytes', label: 'Overhead', format: row => row.overheadBytes.toLocaleString() + ' B' },
+    { key: 'encodeMs', label: 'Encode', format: row => row.encodeMs.toFixed(2) + ' ms' },
+    { key: 'decodeMs', label: 'Decode', format: row => row.decodeMs.toFixed(2) + ' ms' },
+    { key: 'encodeMBps', label: 'Enc MB/s', format: row => row.encodeMBps.toFixed(1) },
+    { key: 'decodeMBps', label: 'Dec MB/s', format: row => row.decodeMBps.toFixed(1) }
+];
+
+let benchmarkSort = { key: 'ratio', ascending: true };
+
+async function runBenchmark(source) {
+    showProgress('Starting...');
+    try {
+        let inputs;
+        if (source === 'current') {
+            inputs = [{ name: state.currentFile.name, bytes: state.originalBytes }];
+        } else {
+            inputs = await Promise.all(BENCHMARK_CORPUS.map(async (name) => {
+                const response = await fetch(encodeURI(name));
+                if (!response.ok) throw new Error(`${name}: ${response.status} ${response.statusText}`);
+                return { name, bytes: new Uint8Array(await response.arrayBuffer()) };
+            }));
+        }
+        const { rows } = await runCodecJob('benchmark', inputs, {});
+        state.benchmark = {
+            generated: new Date().toISOString(),
+            userAgent: navigator.userAgent,
+            source: source,
+            inputs: inputs.map(input => ({ name: input.name, size: input.bytes.length })),
+            rows: rows
+        };
+        hideProgress();
+        showBenchmark();
+    } catch (error) {
+        hideProgress();
+        if (error.name === 'AbortError') {
+            showToast('Benchmark cancelled', 'error');
+        } else if (source === 'corpus' && error instanceof TypeError) {
+            showToast('The sample files could not be fetched; serve the page over HTTP to use them', 'error');
+        } else {
+            showToast('Benchmark failed: ' + error.message, 'error');
+        }
+    }
+}
+
+function formatBenchmarkRows(rows) {
+    const { key, ascending } = benchmarkSort;
+    const sorted = rows.filter(row => !row.skipped).sort((a, b) => {
+        const order = typeof a[key] === 'string' ? a[key].localeCompare(b[key]) : a[key] - b[key];
+        return ascending ? order : -order;
+    });
+    return sorted.map(row => `
+        <tr style="border-bottom: 1px solid rgba(200, 162, 208, 0.2);">
+            ${BENCHMARK_COLUMNS.map(column => `<td style="padding: 0.5rem;${column.key === 'label' ? ' color: var(--accent-pink);' : ''}">${column.format ? column.format(row) : escapeHtml(row[column.key])}</td>`).join('')}
+            <td style="padding: 0.5rem;">${row.roundTrip ? '✓' : '<span style="color: #ff6b6b;">✗ mismatch</span>'}</td>
+        </tr>
+    `).join('');
+}
+
+// One bar per method and input, scaled to the input's size like the compression chart
+function formatBenchmarkChart(rows) {
+    const bars = rows.filter(row => !row.skipped).map(row => `
+        <div style="margin-bottom: 0.75rem;">
+            <div style="display: flex; justify-content: space-between; margin-bottom: 0.25rem; font-size: 0.85rem;">
+                <span>${escapeHtml(row.input)} • ${row.label}</span>
+                <span>${formatBytes(row.compressedSize)}</span>
+            </div>
+            <div style="background: rgba(255, 179, 217, 0.1); height: 24px;">
+                <div style="width: ${Math.min(row.ratio * 100, 100)}%; height: 100%; background: ${row.method === 'gzip' || row.method === 'deflate'
+                    ? 'linear-gradient(90deg, var(--lavender), var(--soft-purple))'
+                    : 'linear-gradient(90deg, var(--rose-pink), var(--soft-purple))'}; display: flex; align-items: center; padding-left: 0.5rem; color: #1a1625; font-size: 0.8rem; font-weight: 600; white-space: nowrap;">
+                    ${(row.ratio * 100).toFixed(2)}%
+                </div>
+            </div>
+        </div>
+    `).join('');
+    return `
+        <h3 style="color: var(--rose-pink); margin: 2rem 0 1rem 0; font-family: var(--font-display);">BENCHMARK (SIZE VS ORIGINAL)</h3>
+        ${bars}
+    `;
+}
+
+function showBenchmark() {
+    const canUseFile = Boolean(state.originalBytes) && !state.streaming && !state.archiveFiles;
+    const results = state.benchmark;
+    const skipped = results ? results.rows.filter(row => row.skipped) : [];
+    const header = 'text-align: left; padding: 0.5rem; border-bottom: 2px solid var(--rose-pink); cursor: pointer; white-space: nowrap;';
+    
+    const benchmarkHtml = `
+        <div style="line-height: 1.6;">
+            <p style="color: var(--text-secondary); font-size: 0.85rem; margin-bottom: 1rem;">
+                Runs the input through each Huffman mode and the browser's native <code>CompressionStream</code> gzip and deflate.
+                Overhead is everything but the coded data: container header, checksums and code tables, or the gzip/zlib framing.
+            </p>
+            <div class="option-row" style="flex-wrap: wrap;">
+                <label for="benchmarkSource">Input</label>
+                <select id="benchmarkSource">
+                    <option value="current" ${canUseFile ? '' : 'disabled'}>Current file${canUseFile ? '' : ' (single files only)'}</option>
+                    <option value="corpus" ${canUseFile ? '' : 'selected'}>Sample files (${BENCHMARK_CORPUS.join(', ')})</option>
+                </select>
+                <button class="btn-secondary" id="benchmarkRunBtn">Run Benchmark</button>
+                ${results ? '<button class="btn-secondary" id="benchmarkExportBtn">Export JSON</button>' : ''}
+            </div>
+            ${results ? `
+            <p style="color: var(--text-secondary); font-size: 0.8rem; margin-bottom: 0.5rem;">${results.inputs.map(input => `${escapeHtml(input.name)} (${formatBytes(input.size)})`).join(', ')} • ${new Date(results.generated).toLocaleString()} • click a heading to sort</p>
+            <div style="overflow-x: auto;">
+                <table style="width: 100%; border-collapse: collapse; font-size: 0.85rem;">
+                    <thead>
+                        <tr>
+                            ${BENCHMARK_COLUMNS.map(column => `<th data-sort="${column.key}" style="${header}">${column.label}${column.key === benchmarkSort.key ? (benchmarkSort.ascending ? ' ▲' : ' ▼') : ''}</th>`).join('')}
+                            <th style="${header} cursor: default;">Round Trip</th>
+                        </tr>
+                    </thead>
+                    <tbody>${formatBenchmarkRows(results.rows)}</tbody>
+                </table>
+            </div>
+            ${skipped.length ? `
+            <p style="color: var(--text-secondary); font-size: 0.8rem; margin-top: 0.5rem;">Not run: ${Array.from(new Set(skipped.map(row => `${row.label} (${row.skipped})`))).join(', ')}</p>` : ''}
+            ${formatBenchmarkChart(results.rows)}` : ''}
+        </div>
+    `;
+    showModal('BENCHMARK', benchmarkHtml);
+    
+    document.getElementById('benchmarkRunBtn').addEventListener('click', () => runBenchmark(document.getElementById('benchmarkSource').value));
+    if (!results) return;
+    document.getElementById('benchmarkExportBtn').addEventListener('click', exportBenchmark);
+    document.querySelectorAll('#modalBody th[data-sort]').forEach(th => th.addEventListener('click', () => {
+        const key = th.dataset.sort;
+        benchmarkSort = { key, ascending: benchmarkSort.key === key ? !benchmarkSort.ascending : true };
+        showBenchmark();
+    }));
+}
+
+function exportBenchmark() {
+    downloadText(JSON.stringify(state.benchmark, null, 2), 'application/json', `huffman-benchmark-${state.benchmark.generated.slice(0, 10)}.json`);
+    showToast('Benchmark exported!');
+}
+
+document.getElementById('viewBenchmarkBtn').addEventListener('click', showBenchmark);
+
 // Chart
 document.getElementById('viewChartBtn').addEventListener('click', () => {
-    const originalSize = new Blob([state.originalText]).size;
+    const originalSize = getOriginalSize();
     const compressedSize = state.compressedData.size;
     const originalPercent = 100;
     const compressedPercent = (compressedSize / originalSize) * 100;
@@ -784,50 +2951,315 @@ document.getElementById('viewChartBtn').addEventListener('click', () => {
                     </div>
                 </div>
             </div>
+            ${state.lzStats ? formatLzChart(state.lzStats, originalSize, compressedSize) : ''}
+            ${state.benchmark ? formatBenchmarkChart(state.benchmark.rows) : ''}
         </div>
     `;
     
     showModal('COMPRESSION CHART', chartHtml);
 });
 
+// One bar split into coloured segments: [{ label, value, color }]
+function formatStackedBar(title, segments, total) {
+    const bar = segments.map(segment => `
+                    <div title="${segment.label}" style="width: ${total ? (segment.value / total) * 100 : 0}%; height: 100%; background: ${segment.color};"></div>`).join('');
+    const legend = segments.map(segment => `
+                    <span><span style="display: inline-block; width: 0.8rem; height: 0.8rem; background: ${segment.color}; margin-right: 0.4rem;"></span>${segment.label}: ${formatBytes(segment.value)} (${total ? ((segment.value / total) * 100).toFixed(2) : '0.00'}%)</span>`).join('');
+    return `
+            <div style="margin-top: 2rem;">
+                <div style="margin-bottom: 0.5rem;">${title}</div>
+                <div style="background: rgba(255, 179, 217, 0.1); height: 40px; display: flex;">${bar}
+                </div>
+                <div style="display: flex; flex-wrap: wrap; gap: 1rem; margin-top: 0.5rem; font-size: 0.85rem; color: var(--text-secondary);">${legend}
+                </div>
+            </div>`;
+}
+
+// Input covered by literals vs matches, and where the output bytes go
+function formatLzChart(stats, originalSize, compressedSize) {
+    const tableBytes = Math.ceil(stats.tableBits / 8);
+    const literalBytes = Math.ceil(stats.literalBits / 8);
+    const matchBytes = Math.ceil(stats.matchBits / 8);
+    return formatStackedBar('Input: literal vs matched bytes', [
+        { label: 'Literal bytes', value: originalSize - stats.matchedBytes, color: 'var(--rose-pink)' },
+        { label: 'Matched bytes', value: stats.matchedBytes, color: 'var(--soft-purple)' }
+    ], originalSize) + formatStackedBar('Output: where the compressed bytes go', [
+        { label: 'Literal codes', value: literalBytes, color: 'var(--rose-pink)' },
+        { label: 'Match codes', value: matchBytes, color: 'var(--soft-purple)' },
+        { label: 'Code tables', value: tableBytes, color: 'var(--lavender)' },
+        { label: 'Container', value: Math.max(0, compressedSize - tableBytes - literalBytes - matchBytes), color: 'var(--text-secondary)' }
+    ], compressedSize);
+}
+
+// Literal and match shares of the LZ77 token stream
+function formatLzStats(stats, originalSize) {
+    const tokenBits = stats.literalBits + stats.matchBits;
+    const share = (part, whole) => whole ? ((part / whole) * 100).toFixed(2) : '0.00';
+    return `
+            <h3 style="color: var(--rose-pink); margin: 1.5rem 0 1rem 0; font-family: var(--font-display);">LZ77 BREAKDOWN</h3>
+            <p><strong style="color: var(--accent-pink);">Window:</strong> ${formatBytes(stats.window)}</p>
+            <p><strong style="color: var(--accent-pink);">Literals:</strong> ${stats.literalCount.toLocaleString()} bytes (${share(originalSize - stats.matchedBytes, originalSize)}% of input)</p>
+            <p><strong style="color: var(--accent-pink);">Matches:</strong> ${stats.matchCount.toLocaleString()} covering ${stats.matchedBytes.toLocaleString()} bytes (${share(stats.matchedBytes, originalSize)}% of input, ${stats.matchCount ? (stats.matchedBytes / stats.matchCount).toFixed(1) : 0} bytes each on average)</p>
+            <p><strong style="color: var(--accent-pink);">Literal Output:</strong> ${formatBytes(Math.ceil(stats.literalBits / 8))} (${share(stats.literalBits, tokenBits)}% of encoded data)</p>
+            <p><strong style="color: var(--accent-pink);">Match Output:</strong> ${formatBytes(Math.ceil(stats.matchBits / 8))} (${share(stats.matchBits, tokenBits)}% of encoded data)</p>
+            <p><strong style="color: var(--accent-pink);">Code Tables:</strong> ${formatBytes(Math.ceil(stats.tableBits / 8))} (literal/length, length bucket and distance bucket codes)</p>`;
+}
+
+// Symbols coded by their own context's table vs the shared table
+function formatContextStats(stats) {
+    const symbolCount = stats.contextSymbols + stats.sharedSymbols;
+    const share = (part, whole) => whole ? ((part / whole) * 100).toFixed(2) : '0.00';
+    return `
+            <h3 style="color: var(--rose-pink); margin: 1.5rem 0 1rem 0; font-family: var(--font-display);">CONTEXT MODEL</h3>
+            <p><strong style="color: var(--accent-pink);">Context Tables:</strong> ${stats.tableCount.toLocaleString()} of ${stats.contextCount.toLocaleString()} contexts (the rest use the shared table)</p>
+            <p><strong style="color: var(--accent-pink);">Context-Coded Symbols:</strong> ${stats.contextSymbols.toLocaleString()} (${share(stats.contextSymbols, symbolCount)}%), ${formatBytes(Math.ceil(stats.contextBits / 8))}</p>
+            <p><strong style="color: var(--accent-pink);">Shared-Table Symbols:</strong> ${stats.sharedSymbols.toLocaleString()} (${share(stats.sharedSymbols, symbolCount)}%), ${formatBytes(Math.ceil(stats.sharedBits / 8))}</p>
+            <p><strong style="color: var(--accent-pink);">Code Tables:</strong> ${formatBytes(Math.ceil(stats.tableBits / 8))}</p>`;
+}
+
+// Vocabulary tokens vs escaped ones spelled out in characters
+function formatTokenStats(stats) {
+    const tokenBits = stats.tokenBits + stats.escapeBits;
+    const share = (part, whole) => whole ? ((part / whole) * 100).toFixed(2) : '0.00';
+    return `
+            <h3 style="color: var(--rose-pink); margin: 1.5rem 0 1rem 0; font-family: var(--font-display);">TOKEN MODEL</h3>
+            <p><strong style="color: var(--accent-pink);">Vocabulary:</strong> ${stats.vocabularySize.toLocaleString()} tokens</p>
+            <p><strong style="color: var(--accent-pink);">Tokens:</strong> ${stats.tokenCount.toLocaleString()} (${stats.escapedTokens.toLocaleString()} escaped, ${share(stats.escapedTokens, stats.tokenCount)}%)</p>
+            <p><strong style="color: var(--accent-pink);">Vocabulary Output:</strong> ${formatBytes(Math.ceil(stats.tokenBits / 8))} (${share(stats.tokenBits, tokenBits)}% of encoded data)</p>
+            <p><strong style="color: var(--accent-pink);">Escape Output:</strong> ${formatBytes(Math.ceil(stats.escapeBits / 8))} (${share(stats.escapeBits, tokenBits)}% of encoded data)</p>
+            <p><strong style="color: var(--accent-pink);">Tables and Vocabulary:</strong> ${formatBytes(Math.ceil(stats.tableBits / 8))}</p>`;
+}
+
+// Symbols the codebook had codes for vs escaped ones the corpus never had
+function formatCodebookStats(stats, codebook) {
+    const symbolCount = stats.codedSymbols + stats.escapedSymbols;
+    const dataBits = stats.codedBits + stats.escapeBits;
+    const share = (part, whole) => whole ? ((part / whole) * 100).toFixed(2) : '0.00';
+    return `
+            <h3 style="color: var(--rose-pink); margin: 1.5rem 0 1rem 0; font-family: var(--font-display);">CODEBOOK</h3>
+            <p><strong style="color: var(--accent-pink);">Codebook:</strong> ${escapeHtml(formatCodebookName(codebook))}</p>
+            <p><strong style="color: var(--accent-pink);">ID:</strong> <code style="font-family: 'Courier New', monospace;">${codebook.id}</code></p>
+            <p><strong style="color: var(--accent-pink);">Coded Symbols:</strong> ${stats.codedSymbols.toLocaleString()} (${share(stats.codedSymbols, symbolCount)}%), ${formatBytes(Math.ceil(stats.codedBits / 8))}</p>
+            <p><strong style="color: var(--accent-pink);">Escaped Symbols:</strong> ${stats.escapedSymbols.toLocaleString()} (${share(stats.escapedSymbols, symbolCount)}%), ${formatBytes(Math.ceil(stats.escapeBits / 8))} (${share(stats.escapeBits, dataBits)}% of encoded data)</p>
+            <p><strong style="color: var(--accent-pink);">Table Section:</strong> ${formatBytes(Math.ceil(stats.tableBits / 8))} (the ID)</p>`;
+}
+
+// Cost of the code length cap against plain Huffman on the same frequencies
+function formatLengthLimit(limit) {
+    const extraBits = limit.limitedBits - limit.huffmanBits;
+    const extraPercent = limit.huffmanBits ? (extraBits / limit.huffmanBits) * 100 : 0;
+    return `
+            <p><strong style="color: var(--accent-pink);">Max Code Length:</strong> ${limit.maxCodeLength} bits (plain Huffman: ${limit.huffmanMaxLength} bits)</p>
+            <p><strong style="color: var(--accent-pink);">Length Limit Cost:</strong> ${limit.huffmanMaxLength > limit.maxCodeLength
+                ? `+${extraBits.toLocaleString()} bits (+${extraPercent.toFixed(4)}% encoded data)`
+                : 'None (the Huffman codes already fit)'}</p>`;
+}
+
 // Report
-document.getElementById('viewReportBtn').addEventListener('click', () => {
-    const originalSize = new Blob([state.originalText]).size;
+// Author fields are set in the report view and kept in localStorage; empty ones are left out
+const REPORT_AUTHOR_KEY = 'huffmanReportAuthor';
+const REPORT_AUTHOR_FIELDS = [
+    { key: 'name', label: 'Name' },
+    { key: 'id', label: 'ID' },
+    { key: 'institution', label: 'Institution' },
+    { key: 'course', label: 'Course' },
+    { key: 'project', label: 'Project' }
+];
+const REPORT_AUTHOR_DEFAULTS = { project: 'Huffman Coding - Lossless Data Compression' };
+
+function loadReportAuthor() {
+    try {
+        return JSON.parse(localStorage.getItem(REPORT_AUTHOR_KEY)) || { ...REPORT_AUTHOR_DEFAULTS };
+    } catch (error) {
+        return { ...REPORT_AUTHOR_DEFAULTS };
+    }
+}
+
+function saveReportAuthor(author) {
+    try {
+        localStorage.setItem(REPORT_AUTHOR_KEY, JSON.stringify(author));
+    } catch (error) {
+        // Still used for this report; only remembering it failed
+    }
+}
+
+function formatReportAuthor(author) {
+    const lines = REPORT_AUTHOR_FIELDS
+        .filter(field => author[field.key])
+        .map(field => `
+            <p><strong style="color: var(--accent-pink);">${field.label}:</strong> ${escapeHtml(author[field.key])}</p>`).join('');
+    return `
+            <h3 style="color: var(--rose-pink); margin: 1.5rem 0 1rem 0; font-family: var(--font-display);">AUTHOR INFORMATION</h3>
+            ${lines || '<p style="color: var(--text-secondary);">No author fields set</p>'}`;
+}
+
+// record: from getExportRecord(), for the SHA-256 and the timestamp
+function formatReport(record, author) {
+    const analysis = getAnalysis();
+    const originalSize = getOriginalSize();
     const compressedSize = state.compressedData.size;
     const compressionRatio = ((compressedSize / originalSize) * 100).toFixed(2);
     const spaceSaved = (100 - compressionRatio).toFixed(2);
-    const timestamp = new Date().toLocaleString();
+    const treeTableBytes = Math.ceil(state.tableSizes.treeBits / 8);
+    const canonicalTableBytes = Math.ceil(state.tableSizes.canonicalBits / 8);
+    const headerSaved = treeTableBytes - canonicalTableBytes;
     
-    const reportHtml = `
+    return `
         <div style="line-height: 1.8;">
-            <h3 style="color: var(--rose-pink); margin: 1.5rem 0 1rem 0; font-family: var(--font-display);">STUDENT INFORMATION</h3>
-            <p><strong style="color: var(--accent-pink);">Name:</strong> Zahra Barakat</p>
-            <p><strong style="color: var(--accent-pink);">Student ID:</strong> F23040129</p>
-            <p><strong style="color: var(--accent-pink);">Project:</strong> Huffman Coding - Lossless Data Compression</p>
+            <div id="reportAuthor">${formatReportAuthor(author)}</div>
             
             <h3 style="color: var(--rose-pink); margin: 1.5rem 0 1rem 0; font-family: var(--font-display);">FILE INFORMATION</h3>
-            <p><strong style="color: var(--accent-pink);">Filename:</strong> ${state.currentFile.name}</p>
+            <p><strong style="color: var(--accent-pink);">Filename:</strong> ${escapeHtml(state.currentFile.name)}</p>
             <p><strong style="color: var(--accent-pink);">Original Size:</strong> ${formatBytes(originalSize)}</p>
             <p><strong style="color: var(--accent-pink);">Compressed Size:</strong> ${formatBytes(compressedSize)}</p>
-            <p><strong style="color: var(--accent-pink);">Character Count:</strong> ${state.originalText.length}</p>
-            <p><strong style="color: var(--accent-pink);">Unique Characters:</strong> ${state.frequencyMap.size}</p>
+            <p><strong style="color: var(--accent-pink);">SHA-256 (${record.sha256Of === 'original' ? 'original' : '.bin file'}):</strong> <code style="font-family: 'Courier New', monospace; word-break: break-all;">${record.sha256}</code></p>
+            ${state.encrypted ? `
+            <p><strong style="color: var(--accent-pink);">Encryption:</strong> AES-256-GCM, key from PBKDF2-SHA-256 (${HuffmanEncryption.DEFAULT_ITERATIONS.toLocaleString()} iterations)</p>` : ''}
+            <p><strong style="color: var(--accent-pink);">Symbol Alphabet:</strong> ${state.mode === 'text' ? 'Text (Unicode characters)' : 'Bytes (0-255)'}</p>
+            ${state.archiveFiles ? `
+            <p><strong style="color: var(--accent-pink);">Entries:</strong> ${state.archiveEntries.length} (code table below is ${document.getElementById('encodeArchiveTableSelect').value === 'shared' ? 'the shared table' : "entry 1's"})</p>` : state.streaming ? `
+            <p><strong style="color: var(--accent-pink);">Blocks:</strong> ${state.streamBlocks.length} (code table below is block 1's)</p>` : `
+            <p><strong style="color: var(--accent-pink);">${state.mode === 'text' ? 'Character' : 'Byte'} Count:</strong> ${state.mode === 'text' ? HuffmanCodec.countCodePoints(state.originalText) : state.originalBytes.length}</p>`}
+            <p><strong style="color: var(--accent-pink);">Unique Symbols:</strong> ${state.frequencyMap.size}</p>
             
             <h3 style="color: var(--rose-pink); margin: 1.5rem 0 1rem 0; font-family: var(--font-display);">COMPRESSION STATISTICS</h3>
             <p><strong style="color: var(--accent-pink);">Compression Ratio:</strong> ${compressionRatio}%</p>
             <p><strong style="color: var(--accent-pink);">Space Saved:</strong> ${spaceSaved}%</p>
             <p><strong style="color: var(--accent-pink);">Bytes Saved:</strong> ${formatBytes(originalSize - compressedSize)}</p>
+            ${state.codec === 'adaptive' ? `
+            <p><strong style="color: var(--accent-pink);">Coding:</strong> Adaptive Huffman (FGK, one pass)</p>
+            <p><strong style="color: var(--accent-pink);">Static Huffman Size:</strong> ${formatBytes(state.staticSize)}</p>` : ''}
+            ${state.codec === 'lz77' ? `
+            <p><strong style="color: var(--accent-pink);">Coding:</strong> LZ77 + Huffman (separate literal, length and distance codes)</p>
+            <p><strong style="color: var(--accent-pink);">Static Huffman Size:</strong> ${formatBytes(state.staticSize)}</p>
+            ${formatLzStats(state.lzStats, originalSize)}` : ''}
+            ${state.codec === 'context' ? `
+            <p><strong style="color: var(--accent-pink);">Coding:</strong> Order-1 context model (a Huffman table per preceding symbol, shared table for rare contexts)</p>
+            <p><strong style="color: var(--accent-pink);">Static Huffman Size:</strong> ${formatBytes(state.staticSize)}</p>
+            ${formatContextStats(state.contextStats)}` : ''}
+            ${state.codec === 'tokens' ? `
+            <p><strong style="color: var(--accent-pink);">Coding:</strong> Word tokens (vocabulary in the header, rare tokens escaped to a character code)</p>
+            <p><strong style="color: var(--accent-pink);">Static Huffman Size:</strong> ${formatBytes(state.staticSize)}</p>
+            ${formatTokenStats(state.tokenStats)}` : ''}
+            ${state.codec === 'codebook' ? `
+            <p><strong style="color: var(--accent-pink);">Coding:</strong> Shared codebook (trained on samples; the file stores only its ID)</p>
+            <p><strong style="color: var(--accent-pink);">Static Huffman Size:</strong> ${formatBytes(state.staticSize)}</p>
+            ${formatCodebookStats(state.codebookStats, state.codebook)}` : ''}
+            
+            <h3 style="color: var(--rose-pink); margin: 1.5rem 0 1rem 0; font-family: var(--font-display);">INFORMATION THEORY</h3>
+            ${formatAnalysisSummary(analysis)}
+            
+            <h3 style="color: var(--rose-pink); margin: 1.5rem 0 1rem 0; font-family: var(--font-display);">CODE TABLE</h3>
+            <p><strong style="color: var(--accent-pink);">Table Format:</strong> ${state.codec === 'adaptive'
+                ? 'None (adaptive Huffman rebuilds the tree while decoding)'
+                : state.codec === 'lz77' ? 'Three canonical tables, codes up to 15 bits (static figures below are for comparison)'
+                : state.codec === 'context' ? 'Shared canonical table plus one per frequent context, codes up to 24 bits (static figures below are for comparison)'
+                : state.codec === 'tokens' ? 'Character code, front-coded vocabulary and canonical token code, codes up to 24 bits (static figures below are for comparison)'
+                : state.codec === 'codebook' ? 'Codebook ID only; the canonical table is in the .hcb file (static figures below are for comparison)'
+                : state.canonical ? 'Canonical (symbols + code lengths)' : 'Serialized tree'}</p>
+            <p><strong style="color: var(--accent-pink);">Tree Format Size:</strong> ${formatBytes(treeTableBytes)}</p>
+            <p><strong style="color: var(--accent-pink);">Canonical Format Size:</strong> ${formatBytes(canonicalTableBytes)}</p>
+            <p><strong style="color: var(--accent-pink);">Header Bytes ${headerSaved >= 0 ? 'Saved' : 'Added'} by Canonical Codes:</strong> ${Math.abs(headerSaved)} bytes</p>
+            ${state.lengthLimit ? formatLengthLimit(state.lengthLimit) : ''}
             
             <h3 style="color: var(--rose-pink); margin: 1.5rem 0 1rem 0; font-family: var(--font-display);">ALGORITHM DETAILS</h3>
-            <p><strong style="color: var(--accent-pink);">Algorithm:</strong> Huffman Coding</p>
-            <p><strong style="color: var(--accent-pink);">Time Complexity:</strong> O(n log k)</p>
-            <p><strong style="color: var(--accent-pink);">Space Complexity:</strong> O(k)</p>
+            <p><strong style="color: var(--accent-pink);">Algorithm:</strong> ${state.codec === 'lz77' ? 'LZ77 + Huffman Coding' : state.codec === 'context' ? 'Order-1 Context Huffman Coding'
+                : state.codec === 'tokens' ? 'Word-Level Huffman Coding' : state.codec === 'codebook' ? 'Huffman Coding with a Trained Codebook' : 'Huffman Coding'}</p>
+            <p><strong style="color: var(--accent-pink);">Symbols Coded:</strong> ${analysis.overall.symbolCount.toLocaleString()}${analysis.parts ? '' : ` (${state.frequencyMap.size.toLocaleString()} distinct)`}</p>
+            <p><strong style="color: var(--accent-pink);">Huffman Code Output:</strong> ${analysis.overall.codedBits.toLocaleString()} bits against ${Math.ceil(analysis.overall.entropyBits).toLocaleString()} bits of entropy</p>
             <p><strong style="color: var(--accent-pink);">Encoding Type:</strong> Variable-length prefix coding</p>
             <p><strong style="color: var(--accent-pink);">Data Loss:</strong> None (lossless compression)</p>
             
             <h3 style="color: var(--rose-pink); margin: 1.5rem 0 1rem 0; font-family: var(--font-display);">TIMESTAMP</h3>
-            <p><strong style="color: var(--accent-pink);">Generated:</strong> ${timestamp}</p>
+            <p><strong style="color: var(--accent-pink);">Generated:</strong> ${new Date(record.generated).toLocaleString()} (${record.generated})</p>
         </div>
     `;
-    
-    showModal('COMPRESSION REPORT', reportHtml);
-});
\ No newline at end of file
+}
+
+async function showReport() {
+    let record;
+    try {
+        record = await getExportRecord();
+    } catch (error) {
+        showToast('Report failed: ' + error.message, 'error');
+        return;
+    }
+    const author = loadReportAuthor();
+    const fields = REPORT_AUTHOR_FIELDS.map(field => `
+                <label>${field.label} <input type="text" data-author="${field.key}" value="${escapeHtml(author[field.key] || '')}"></label>`).join('');
+    
+    showModal('COMPRESSION REPORT', `
+        <details style="margin-bottom: 1rem;">
+            <summary style="cursor: pointer; color: var(--text-secondary); margin-bottom: 0.5rem;">Author fields</summary>
+            <div class="option-row" style="flex-wrap: wrap;">${fields}
+            </div>
+        </details>
+        <div style="display: flex; gap: 0.5rem; margin-bottom: 1rem;">${formatExportButtons(['html'])}</div>
+        ${formatReport(record, author)}
+    `);
+    
+    document.querySelectorAll('#modalBody [data-author]').forEach(input => input.addEventListener('input', () => {
+        author[input.dataset.author] = input.value.trim();
+        saveReportAuthor(author);
+        document.getElementById('reportAuthor').innerHTML = formatReportAuthor(author);
+    }));
+    bindExportButtons(() => exportReport(author));
+}
+
+// The downloaded report is one HTML file: the theme's colours are inlined, fonts fall back
+// to local ones, and the frequency table the modals show separately is appended
+const REPORT_PAGE_STYLE = `
+    :root {
+        --rose-pink: #ffb3d9;
+        --soft-purple: #c8a2d0;
+        --lavender: #b19cd9;
+        --accent-pink: #ff85c0;
+        --text-primary: #f5e6f0;
+        --text-secondary: #d4b5d4;
+        --font-display: 'Playfair Display', Georgia, serif;
+        --font-body: 'Inter', 'Segoe UI', Helvetica, Arial, sans-serif;
+    }
+    body { margin: 0; background: #1a1625; color: var(--text-primary); font-family: var(--font-body); }
+    main { max-width: 960px; margin: 0 auto; padding: 2rem; }
+    h1 { font-family: var(--font-display); color: var(--rose-pink); font-weight: 500; }
+    table { font-size: 0.9rem; }
+    @media print {
+        body { background: #fff; color: #1a1625; }
+        :root { --text-primary: #1a1625; --text-secondary: #555; --rose-pink: #b0306e; --accent-pink: #b0306e; --lavender: #5b4391; }
+    }`;
+
+async function exportReport(author) {
+    try {
+        const record = await getExportRecord();
+        const table = state.tokenModel
+            ? formatFrequencyTable(state.tokenModel.frequencyMap, state.tokenModel.codes, tokenTableOptions(''))
+            : formatFrequencyTable(state.frequencyMap, state.huffmanCodes, fileTableOptions(''));
+        const title = `Compression Report: ${state.currentFile.name}`;
+        const page = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="generator" content="Huffman Encoder/Decoder">
+    <title>${escapeHtml(title)}</title>
+    <style>${REPORT_PAGE_STYLE}
+    </style>
+</head>
+<body>
+<main>
+    <h1>${escapeHtml(title)}</h1>
+    ${formatReport(record, author)}
+    <h3 style="color: var(--rose-pink); margin: 1.5rem 0 1rem 0; font-family: var(--font-display);">${state.tokenModel ? 'TOKEN' : 'SYMBOL'} FREQUENCIES AND CODES${state.codec !== 'huffman' && !state.tokenModel ? ' (STATIC HUFFMAN, FOR COMPARISON)' : ''}</h3>
+    ${table}
+</main>
+</body>
+</html>
+`;
+        downloadText(page, 'text/html', exportFilename('report', 'html'));
+        showToast('Report exported!');
+    } catch (error) {
+        showToast('Export failed: ' + error.message, 'error');
+    }
+}
+
+document.getElementById('viewReportBtn').addEventListener('click', showReport);
\ No newline at end of file
@@ -0,0 +1,292 @@
+// Huffman Adaptive - one-pass (FGK) adaptive Huffman coding; no code table is stored
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./bitio'));
+    } else {
+        root.HuffmanAdaptive = factory(root.HuffmanBitIO);
+    }
+})(typeof self !== 'undefined' ? self : this, function (BitIO) {
+    'use strict';
+
+    const MODE_TEXT = 'text';
+    const MODE_BYTES = 'bytes';
+    const PROGRESS_INTERVAL = 1 << 20;
+    const NONE = -1;
+
+    function noProgress() {}
+
+    // Symbols not seen yet are sent as the NYT ("not yet transmitted") code
+    // followed by the symbol itself, in the same form as static tree leaves:
+    // - bytes: 8-bit byte value
+    // - text: code point as '0' + 8 bits, '10' + 16 bits or '11' + 21 bits
+    function writeLiteral(writer, symbol, mode) {
+        if (mode === MODE_BYTES) {
+            writer.writeBits(symbol, 8);
+        } else if (symbol <= 0xFF) {
+            writer.writeBits(0b0, 1);
+            writer.writeBits(symbol, 8);
+        } else if (symbol <= 0xFFFF) {
+            writer.writeBits(0b10, 2);
+            writer.writeBits(symbol, 16);
+        } else {
+            writer.writeBits(0b11, 2);
+            writer.writeBits(symbol, 21);
+        }
+    }
+
+    function readLiteral(reader, mode) {
+        if (mode === MODE_BYTES) return reader.readBits(8);
+        if (reader.readBit() === 0) return reader.readBits(8);
+        if (reader.readBit() === 0) return reader.readBits(16);
+        return reader.readBits(21);
+    }
+
+    // FGK tree. Encoder and decoder apply the same update after every symbol,
+    // so they always agree on the codes. Nodes are numbered by their position
+    // in `order`: position 0 is the root and weights never increase with
+    // position (the sibling property), so the highest-numbered node of a given
+    // weight is the first one of its run.
+    class AdaptiveTree {
+        constructor(mode = MODE_TEXT) {
+            this.mode = mode;
+            this.size = 0;
+            this.allocate(mode === MODE_BYTES ? 2 * 256 + 1 : 1024);
+            this.leaves = mode === MODE_BYTES ? new Int32Array(256).fill(NONE) : new Map();
+            this.path = new Uint8Array(64);
+
+            // The tree starts as a lone NYT node, which is also the root
+            this.nyt = this.addNode(NONE, NONE);
+        }
+
+        allocate(capacity) {
+            const grow = (Type, old) => {
+                const array = new Type(capacity);
+                if (old) array.set(old.subarray(0, this.size));
+                return array;
+            };
+            this.parent = grow(Int32Array, this.parent);
+            this.left = grow(Int32Array, this.left);
+            this.right = grow(Int32Array, this.right);
+            this.symbol = grow(Int32Array, this.symbol);
+            this.weight = grow(Float64Array, this.weight);
+            this.position = grow(Int32Array, this.position);
+            this.order = grow(Int32Array, this.order);
+            this.capacity = capacity;
+        }
+
+        // New nodes always take the lowest number (the last position)
+        addNode(parent, symbol) {
+            if (this.size === this.capacity) this.allocate(this.capacity * 2);
+            const node = this.size++;
+            this.parent[node] = parent;
+            this.left[node] = NONE;
+            this.right[node] = NONE;
+            this.symbol[node] = symbol;
+            this.weight[node] = 0;
+            this.position[node] = node;
+            this.order[node] = node;
+            return node;
+        }
+
+        leafOf(symbol) {
+            if (this.mode === MODE_BYTES) return this.leaves[symbol];
+            const leaf = this.leaves.get(symbol);
+            return leaf === undefined ? NONE : leaf;
+        }
+
+        isLeaf(node) {
+            return this.left[node] === NONE;
+        }
+
+        // Write the path from the root to `node`
+        writePath(writer, node) {
+            let depth = 0;
+            for (let n = node; this.parent[n] !== NONE; n = this.parent[n]) {
+                if (depth === this.path.length) {
+                    const grown = new Uint8Array(depth * 2);
+                    grown.set(this.path);
+                    this.path = grown;
+                }
+                this.path[depth++] = this.right[this.parent[n]] === n ? 1 : 0;
+            }
+            while (depth > 0) {
+                const count = Math.min(depth, 24);
+                let value = 0;
+                for (let i = 0; i < count; i++) value = (value << 1) | this.path[--depth];
+                writer.writeBits(value, count);
+            }
+        }
+
+        // Symbols are code points in text mode and byte values in byte mode
+        encode(writer, symbol) {
+            const leaf = this.leafOf(symbol);
+            if (leaf === NONE) {
+                this.writePath(writer, this.nyt);
+                writeLiteral(writer, symbol, this.mode);
+            } else {
+                this.writePath(writer, leaf);
+            }
+            this.update(symbol, leaf);
+        }
+
+        decode(reader) {
+            let node = 0;
+            while (!this.isLeaf(node)) {
+                node = reader.readBit() ? this.right[node] : this.left[node];
+            }
+            const leaf = node === this.nyt ? NONE : node;
+            const symbol = leaf === NONE ? readLiteral(reader, this.mode) : this.symbol[leaf];
+            this.update(symbol, leaf);
+            return symbol;
+        }
+
+        // Highest-numbered node with the same weight as `node`
+        leader(node) {
+            const weight = this.weight[node];
+            let p = this.position[node];
+            while (p > 0 && this.weight[this.order[p - 1]] === weight) p--;
+            return this.order[p];
+        }
+
+        // Exchange two subtrees, keeping their numbers in place
+        swap(a, b) {
+            const parentA = this.parent[a];
+            const parentB = this.parent[b];
+            const aIsRight = this.right[parentA] === a;
+            const bIsRight = this.right[parentB] === b;
+            if (aIsRight) this.right[parentA] = b;
+            else this.left[parentA] = b;
+            if (bIsRight) this.right[parentB] = a;
+            else this.left[parentB] = a;
+            this.parent[a] = parentB;
+            this.parent[b] = parentA;
+
+            const positionA = this.position[a];
+            this.position[a] = this.position[b];
+            this.position[b] = positionA;
+            this.order[this.position[a]] = a;
+            this.order[this.position[b]] = b;
+        }
+
+        update(symbol, leaf) {
+            let node = leaf;
+            if (node === NONE) {
+                // The NYT node splits into a new NYT (0 branch) and the new leaf (1 branch)
+                const parent = this.nyt;
+                node = this.addNode(parent, symbol);
+                this.nyt = this.addNode(parent, NONE);
+                this.right[parent] = node;
+                this.left[parent] = this.nyt;
+                if (this.mode === MODE_BYTES) this.leaves[symbol] = node;
+                else this.leaves.set(symbol, node);
+            }
+
+            // Only the parent can share the weight of a node and be its ancestor
+            while (node !== NONE) {
+                const leader = this.leader(node);
+                if (leader !== node && leader !== this.parent[node]) this.swap(node, leader);
+                this.weight[node]++;
+                node = this.parent[node];
+            }
+        }
+
+        // Current code of every seen symbol, keyed like generateCodes()
+        getCodes() {
+            const codes = {};
+            (function collect(tree, node, code) {
+                if (tree.isLeaf(node)) {
+                    if (node === tree.nyt) return;
+                    const symbol = tree.symbol[node];
+                    codes[tree.mode === MODE_BYTES ? symbol : String.fromCodePoint(symbol)] = code || '0';
+                    return;
+                }
+                collect(tree, tree.left[node], code + '0');
+                collect(tree, tree.right[node], code + '1');
+            })(this, 0, '');
+            return codes;
+        }
+    }
+
+    // Encode a string (text) or byte array in one pass
+    function encodeSymbols(symbols, onProgress = noProgress) {
+        const mode = typeof symbols === 'string' ? MODE_TEXT : MODE_BYTES;
+        const tree = new AdaptiveTree(mode);
+        const writer = new BitIO.BitWriter(symbols.length + 16);
+
+        for (let start = 0; start < symbols.length;) {
+            onProgress('encoding', start / symbols.length);
+            const end = Math.min(symbols.length, start + PROGRESS_INTERVAL);
+            let i = start;
+            if (mode === MODE_BYTES) {
+                for (; i < end; i++) tree.encode(writer, symbols[i]);
+            } else {
+                for (; i < end; i++) {
+                    const codePoint = symbols.codePointAt(i);
+                    if (codePoint > 0xFFFF) i++;
+                    tree.encode(writer, codePoint);
+                }
+            }
+            start = i;
+        }
+        onProgress('encoding', 1);
+
+        return writer.finish();
+    }
+
+    // Output buffers only grow if the stored original size was wrong
+    function reserve(out, count) {
+        if (out.length + count <= out.buffer.length) return;
+        const grown = new Uint8Array(Math.max(16, out.buffer.length * 2));
+        grown.set(out.buffer.subarray(0, out.length));
+        out.buffer = grown;
+    }
+
+    function writeUtf8(out, codePoint) {
+        reserve(out, 4);
+        const buffer = out.buffer;
+        if (codePoint < 0x80) {
+            buffer[out.length++] = codePoint;
+        } else if (codePoint < 0x800) {
+            buffer[out.length++] = 0xC0 | (codePoint >> 6);
+            buffer[out.length++] = 0x80 | (codePoint & 0x3F);
+        } else if (codePoint < 0x10000) {
+            buffer[out.length++] = 0xE0 | (codePoint >> 12);
+            buffer[out.length++] = 0x80 | ((codePoint >> 6) & 0x3F);
+            buffer[out.length++] = 0x80 | (codePoint & 0x3F);
+        } else {
+            buffer[out.length++] = 0xF0 | (codePoint >> 18);
+            buffer[out.length++] = 0x80 | ((codePoint >> 12) & 0x3F);
+            buffer[out.length++] = 0x80 | ((codePoint >> 6) & 0x3F);
+            buffer[out.length++] = 0x80 | (codePoint & 0x3F);
+        }
+    }
+
+    // Decode symbolCount symbols; text comes back as UTF-8 bytes
+    function decodeSymbols(data, dataBits, mode, options = {}) {
+        const onProgress = options.onProgress || noProgress;
+        const symbolCount = options.symbolCount || 0;
+        const tree = new AdaptiveTree(mode);
+        const reader = new BitIO.BitReader(data, dataBits);
+        const out = { buffer: new Uint8Array(options.expectedLength || symbolCount), length: 0 };
+
+        for (let n = 0; n < symbolCount; n++) {
+            if ((n & (PROGRESS_INTERVAL - 1)) === 0) onProgress('decoding', n / symbolCount);
+            const symbol = tree.decode(reader);
+            if (mode === MODE_BYTES) {
+                reserve(out, 1);
+                out.buffer[out.length++] = symbol;
+            } else {
+                writeUtf8(out, symbol);
+            }
+        }
+        onProgress('decoding', 1);
+
+        return out.buffer.subarray(0, out.length);
+    }
+
+    return {
+        AdaptiveTree,
+        encodeSymbols,
+        decodeSymbols
+    };
+});
@@ -0,0 +1,190 @@
+// Huffman Archive - several files in one .bin with a central directory and single-entry extraction
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./codec'), require('./container'), require('./stream'));
+    } else {
+        root.HuffmanArchive = factory(root.HuffmanCodec, root.HuffmanContainer, root.HuffmanStream);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Codec, Container, Stream) {
+    'use strict';
+
+    const MAX_ENTRY_SIZE = 0xFFFFFFFF; // entry records hold 32-bit lengths
+    const MAX_PATH_LENGTH = 0xFFFF;
+
+    // Entries are stored under relative '/'-separated paths; absolute paths and '..'
+    // segments are refused on both sides so extraction can never leave its folder
+    function normalizePath(path) {
+        const text = String(path).replace(/\\/g, '/');
+        const parts = text.split('/').filter(part => part && part !== '.');
+        if (!parts.length || text.startsWith('/') || /^[a-zA-Z]:$/.test(parts[0]) || parts.includes('..')) {
+            throw new Error(`Unsafe archive path: ${path}`);
+        }
+        return parts.join('/');
+    }
+
+    // Compression: yields the archive as a sequence of Uint8Array pieces.
+    // entries: [{ path, mtime, read: async () => Uint8Array }]; each is read once, or twice with a shared table.
+    // options: mode ('auto' | 'text' | 'bytes'), sharedTable, canonical, maxCodeLength, checksum,
+    // filename (archive name), onEntry(info) after each entry.
+    async function* create(entries, options = {}) {
+        const checksum = options.checksum || 'sha256';
+        const onEntry = options.onEntry || (() => {});
+        const paths = entries.map(entry => normalizePath(entry.path));
+        const seen = new Set();
+        for (const path of paths) {
+            if (seen.has(path)) throw new Error(`Duplicate archive path: ${path}`);
+            if (new TextEncoder().encode(path).length > MAX_PATH_LENGTH) throw new Error(`Archive path is too long: ${path}`);
+            seen.add(path);
+        }
+
+        // The shared table codes bytes, counted over every entry
+        let sharedModel = null;
+        if (options.sharedTable) {
+            const counts = new Map();
+            for (const entry of entries) {
+                for (const [byte, count] of Codec.calculateFrequencies(await entry.read())) {
+                    counts.set(byte, (counts.get(byte) || 0) + count);
+                }
+            }
+            sharedModel = Codec.buildModel(new Uint8Array(0), {
+                frequencyMap: counts,
+                canonical: options.canonical,
+                maxCodeLength: options.maxCodeLength
+            });
+        }
+
+        const table = sharedModel ? Codec.serializeTable(sharedModel, Codec.MODE_BYTES) : { bytes: new Uint8Array(0), bitLength: 0 };
+        const header = Container.writeArchiveHeader({
+            checksum: checksum,
+            options: { sharedTable: sharedModel !== null, canonical: sharedModel !== null && sharedModel.canonical },
+            metadata: {
+                filename: options.filename || '',
+                mtime: options.mtime,
+                maxCodeLength: options.maxCodeLength
+            },
+            table: table.bytes,
+            tableBits: table.bitLength
+        });
+        let offset = header.length;
+        yield header;
+
+        const written = [];
+        for (let i = 0; i < entries.length; i++) {
+            const bytes = await entries[i].read();
+            if (bytes.length > MAX_ENTRY_SIZE) {
+                throw new RangeError(`${paths[i]} is too large for an archive entry (${MAX_ENTRY_SIZE} bytes at most)`);
+            }
+            const encoded = await Codec.encodeBlock(bytes, {
+                mode: options.mode,
+                canonical: options.canonical,
+                maxCodeLength: options.maxCodeLength,
+                checksum: checksum,
+                sharedModel: sharedModel
+            });
+            const record = Container.writeBlock(encoded, checksum);
+            written.push({
+                path: paths[i],
+                mtime: entries[i].mtime,
+                offset: offset,
+                originalLength: bytes.length,
+                compressedLength: record.length,
+                hash: encoded.hash
+            });
+            onEntry({
+                index: i,
+                path: paths[i],
+                originalLength: bytes.length,
+                compressedLength: record.length,
+                alphabet: encoded.alphabet,
+                model: encoded.model,
+                data: encoded.data,
+                dataBits: encoded.dataBits
+            });
+            offset += record.length;
+            yield record;
+        }
+
+        yield Container.writeArchiveEnd(written, offset, checksum);
+    }
+
+    // Read the header, the shared table (if any) and the central directory; no entry is decoded
+    async function openDirectory(input) {
+        const source = Stream.toSource(input);
+        const prefix = await source.read(0, Container.STREAM_PREFIX_LENGTH);
+        if (!Container.isArchive(prefix)) throw new Error('Not a Huffman archive file');
+        const headerPrefix = await source.read(0, Container.archivePrefixLength(prefix));
+        const header = Container.readArchiveHeader(await source.read(0, Container.archiveHeaderLength(headerPrefix)));
+
+        let shared = null;
+        if (header.options.sharedTable) {
+            try {
+                shared = Codec.readTable(header.table, header.tableBits, header.options.canonical, Codec.MODE_BYTES, header.metadata.maxCodeLength);
+            } catch (error) {
+                throw Container.locate(error, { table: header.tableOffset });
+            }
+        }
+
+        const footer = Container.readArchiveFooter(await source.read(source.size - Container.ARCHIVE_FOOTER_LENGTH, Container.ARCHIVE_FOOTER_LENGTH), source.size);
+        const directory = await source.read(footer.directoryOffset, source.size - Container.ARCHIVE_FOOTER_LENGTH - footer.directoryOffset);
+        const entries = Container.readArchiveDirectory(directory, footer.entryCount, header, footer.directoryOffset);
+        for (const entry of entries) entry.path = normalizePath(entry.path);
+
+        return {
+            source,
+            header,
+            entries,
+            sharedTree: shared ? shared.tree : null,
+            sharedCodes: shared ? shared.codes : null,
+            originalSize: footer.originalSize,
+            compressedSize: source.size
+        };
+    }
+
+    // Entry `i` as stored (header fields, table and encoded data), without decoding it
+    async function readRawEntry(archive, i) {
+        const entry = archive.entries[i];
+        if (!entry) throw new RangeError(`No entry ${i}`);
+        const bytes = await archive.source.read(entry.offset, entry.compressedLength);
+        try {
+            const blockHeader = Container.readBlockHeader(bytes, archive.header, entry.offset);
+            if (!blockHeader) {
+                throw new Container.CorruptFileError(`entry ${entry.path} points at the end marker`, { section: 'directory', offset: entry.offset });
+            }
+            return Container.splitBlockBody(blockHeader, bytes.subarray(blockHeader.headerLength));
+        } catch (error) {
+            throw Container.locate(error, {}, i);
+        }
+    }
+
+    // Decode entry `i` on its own; throws if its size or checksum does not match the directory
+    async function extractEntry(archive, i, options = {}) {
+        const entry = archive.entries[i];
+        const block = await readRawEntry(archive, i);
+        let data;
+        try {
+            data = Codec.decodeBlock(block, {
+                decoder: options.decoder,
+                maxCodeLength: archive.header.metadata.maxCodeLength,
+                tree: archive.sharedTree
+            });
+        } catch (error) {
+            throw Container.locate(error, {}, i);
+        }
+
+        if (data.length !== entry.originalLength) {
+            throw new Error(`Entry ${entry.path} decoded to ${data.length} bytes instead of ${entry.originalLength}`);
+        }
+        if (entry.hash && options.verify !== false && await Codec.calculateHash(data) !== entry.hash) {
+            throw new Error(`Entry ${entry.path} failed its SHA-256 check`);
+        }
+        return data;
+    }
+
+    return {
+        normalizePath,
+        create,
+        openDirectory,
+        readRawEntry,
+        extractEntry
+    };
+});
@@ -0,0 +1,135 @@
+// Huffman Benchmark - the codec's modes against the platform's gzip/deflate (CompressionStream)
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./codec'));
+    } else {
+        root.HuffmanBenchmark = factory(root.HuffmanCodec);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Codec) {
+    'use strict';
+
+    // Small inputs take well under a millisecond, so each step repeats until it has run
+    // for MIN_TIME_MS (or MAX_RUNS times) and the mean time is reported
+    const MIN_TIME_MS = 50;
+    const MAX_RUNS = 20;
+
+    const METHODS = [
+        { id: 'huffman', label: 'Huffman', options: {} },
+        { id: 'canonical', label: 'Huffman (canonical)', options: { canonical: true } },
+        { id: 'adaptive', label: 'Adaptive Huffman', options: { codec: Codec.CODEC_ADAPTIVE } },
+        { id: 'lz77', label: 'LZ77 + Huffman', options: { codec: Codec.CODEC_LZ77 } },
+        { id: 'context', label: 'Order-1 context', options: { codec: Codec.CODEC_CONTEXT } },
+        { id: 'tokens', label: 'Word tokens', options: { codec: Codec.CODEC_TOKENS } },
+        { id: 'gzip', label: 'gzip (native)', format: 'gzip' },
+        { id: 'deflate', label: 'deflate (native)', format: 'deflate' }
+    ];
+
+    // Framing bytes around the DEFLATE data: the 10-byte gzip header (CompressionStream
+    // stores no filename) plus CRC-32 and size, or the 2-byte zlib header plus Adler-32
+    const NATIVE_OVERHEAD = { gzip: 18, deflate: 6 };
+
+    async function time(task) {
+        let runs = 0;
+        let total = 0;
+        let result;
+        do {
+            const start = performance.now();
+            result = await task();
+            total += performance.now() - start;
+            runs++;
+        } while (total < MIN_TIME_MS && runs < MAX_RUNS);
+        return { result, ms: total / runs };
+    }
+
+    async function pipe(bytes, transform) {
+        const response = new Response(new Blob([bytes]).stream().pipeThrough(transform));
+        return new Uint8Array(await response.arrayBuffer());
+    }
+
+    function sameBytes(a, b) {
+        if (a.length !== b.length) return false;
+        for (let i = 0; i < a.length; i++) {
+            if (a[i] !== b[i]) return false;
+        }
+        return true;
+    }
+
+    function throughput(size, ms) {
+        return ms ? (size / 1024 / 1024) / (ms / 1000) : 0;
+    }
+
+    async function runMethod(method, bytes) {
+        if (method.format) {
+            if (typeof CompressionStream === 'undefined') return { skipped: 'CompressionStream is not available' };
+            const encoded = await time(() => pipe(bytes, new CompressionStream(method.format)));
+            const decoded = await time(() => pipe(encoded.result, new DecompressionStream(method.format)));
+            return {
+                mode: 'bytes',
+                compressed: encoded.result,
+                overheadBytes: NATIVE_OVERHEAD[method.format],
+                encodeMs: encoded.ms,
+                decodeMs: decoded.ms,
+                data: decoded.result
+            };
+        }
+        const mode = Codec.detectMode(bytes);
+        if (method.options.codec === Codec.CODEC_TOKENS && mode !== Codec.MODE_TEXT) return { skipped: 'Token coding needs text' };
+        const encoded = await time(() => Codec.compress(Codec.toSymbols(bytes, mode), { ...method.options, mode }));
+        const decoded = await time(() => Codec.decompress(encoded.result));
+        // Everything but the data section: header, metadata, checksums and code tables
+        const { data } = Codec.readContainer(encoded.result);
+        return {
+            mode: mode,
+            compressed: encoded.result,
+            overheadBytes: encoded.result.length - data.length,
+            encodeMs: encoded.ms,
+            decodeMs: decoded.ms,
+            data: decoded.result.data
+        };
+    }
+
+    // inputs: [{ name, bytes }]; options: methods (ids, all by default), onProgress(fraction).
+    // Returns one row per input and method; methods the platform lacks come back with `skipped`.
+    async function run(inputs, options = {}) {
+        const methods = options.methods ? METHODS.filter(method => options.methods.includes(method.id)) : METHODS;
+        const onProgress = options.onProgress || (() => {});
+        const rows = [];
+        let done = 0;
+
+        onProgress(0);
+        for (const input of inputs) {
+            for (const method of methods) {
+                const row = {
+                    input: input.name,
+                    method: method.id,
+                    label: method.label,
+                    originalSize: input.bytes.length
+                };
+                const outcome = await runMethod(method, input.bytes);
+                if (outcome.skipped) {
+                    row.skipped = outcome.skipped;
+                } else {
+                    Object.assign(row, {
+                        mode: outcome.mode,
+                        compressedSize: outcome.compressed.length,
+                        overheadBytes: outcome.overheadBytes,
+                        ratio: input.bytes.length ? outcome.compressed.length / input.bytes.length : 0,
+                        encodeMs: outcome.encodeMs,
+                        decodeMs: outcome.decodeMs,
+                        encodeMBps: throughput(input.bytes.length, outcome.encodeMs),
+                        decodeMBps: throughput(input.bytes.length, outcome.decodeMs),
+                        roundTrip: sameBytes(outcome.data, input.bytes)
+                    });
+                }
+                rows.push(row);
+                onProgress(++done / (inputs.length * methods.length));
+            }
+        }
+        return rows;
+    }
+
+    return {
+        METHODS,
+        run
+    };
+});
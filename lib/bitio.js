@@ -0,0 +1,133 @@
+// Huffman BitIO - MSB-first bit writer/reader over Uint8Array buffers
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.HuffmanBitIO = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    class BitWriter {
+        constructor(capacity = 1024) {
+            this.bytes = new Uint8Array(Math.max(capacity, 16));
+            this.length = 0;     // complete bytes written
+            this.acc = 0;        // pending bits (fewer than 8)
+            this.accBits = 0;
+        }
+
+        get bitLength() {
+            return this.length * 8 + this.accBits;
+        }
+
+        ensureCapacity(extraBytes) {
+            if (this.length + extraBytes <= this.bytes.length) return;
+            let capacity = this.bytes.length * 2;
+            while (capacity < this.length + extraBytes) capacity *= 2;
+            const grown = new Uint8Array(capacity);
+            grown.set(this.bytes.subarray(0, this.length));
+            this.bytes = grown;
+        }
+
+        // Write the low `count` bits of `value` (count <= 32)
+        writeBits(value, count) {
+            if (count > 16) {
+                this.writeBits(value >>> 16, count - 16);
+                value &= 0xFFFF;
+                count = 16;
+            }
+            this.ensureCapacity(3);
+            this.acc = (this.acc << count) | value;
+            this.accBits += count;
+            while (this.accBits >= 8) {
+                this.accBits -= 8;
+                this.bytes[this.length++] = (this.acc >>> this.accBits) & 0xFF;
+            }
+            this.acc &= (1 << this.accBits) - 1;
+        }
+
+        writeBit(bit) {
+            this.writeBits(bit, 1);
+        }
+
+        // Codes longer than 32 bits are written from their '0'/'1' form
+        writeBitString(bits) {
+            for (let i = 0; i < bits.length; i++) {
+                this.writeBits(bits.charCodeAt(i) - 48, 1);
+            }
+        }
+
+        // Append another writer's bits (e.g. a table measured before the data)
+        writeBytes(bytes, bitLength = bytes.length * 8) {
+            const whole = bitLength >>> 3;
+            for (let i = 0; i < whole; i++) this.writeBits(bytes[i], 8);
+            const rest = bitLength & 7;
+            if (rest) this.writeBits(bytes[whole] >>> (8 - rest), rest);
+        }
+
+        // Pad the last byte with zeros and return exactly the written bytes
+        finish() {
+            const bitLength = this.bitLength;
+            if (this.accBits > 0) {
+                this.ensureCapacity(1);
+                this.bytes[this.length++] = (this.acc << (8 - this.accBits)) & 0xFF;
+                this.acc = 0;
+                this.accBits = 0;
+            }
+            return { bytes: this.bytes.slice(0, this.length), bitLength };
+        }
+    }
+
+    class BitReader {
+        constructor(bytes, bitLength = bytes.length * 8) {
+            this.bytes = bytes;
+            this.bitLength = bitLength;
+            this.position = 0;
+        }
+
+        get remaining() {
+            return this.bitLength - this.position;
+        }
+
+        readBit() {
+            if (this.position >= this.bitLength) {
+                throw new RangeError(`Read past end of bit stream (bit ${this.position})`);
+            }
+            const p = this.position++;
+            return (this.bytes[p >>> 3] >>> (7 - (p & 7))) & 1;
+        }
+
+        // Read `count` bits (count <= 32) as an unsigned integer
+        readBits(count) {
+            if (this.position + count > this.bitLength) {
+                throw new RangeError(`Read past end of bit stream (bit ${this.position} + ${count})`);
+            }
+            let value = 0;
+            for (let i = 0; i < count; i++) {
+                const p = this.position++;
+                value = (value << 1) | ((this.bytes[p >>> 3] >>> (7 - (p & 7))) & 1);
+            }
+            return value >>> 0;
+        }
+    }
+
+    const BYTE_STRINGS = Array.from({ length: 256 }, (_, b) => b.toString(2).padStart(8, '0'));
+
+    // '0'/'1' text view of a bit buffer, for display only
+    function toBitString(bytes, bitLength = bytes.length * 8, limit = bitLength) {
+        const count = Math.min(bitLength, limit);
+        const parts = [];
+        for (let i = 0; i < count >>> 3; i++) {
+            parts.push(BYTE_STRINGS[bytes[i]]);
+        }
+        const rest = count & 7;
+        if (rest) parts.push(BYTE_STRINGS[bytes[count >>> 3]].substr(0, rest));
+        return parts.join('');
+    }
+
+    return {
+        BitWriter,
+        BitReader,
+        toBitString
+    };
+});
@@ -0,0 +1,2127 @@
+// Huffman Codec - DOM-free core shared by the web UI and Node
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./container'), require('./bitio'), require('./adaptive'), require('./lz77'));
+    } else {
+        root.HuffmanCodec = factory(root.HuffmanContainer, root.HuffmanBitIO, root.HuffmanAdaptive, root.HuffmanLZ77);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Container, BitIO, Adaptive, LZ77) {
+    'use strict';
+
+    // Symbol alphabets: Unicode text or raw bytes (0-255)
+    const MODE_TEXT = 'text';
+    const MODE_BYTES = 'bytes';
+
+    // Codecs: static Huffman (tree or code lengths in the header), one-pass adaptive
+    // Huffman, an LZ77 pre-pass whose tokens are Huffman coded, an order-1 context
+    // model with a Huffman table per preceding symbol, Huffman-coded word tokens (text only),
+    // or a shared codebook trained elsewhere and referenced by its ID
+    const CODEC_HUFFMAN = 'huffman';
+    const CODEC_ADAPTIVE = 'adaptive';
+    const CODEC_LZ77 = 'lz77';
+    const CODEC_CONTEXT = 'context';
+    const CODEC_TOKENS = 'tokens';
+    const CODEC_CODEBOOK = 'codebook';
+    const EMPTY_TABLE = { bytes: new Uint8Array(0), bitLength: 0 };
+
+    // Leaves of legacy files written before full Unicode support hold one UTF-16 code unit
+    const LEAF_UTF16 = 'utf16';
+
+    // Progress callbacks receive (stage, fraction of that stage done) about every
+    // PROGRESS_INTERVAL symbols or bytes
+    const PROGRESS_INTERVAL = 1 << 20;
+
+    function noProgress() {}
+
+    // Utility Functions
+    function getSubtle() {
+        if (typeof crypto !== 'undefined' && crypto.subtle) return crypto.subtle;
+        return require('crypto').webcrypto.subtle;
+    }
+
+    function toHex(bytes) {
+        return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    async function calculateHash(data) {
+        const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+        const hashBuffer = await getSubtle().digest('SHA-256', bytes);
+        return toHex(new Uint8Array(hashBuffer));
+    }
+
+    function toText(input) {
+        if (typeof input === 'string') return input;
+        // Keep the BOM and refuse invalid UTF-8 so text mode stays byte-identical
+        return new TextDecoder('utf-8', { fatal: true, ignoreBOM: true }).decode(toBytes(input));
+    }
+
+    function toBytes(input) {
+        if (typeof input === 'string') return new TextEncoder().encode(input);
+        if (input instanceof Uint8Array) return input;
+        if (input instanceof ArrayBuffer) return new Uint8Array(input);
+        throw new TypeError('Input must be a string, Uint8Array or ArrayBuffer');
+    }
+
+    // String.fromCharCode in chunks to stay under the argument limit
+    function unitsToString(units) {
+        const parts = [];
+        for (let i = 0; i < units.length; i += 0x8000) {
+            parts.push(String.fromCharCode.apply(null, units.subarray(i, i + 0x8000)));
+        }
+        return parts.join('');
+    }
+
+    function countCodePoints(text) {
+        let count = 0;
+        for (let i = 0; i < text.length; i++) {
+            const unit = text.charCodeAt(i);
+            // A surrogate pair is one code point
+            if (unit >= 0xD800 && unit <= 0xDBFF && i + 1 < text.length) {
+                const next = text.charCodeAt(i + 1);
+                if (next >= 0xDC00 && next <= 0xDFFF) i++;
+            }
+            count++;
+        }
+        return count;
+    }
+
+    // Text mode for valid UTF-8, byte mode for everything else
+    function detectMode(input) {
+        try {
+            toText(input);
+            return MODE_TEXT;
+        } catch (error) {
+            return MODE_BYTES;
+        }
+    }
+
+    // Huffman Node Class
+    class HuffmanNode {
+        constructor(char, freq, left = null, right = null) {
+            this.char = char;
+            this.freq = freq;
+            this.left = left;
+            this.right = right;
+        }
+    }
+
+    // Huffman Algorithm
+    // Counts go into typed arrays indexed by code point (astral characters in a Map),
+    // then into a Map in ascending symbol order so trees are deterministic.
+    function calculateFrequencies(symbols) {
+        const freq = new Map();
+
+        if (typeof symbols !== 'string') {
+            const counts = new Uint32Array(256);
+            for (let i = 0; i < symbols.length; i++) counts[symbols[i]]++;
+            for (let b = 0; b < 256; b++) {
+                if (counts[b]) freq.set(b, counts[b]);
+            }
+            return freq;
+        }
+
+        const counts = new Uint32Array(0x10000);
+        const astral = new Map();
+        for (let i = 0; i < symbols.length; i++) {
+            const codePoint = symbols.codePointAt(i);
+            if (codePoint > 0xFFFF) {
+                astral.set(codePoint, (astral.get(codePoint) || 0) + 1);
+                i++;
+            } else {
+                counts[codePoint]++;
+            }
+        }
+        for (let c = 0; c < 0x10000; c++) {
+            if (counts[c]) freq.set(String.fromCharCode(c), counts[c]);
+        }
+        for (const codePoint of Array.from(astral.keys()).sort((a, b) => a - b)) {
+            freq.set(String.fromCodePoint(codePoint), astral.get(codePoint));
+        }
+        return freq;
+    }
+
+    // Two-queue construction: leaves sorted once, merged nodes are created in
+    // non-decreasing order so they queue up already sorted. Ties take the leaf.
+    function buildHuffmanTree(frequencyMap) {
+        const leaves = Array.from(frequencyMap.entries())
+            .map(([char, freq]) => new HuffmanNode(char, freq))
+            .sort((a, b) => a.freq - b.freq);
+        const merged = [];
+        let leafIndex = 0;
+        let mergedIndex = 0;
+
+        function takeSmallest() {
+            if (mergedIndex >= merged.length) return leaves[leafIndex++];
+            if (leafIndex >= leaves.length) return merged[mergedIndex++];
+            return leaves[leafIndex].freq <= merged[mergedIndex].freq
+                ? leaves[leafIndex++]
+                : merged[mergedIndex++];
+        }
+
+        while ((leaves.length - leafIndex) + (merged.length - mergedIndex) > 1) {
+            const left = takeSmallest();
+            const right = takeSmallest();
+            merged.push(new HuffmanNode(null, left.freq + right.freq, left, right));
+        }
+
+        return merged.length ? merged[merged.length - 1] : (leaves[0] || null);
+    }
+
+    function generateCodes(node, code = '', codes = {}) {
+        if (!node) return codes;
+        if (node.char !== null) {
+            codes[node.char] = code || '0';
+            return codes;
+        }
+        generateCodes(node.left, code + '0', codes);
+        generateCodes(node.right, code + '1', codes);
+        return codes;
+    }
+
+    // Set node weights from symbol counts; trees read from a table carry none
+    function weighTree(node, frequencyMap) {
+        if (!node) return 0;
+        if (node.char !== null) return (node.freq = frequencyMap.get(node.char) || 0);
+        node.freq = weighTree(node.left, frequencyMap) + weighTree(node.right, frequencyMap);
+        return node.freq;
+    }
+
+    // The merges that build a weighted tree, in priority queue order: [{ node, left, right }].
+    // Huffman's queue merges in non-decreasing weight, so sorting internal nodes by weight
+    // (lower subtrees first on ties) replays it; for a tree rebuilt from canonical code
+    // lengths it gives a bottom-up order by the same rule.
+    function getMergeSteps(tree) {
+        const steps = [];
+        (function visit(node) {
+            if (!node || node.char !== null) return 0;
+            const height = Math.max(visit(node.left), visit(node.right)) + 1;
+            steps.push({ node, left: node.left, right: node.right, height });
+            return height;
+        })(tree);
+        return steps.sort((a, b) => a.node.freq - b.node.freq || a.height - b.height);
+    }
+
+    // Code words as integers, indexed by symbol value. Astral characters and
+    // codes longer than 32 bits (possible on very skewed inputs) use Maps.
+    function buildCodeWords(codes, mode) {
+        const size = mode === MODE_BYTES ? 256 : 0x10000;
+        const words = {
+            values: new Uint32Array(size),
+            lengths: new Uint8Array(size),
+            astral: new Map(),
+            long: new Map()
+        };
+
+        for (const [key, code] of Object.entries(codes)) {
+            const value = mode === MODE_BYTES ? Number(key) : key.codePointAt(0);
+            if (code.length > 32) {
+                words.long.set(value, code);
+            } else if (value >= size) {
+                words.astral.set(value, [parseInt(code, 2), code.length]);
+            } else {
+                words.values[value] = parseInt(code, 2);
+                words.lengths[value] = code.length;
+            }
+        }
+
+        return words;
+    }
+
+    function writeCodeWord(writer, words, value) {
+        const length = words.lengths[value];
+        if (length) {
+            writer.writeBits(words.values[value], length);
+            return;
+        }
+        const astral = words.astral.get(value);
+        if (astral) {
+            writer.writeBits(astral[0], astral[1]);
+            return;
+        }
+        const code = words.long.get(value);
+        if (code === undefined) throw new Error(`No code for symbol ${value}`);
+        writer.writeBitString(code);
+    }
+
+    // Encode symbols (a string or byte array) into a packed bit buffer
+    function encodeSymbols(symbols, codes, onProgress = noProgress) {
+        const mode = typeof symbols === 'string' ? MODE_TEXT : MODE_BYTES;
+        const words = buildCodeWords(codes, mode);
+        const writer = new BitIO.BitWriter(symbols.length + 16);
+
+        for (let start = 0; start < symbols.length;) {
+            onProgress('encoding', start / symbols.length);
+            const end = Math.min(symbols.length, start + PROGRESS_INTERVAL);
+            let i = start;
+            if (mode === MODE_BYTES) {
+                for (; i < end; i++) writeCodeWord(writer, words, symbols[i]);
+            } else {
+                for (; i < end; i++) {
+                    const codePoint = symbols.codePointAt(i);
+                    if (codePoint > 0xFFFF) i++;
+                    writeCodeWord(writer, words, codePoint);
+                }
+            }
+            start = i;
+        }
+        onProgress('encoding', 1);
+
+        return writer.finish();
+    }
+
+    // Flatten a tree for decoding: node n has children[2n] (bit 0) and children[2n + 1] (bit 1).
+    // A child > 0 is an internal node, ~leaf (< 0) is a leaf and 0 is a missing branch.
+    // Each leaf's output units are leafData[leafStart[leaf] .. leafStart[leaf + 1]).
+    function flattenTree(tree, leafFormat) {
+        // A one-symbol tree is a bare leaf whose code is '0'; an empty input has no tree at all
+        const root = !tree || tree.char !== null ? new HuffmanNode(null, 0, tree, null) : tree;
+
+        const internal = [];
+        const leaves = [];
+        (function count(node) {
+            if (!node) return;
+            if (node.char !== null) {
+                leaves.push(node.char);
+                return;
+            }
+            internal.push(node);
+            count(node.left);
+            count(node.right);
+        })(root);
+
+        const units = leaves.map(symbol => {
+            if (leafFormat === MODE_BYTES) return [symbol];
+            if (leafFormat === LEAF_UTF16) return [symbol.charCodeAt(0)];
+            return Array.from(new TextEncoder().encode(symbol));
+        });
+        const leafStart = new Uint32Array(leaves.length + 1);
+        units.forEach((u, i) => { leafStart[i + 1] = leafStart[i] + u.length; });
+        const leafData = leafFormat === LEAF_UTF16
+            ? new Uint16Array(leafStart[leaves.length])
+            : new Uint8Array(leafStart[leaves.length]);
+        units.forEach((u, i) => leafData.set(u, leafStart[i]));
+
+        const children = new Int32Array(internal.length * 2);
+        const index = new Map(internal.map((node, i) => [node, i]));
+        let leafIndex = 0;
+        (function link(node) {
+            const n = index.get(node);
+            [node.left, node.right].forEach((child, side) => {
+                if (!child) return;
+                if (child.char !== null) {
+                    children[n * 2 + side] = ~leafIndex++;
+                } else {
+                    children[n * 2 + side] = index.get(child);
+                    link(child);
+                }
+            });
+        })(root);
+
+        return { children, leafStart, leafData };
+    }
+
+    // Decoded output is preallocated from the expected length (bytes, or UTF-16
+    // units for legacy text) and grows if a damaged file produces more.
+    function emitLeaf(out, flat, leaf) {
+        const start = flat.leafStart[leaf];
+        const end = flat.leafStart[leaf + 1];
+        if (out.length + (end - start) > out.buffer.length) {
+            const grown = new out.buffer.constructor(out.buffer.length * 2 + 4);
+            grown.set(out.buffer);
+            out.buffer = grown;
+        }
+        for (let k = start; k < end; k++) out.buffer[out.length++] = flat.leafData[k];
+    }
+
+    // Walk the tree bit by bit from `start`. A trailing partial code is ignored.
+    function walkTree(flat, data, start, dataBits, out, onProgress) {
+        const children = flat.children;
+        let node = 0;
+        let nextReport = start;
+
+        for (let p = start; p < dataBits;) {
+            if (p >= nextReport) {
+                onProgress('decoding', p / dataBits);
+                nextReport += PROGRESS_INTERVAL * 8;
+            }
+            const byte = data[p >>> 3];
+            const first = p & 7;
+            const last = Math.min(8, first + dataBits - p);
+
+            for (let b = first; b < last; b++) {
+                const next = children[(node << 1) | ((byte >>> (7 - b)) & 1)];
+                if (next > 0) {
+                    node = next;
+                    continue;
+                }
+                if (next === 0) {
+                    throw new Container.CorruptFileError('bits match no code in the table', { section: 'data', bit: p - first + b });
+                }
+                emitLeaf(out, flat, ~next);
+                node = 0;
+            }
+            p += last - first;
+        }
+        onProgress('decoding', 1);
+    }
+
+    // Table-driven decoding
+    // The primary table is indexed by the next PRIMARY_BITS bits. An entry is
+    // (leaf << 5) | code length, 0 for a prefix no code starts with, or for codes
+    // longer than PRIMARY_BITS -((offset << 5) | bits) pointing at a secondary
+    // table indexed by the bits that follow.
+    const PRIMARY_BITS = 11;
+    const MAX_TABLE_CODE_LENGTH = 24; // primary + secondary bits must fit a 32-bit peek after a 7-bit shift
+
+    function buildDecodeTable(flat) {
+        const codes = [];
+        (function collect(node, value, length) {
+            for (let side = 0; side < 2; side++) {
+                const child = flat.children[node * 2 + side];
+                if (child === 0) continue;
+                if (child < 0) codes.push([~child, value * 2 + side, length + 1]);
+                else collect(child, value * 2 + side, length + 1);
+            }
+        })(0, 0, 0);
+
+        const maxLength = codes.reduce((max, [, , length]) => Math.max(max, length), 0);
+        if (maxLength > MAX_TABLE_CODE_LENGTH) return null;
+
+        // Secondary tables are as wide as the longest code sharing their prefix
+        const secondaryBits = new Map();
+        for (const [, value, length] of codes) {
+            if (length <= PRIMARY_BITS) continue;
+            const prefix = value >>> (length - PRIMARY_BITS);
+            secondaryBits.set(prefix, Math.max(secondaryBits.get(prefix) || 0, length - PRIMARY_BITS));
+        }
+
+        let size = 1 << PRIMARY_BITS;
+        const offsets = new Map();
+        for (const [prefix, bits] of secondaryBits) {
+            offsets.set(prefix, size);
+            size += 1 << bits;
+        }
+
+        const table = new Int32Array(size);
+        for (const [prefix, bits] of secondaryBits) {
+            table[prefix] = -((offsets.get(prefix) << 5) | bits);
+        }
+        for (const [leaf, value, length] of codes) {
+            const entry = (leaf << 5) | length;
+            let first, count;
+            if (length <= PRIMARY_BITS) {
+                first = value << (PRIMARY_BITS - length);
+                count = 1 << (PRIMARY_BITS - length);
+            } else {
+                const extra = length - PRIMARY_BITS;
+                const prefix = value >>> extra;
+                const bits = secondaryBits.get(prefix);
+                first = offsets.get(prefix) + ((value & ((1 << extra) - 1)) << (bits - extra));
+                count = 1 << (bits - extra);
+            }
+            table.fill(entry, first, first + count);
+        }
+
+        return { table, maxLength };
+    }
+
+    // Resolve one whole symbol per lookup, peeking 32 bits at a time. The last
+    // few bits (and any invalid code) are handed to the tree walker so both
+    // decoders give identical output and errors.
+    function decodeWithTable(flat, decodeTable, data, dataBits, out, onProgress) {
+        const table = decodeTable.table;
+        const fastEnd = Math.min(dataBits - decodeTable.maxLength, (data.length - 4) * 8);
+        let p = 0;
+        let nextReport = 0;
+
+        while (p <= fastEnd) {
+            if (p >= nextReport) {
+                onProgress('decoding', p / dataBits);
+                nextReport += PROGRESS_INTERVAL * 8;
+            }
+            const i = p >>> 3;
+            const window = ((data[i] << 24) | (data[i + 1] << 16) | (data[i + 2] << 8) | data[i + 3]) << (p & 7);
+            let entry = table[window >>> (32 - PRIMARY_BITS)];
+            if (entry < 0) {
+                entry = -entry;
+                entry = table[(entry >>> 5) + ((window << PRIMARY_BITS) >>> (32 - (entry & 31)))];
+            }
+            if (entry === 0) break;
+            emitLeaf(out, flat, entry >>> 5);
+            p += entry & 31;
+        }
+
+        walkTree(flat, data, p, dataBits, out, onProgress);
+    }
+
+    const DECODERS = ['auto', 'table', 'tree'];
+
+    function checkDecoder(decoder) {
+        if (!DECODERS.includes(decoder)) throw new Error(`Unknown decoder: ${decoder}`);
+    }
+
+    // Decode packed data with the lookup table (default) or the tree walker.
+    // Code tables too deep for the lookup table fall back to walking the tree.
+    function decodeSymbols(data, dataBits, tree, options = {}) {
+        const decoder = options.decoder || 'auto';
+        const onProgress = options.onProgress || noProgress;
+        checkDecoder(decoder);
+        const flat = flattenTree(tree, options.leafFormat || MODE_TEXT);
+        const out = { buffer: new flat.leafData.constructor(options.expectedLength || 0), length: 0 };
+        const decodeTable = decoder === 'tree' ? null : buildDecodeTable(flat);
+
+        if (decodeTable) {
+            decodeWithTable(flat, decodeTable, data, dataBits, out, onProgress);
+        } else {
+            walkTree(flat, data, 0, dataBits, out, onProgress);
+        }
+
+        return { output: out.buffer.subarray(0, out.length), decoder: decodeTable ? 'table' : 'tree' };
+    }
+
+    // Bit debugger: walks the tree one bit at a time over at most `limit` symbols.
+    // offsets[i] is the first bit of symbol i and offsets[symbols.length] ends the last code.
+    function traceSymbols(data, dataBits, tree, limit = Infinity) {
+        const reader = new BitIO.BitReader(data, dataBits);
+        const symbols = [];
+        const offsets = [0];
+        while (symbols.length < limit && reader.remaining > 0) {
+            const start = reader.position;
+            let node = tree;
+            // A one-symbol tree is a bare leaf whose code is '0'
+            if (node.char !== null) reader.readBit();
+            while (node.char === null) {
+                if (!reader.remaining) {
+                    throw new Container.CorruptFileError('the data ends inside a code', { section: 'data', bit: start });
+                }
+                node = reader.readBit() ? node.right : node.left;
+                if (!node) {
+                    throw new Container.CorruptFileError('bits match no code in the table', { section: 'data', bit: start });
+                }
+            }
+            symbols.push(node.char);
+            offsets.push(reader.position);
+        }
+        return { symbols, offsets };
+    }
+
+    // Leaf symbol encodings:
+    // - bytes: 8-bit byte value
+    // - text: code point as '0' + 8 bits, '10' + 16 bits or '11' + 21 bits
+    // - utf16 (legacy files only): 16-bit UTF-16 code unit
+    function writeLeafSymbol(writer, symbol, mode) {
+        if (mode === MODE_BYTES) {
+            writer.writeBits(symbol, 8);
+            return;
+        }
+
+        const codePoint = symbol.codePointAt(0);
+        if (codePoint <= 0xFF) {
+            writer.writeBits(0b0, 1);
+            writer.writeBits(codePoint, 8);
+        } else if (codePoint <= 0xFFFF) {
+            writer.writeBits(0b10, 2);
+            writer.writeBits(codePoint, 16);
+        } else {
+            writer.writeBits(0b11, 2);
+            writer.writeBits(codePoint, 21);
+        }
+    }
+
+    function readLeafSymbol(reader, mode) {
+        if (mode === MODE_BYTES) return reader.readBits(8);
+        if (mode === LEAF_UTF16) return String.fromCharCode(reader.readBits(16));
+
+        if (reader.readBit() === 0) return String.fromCodePoint(reader.readBits(8));
+        if (reader.readBit() === 0) return String.fromCodePoint(reader.readBits(16));
+        const codePoint = reader.readBits(21);
+        if (codePoint > 0x10FFFF) {
+            throw new Container.CorruptFileError(`leaf holds ${codePoint}, which is not a Unicode code point`, { section: 'table', bit: reader.position - 21 });
+        }
+        return String.fromCodePoint(codePoint);
+    }
+
+    // Table bit streams that end early are damage to the table section
+    function tableError(error, reader) {
+        if (error instanceof RangeError) {
+            return new Container.CorruptFileError('code table ends in the middle of an entry', { section: 'table', bit: reader.position });
+        }
+        return error;
+    }
+
+    // Serialize tree to binary (PROPERLY - no JSON!)
+    function writeTree(writer, node, mode) {
+        if (!node) return;
+
+        if (node.char !== null) {
+            // Leaf node: 1 + symbol
+            writer.writeBit(1);
+            writeLeafSymbol(writer, node.char, mode);
+        } else {
+            // Internal node: 0
+            writer.writeBit(0);
+            writeTree(writer, node.left, mode);
+            writeTree(writer, node.right, mode);
+        }
+    }
+
+    function serializeTreeToBinary(node, mode = MODE_TEXT) {
+        const writer = new BitIO.BitWriter();
+        writeTree(writer, node, mode);
+        return writer.finish();
+    }
+
+    // Deserialize tree from binary; a stated maximum code length bounds the depth.
+    // Every internal node gets two children (the table must not end early) and
+    // every symbol appears once, so the result is a full binary tree.
+    function readTree(reader, mode, depth, maxDepth, seen) {
+        const start = reader.position;
+        if (reader.readBit() === 1) {
+            // Leaf node
+            const symbol = readLeafSymbol(reader, mode);
+            if (seen.has(symbol)) {
+                throw new Container.CorruptFileError(`symbol ${JSON.stringify(symbol)} appears twice in the tree`, { section: 'table', bit: start });
+            }
+            seen.add(symbol);
+            return new HuffmanNode(symbol, 0);
+        } else {
+            // Internal node
+            if (depth >= maxDepth) {
+                throw new Container.CorruptFileError(`tree is deeper than ${maxDepth} levels`, { section: 'table', bit: start });
+            }
+            const left = readTree(reader, mode, depth + 1, maxDepth, seen);
+            const right = readTree(reader, mode, depth + 1, maxDepth, seen);
+            return new HuffmanNode(null, 0, left, right);
+        }
+    }
+
+    // Counts below 2^53 cannot build a Huffman tree deeper than log_phi(2^53) ~ 77 levels,
+    // so anything deeper is damage (and would otherwise overflow the recursive reader)
+    const MAX_TREE_DEPTH = 80;
+
+    // An empty table is the tree of empty input
+    function deserializeTreeFromBinary(bytes, bitLength, mode = MODE_TEXT, maxCodeLength = MAX_TREE_DEPTH) {
+        if (bitLength === 0) return null;
+        const reader = new BitIO.BitReader(bytes, bitLength);
+        let tree;
+        try {
+            tree = readTree(reader, mode, 0, maxCodeLength, new Set());
+        } catch (error) {
+            throw tableError(error, reader);
+        }
+        if (reader.remaining) {
+            throw new Container.CorruptFileError(`${reader.remaining} bits left over after the tree`, { section: 'table', bit: reader.position });
+        }
+        return tree;
+    }
+
+    // Canonical Huffman codes
+    // Only code lengths are stored; codes are reassigned in (length, symbol) order
+    // so encoder and decoder derive identical codes without the tree shape.
+    function symbolValue(symbol) {
+        return typeof symbol === 'number' ? symbol : symbol.codePointAt(0);
+    }
+
+    function getCodeLengths(node, depth = 0, lengths = new Map()) {
+        if (!node) return lengths;
+        if (node.char !== null) {
+            lengths.set(node.char, depth || 1);
+            return lengths;
+        }
+        getCodeLengths(node.left, depth + 1, lengths);
+        getCodeLengths(node.right, depth + 1, lengths);
+        return lengths;
+    }
+
+    function generateCanonicalCodes(codeLengths) {
+        const sorted = Array.from(codeLengths.entries())
+            .sort((a, b) => a[1] - b[1] || symbolValue(a[0]) - symbolValue(b[0]));
+        const codes = {};
+        let code = 0n;
+        let prevLength = 0;
+
+        for (const [symbol, length] of sorted) {
+            code <<= BigInt(length - prevLength);
+            codes[symbol] = code.toString(2).padStart(length, '0');
+            code++;
+            prevLength = length;
+        }
+
+        return codes;
+    }
+
+    // Rebuild a decoding tree from a code table (object keys are strings, so byte symbols need converting back)
+    function buildTreeFromCodes(codes, mode = MODE_TEXT) {
+        const root = new HuffmanNode(null, 0);
+
+        for (const [key, code] of Object.entries(codes)) {
+            let node = root;
+            for (const bit of code) {
+                const side = bit === '0' ? 'left' : 'right';
+                if (!node[side]) node[side] = new HuffmanNode(null, 0);
+                node = node[side];
+            }
+            node.char = mode === MODE_BYTES ? Number(key) : key;
+        }
+
+        return root;
+    }
+
+    // Length-limited codes (package-merge)
+    // Optimal code lengths with none longer than maxLength. Each level's list merges
+    // the leaves with packages of adjacent pairs from the level below; the cheapest
+    // 2n - 2 items of the top list give each leaf's length as the number of levels
+    // it is selected in. Selected items always form a prefix of each list.
+    const MAX_CODE_LENGTH_LIMIT = 32;
+
+    function limitCodeLengths(frequencyMap, maxLength) {
+        if (!Number.isInteger(maxLength) || maxLength < 1 || maxLength > MAX_CODE_LENGTH_LIMIT) {
+            throw new RangeError(`Maximum code length must be between 1 and ${MAX_CODE_LENGTH_LIMIT} bits`);
+        }
+        const leaves = Array.from(frequencyMap.entries())
+            .sort((a, b) => a[1] - b[1] || symbolValue(a[0]) - symbolValue(b[0]));
+        const n = leaves.length;
+        const lengths = new Map();
+        if (n <= 2) {
+            for (const [symbol] of leaves) lengths.set(symbol, 1);
+            return lengths;
+        }
+        if (2 ** maxLength < n) {
+            throw new RangeError(`${n} symbols need codes of at least ${Math.ceil(Math.log2(n))} bits`);
+        }
+
+        // Entries >= 0 are leaf indices; ~k is package k (items 2k and 2k + 1 one level down)
+        const levels = Math.min(maxLength, n - 1);
+        const lists = [];
+        let previousWeights = null;
+        for (let level = 0; level < levels; level++) {
+            const packageCount = previousWeights ? previousWeights.length >>> 1 : 0;
+            const entries = new Int32Array(n + packageCount);
+            const weights = new Float64Array(n + packageCount);
+            let leaf = 0;
+            let pack = 0;
+            for (let i = 0; i < entries.length; i++) {
+                const packWeight = pack < packageCount
+                    ? previousWeights[2 * pack] + previousWeights[2 * pack + 1]
+                    : Infinity;
+                if (leaf < n && leaves[leaf][1] <= packWeight) {
+                    entries[i] = leaf;
+                    weights[i] = leaves[leaf++][1];
+                } else {
+                    entries[i] = ~pack++;
+                    weights[i] = packWeight;
+                }
+            }
+            lists.push(entries);
+            previousWeights = weights;
+        }
+
+        const counts = new Uint8Array(n);
+        let take = 2 * n - 2;
+        for (let level = levels - 1; level >= 0; level--) {
+            const entries = lists[level];
+            let packages = 0;
+            for (let i = 0; i < take; i++) {
+                if (entries[i] >= 0) counts[entries[i]]++;
+                else packages++;
+            }
+            take = packages * 2;
+        }
+
+        leaves.forEach(([symbol], i) => lengths.set(symbol, counts[i]));
+        return lengths;
+    }
+
+    // Encoded data size in bits for a set of code lengths
+    function codeCost(frequencyMap, codeLengths) {
+        let bits = 0;
+        for (const [symbol, freq] of frequencyMap) bits += freq * codeLengths.get(symbol);
+        return bits;
+    }
+
+    function longestCode(codeLengths) {
+        let max = 0;
+        for (const length of codeLengths.values()) max = Math.max(max, length);
+        return max;
+    }
+
+    // Elias gamma code for integers >= 1
+    function writeGamma(writer, value) {
+        const width = Math.floor(Math.log2(value)) + 1;
+        writer.writeBits(0, width - 1);
+        writer.writeBits(value, width);
+    }
+
+    function readGamma(reader) {
+        let zeros = 0;
+        while (reader.readBit() === 0) zeros++;
+        return zeros ? ((1 << zeros) | reader.readBits(zeros)) >>> 0 : 1;
+    }
+
+    // Canonical table:
+    // - Symbol count (gamma)
+    // - Max code length (7 bits)
+    // - Per symbol in ascending order: gap from previous symbol (gamma), code length (width of max length)
+    function writeCodeLengths(writer, codeLengths) {
+        const sorted = Array.from(codeLengths.entries())
+            .sort((a, b) => symbolValue(a[0]) - symbolValue(b[0]));
+        const maxLength = sorted.reduce((max, [, length]) => Math.max(max, length), 0);
+        const lengthWidth = maxLength.toString(2).length;
+
+        writeGamma(writer, sorted.length + 1);
+        writer.writeBits(maxLength, 7);
+
+        let previous = -1;
+        for (const [symbol, length] of sorted) {
+            const value = symbolValue(symbol);
+            writeGamma(writer, value - previous);
+            writer.writeBits(length, lengthWidth);
+            previous = value;
+        }
+    }
+
+    function serializeCodeLengths(codeLengths) {
+        const writer = new BitIO.BitWriter();
+        writeCodeLengths(writer, codeLengths);
+        return writer.finish();
+    }
+
+    // Lengths must fit the stated maximum and form a complete prefix code
+    // (Kraft sum of exactly 1; a single symbol has a 1-bit code).
+    // toSymbol turns a value into the Map key; `alphabet` names the values in errors.
+    function readCodeLengths(reader, maxSymbol, toSymbol, alphabet) {
+        const codeLengths = new Map();
+        const fail = (detail, bit) => new Container.CorruptFileError(detail, { section: 'table', bit: bit });
+        let kraft = 0n;
+
+        const count = readGamma(reader) - 1;
+        const maxLength = reader.readBits(7);
+        const lengthWidth = maxLength.toString(2).length;
+
+        let previous = -1;
+        for (let n = 0; n < count; n++) {
+            const start = reader.position;
+            const value = previous + readGamma(reader);
+            const length = reader.readBits(lengthWidth);
+            if (value > maxSymbol) throw fail(`symbol ${value} is outside the ${alphabet} alphabet`, start);
+            if (length < 1 || length > maxLength) throw fail(`code length ${length} is outside 1-${maxLength}`, start);
+            codeLengths.set(toSymbol(value), length);
+            kraft += 1n << BigInt(maxLength - length);
+            previous = value;
+        }
+
+        const full = 1n << BigInt(maxLength);
+        if (codeLengths.size > 1 ? kraft !== full : codeLengths.size === 1 && maxLength !== 1) {
+            throw fail(`code lengths ${kraft > full ? 'overlap' : 'leave gaps'} (not a complete prefix code)`, null);
+        }
+        return codeLengths;
+    }
+
+    function deserializeCodeLengths(bytes, bitLength, mode = MODE_TEXT, maxSymbol = mode === MODE_BYTES ? 0xFF : 0x10FFFF) {
+        const reader = new BitIO.BitReader(bytes, bitLength);
+        let codeLengths;
+        try {
+            codeLengths = readCodeLengths(reader, maxSymbol, mode === MODE_BYTES ? value => value : String.fromCodePoint, mode);
+        } catch (error) {
+            throw tableError(error, reader);
+        }
+        if (reader.remaining) {
+            throw new Container.CorruptFileError(`${reader.remaining} bits left over after the code lengths`, { section: 'table', bit: reader.position });
+        }
+        return codeLengths;
+    }
+
+    // Rebuild the decoding tree and codes from a stored table. With a stated
+    // maximum code length, tables that break it are rejected before decoding.
+    function readTable(table, tableBits, canonical, leafFormat, maxCodeLength = null) {
+        if (canonical) {
+            const codeLengths = deserializeCodeLengths(table, tableBits, leafFormat);
+            if (maxCodeLength && longestCode(codeLengths) > maxCodeLength) {
+                throw new Error(`Code table is deeper than its stated maximum of ${maxCodeLength} bits`);
+            }
+            const codes = generateCanonicalCodes(codeLengths);
+            return { tree: buildTreeFromCodes(codes, leafFormat), codes };
+        }
+        const tree = deserializeTreeFromBinary(table, tableBits, leafFormat, maxCodeLength || MAX_TREE_DEPTH);
+        return { tree, codes: generateCodes(tree) };
+    }
+
+    // Decoders that run out of bits or meet impossible values report damage to the data
+    function decodeError(error) {
+        if (error instanceof Container.CorruptFileError) return error;
+        return new Container.CorruptFileError(error.message, { section: 'data' });
+    }
+
+    // Parse a .bin file (versioned or legacy) and rebuild its tree
+    function readContainer(input) {
+        const container = Container.read(toBytes(input));
+        const canonical = container.options.canonical === true;
+        let tree = null;
+        let codes = {};
+        // Adaptive files carry no table (the decoder grows the tree as it goes),
+        // LZ77 tables are read by decodeLz, context tables by decodeContext and token
+        // tables by decodeTokens. Codebook files only name the codebook they need.
+        let codebookId = null;
+        if (container.codec === CODEC_HUFFMAN) {
+            try {
+                ({ tree, codes } = readTable(container.table, container.tableBits, canonical, container.leafFormat, container.metadata.maxCodeLength));
+            } catch (error) {
+                throw Container.locate(error, { table: container.tableOffset });
+            }
+        } else if (container.codec === CODEC_CODEBOOK) {
+            if (container.tableBits !== CODEBOOK_ID_LENGTH * 8) {
+                throw Container.locate(new Container.CorruptFileError(`codebook ID is ${container.tableBits} bits instead of ${CODEBOOK_ID_LENGTH * 8}`,
+                    { section: 'table', bit: 0 }), { table: container.tableOffset });
+            }
+            codebookId = toHex(container.table);
+        }
+
+        return {
+            metadata: {
+                filename: container.metadata.filename,
+                mtime: container.metadata.mtime,
+                mimeType: container.metadata.mimeType,
+                version: container.version,
+                mode: container.alphabet,
+                codec: container.codec,
+                leafFormat: container.leafFormat,
+                unicode: container.unicode,
+                hash: container.hash,
+                originalSize: container.originalSize,
+                symbolCount: container.symbolCount,
+                canonical: canonical,
+                maxCodeLength: container.metadata.maxCodeLength,
+                codebookId: codebookId,
+                tableLength: container.tableBits,
+                binaryLength: container.dataBits,
+                tableOffset: container.tableOffset,
+                dataOffset: container.dataOffset
+            },
+            tree: tree,
+            codes: codes,
+            table: container.table,
+            data: container.data
+        };
+    }
+
+    // LZ77 + Huffman
+    // The literal table codes bytes 0-255 plus LZ_MATCH, which announces a match.
+    // Match lengths and distances are bucket codes plus extra bits, each with its
+    // own table. All three are canonical code lengths capped at 15 bits, stored
+    // in the table section as [4 bytes: bit length][code lengths] each.
+    const LZ_MATCH = 256;
+    const LZ_MAX_CODE_LENGTH = 15;
+
+    function buildLzCode(frequencies) {
+        const frequencyMap = new Map();
+        frequencies.forEach((freq, symbol) => {
+            if (freq) frequencyMap.set(symbol, freq);
+        });
+        const codeLengths = frequencyMap.size ? limitCodeLengths(frequencyMap, LZ_MAX_CODE_LENGTH) : new Map();
+        const values = new Uint32Array(frequencies.length);
+        const lengths = new Uint8Array(frequencies.length);
+        for (const [symbol, code] of Object.entries(generateCanonicalCodes(codeLengths))) {
+            values[symbol] = parseInt(code, 2);
+            lengths[symbol] = code.length;
+        }
+        return { codeLengths, values, lengths };
+    }
+
+    // Canonical decoding: codes of each length are consecutive, in symbol order.
+    // Symbols are numbers (byte values, LZ77 tokens or alphabet indices).
+    function buildCanonicalDecoder(codeLengths, maxLength, name) {
+        const counts = new Uint32Array(maxLength + 1);
+        for (const length of codeLengths.values()) {
+            if (length > maxLength) throw new Error(`${name} code longer than ${maxLength} bits`);
+            counts[length]++;
+        }
+        const symbols = Uint32Array.from(Array.from(codeLengths.entries())
+            .sort((a, b) => a[1] - b[1] || a[0] - b[0])
+            .map(([symbol]) => symbol));
+        return { counts, symbols, maxLength, name };
+    }
+
+    function readCanonicalSymbol(reader, decoder) {
+        let code = 0;
+        let first = 0;
+        let index = 0;
+        for (let length = 1; length <= decoder.maxLength; length++) {
+            code |= reader.readBit();
+            const count = decoder.counts[length];
+            if (code - first < count) return decoder.symbols[index + code - first];
+            index += count;
+            first = (first + count) << 1;
+            code <<= 1;
+        }
+        throw new Error(`Invalid code in ${decoder.name} data at bit ${reader.position}`);
+    }
+
+    function writeLzTables(codes) {
+        const tables = codes.map(code => serializeCodeLengths(code.codeLengths));
+        const bytes = new Uint8Array(tables.reduce((sum, table) => sum + 4 + table.bytes.length, 0));
+        const view = new DataView(bytes.buffer);
+        let offset = 0;
+        for (const table of tables) {
+            view.setUint32(offset, table.bitLength, false);
+            bytes.set(table.bytes, offset + 4);
+            offset += 4 + table.bytes.length;
+        }
+        return { bytes, bitLength: bytes.length * 8 };
+    }
+
+    function readLzTables(table) {
+        const view = new DataView(table.buffer, table.byteOffset, table.byteLength);
+        const decoders = [];
+        let offset = 0;
+        for (let i = 0; i < 3; i++) {
+            if (offset + 4 > table.length) {
+                throw new Container.CorruptFileError(`LZ77 code table ${i + 1} of 3 is missing`, { section: 'table', bit: offset * 8 });
+            }
+            const bitLength = view.getUint32(offset, false);
+            const length = Math.ceil(bitLength / 8);
+            if (offset + 4 + length > table.length) {
+                throw new Container.CorruptFileError(`LZ77 code table ${i + 1} of 3 runs past the table section`, { section: 'table', bit: offset * 8 });
+            }
+            try {
+                decoders.push(buildCanonicalDecoder(deserializeCodeLengths(table.subarray(offset + 4, offset + 4 + length), bitLength, MODE_BYTES, LZ_MATCH), LZ_MAX_CODE_LENGTH, 'LZ77'));
+            } catch (error) {
+                // Positions are relative to this table; make them relative to the table section
+                if (error instanceof Container.CorruptFileError && error.bit !== null) error.bit += (offset + 4) * 8;
+                throw error;
+            }
+            offset += 4 + length;
+        }
+        return decoders;
+    }
+
+    function writeBucket(writer, code, value) {
+        const bucket = LZ77.bucketOf(value);
+        writer.writeBits(code.values[bucket], code.lengths[bucket]);
+        const extra = LZ77.bucketExtraBits(bucket);
+        if (extra) writer.writeBits(value - LZ77.bucketBase(bucket), extra);
+        return code.lengths[bucket] + extra;
+    }
+
+    function readBucket(reader, decoder) {
+        const bucket = readCanonicalSymbol(reader, decoder);
+        const extra = LZ77.bucketExtraBits(bucket);
+        return LZ77.bucketBase(bucket) + (extra ? reader.readBits(extra) : 0);
+    }
+
+    // Parse and code bytes; stats split the input and output between literals and matches
+    function encodeLz(bytes, options = {}) {
+        const onProgress = options.onProgress || noProgress;
+        const { symbols, distances, matchedBytes } = LZ77.parse(bytes, { window: options.window, onProgress });
+
+        const literalFrequencies = new Uint32Array(LZ_MATCH + 1);
+        const lengthFrequencies = new Uint32Array(LZ77.bucketOf(LZ77.MAX_MATCH - LZ77.MIN_MATCH) + 1);
+        const distanceFrequencies = new Uint32Array(LZ77.bucketOf(LZ77.MAX_WINDOW - 1) + 1);
+        let match = 0;
+        for (let i = 0; i < symbols.length; i++) {
+            const symbol = symbols[i];
+            if (symbol < LZ77.MATCH_BASE) {
+                literalFrequencies[symbol]++;
+            } else {
+                literalFrequencies[LZ_MATCH]++;
+                lengthFrequencies[LZ77.bucketOf(symbol - LZ77.MATCH_BASE)]++;
+                distanceFrequencies[LZ77.bucketOf(distances[match++] - 1)]++;
+            }
+        }
+        const codes = [buildLzCode(literalFrequencies), buildLzCode(lengthFrequencies), buildLzCode(distanceFrequencies)];
+        const [literalCode, lengthCode, distanceCode] = codes;
+
+        const writer = new BitIO.BitWriter((bytes.length >>> 1) + 16);
+        let literalBits = 0;
+        let matchBits = 0;
+        match = 0;
+        for (let i = 0; i < symbols.length; i++) {
+            if ((i & (PROGRESS_INTERVAL - 1)) === 0) onProgress('encoding', i / symbols.length);
+            const symbol = symbols[i];
+            if (symbol < LZ77.MATCH_BASE) {
+                writer.writeBits(literalCode.values[symbol], literalCode.lengths[symbol]);
+                literalBits += literalCode.lengths[symbol];
+            } else {
+                writer.writeBits(literalCode.values[LZ_MATCH], literalCode.lengths[LZ_MATCH]);
+                matchBits += literalCode.lengths[LZ_MATCH]
+                    + writeBucket(writer, lengthCode, symbol - LZ77.MATCH_BASE)
+                    + writeBucket(writer, distanceCode, distances[match++] - 1);
+            }
+        }
+        onProgress('encoding', 1);
+
+        const table = writeLzTables(codes);
+        return {
+            table: table,
+            encoded: writer.finish(),
+            stats: {
+                window: options.window || LZ77.DEFAULT_WINDOW,
+                tableBits: table.bitLength,
+                literalCount: symbols.length - distances.length,
+                matchCount: distances.length,
+                matchedBytes: matchedBytes,
+                literalBits: literalBits,
+                matchBits: matchBits
+            }
+        };
+    }
+
+    function decodeLz(table, data, dataBits, originalSize, onProgress = noProgress) {
+        const [literalDecoder, lengthDecoder, distanceDecoder] = readLzTables(table);
+        const reader = new BitIO.BitReader(data, dataBits);
+        const out = new Uint8Array(originalSize);
+        let length = 0;
+        let nextReport = 0;
+
+        while (length < originalSize) {
+            if (length >= nextReport) {
+                onProgress('decoding', length / originalSize);
+                nextReport += PROGRESS_INTERVAL;
+            }
+            const symbol = readCanonicalSymbol(reader, literalDecoder);
+            if (symbol !== LZ_MATCH) {
+                out[length++] = symbol;
+                continue;
+            }
+            const matchLength = readBucket(reader, lengthDecoder) + LZ77.MIN_MATCH;
+            const distance = readBucket(reader, distanceDecoder) + 1;
+            if (distance > length || length + matchLength > originalSize) {
+                throw new Error(`Invalid LZ77 match at byte ${length}`);
+            }
+            // Byte by byte: a match may overlap the bytes it is producing
+            for (let i = 0; i < matchLength; i++, length++) out[length] = out[length - distance];
+        }
+        onProgress('decoding', 1);
+
+        return out;
+    }
+
+    // Order-1 context model
+    // Each symbol is coded with a table chosen by the symbol before it. The shared
+    // table is the order-0 code over the whole alphabet; it codes the first symbol and
+    // every symbol whose context has no table of its own, either because the context
+    // occurs fewer than CONTEXT_MIN_COUNT times or because its table would cost more
+    // bits than it saves. Every table is canonical code lengths of at most
+    // CONTEXT_MAX_CODE_LENGTH bits, in one bit stream in the table section:
+    // - Shared table: code lengths by symbol value (as serializeCodeLengths), which
+    //   also fixes the alphabet
+    // - Context count (gamma, count + 1)
+    // - Per context in alphabet order: gap from the previous context's alphabet index
+    //   (gamma), then its code lengths keyed by alphabet index rather than symbol value
+    const CONTEXT_MIN_COUNT = 16;
+    const CONTEXT_MAX_CODE_LENGTH = 24;
+
+    // The sorted alphabet, each symbol's alphabet index and per-context counts by index
+    function countContexts(symbols) {
+        const frequencyMap = calculateFrequencies(symbols);
+        const alphabet = Array.from(frequencyMap.keys());
+        const isText = typeof symbols === 'string';
+        const indexOf = isText ? new Map(alphabet.map((symbol, i) => [symbol.codePointAt(0), i])) : new Int32Array(256);
+        if (!isText) alphabet.forEach((symbol, i) => { indexOf[symbol] = i; });
+
+        const indices = new Uint32Array(isText ? countCodePoints(symbols) : symbols.length);
+        const rows = new Array(alphabet.length).fill(null);
+        let previous = -1;
+        let n = 0;
+        for (let i = 0; i < symbols.length; i++) {
+            let index;
+            if (isText) {
+                const codePoint = symbols.codePointAt(i);
+                if (codePoint > 0xFFFF) i++;
+                index = indexOf.get(codePoint);
+            } else {
+                index = indexOf[symbols[i]];
+            }
+            indices[n++] = index;
+            if (previous >= 0) {
+                const row = rows[previous] || (rows[previous] = new Map());
+                row.set(index, (row.get(index) || 0) + 1);
+            }
+            previous = index;
+        }
+        return { alphabet, frequencyMap, indices, rows };
+    }
+
+    // Counts of each symbol after each symbol: Map<previous, Map<symbol, count>>, both in symbol order
+    function calculateContextFrequencies(symbols) {
+        const { alphabet, rows } = countContexts(symbols);
+        const contexts = new Map();
+        rows.forEach((row, context) => {
+            if (!row) return;
+            const counts = new Map();
+            for (const index of Array.from(row.keys()).sort((a, b) => a - b)) counts.set(alphabet[index], row.get(index));
+            contexts.set(alphabet[context], counts);
+        });
+        return contexts;
+    }
+
+    // Order-1 information measures: conditional entropy H(X | previous symbol) in bits
+    // per symbol over every symbol that has a predecessor, and its total
+    function analyzeContexts(contextFrequencies) {
+        let pairCount = 0;
+        let conditionalEntropyBits = 0;
+        for (const row of contextFrequencies.values()) {
+            let total = 0;
+            for (const freq of row.values()) total += freq;
+            for (const freq of row.values()) conditionalEntropyBits -= freq * Math.log2(freq / total);
+            pairCount += total;
+        }
+        return {
+            contextCount: contextFrequencies.size,
+            pairCount,
+            conditionalEntropy: pairCount ? conditionalEntropyBits / pairCount : 0,
+            conditionalEntropyBits
+        };
+    }
+
+    // Huffman lengths, falling back to package-merge when the tree is deeper than the cap
+    function cappedCodeLengths(frequencyMap, maxLength) {
+        if (!frequencyMap.size) return new Map();
+        const codeLengths = getCodeLengths(buildHuffmanTree(frequencyMap));
+        return longestCode(codeLengths) > maxLength ? limitCodeLengths(frequencyMap, maxLength) : codeLengths;
+    }
+
+    // Canonical code words for numeric symbols (alphabet indices, code points)
+    function numericCode(codeLengths) {
+        const values = new Map();
+        for (const [index, code] of Object.entries(generateCanonicalCodes(codeLengths))) {
+            values.set(Number(index), parseInt(code, 2));
+        }
+        return { codeLengths, values };
+    }
+
+    function writeContextTables(alphabet, shared, tables) {
+        const writer = new BitIO.BitWriter();
+        const sharedLengths = new Map();
+        for (const [index, length] of shared.codeLengths) sharedLengths.set(alphabet[index], length);
+        writeCodeLengths(writer, sharedLengths);
+
+        const contexts = [];
+        tables.forEach((code, context) => { if (code) contexts.push(context); });
+        writeGamma(writer, contexts.length + 1);
+        let previous = -1;
+        for (const context of contexts) {
+            writeGamma(writer, context - previous);
+            writeCodeLengths(writer, tables[context].codeLengths);
+            previous = context;
+        }
+        return writer.finish();
+    }
+
+    function readContextTables(table, tableBits, mode) {
+        const reader = new BitIO.BitReader(table, tableBits);
+        const fail = (detail, bit) => new Container.CorruptFileError(detail, { section: 'table', bit: bit });
+        try {
+            const sharedLengths = readCodeLengths(reader, mode === MODE_BYTES ? 0xFF : 0x10FFFF,
+                mode === MODE_BYTES ? value => value : String.fromCodePoint, mode);
+            const alphabet = Array.from(sharedLengths.keys());
+            const shared = new Map(alphabet.map((symbol, i) => [i, sharedLengths.get(symbol)]));
+            const decoders = new Array(alphabet.length).fill(null);
+
+            const count = readGamma(reader) - 1;
+            let previous = -1;
+            for (let n = 0; n < count; n++) {
+                const start = reader.position;
+                const context = previous + readGamma(reader);
+                if (context >= alphabet.length) throw fail(`context ${context} is outside the ${alphabet.length}-symbol alphabet`, start);
+                const codeLengths = readCodeLengths(reader, alphabet.length - 1, value => value, 'shared table\'s');
+                decoders[context] = buildCanonicalDecoder(codeLengths, CONTEXT_MAX_CODE_LENGTH, 'context model');
+                previous = context;
+            }
+            if (reader.remaining) throw fail(`${reader.remaining} bits left over after the context tables`, reader.position);
+
+            return { alphabet, shared: buildCanonicalDecoder(shared, CONTEXT_MAX_CODE_LENGTH, 'context model'), decoders };
+        } catch (error) {
+            if (error instanceof Container.CorruptFileError || error instanceof RangeError) throw tableError(error, reader);
+            throw fail(error.message, null);
+        }
+    }
+
+    // Stats: how many contexts occur, how many have a table and how the bits split
+    function encodeContext(symbols, options = {}) {
+        const onProgress = options.onProgress || noProgress;
+        onProgress('frequencies', 0);
+        const { alphabet, frequencyMap, indices, rows } = countContexts(symbols);
+
+        onProgress('tree', 0);
+        const sharedCounts = new Map(alphabet.map((symbol, i) => [i, frequencyMap.get(symbol)]));
+        const shared = numericCode(cappedCodeLengths(sharedCounts, CONTEXT_MAX_CODE_LENGTH));
+        const tables = new Array(alphabet.length).fill(null);
+        let contextCount = 0;
+        rows.forEach((row, context) => {
+            if (!row) return;
+            contextCount++;
+            let total = 0;
+            for (const freq of row.values()) total += freq;
+            if (total < CONTEXT_MIN_COUNT) return;
+            const codeLengths = cappedCodeLengths(row, CONTEXT_MAX_CODE_LENGTH);
+            const ownBits = serializeCodeLengths(codeLengths).bitLength + codeCost(row, codeLengths);
+            if (ownBits < codeCost(row, shared.codeLengths)) tables[context] = numericCode(codeLengths);
+        });
+
+        const writer = new BitIO.BitWriter((indices.length >>> 1) + 16);
+        let contextBits = 0;
+        let sharedBits = 0;
+        let sharedSymbols = 0;
+        let previous = -1;
+        for (let i = 0; i < indices.length; i++) {
+            if ((i & (PROGRESS_INTERVAL - 1)) === 0) onProgress('encoding', i / indices.length);
+            const index = indices[i];
+            const own = previous >= 0 ? tables[previous] : null;
+            const code = own || shared;
+            const length = code.codeLengths.get(index);
+            writer.writeBits(code.values.get(index), length);
+            if (own) {
+                contextBits += length;
+            } else {
+                sharedBits += length;
+                sharedSymbols++;
+            }
+            previous = index;
+        }
+        onProgress('encoding', 1);
+
+        const table = writeContextTables(alphabet, shared, tables);
+        return {
+            table: table,
+            encoded: writer.finish(),
+            stats: {
+                tableBits: table.bitLength,
+                contextCount: contextCount,
+                tableCount: tables.filter(Boolean).length,
+                contextSymbols: indices.length - sharedSymbols,
+                sharedSymbols: sharedSymbols,
+                contextBits: contextBits,
+                sharedBits: sharedBits
+            }
+        };
+    }
+
+    // Text symbols are written out as UTF-8, so originalSize is in bytes for both alphabets
+    function decodeContext(table, tableBits, data, dataBits, originalSize, mode, onProgress = noProgress) {
+        const { alphabet, shared, decoders } = readContextTables(table, tableBits, mode);
+        const encodedSymbols = mode === MODE_BYTES ? null : alphabet.map(symbol => new TextEncoder().encode(symbol));
+        const reader = new BitIO.BitReader(data, dataBits);
+        const out = new Uint8Array(originalSize);
+        let length = 0;
+        let previous = -1;
+        let nextReport = 0;
+
+        while (length < originalSize) {
+            if (length >= nextReport) {
+                onProgress('decoding', length / originalSize);
+                nextReport += PROGRESS_INTERVAL;
+            }
+            const index = readCanonicalSymbol(reader, (previous >= 0 && decoders[previous]) || shared);
+            if (!encodedSymbols) {
+                out[length++] = alphabet[index];
+            } else {
+                const bytes = encodedSymbols[index];
+                if (length + bytes.length > originalSize) throw new Error(`Decoded text runs past ${originalSize} bytes`);
+                out.set(bytes, length);
+                length += bytes.length;
+            }
+            previous = index;
+        }
+        onProgress('decoding', 1);
+
+        return out;
+    }
+
+    // Word tokens
+    // Text is split into words (letters, marks, digits and underscores), whitespace runs
+    // and single other characters. Tokens seen at least TOKEN_MIN_COUNT times form the
+    // vocabulary and get Huffman codes; the rest are sent as the escape code, their length
+    // in characters (gamma) and each character in a character code. The table section is
+    // one bit stream, all codes canonical and at most TOKEN_MAX_CODE_LENGTH bits:
+    // - Character code lengths by code point (over the escaped tokens and the vocabulary)
+    // - Vocabulary size (gamma, size + 1), then per token in sorted order the characters
+    //   it shares with the previous one (gamma, count + 1), the number of new characters
+    //   (gamma) and those characters in the character code
+    // - Token code lengths by vocabulary index; the escape is the index after the last token
+    const TOKEN_PATTERN = /[\p{L}\p{M}\p{N}_]+|\s+|[^]/gu;
+    const TOKEN_MIN_COUNT = 2;
+    const TOKEN_MAX_CODE_LENGTH = 24;
+
+    function tokenize(text) {
+        return text.match(TOKEN_PATTERN) || [];
+    }
+
+    // Front coding: characters shared with the previous token and the characters after them
+    function frontCode(vocabulary) {
+        let previous = [];
+        return vocabulary.map(token => {
+            const chars = Array.from(token);
+            let shared = 0;
+            while (shared < previous.length && shared < chars.length && previous[shared] === chars[shared]) shared++;
+            previous = chars;
+            return { shared, suffix: chars.slice(shared) };
+        });
+    }
+
+    // The vocabulary, token counts, code lengths and the codes by token for the views.
+    // frequencyMap counts vocabulary tokens only; escapeCount covers everything else.
+    function buildTokenModel(text) {
+        const tokens = tokenize(text);
+        const counts = new Map();
+        for (const token of tokens) counts.set(token, (counts.get(token) || 0) + 1);
+        const vocabulary = Array.from(counts.keys()).filter(token => counts.get(token) >= TOKEN_MIN_COUNT).sort();
+        const prefixes = frontCode(vocabulary);
+
+        const charCounts = new Map();
+        const addChars = (chars, times) => {
+            for (const char of chars) {
+                const codePoint = char.codePointAt(0);
+                charCounts.set(codePoint, (charCounts.get(codePoint) || 0) + times);
+            }
+        };
+        for (const { suffix } of prefixes) addChars(suffix, 1);
+        let escapeCount = 0;
+        for (const [token, count] of counts) {
+            if (count >= TOKEN_MIN_COUNT) continue;
+            escapeCount += count;
+            addChars(Array.from(token), count);
+        }
+
+        const tokenCounts = new Map(vocabulary.map((token, i) => [i, counts.get(token)]));
+        if (escapeCount) tokenCounts.set(vocabulary.length, escapeCount);
+        const tokenLengths = cappedCodeLengths(tokenCounts, TOKEN_MAX_CODE_LENGTH);
+        const words = generateCanonicalCodes(tokenLengths);
+        const codes = {};
+        vocabulary.forEach((token, i) => { codes[token] = words[i]; });
+
+        return {
+            tokens,
+            vocabulary,
+            prefixes,
+            frequencyMap: new Map(vocabulary.map(token => [token, counts.get(token)])),
+            codes,
+            escapeCount,
+            escapeCode: escapeCount ? words[vocabulary.length] : null,
+            tokenLengths,
+            charLengths: cappedCodeLengths(charCounts, TOKEN_MAX_CODE_LENGTH)
+        };
+    }
+
+    function writeTokenTables(model, charCode) {
+        const writer = new BitIO.BitWriter();
+        writeCodeLengths(writer, model.charLengths);
+        writeGamma(writer, model.vocabulary.length + 1);
+        for (const { shared, suffix } of model.prefixes) {
+            writeGamma(writer, shared + 1);
+            writeGamma(writer, suffix.length);
+            for (const char of suffix) {
+                const codePoint = char.codePointAt(0);
+                writer.writeBits(charCode.values.get(codePoint), charCode.codeLengths.get(codePoint));
+            }
+        }
+        writeCodeLengths(writer, model.tokenLengths);
+        return writer.finish();
+    }
+
+    function readTokenTables(table, tableBits) {
+        const reader = new BitIO.BitReader(table, tableBits);
+        const fail = (detail, bit) => new Container.CorruptFileError(detail, { section: 'table', bit: bit });
+        try {
+            const chars = buildCanonicalDecoder(readCodeLengths(reader, 0x10FFFF, value => value, MODE_TEXT), TOKEN_MAX_CODE_LENGTH, 'token');
+            const size = readGamma(reader) - 1;
+            const vocabulary = [];
+            let previous = [];
+            for (let n = 0; n < size; n++) {
+                const start = reader.position;
+                const shared = readGamma(reader) - 1;
+                if (shared > previous.length) throw fail(`token ${n + 1} shares ${shared} characters with a ${previous.length}-character token`, start);
+                const token = previous.slice(0, shared);
+                for (let i = readGamma(reader); i > 0; i--) token.push(String.fromCodePoint(readCanonicalSymbol(reader, chars)));
+                vocabulary.push(token.join(''));
+                previous = token;
+            }
+            const tokens = buildCanonicalDecoder(readCodeLengths(reader, size, value => value, 'vocabulary'), TOKEN_MAX_CODE_LENGTH, 'token');
+            if (reader.remaining) throw fail(`${reader.remaining} bits left over after the token tables`, reader.position);
+            return { chars, vocabulary, tokens };
+        } catch (error) {
+            if (error instanceof Container.CorruptFileError || error instanceof RangeError) throw tableError(error, reader);
+            throw fail(error.message, null);
+        }
+    }
+
+    // Stats: vocabulary size, how many tokens were escaped and how the bits split.
+    // options.tokenModel supplies a model built elsewhere (e.g. for the views).
+    function encodeTokens(text, options = {}) {
+        const onProgress = options.onProgress || noProgress;
+        onProgress('frequencies', 0);
+        const model = options.tokenModel || buildTokenModel(text);
+        onProgress('tree', 0);
+        const tokenCode = numericCode(model.tokenLengths);
+        const charCode = numericCode(model.charLengths);
+        const escape = model.vocabulary.length;
+        const indexOf = new Map(model.vocabulary.map((token, i) => [token, i]));
+        const tokens = model.tokens;
+
+        const writer = new BitIO.BitWriter((text.length >>> 2) + 16);
+        let tokenBits = 0;
+        let escapeBits = 0;
+        for (let i = 0; i < tokens.length; i++) {
+            if ((i & (PROGRESS_INTERVAL - 1)) === 0) onProgress('encoding', i / tokens.length);
+            const index = indexOf.get(tokens[i]);
+            if (index !== undefined) {
+                writer.writeBits(tokenCode.values.get(index), tokenCode.codeLengths.get(index));
+                tokenBits += tokenCode.codeLengths.get(index);
+                continue;
+            }
+            const start = writer.bitLength;
+            const chars = Array.from(tokens[i]);
+            writer.writeBits(tokenCode.values.get(escape), tokenCode.codeLengths.get(escape));
+            writeGamma(writer, chars.length);
+            for (const char of chars) {
+                const codePoint = char.codePointAt(0);
+                writer.writeBits(charCode.values.get(codePoint), charCode.codeLengths.get(codePoint));
+            }
+            escapeBits += writer.bitLength - start;
+        }
+        onProgress('encoding', 1);
+
+        const table = writeTokenTables(model, charCode);
+        return {
+            table: table,
+            encoded: writer.finish(),
+            stats: {
+                tableBits: table.bitLength,
+                vocabularySize: model.vocabulary.length,
+                tokenCount: tokens.length,
+                escapedTokens: model.escapeCount,
+                tokenBits: tokenBits,
+                escapeBits: escapeBits
+            }
+        };
+    }
+
+    // Table and data size of token coding, for choosing between tokens and characters
+    function measureTokens(text) {
+        const { table, encoded } = encodeTokens(text);
+        return { tableBits: table.bitLength, dataBits: encoded.bitLength };
+    }
+
+    // originalSize is the UTF-8 length of the text
+    function decodeTokens(table, tableBits, data, dataBits, originalSize, onProgress = noProgress) {
+        const { chars, vocabulary, tokens } = readTokenTables(table, tableBits);
+        const encoder = new TextEncoder();
+        const encodedVocabulary = vocabulary.map(token => encoder.encode(token));
+        const reader = new BitIO.BitReader(data, dataBits);
+        const out = new Uint8Array(originalSize);
+        let length = 0;
+        let nextReport = 0;
+
+        while (length < originalSize) {
+            if (length >= nextReport) {
+                onProgress('decoding', length / originalSize);
+                nextReport += PROGRESS_INTERVAL;
+            }
+            const index = readCanonicalSymbol(reader, tokens);
+            let bytes = encodedVocabulary[index];
+            if (index === vocabulary.length) {
+                const token = [];
+                for (let i = readGamma(reader); i > 0; i--) token.push(String.fromCodePoint(readCanonicalSymbol(reader, chars)));
+                bytes = encoder.encode(token.join(''));
+            }
+            if (length + bytes.length > originalSize) throw new Error(`Decoded text runs past ${originalSize} bytes`);
+            out.set(bytes, length);
+            length += bytes.length;
+        }
+        onProgress('decoding', 1);
+
+        return out;
+    }
+
+    // Shared codebooks
+    // A codebook is a canonical code trained on a sample corpus and kept in a file of its
+    // own (Container.writeCodebook), so many small files can share one table. A file coded
+    // with it stores only the codebook ID in its table section: the first
+    // CODEBOOK_ID_LENGTH bytes of the SHA-256 of the alphabet, table length and table.
+    // The escape, keyed by the value after the alphabet's last symbol, announces a symbol
+    // the corpus never had; the symbol follows as a tree leaf (writeLeafSymbol).
+    const CODEBOOK_ID_LENGTH = Container.CODEBOOK_ID_LENGTH;
+    const CODEBOOK_MAX_CODE_LENGTH = 24;
+
+    function codebookEscape(alphabet) {
+        return alphabet === MODE_BYTES ? 0x100 : 0x110000;
+    }
+
+    // Decoding needs a codebook that was not supplied; `codebookId` is the ID stored in the file
+    class MissingCodebookError extends Error {
+        constructor(id) {
+            super(`This file was coded with codebook ${id}, which is not loaded`);
+            this.name = 'MissingCodebookError';
+            this.codebookId = id;
+        }
+    }
+
+    async function codebookId(alphabet, table) {
+        const bytes = new Uint8Array(1 + 4 + table.bytes.length);
+        bytes[0] = alphabet === MODE_BYTES ? 1 : 0;
+        new DataView(bytes.buffer).setUint32(1, table.bitLength, false);
+        bytes.set(table.bytes, 5);
+        return (await calculateHash(bytes)).slice(0, CODEBOOK_ID_LENGTH * 2);
+    }
+
+    // codeLengths: Map<symbol value, length>, the escape included
+    async function makeCodebook(alphabet, codeLengths, { name = '', sampleCount = 0, symbolCount = 0 } = {}) {
+        const table = serializeCodeLengths(codeLengths);
+        return {
+            id: await codebookId(alphabet, table),
+            name, alphabet, codeLengths, sampleCount, symbolCount,
+            table: table.bytes,
+            tableBits: table.bitLength
+        };
+    }
+
+    // samples: strings or byte arrays. options: mode ('auto' picks text when every sample is
+    // UTF-8), name. The escape counts once per sample, since each new file may bring a symbol
+    // the corpus lacked.
+    async function trainCodebook(samples, options = {}) {
+        const mode = !options.mode || options.mode === 'auto'
+            ? (samples.every(sample => typeof sample === 'string' || detectMode(sample) === MODE_TEXT) ? MODE_TEXT : MODE_BYTES)
+            : options.mode;
+        const counts = new Map();
+        let symbolCount = 0;
+        for (const sample of samples) {
+            for (const [symbol, freq] of calculateFrequencies(toSymbols(sample, mode))) {
+                const value = symbolValue(symbol);
+                counts.set(value, (counts.get(value) || 0) + freq);
+                symbolCount += freq;
+            }
+        }
+        // Ascending symbol order keeps the tree, and so the ID, the same for the same corpus
+        const frequencyMap = new Map(Array.from(counts.entries()).sort((a, b) => a[0] - b[0]));
+        frequencyMap.set(codebookEscape(mode), Math.max(1, samples.length));
+        return makeCodebook(mode, cappedCodeLengths(frequencyMap, CODEBOOK_MAX_CODE_LENGTH), {
+            name: options.name,
+            sampleCount: samples.length,
+            symbolCount: symbolCount
+        });
+    }
+
+    function exportCodebook(codebook) {
+        return Container.writeCodebook(codebook);
+    }
+
+    // Parse a codebook file; a table that does not hash to the stored ID is damage
+    async function importCodebook(input) {
+        const file = Container.readCodebook(toBytes(input));
+        const escape = codebookEscape(file.alphabet);
+        const reader = new BitIO.BitReader(file.table, file.tableBits);
+        const fail = (detail, bit) => Container.locate(new Container.CorruptFileError(detail, { section: 'codebook', bit: bit }), { codebook: file.tableOffset });
+        let codeLengths;
+        try {
+            codeLengths = readCodeLengths(reader, escape, value => value, file.alphabet);
+        } catch (error) {
+            const damage = tableError(error, reader);
+            if (!(damage instanceof Container.CorruptFileError)) throw fail(damage.message, null);
+            throw fail(damage.detail, damage.bit);
+        }
+        if (reader.remaining) throw fail(`${reader.remaining} bits left over after the code lengths`, reader.position);
+        if (!codeLengths.has(escape)) throw fail('the table has no escape code', null);
+        if (longestCode(codeLengths) > CODEBOOK_MAX_CODE_LENGTH) throw fail(`a code is longer than ${CODEBOOK_MAX_CODE_LENGTH} bits`, null);
+
+        const codebook = await makeCodebook(file.alphabet, codeLengths, file);
+        if (codebook.id !== file.id) throw fail(`the table hashes to ${codebook.id}, not to the stored ID ${file.id}`, null);
+        return codebook;
+    }
+
+    // Codes by symbol (characters or byte values) and the escape code, for the views
+    function describeCodebook(codebook) {
+        const escape = codebookEscape(codebook.alphabet);
+        const codes = {};
+        let escapeCode = null;
+        for (const [value, code] of Object.entries(generateCanonicalCodes(codebook.codeLengths))) {
+            if (Number(value) === escape) escapeCode = code;
+            else codes[codebook.alphabet === MODE_BYTES ? value : String.fromCodePoint(Number(value))] = code;
+        }
+        return { id: codebook.id, name: codebook.name, alphabet: codebook.alphabet, codes, escapeCode };
+    }
+
+    // Stats: symbols the codebook has a code for against escaped ones, and their bits
+    function encodeCodebook(symbols, codebook, options = {}) {
+        const onProgress = options.onProgress || noProgress;
+        const mode = codebook.alphabet;
+        const escape = codebookEscape(mode);
+        const { codeLengths, values } = numericCode(codebook.codeLengths);
+        const writer = new BitIO.BitWriter((symbols.length >>> 1) + 16);
+        let codedSymbols = 0;
+        let escapedSymbols = 0;
+        let codedBits = 0;
+        let escapeBits = 0;
+
+        onProgress('encoding', 0);
+        for (let i = 0; i < symbols.length; i++) {
+            if ((i & (PROGRESS_INTERVAL - 1)) === 0) onProgress('encoding', i / symbols.length);
+            const value = mode === MODE_BYTES ? symbols[i] : symbols.codePointAt(i);
+            if (value > 0xFFFF) i++;
+            const length = codeLengths.get(value);
+            if (length !== undefined) {
+                writer.writeBits(values.get(value), length);
+                codedSymbols++;
+                codedBits += length;
+                continue;
+            }
+            const start = writer.bitLength;
+            writer.writeBits(values.get(escape), codeLengths.get(escape));
+            writeLeafSymbol(writer, mode === MODE_BYTES ? value : String.fromCodePoint(value), mode);
+            escapedSymbols++;
+            escapeBits += writer.bitLength - start;
+        }
+        onProgress('encoding', 1);
+
+        const idBytes = Uint8Array.from(codebook.id.match(/.{2}/g), byte => parseInt(byte, 16));
+        return {
+            table: { bytes: idBytes, bitLength: idBytes.length * 8 },
+            encoded: writer.finish(),
+            stats: {
+                tableBits: idBytes.length * 8,
+                codedSymbols: codedSymbols,
+                escapedSymbols: escapedSymbols,
+                codedBits: codedBits,
+                escapeBits: escapeBits
+            }
+        };
+    }
+
+    // Text symbols are written out as UTF-8, so originalSize is in bytes for both alphabets
+    function decodeCodebook(codebook, data, dataBits, originalSize, onProgress = noProgress) {
+        const mode = codebook.alphabet;
+        const escape = codebookEscape(mode);
+        const decoder = buildCanonicalDecoder(codebook.codeLengths, CODEBOOK_MAX_CODE_LENGTH, 'codebook');
+        const encoder = new TextEncoder();
+        const encodedSymbols = new Map();
+        const reader = new BitIO.BitReader(data, dataBits);
+        const out = new Uint8Array(originalSize);
+        let length = 0;
+        let nextReport = 0;
+
+        while (length < originalSize) {
+            if (length >= nextReport) {
+                onProgress('decoding', length / originalSize);
+                nextReport += PROGRESS_INTERVAL;
+            }
+            let value = readCanonicalSymbol(reader, decoder);
+            if (value === escape) {
+                const start = reader.position;
+                let symbol;
+                try {
+                    symbol = readLeafSymbol(reader, mode);
+                } catch (error) {
+                    // The leaf reader reports against the table; here it is data
+                    throw error instanceof Container.CorruptFileError ? new Error(`${error.detail} (escape at bit ${start})`) : error;
+                }
+                value = mode === MODE_BYTES ? symbol : symbol.codePointAt(0);
+                if (codebook.codeLengths.has(value)) throw new Error(`Escaped symbol ${value} at bit ${start} has a code of its own`);
+            }
+            if (mode === MODE_BYTES) {
+                out[length++] = value;
+                continue;
+            }
+            let bytes = encodedSymbols.get(value);
+            if (!bytes) {
+                bytes = encoder.encode(String.fromCodePoint(value));
+                encodedSymbols.set(value, bytes);
+            }
+            if (length + bytes.length > originalSize) throw new Error(`Decoded text runs past ${originalSize} bytes`);
+            out.set(bytes, length);
+            length += bytes.length;
+        }
+        onProgress('decoding', 1);
+
+        return out;
+    }
+
+    // A codebook's alphabet is fixed by its training, so the input must fit it
+    function checkCodebookInput(input, options) {
+        const codebook = options.codebook;
+        if (!codebook) throw new Error('Codebook coding needs a codebook');
+        if (options.mode && options.mode !== codebook.alphabet) {
+            throw new Error(`Codebook ${codebook.name || codebook.id} codes ${codebook.alphabet}, not ${options.mode}`);
+        }
+        if (codebook.alphabet === MODE_TEXT && typeof input !== 'string' && detectMode(input) !== MODE_TEXT) {
+            throw new Error(`Codebook ${codebook.name || codebook.id} codes text, and this input is not valid UTF-8`);
+        }
+    }
+
+    // The ID covers the alphabet, so a codebook with the file's ID and another alphabet means a damaged header
+    function findCodebook(codebooks, metadata) {
+        const codebook = (codebooks || []).find(book => book.id === metadata.codebookId);
+        if (!codebook) throw new MissingCodebookError(metadata.codebookId);
+        if (codebook.alphabet !== metadata.mode) {
+            throw new Container.CorruptFileError(`${metadata.mode} file names the ${codebook.alphabet} codebook ${codebook.id}`, { section: 'header', field: 'flags' });
+        }
+        return codebook;
+    }
+
+    // Public API
+
+    // Symbols are characters in text mode and byte values (numbers) in byte mode
+    function toSymbols(input, mode) {
+        return mode === MODE_BYTES ? toBytes(input) : toText(input);
+    }
+
+    // options.frequencyMap supplies counts made elsewhere (e.g. summed over archive entries);
+    // `symbols` then only sets the alphabet
+    function buildModel(symbols, options = {}) {
+        const mode = typeof symbols === 'string' ? MODE_TEXT : MODE_BYTES;
+        const onProgress = options.onProgress || noProgress;
+        onProgress('frequencies', 0);
+        const frequencyMap = options.frequencyMap || calculateFrequencies(symbols);
+        onProgress('tree', 0);
+        let tree = buildHuffmanTree(frequencyMap);
+        let codeLengths = getCodeLengths(tree);
+        let codes = generateCodes(tree);
+        let lengthLimit = null;
+
+        // Package-merge only runs when the Huffman tree is deeper than the cap;
+        // limited codes are canonical since no tree shape produced them
+        if (options.maxCodeLength) {
+            const huffmanBits = codeCost(frequencyMap, codeLengths);
+            const huffmanMaxLength = longestCode(codeLengths);
+            if (huffmanMaxLength > options.maxCodeLength) {
+                codeLengths = limitCodeLengths(frequencyMap, options.maxCodeLength);
+                codes = generateCanonicalCodes(codeLengths);
+                tree = buildTreeFromCodes(codes, mode);
+            }
+            lengthLimit = {
+                maxCodeLength: options.maxCodeLength,
+                huffmanMaxLength: huffmanMaxLength,
+                huffmanBits: huffmanBits,
+                limitedBits: codeCost(frequencyMap, codeLengths)
+            };
+        }
+
+        if (options.canonical) {
+            codes = generateCanonicalCodes(codeLengths);
+            tree = buildTreeFromCodes(codes, mode);
+        }
+
+        return { frequencyMap, tree, codes, codeLengths, canonical: options.canonical === true, lengthLimit };
+    }
+
+    function serializeTable(model, mode) {
+        return model.canonical ? serializeCodeLengths(model.codeLengths) : serializeTreeToBinary(model.tree, mode);
+    }
+
+    // Table and data size of a static encoding, for comparing against adaptive coding
+    function measureEncoding(model, mode) {
+        return {
+            tableBits: serializeTable(model, mode).bitLength,
+            dataBits: codeCost(model.frequencyMap, model.codeLengths)
+        };
+    }
+
+    // Order-0 information measures of a code: Shannon entropy and average code length in
+    // bits per symbol, and the totals they give over every counted symbol. The entropy
+    // total is the lower bound for any code that codes symbols one at a time.
+    function analyzeCode(frequencyMap, codes) {
+        let symbolCount = 0;
+        for (const freq of frequencyMap.values()) symbolCount += freq;
+        let entropyBits = 0;
+        let codedBits = 0;
+        for (const [symbol, freq] of frequencyMap) {
+            entropyBits -= freq * Math.log2(freq / symbolCount);
+            codedBits += freq * codes[symbol].length;
+        }
+        const entropy = symbolCount ? entropyBits / symbolCount : 0;
+        const averageLength = symbolCount ? codedBits / symbolCount : 0;
+        return {
+            symbolCount,
+            uniqueSymbols: frequencyMap.size,
+            entropy,
+            averageLength,
+            // A one-symbol input has zero entropy but still spends a bit per symbol
+            efficiency: averageLength ? entropy / averageLength : 1,
+            redundancy: averageLength - entropy,
+            entropyBits,
+            codedBits,
+            lowerBoundBytes: Math.ceil(entropyBits / 8)
+        };
+    }
+
+    // Size of the code table in both formats, for comparing header overhead
+    function measureTables(model, mode) {
+        return {
+            treeBits: serializeTreeToBinary(model.tree, mode).bitLength,
+            canonicalBits: serializeCodeLengths(model.codeLengths).bitLength
+        };
+    }
+
+    // Table and data sections for a codec. LZ77 parses the raw bytes whatever the alphabet.
+    function encodePayload(codec, symbols, bytes, model, options) {
+        if (codec === CODEC_ADAPTIVE) {
+            return { table: EMPTY_TABLE, encoded: Adaptive.encodeSymbols(symbols, options.onProgress) };
+        }
+        if (codec === CODEC_LZ77) return encodeLz(bytes, options);
+        if (codec === CODEC_CONTEXT) return encodeContext(symbols, options);
+        if (codec === CODEC_TOKENS) return encodeTokens(symbols, options);
+        if (codec === CODEC_CODEBOOK) return encodeCodebook(symbols, options.codebook, options);
+        const mode = typeof symbols === 'string' ? MODE_TEXT : MODE_BYTES;
+        return { table: serializeTable(model, mode), encoded: encodeSymbols(symbols, model.codes, options.onProgress) };
+    }
+
+    // options: mode, codec ('huffman' | 'adaptive' | 'lz77' | 'context' | 'tokens' | 'codebook'),
+    // canonical, maxCodeLength, window (LZ77), codebook, checksum, filename, mtime, mimeType,
+    // model, tokenModel, onProgress, onStats (LZ77, context model, token or codebook breakdown)
+    async function compress(input, options = {}) {
+        const codec = options.codec || CODEC_HUFFMAN;
+        if (codec === CODEC_CODEBOOK) checkCodebookInput(input, options);
+        // Without options.mode, buffers keep the original API's text handling when they are
+        // UTF-8; only buffers that would not survive decoding as text fall back to bytes
+        const mode = options.mode || (codec === CODEC_CODEBOOK ? options.codebook.alphabet : detectMode(input));
+        const symbols = toSymbols(input, mode);
+        const bytes = mode === MODE_BYTES ? symbols : toBytes(input);
+        const onProgress = options.onProgress || noProgress;
+        if (codec === CODEC_TOKENS && mode !== MODE_TEXT) throw new Error('Token coding needs the text alphabet');
+        const model = codec !== CODEC_HUFFMAN ? null : options.model || buildModel(symbols, {
+            canonical: options.canonical,
+            maxCodeLength: options.maxCodeLength,
+            onProgress
+        });
+        const { table, encoded, stats } = encodePayload(codec, symbols, bytes, model, {
+            window: options.window,
+            tokenModel: options.tokenModel,
+            codebook: options.codebook,
+            onProgress: onProgress
+        });
+        if (stats && options.onStats) options.onStats(stats);
+
+        const checksum = options.checksum || 'sha256';
+        if (checksum === 'sha256') onProgress('hashing', 0);
+
+        return Container.write({
+            alphabet: mode,
+            checksum: checksum,
+            codec: codec,
+            options: { canonical: model !== null && model.canonical },
+            metadata: {
+                filename: options.filename || '',
+                mtime: options.mtime,
+                mimeType: options.mimeType,
+                maxCodeLength: model && model.lengthLimit ? model.lengthLimit.maxCodeLength : null
+            },
+            originalSize: bytes.length,
+            symbolCount: mode === MODE_BYTES ? bytes.length : countCodePoints(symbols),
+            table: table.bytes,
+            tableBits: table.bitLength,
+            data: encoded.bytes,
+            dataBits: encoded.bitLength,
+            hash: checksum === 'sha256' ? await calculateHash(bytes) : null
+        });
+    }
+
+    // Blocks of a block stream (lib/stream.js): a table and data per block, no container.
+    // In 'auto' mode each block is text when it is valid UTF-8 and bytes otherwise.
+    // Adaptive, LZ77 and context blocks keep their static model for the views and for comparison.
+    // With options.sharedModel (a byte model stored once for many blocks) the block has no table.
+    // Token coding needs text, so byte blocks of a token-coded stream use static Huffman.
+    // Codebooks are for single files; blocks are large enough to carry their own tables.
+    async function encodeBlock(bytes, options = {}) {
+        if (options.codec === CODEC_CODEBOOK) throw new Error('Codebooks code single files, not block streams or archives');
+        if (options.sharedModel) {
+            const encoded = encodeSymbols(bytes, options.sharedModel.codes);
+            return {
+                alphabet: MODE_BYTES,
+                canonical: false,
+                adaptive: false,
+                lz77: false,
+                context: false,
+                tokens: false,
+                lzStats: null,
+                contextStats: null,
+                tokenStats: null,
+                model: options.sharedModel,
+                originalLength: bytes.length,
+                symbolCount: bytes.length,
+                table: EMPTY_TABLE.bytes,
+                tableBits: 0,
+                data: encoded.bytes,
+                dataBits: encoded.bitLength,
+                hash: options.checksum === 'none' ? null : await calculateHash(bytes)
+            };
+        }
+        const mode = !options.mode || options.mode === 'auto' ? detectMode(bytes) : options.mode;
+        let symbols;
+        try {
+            symbols = toSymbols(bytes, mode);
+        } catch (error) {
+            throw new Error('Block is not valid UTF-8 text; use byte mode instead');
+        }
+        const codec = options.codec === CODEC_TOKENS && mode === MODE_BYTES ? CODEC_HUFFMAN : options.codec || CODEC_HUFFMAN;
+        const model = buildModel(symbols, { canonical: options.canonical, maxCodeLength: options.maxCodeLength });
+        const { table, encoded, stats } = encodePayload(codec, symbols, bytes, model, { window: options.window });
+
+        return {
+            alphabet: mode,
+            canonical: codec === CODEC_HUFFMAN && model.canonical,
+            adaptive: codec === CODEC_ADAPTIVE,
+            lz77: codec === CODEC_LZ77,
+            context: codec === CODEC_CONTEXT,
+            tokens: codec === CODEC_TOKENS,
+            lzStats: codec === CODEC_LZ77 ? stats : null,
+            contextStats: codec === CODEC_CONTEXT ? stats : null,
+            tokenStats: codec === CODEC_TOKENS ? stats : null,
+            model: model,
+            originalLength: bytes.length,
+            symbolCount: mode === MODE_BYTES ? bytes.length : countCodePoints(symbols),
+            table: table.bytes,
+            tableBits: table.bitLength,
+            data: encoded.bytes,
+            dataBits: encoded.bitLength,
+            hash: options.checksum === 'none' ? null : await calculateHash(bytes)
+        };
+    }
+
+    // Decode one block back to its original bytes; options.tree decodes blocks that use a shared table
+    // Failures are CorruptFileErrors located in the block's table or data
+    function decodeBlock(block, options = {}) {
+        checkDecoder(options.decoder || 'auto');
+        try {
+            if (block.adaptive) {
+                return Adaptive.decodeSymbols(block.data, block.dataBits, block.alphabet, {
+                    symbolCount: block.symbolCount,
+                    expectedLength: block.originalLength
+                });
+            }
+            if (block.lz77) return decodeLz(block.table, block.data, block.dataBits, block.originalLength);
+            if (block.context) {
+                return decodeContext(block.table, block.tableBits, block.data, block.dataBits, block.originalLength, block.alphabet);
+            }
+            if (block.tokens) return decodeTokens(block.table, block.tableBits, block.data, block.dataBits, block.originalLength);
+            const { tree } = options.tree
+                ? options
+                : readTable(block.table, block.tableBits, block.canonical, block.alphabet, options.maxCodeLength);
+            return decodeSymbols(block.data, block.dataBits, tree, {
+                leafFormat: block.alphabet,
+                expectedLength: block.originalLength,
+                decoder: options.decoder
+            }).output;
+        } catch (error) {
+            throw Container.locate(decodeError(error), { table: block.tableOffset, data: block.dataOffset });
+        }
+    }
+
+    // options: decoder, codebooks (the loaded codebooks; a file that needs another one fails
+    // with MissingCodebookError), onProgress
+    async function decompress(input, options = {}) {
+        const onProgress = options.onProgress || noProgress;
+        const { metadata, tree, table, data: encoded } = readContainer(input);
+        checkDecoder(options.decoder || 'auto');
+        const codebook = metadata.codebookId ? findCodebook(options.codebooks, metadata) : null;
+        let decoded, decoder;
+        try {
+            if (codebook) {
+                decoder = CODEC_CODEBOOK;
+                decoded = decodeCodebook(codebook, encoded, metadata.binaryLength, metadata.originalSize, onProgress);
+            } else if (metadata.codec === CODEC_LZ77) {
+                decoder = CODEC_LZ77;
+                decoded = decodeLz(table, encoded, metadata.binaryLength, metadata.originalSize, onProgress);
+            } else if (metadata.codec === CODEC_CONTEXT) {
+                decoder = CODEC_CONTEXT;
+                decoded = decodeContext(table, metadata.tableLength, encoded, metadata.binaryLength, metadata.originalSize, metadata.mode, onProgress);
+            } else if (metadata.codec === CODEC_TOKENS) {
+                decoder = CODEC_TOKENS;
+                decoded = decodeTokens(table, metadata.tableLength, encoded, metadata.binaryLength, metadata.originalSize, onProgress);
+            } else if (metadata.codec === CODEC_ADAPTIVE) {
+                decoder = CODEC_ADAPTIVE;
+                decoded = Adaptive.decodeSymbols(encoded, metadata.binaryLength, metadata.mode, {
+                    symbolCount: metadata.symbolCount,
+                    expectedLength: metadata.originalSize,
+                    onProgress: onProgress
+                });
+            } else {
+                ({ output: decoded, decoder } = decodeSymbols(encoded, metadata.binaryLength, tree, {
+                    leafFormat: metadata.leafFormat,
+                    expectedLength: metadata.originalSize,
+                    decoder: options.decoder,
+                    onProgress: onProgress
+                }));
+            }
+        } catch (error) {
+            throw Container.locate(decodeError(error), { table: metadata.tableOffset, data: metadata.dataOffset });
+        }
+        let data, text;
+
+        if (metadata.leafFormat === LEAF_UTF16) {
+            text = unitsToString(decoded);
+            data = new TextEncoder().encode(text);
+        } else {
+            data = decoded;
+            if (metadata.mode === MODE_TEXT) text = new TextDecoder('utf-8', { ignoreBOM: true }).decode(data);
+        }
+
+        if (metadata.hash) onProgress('hashing', 0);
+        const hash = metadata.hash ? await calculateHash(data) : null;
+        let sizeMatch = data.length === metadata.originalSize;
+        if (metadata.mode === MODE_TEXT && metadata.unicode) {
+            sizeMatch = sizeMatch && countCodePoints(text) === metadata.symbolCount;
+        } else if (metadata.mode === MODE_TEXT) {
+            // Older text files recorded the UTF-16 length
+            sizeMatch = text.length === metadata.originalSize;
+        }
+
+        return {
+            data: data,
+            text: text,
+            metadata: metadata,
+            hashMatch: metadata.hash ? hash === metadata.hash : null,
+            sizeMatch: sizeMatch,
+            decoder: decoder
+        };
+    }
+
+    return {
+        MODE_TEXT,
+        MODE_BYTES,
+        CODEC_HUFFMAN,
+        CODEC_ADAPTIVE,
+        CODEC_LZ77,
+        CODEC_CONTEXT,
+        CODEC_TOKENS,
+        CODEC_CODEBOOK,
+        MissingCodebookError,
+        HuffmanNode,
+        detectMode,
+        toSymbols,
+        countCodePoints,
+        calculateHash,
+        calculateFrequencies,
+        calculateContextFrequencies,
+        tokenize,
+        buildTokenModel,
+        trainCodebook,
+        exportCodebook,
+        importCodebook,
+        describeCodebook,
+        buildHuffmanTree,
+        generateCodes,
+        weighTree,
+        getMergeSteps,
+        getCodeLengths,
+        generateCanonicalCodes,
+        buildTreeFromCodes,
+        limitCodeLengths,
+        encodeSymbols,
+        decodeSymbols,
+        traceSymbols,
+        serializeTreeToBinary,
+        deserializeTreeFromBinary,
+        serializeCodeLengths,
+        deserializeCodeLengths,
+        readTable,
+        serializeTable,
+        readContainer,
+        buildModel,
+        measureTables,
+        measureEncoding,
+        measureTokens,
+        analyzeCode,
+        analyzeContexts,
+        compress,
+        decompress,
+        encodeBlock,
+        decodeBlock
+    };
+});
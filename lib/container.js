@@ -0,0 +1,1152 @@
+// Huffman Container - versioned .bin file layout (plus the headerless legacy v0 reader)
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.HuffmanContainer = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Container format (version 1, all integers big-endian):
+    // - Magic signature (4 bytes: 0x89 'H' 'U' 'F')
+    // - Format version (1 byte)
+    // - Flags (2 bytes): bits 0-1 alphabet, bits 2-3 checksum type, bits 4-7 codec, bits 8-15 options
+    // - Metadata length (4 bytes) + entries of [tag (1 byte)][length (4 bytes)][value]
+    // - Original size in bytes (8 bytes)
+    // - Symbol count (8 bytes: code points in text mode, bytes in byte mode)
+    // - Header CRC-32 (4 bytes, version 2): magic through symbol count
+    // - Table length in bits (8 bytes) + table [+ CRC-32 of both (version 2)]
+    // - Data length in bits (8 bytes) + encoded data [+ CRC-32 of both (version 2)]
+    // - Checksum (32 bytes for SHA-256, absent for none)
+    // Version 2 only adds the CRC-32s, so a damaged section is caught before decoding;
+    // version 1 files are read as before.
+    const MAGIC = new Uint8Array([0x89, 0x48, 0x55, 0x46]);
+    const FORMAT_VERSION = 2;
+    const CRC_LENGTH = 4;
+
+    const ALPHABETS = ['text', 'bytes'];
+    const CHECKSUMS = ['none', 'sha256'];
+    const CODECS = ['huffman', 'blocks', 'adaptive', 'lz77', 'archive', 'encrypted', 'context', 'tokens', 'codebook'];
+    const CHECKSUM_LENGTHS = { none: 0, sha256: 32 };
+
+    // Option bits (flags bits 8-15)
+    const OPTIONS = {
+        canonical: 0x0100,  // table holds canonical code lengths instead of a tree
+        sharedTable: 0x0200 // archive: one byte table in the header for every entry
+    };
+
+    // Metadata entry tags; unknown tags are skipped by readers
+    const TAG_FILENAME = 0x01;
+    const TAG_MTIME = 0x02;
+    const TAG_MIME_TYPE = 0x03;
+    const TAG_MAX_CODE_LENGTH = 0x04; // 1 byte: no code in the table is longer
+
+    // Legacy v0 flags byte (stored in the reserved bytes after the hash)
+    const LEGACY_FLAG_BYTES = 0x01;
+    const LEGACY_FLAG_UNICODE = 0x02;
+
+    // Utility Functions
+    function toHex(bytes) {
+        return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    function fromHex(hex) {
+        return new Uint8Array(hex.match(/.{2}/g).map(byte => parseInt(byte, 16)));
+    }
+
+    let crcTable = null;
+
+    // CRC-32 (IEEE, as in gzip and zip); pass a previous result as `crc` to continue it
+    function crc32(bytes, crc = 0) {
+        if (!crcTable) {
+            crcTable = new Int32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                crcTable[n] = c;
+            }
+        }
+        crc = ~crc;
+        for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        return ~crc >>> 0;
+    }
+
+    function hasCrc(version) {
+        return version >= 2;
+    }
+
+    // A damaged or truncated file. `section` names the part that failed (header, metadata,
+    // table, data, index, directory, footer, ciphertext, codebook), `offset` is the byte in the file where known,
+    // `bit` the position inside the section's bit stream, and `block` the block or entry.
+    class CorruptFileError extends Error {
+        constructor(detail, { section, field = null, offset = null, bit = null, block = null } = {}) {
+            super(detail);
+            this.name = 'CorruptFileError';
+            this.detail = detail;
+            this.section = section;
+            this.field = field;
+            this.offset = offset;
+            this.bit = bit;
+            this.block = block;
+            this.message = this.describe();
+        }
+
+        describe() {
+            const where = (this.block !== null ? `Block ${this.block + 1} ` : '')
+                + (this.block !== null ? this.section : this.section[0].toUpperCase() + this.section.slice(1));
+            const at = this.offset !== null ? ` at byte ${this.offset}` : this.bit !== null ? ` at bit ${this.bit}` : '';
+            return `${where} section corrupted${at}: ${this.detail}`;
+        }
+    }
+
+    // Fill in where the failing section starts in the file ({ table, data } byte offsets;
+    // bit positions become byte offsets) and the block it belongs to
+    function locate(error, sectionOffsets = {}, block = null) {
+        if (!(error instanceof CorruptFileError)) return error;
+        const sectionOffset = sectionOffsets[error.section];
+        if (error.offset === null && error.bit !== null && sectionOffset !== undefined) {
+            error.offset = sectionOffset + (error.bit >>> 3);
+        }
+        if (error.block === null) error.block = block;
+        error.message = error.describe();
+        return error;
+    }
+
+    // Bounds-checked reads; each failure names the field and the byte it starts at
+    class FieldReader {
+        constructor(bytes, section, base = 0) {
+            this.bytes = bytes;
+            this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+            this.section = section;
+            this.base = base;
+            this.offset = 0;
+            this.crcStart = 0;
+        }
+
+        fail(detail, field) {
+            return new CorruptFileError(detail, { section: this.section, field: field, offset: this.base + this.offset });
+        }
+
+        need(count, field) {
+            if (this.offset + count > this.bytes.length) {
+                const left = Math.max(0, this.bytes.length - this.offset);
+                throw this.fail(`${field} needs ${count} bytes but only ${left} remain (file truncated?)`, field);
+            }
+        }
+
+        uint8(field) {
+            this.need(1, field);
+            return this.bytes[this.offset++];
+        }
+
+        uint16(field) {
+            this.need(2, field);
+            const value = this.view.getUint16(this.offset, false);
+            this.offset += 2;
+            return value;
+        }
+
+        uint32(field) {
+            this.need(4, field);
+            const value = this.view.getUint32(this.offset, false);
+            this.offset += 4;
+            return value;
+        }
+
+        uint64(field) {
+            this.need(8, field);
+            const value = this.view.getUint32(this.offset, false) * 0x100000000 + this.view.getUint32(this.offset + 4, false);
+            if (!Number.isSafeInteger(value)) throw this.fail(`${field} exceeds the supported range`, field);
+            this.offset += 8;
+            return value;
+        }
+
+        bytesOf(count, field) {
+            this.need(count, field);
+            const bytes = this.bytes.subarray(this.offset, this.offset + count);
+            this.offset += count;
+            return bytes;
+        }
+
+        // Start a new section; its CRC covers everything read from here
+        begin(section) {
+            this.section = section;
+            this.crcStart = this.offset;
+        }
+
+        // Compare the stored CRC-32 with the bytes read since begin()
+        checkCrc() {
+            const computed = crc32(this.bytes.subarray(this.crcStart, this.offset));
+            const start = this.offset;
+            const stored = this.uint32('CRC-32');
+            if (stored !== computed) {
+                throw new CorruptFileError(`CRC-32 mismatch (stored ${hex32(stored)}, computed ${hex32(computed)})`, {
+                    section: this.section,
+                    field: 'CRC-32',
+                    offset: this.base + this.crcStart
+                });
+            }
+            this.offset = start + CRC_LENGTH;
+        }
+
+        end(field) {
+            if (this.offset !== this.bytes.length) {
+                throw this.fail(`${this.bytes.length - this.offset} unexpected bytes after the ${field}`, field);
+            }
+        }
+    }
+
+    function hex32(value) {
+        return value.toString(16).padStart(8, '0');
+    }
+
+    // DataView has no safe 64-bit Number accessors, so split into two 32-bit halves
+    // (FieldReader.uint64 reads them back)
+    function setUint64(view, offset, value) {
+        view.setUint32(offset, Math.floor(value / 0x100000000), false);
+        view.setUint32(offset + 4, value >>> 0, false);
+    }
+
+    function enumIndex(list, value, name) {
+        const index = list.indexOf(value);
+        if (index === -1) throw new Error(`Unknown ${name}: ${value}`);
+        return index;
+    }
+
+    function enumValue(list, index, name) {
+        if (index >= list.length) throw new CorruptFileError(`unsupported ${name} (${index})`, { section: 'header', field: 'flags', offset: MAGIC.length + 1 });
+        return list[index];
+    }
+
+    function checkVersion(version) {
+        if (version > FORMAT_VERSION) {
+            throw new Error(`Unsupported format version ${version} (this reader supports up to ${FORMAT_VERSION})`);
+        }
+        if (version === 0) {
+            throw new CorruptFileError('version 0 is never stored after a signature', { section: 'header', field: 'version', offset: MAGIC.length });
+        }
+    }
+
+    function isContainer(bytes) {
+        return bytes.length >= MAGIC.length && MAGIC.every((b, i) => bytes[i] === b);
+    }
+
+    function isBlockStream(bytes) {
+        return isContainer(bytes) && bytes.length >= 7
+            && ((bytes[5] << 8 | bytes[6]) >> 4 & 0x0F) === CODECS.indexOf('blocks');
+    }
+
+    function isArchive(bytes) {
+        return isContainer(bytes) && bytes.length >= 7
+            && ((bytes[5] << 8 | bytes[6]) >> 4 & 0x0F) === CODECS.indexOf('archive');
+    }
+
+    function isEncrypted(bytes) {
+        return isContainer(bytes) && bytes.length >= 7
+            && ((bytes[5] << 8 | bytes[6]) >> 4 & 0x0F) === CODECS.indexOf('encrypted');
+    }
+
+    function encodeFlags(alphabet, checksum, codec, options) {
+        let flags = enumIndex(ALPHABETS, alphabet, 'alphabet')
+            | (enumIndex(CHECKSUMS, checksum, 'checksum type') << 2)
+            | (enumIndex(CODECS, codec, 'codec') << 4);
+        for (const [name, bit] of Object.entries(OPTIONS)) {
+            if (options[name]) flags |= bit;
+        }
+        return flags;
+    }
+
+    function decodeFlags(flags) {
+        const options = {};
+        for (const [name, bit] of Object.entries(OPTIONS)) {
+            options[name] = (flags & bit) !== 0;
+        }
+        return {
+            alphabet: enumValue(ALPHABETS, flags & 0x03, 'alphabet'),
+            checksum: enumValue(CHECKSUMS, (flags >> 2) & 0x03, 'checksum type'),
+            codec: enumValue(CODECS, (flags >> 4) & 0x0F, 'codec'),
+            options
+        };
+    }
+
+    // Metadata section
+    function encodeMetadata(metadata) {
+        const encoder = new TextEncoder();
+        const entries = [];
+
+        if (metadata.filename) {
+            entries.push([TAG_FILENAME, encoder.encode(metadata.filename)]);
+        }
+        if (metadata.mtime !== undefined && metadata.mtime !== null) {
+            const mtime = new Uint8Array(8);
+            setUint64(new DataView(mtime.buffer), 0, Math.max(0, Math.round(metadata.mtime)));
+            entries.push([TAG_MTIME, mtime]);
+        }
+        if (metadata.mimeType) {
+            entries.push([TAG_MIME_TYPE, encoder.encode(metadata.mimeType)]);
+        }
+        if (metadata.maxCodeLength) {
+            entries.push([TAG_MAX_CODE_LENGTH, new Uint8Array([metadata.maxCodeLength])]);
+        }
+
+        const size = entries.reduce((sum, [, value]) => sum + 5 + value.length, 0);
+        const buffer = new Uint8Array(size);
+        const view = new DataView(buffer.buffer);
+        let offset = 0;
+
+        for (const [tag, value] of entries) {
+            buffer[offset++] = tag;
+            view.setUint32(offset, value.length, false);
+            offset += 4;
+            buffer.set(value, offset);
+            offset += value.length;
+        }
+
+        return buffer;
+    }
+
+    // `base` is the file offset of the metadata, for error messages
+    function decodeMetadata(bytes, base = STREAM_PREFIX_LENGTH) {
+        const decoder = new TextDecoder();
+        const reader = new FieldReader(bytes, 'metadata', base);
+        const metadata = { filename: '', mtime: null, mimeType: '', maxCodeLength: null };
+
+        while (reader.offset < bytes.length) {
+            const tag = reader.uint8('metadata tag');
+            const length = reader.uint32('metadata entry length');
+            const start = reader.offset;
+            const value = reader.bytesOf(length, `metadata entry ${tag}`);
+
+            if (tag === TAG_FILENAME) metadata.filename = decoder.decode(value);
+            else if (tag === TAG_MIME_TYPE) metadata.mimeType = decoder.decode(value);
+            else if (tag === TAG_MTIME || tag === TAG_MAX_CODE_LENGTH) {
+                const expected = tag === TAG_MTIME ? 8 : 1;
+                if (length !== expected) {
+                    reader.offset = start;
+                    throw reader.fail(`${tag === TAG_MTIME ? 'modification time' : 'maximum code length'} is ${length} bytes instead of ${expected}`, `metadata entry ${tag}`);
+                }
+                if (tag === TAG_MTIME) metadata.mtime = new FieldReader(value, 'metadata', base + start).uint64('modification time');
+                else metadata.maxCodeLength = value[0];
+            }
+        }
+
+        return metadata;
+    }
+
+    // Writer
+    function write({
+        alphabet = 'text',
+        checksum = 'sha256',
+        codec = 'huffman',
+        options = {},
+        metadata = {},
+        originalSize,
+        symbolCount,
+        table,
+        tableBits,
+        data,
+        dataBits,
+        hash
+    }) {
+        const flags = encodeFlags(alphabet, checksum, codec, options);
+        const metadataBytes = encodeMetadata(metadata);
+        const checksumBytes = checksum === 'sha256' ? fromHex(hash) : new Uint8Array(0);
+
+        const totalSize = MAGIC.length + 1 + 2 + 4 + metadataBytes.length + 8 + 8 + CRC_LENGTH
+            + 8 + table.length + CRC_LENGTH + 8 + data.length + CRC_LENGTH + checksumBytes.length;
+        const buffer = new Uint8Array(totalSize);
+        const view = new DataView(buffer.buffer);
+        let offset = 0;
+        let sectionStart = 0;
+
+        // Each section is followed by the CRC-32 of its bytes
+        function endSection() {
+            view.setUint32(offset, crc32(buffer.subarray(sectionStart, offset)), false);
+            offset += CRC_LENGTH;
+            sectionStart = offset;
+        }
+
+        buffer.set(MAGIC, offset);
+        offset += MAGIC.length;
+        buffer[offset++] = FORMAT_VERSION;
+        view.setUint16(offset, flags, false);
+        offset += 2;
+
+        view.setUint32(offset, metadataBytes.length, false);
+        offset += 4;
+        buffer.set(metadataBytes, offset);
+        offset += metadataBytes.length;
+
+        setUint64(view, offset, originalSize);
+        offset += 8;
+        setUint64(view, offset, symbolCount);
+        offset += 8;
+        endSection();
+
+        setUint64(view, offset, tableBits);
+        offset += 8;
+        buffer.set(table, offset);
+        offset += table.length;
+        endSection();
+
+        setUint64(view, offset, dataBits);
+        offset += 8;
+        buffer.set(data, offset);
+        offset += data.length;
+        endSection();
+
+        buffer.set(checksumBytes, offset);
+
+        return buffer;
+    }
+
+    // Readers
+    function read(bytes) {
+        return isContainer(bytes) ? readVersioned(bytes) : readLegacy(bytes);
+    }
+
+    // Every length is checked against the bytes that are left, and with version 2 each
+    // section against its CRC-32, so damage is reported by section and byte offset
+    function readVersioned(bytes) {
+        const reader = new FieldReader(bytes, 'header');
+        reader.offset = MAGIC.length;
+
+        const version = reader.uint8('version');
+        checkVersion(version);
+        const crc = hasCrc(version);
+
+        const flags = reader.uint16('flags');
+        const { alphabet, checksum, codec, options } = decodeFlags(flags);
+        if (codec === 'blocks') {
+            throw new Error('This is a block stream file; read it with the streaming reader');
+        }
+        if (codec === 'archive') {
+            throw new Error('This is a multi-file archive; open it with the archive reader');
+        }
+        if (codec === 'encrypted') {
+            throw new Error('This file is encrypted; decrypt it with its passphrase first');
+        }
+
+        const metadataLength = reader.uint32('metadata length');
+        const metadataOffset = reader.offset;
+        const metadataBytes = reader.bytesOf(metadataLength, 'metadata');
+
+        const originalSize = reader.uint64('original size');
+        const symbolCount = reader.uint64('symbol count');
+        // The header CRC is checked before trusting the metadata entries
+        if (crc) reader.checkCrc();
+        const metadata = decodeMetadata(metadataBytes, metadataOffset);
+
+        reader.begin('table');
+        const tableBits = reader.uint64('table length');
+        const tableOffset = reader.offset;
+        const table = reader.bytesOf(Math.ceil(tableBits / 8), 'table');
+        if (crc) reader.checkCrc();
+
+        reader.begin('data');
+        const dataBits = reader.uint64('data length');
+        const dataOffset = reader.offset;
+        const data = reader.bytesOf(Math.ceil(dataBits / 8), 'data');
+        if (crc) reader.checkCrc();
+
+        reader.section = 'checksum';
+        const checksumLength = CHECKSUM_LENGTHS[checksum];
+        const hash = checksumLength ? toHex(reader.bytesOf(checksumLength, 'SHA-256')) : null;
+        reader.end(checksumLength ? 'SHA-256' : 'data');
+
+        return {
+            version, flags, alphabet, checksum, codec, options, metadata,
+            unicode: true,
+            leafFormat: alphabet,
+            originalSize, symbolCount,
+            table, tableBits, tableOffset,
+            data, dataBits, dataOffset,
+            hash
+        };
+    }
+
+    // Legacy v0 layout (headerless):
+    // - Filename length (1 byte) + filename
+    // - Tree length in bits (4 bytes) + tree
+    // - Data length in bits (4 bytes) + encoded data
+    // - Original size (4 bytes; UTF-16 length unless the Unicode flag is set)
+    // - SHA-256 hash (32 bytes)
+    // - Flags (1 byte) + 3 reserved bytes
+    // - Code point count (4 bytes, Unicode flag only)
+    function readLegacy(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let offset = 0;
+
+        function need(count) {
+            if (offset + count > bytes.length) {
+                throw new Error('Not a Huffman .bin file (no signature and not a valid legacy v0 file)');
+            }
+        }
+
+        need(1);
+        const filenameLength = bytes[offset++];
+        need(filenameLength);
+        const filename = new TextDecoder().decode(bytes.subarray(offset, offset + filenameLength));
+        offset += filenameLength;
+
+        need(4);
+        const tableBits = view.getUint32(offset, false);
+        offset += 4;
+        need(Math.ceil(tableBits / 8));
+        const table = bytes.subarray(offset, offset + Math.ceil(tableBits / 8));
+        offset += table.length;
+
+        need(4);
+        const dataBits = view.getUint32(offset, false);
+        offset += 4;
+        need(Math.ceil(dataBits / 8));
+        const data = bytes.subarray(offset, offset + Math.ceil(dataBits / 8));
+        offset += data.length;
+
+        need(4 + 32 + 4);
+        const originalSize = view.getUint32(offset, false);
+        offset += 4;
+        const hash = toHex(bytes.subarray(offset, offset + 32));
+        offset += 32;
+        const legacyFlags = bytes[offset];
+        offset += 4;
+
+        const alphabet = legacyFlags & LEGACY_FLAG_BYTES ? 'bytes' : 'text';
+        const unicode = (legacyFlags & LEGACY_FLAG_UNICODE) !== 0;
+        let symbolCount = alphabet === 'bytes' ? originalSize : null;
+        if (unicode) {
+            need(4);
+            symbolCount = view.getUint32(offset, false);
+            offset += 4;
+        }
+
+        // Legacy files end exactly here; anything else is not one of ours
+        if (offset !== bytes.length) {
+            throw new Error('Not a Huffman .bin file (no signature and not a valid legacy v0 file)');
+        }
+
+        return {
+            version: 0,
+            flags: legacyFlags,
+            alphabet,
+            checksum: 'sha256',
+            codec: 'huffman',
+            options: {},
+            metadata: { filename, mtime: null, mimeType: '', maxCodeLength: null },
+            unicode,
+            leafFormat: alphabet === 'text' && !unicode ? 'utf16' : alphabet,
+            originalSize, symbolCount,
+            table, tableBits, tableOffset: 1 + filenameLength + 4,
+            data, dataBits, dataOffset: 1 + filenameLength + 4 + table.length + 4,
+            hash
+        };
+    }
+
+    // Block stream layout (codec 'blocks'), written and read incrementally:
+    // - Magic, version, flags and metadata as above (alphabet = first block's alphabet)
+    // - Block size (4 bytes): uncompressed bytes per block (the last one may be shorter)
+    // - Header CRC-32 (4 bytes, version 2)
+    // - Blocks, each with its own code table:
+    //   [type (1 byte, 1)][block flags (1 byte): bit 0 byte alphabet, bit 1 canonical, bit 2 adaptive, bit 3 LZ77,
+    //    bit 4 order-1 context model, bit 5 word tokens]
+    //   [original length (4 bytes)][symbol count (4 bytes)][table bits (4 bytes)][data bits (4 bytes)]
+    //   [SHA-256 of the block's original bytes (32 bytes, when checksummed)]
+    //   [block header CRC-32 (4 bytes, version 2)]
+    //   [table][table CRC-32 (version 2)][data][data CRC-32 (version 2)]
+    // - End marker (1 byte, 0)
+    // - Block index: per block [header offset (8 bytes)][original length (4 bytes)]
+    //   [+ CRC-32 of the index (4 bytes, version 2)]
+    // - Footer: [index offset (8 bytes)][original size (8 bytes)][block count (4 bytes)]['HUFI']
+    const STREAM_PREFIX_LENGTH = MAGIC.length + 1 + 2 + 4;
+    const BLOCK_TYPE_END = 0;
+    const BLOCK_TYPE_DATA = 1;
+    const BLOCK_FLAG_BYTES = 0x01;
+    const BLOCK_FLAG_CANONICAL = 0x02;
+    const BLOCK_FLAG_ADAPTIVE = 0x04; // no table; the data is adaptive Huffman
+    const BLOCK_FLAG_LZ77 = 0x08;     // LZ77 tokens with three code tables
+    const BLOCK_FLAG_CONTEXT = 0x10;  // order-1 context model: a shared table and one per context
+    const BLOCK_FLAG_TOKENS = 0x20;   // word tokens: character code, vocabulary and token code
+    const BLOCK_FIXED_LENGTH = 1 + 1 + 4 + 4 + 4 + 4;
+    const INDEX_ENTRY_LENGTH = 12;
+    const FOOTER_MAGIC = new Uint8Array([0x48, 0x55, 0x46, 0x49]);
+    const FOOTER_LENGTH = 8 + 8 + 4 + FOOTER_MAGIC.length;
+
+    function writeStreamHeader({ alphabet = 'bytes', checksum = 'sha256', metadata = {}, blockSize }) {
+        const metadataBytes = encodeMetadata(metadata);
+        const buffer = new Uint8Array(STREAM_PREFIX_LENGTH + metadataBytes.length + 4 + CRC_LENGTH);
+        const view = new DataView(buffer.buffer);
+        let offset = 0;
+
+        buffer.set(MAGIC, offset);
+        offset += MAGIC.length;
+        buffer[offset++] = FORMAT_VERSION;
+        view.setUint16(offset, encodeFlags(alphabet, checksum, 'blocks', {}), false);
+        offset += 2;
+        view.setUint32(offset, metadataBytes.length, false);
+        offset += 4;
+        buffer.set(metadataBytes, offset);
+        offset += metadataBytes.length;
+        view.setUint32(offset, blockSize, false);
+        offset += 4;
+        view.setUint32(offset, crc32(buffer.subarray(0, offset)), false);
+
+        return buffer;
+    }
+
+    // End of the metadata, from the first STREAM_PREFIX_LENGTH bytes
+    function metadataEnd(prefix) {
+        const reader = new FieldReader(prefix, 'header');
+        reader.offset = STREAM_PREFIX_LENGTH - 4;
+        return STREAM_PREFIX_LENGTH + reader.uint32('metadata length');
+    }
+
+    // Total header length, from the first STREAM_PREFIX_LENGTH bytes
+    function streamHeaderLength(prefix) {
+        return metadataEnd(prefix) + 4 + (hasCrc(prefix[MAGIC.length]) ? CRC_LENGTH : 0);
+    }
+
+    // Magic, version, flags and metadata shared by block streams and archives
+    function readPrefix(reader) {
+        reader.offset = MAGIC.length;
+        const version = reader.uint8('version');
+        checkVersion(version);
+        const flags = reader.uint16('flags');
+        const metadataLength = reader.uint32('metadata length');
+        const metadataOffset = reader.offset;
+        const metadataBytes = reader.bytesOf(metadataLength, 'metadata');
+        return { version, flags, ...decodeFlags(flags), metadataBytes, metadataOffset };
+    }
+
+    function readStreamHeader(bytes) {
+        if (!isBlockStream(bytes)) throw new Error('Not a Huffman block stream file');
+        const reader = new FieldReader(bytes, 'header');
+        const { version, flags, alphabet, checksum, codec, options, metadataBytes, metadataOffset } = readPrefix(reader);
+        const blockSize = reader.uint32('block size');
+        if (hasCrc(version)) reader.checkCrc();
+        reader.end('header');
+
+        return {
+            version, flags, alphabet, checksum, codec, options,
+            metadata: decodeMetadata(metadataBytes, metadataOffset),
+            blockSize,
+            headerLength: reader.offset
+        };
+    }
+
+    // `fileHeader` is the stream or archive header: its version and checksum type set the record layout
+    function blockHeaderLength(fileHeader) {
+        return BLOCK_FIXED_LENGTH + CHECKSUM_LENGTHS[fileHeader.checksum] + (hasCrc(fileHeader.version) ? CRC_LENGTH : 0);
+    }
+
+    // Records are always written in the current layout
+    function writeBlock(block, checksum) {
+        const table = block.table;
+        const data = block.data;
+        const headerLength = blockHeaderLength({ checksum, version: FORMAT_VERSION });
+        const buffer = new Uint8Array(headerLength + table.length + data.length + 2 * CRC_LENGTH);
+        const view = new DataView(buffer.buffer);
+
+        buffer[0] = BLOCK_TYPE_DATA;
+        buffer[1] = (block.alphabet === 'bytes' ? BLOCK_FLAG_BYTES : 0)
+            | (block.canonical ? BLOCK_FLAG_CANONICAL : 0)
+            | (block.adaptive ? BLOCK_FLAG_ADAPTIVE : 0)
+            | (block.lz77 ? BLOCK_FLAG_LZ77 : 0)
+            | (block.context ? BLOCK_FLAG_CONTEXT : 0)
+            | (block.tokens ? BLOCK_FLAG_TOKENS : 0);
+        view.setUint32(2, block.originalLength, false);
+        view.setUint32(6, block.symbolCount, false);
+        view.setUint32(10, block.tableBits, false);
+        view.setUint32(14, block.dataBits, false);
+        if (checksum === 'sha256') buffer.set(fromHex(block.hash), BLOCK_FIXED_LENGTH);
+        view.setUint32(headerLength - CRC_LENGTH, crc32(buffer.subarray(0, headerLength - CRC_LENGTH)), false);
+
+        let offset = headerLength;
+        for (const section of [table, data]) {
+            buffer.set(section, offset);
+            view.setUint32(offset + section.length, crc32(section), false);
+            offset += section.length + CRC_LENGTH;
+        }
+
+        return buffer;
+    }
+
+    // Returns null for the end marker; bodyLength bytes of table + data follow the header.
+    // `base` is the record's offset in the file, for error messages.
+    function readBlockHeader(bytes, fileHeader, base = 0) {
+        const reader = new FieldReader(bytes, 'block header', base);
+        const type = reader.uint8('block type');
+        if (type === BLOCK_TYPE_END) return null;
+        if (type !== BLOCK_TYPE_DATA) {
+            reader.offset = 0;
+            throw reader.fail(`unknown block type ${type}`, 'block type');
+        }
+
+        const flags = reader.uint8('block flags');
+        const originalLength = reader.uint32('original length');
+        const symbolCount = reader.uint32('symbol count');
+        const tableBits = reader.uint32('table length');
+        const dataBits = reader.uint32('data length');
+        const checksumLength = CHECKSUM_LENGTHS[fileHeader.checksum];
+        const hash = checksumLength ? toHex(reader.bytesOf(checksumLength, 'SHA-256')) : null;
+        const crc = hasCrc(fileHeader.version);
+        if (crc) reader.checkCrc();
+
+        return {
+            alphabet: flags & BLOCK_FLAG_BYTES ? 'bytes' : 'text',
+            canonical: (flags & BLOCK_FLAG_CANONICAL) !== 0,
+            adaptive: (flags & BLOCK_FLAG_ADAPTIVE) !== 0,
+            lz77: (flags & BLOCK_FLAG_LZ77) !== 0,
+            context: (flags & BLOCK_FLAG_CONTEXT) !== 0,
+            tokens: (flags & BLOCK_FLAG_TOKENS) !== 0,
+            originalLength, symbolCount,
+            tableBits, dataBits,
+            hash,
+            crc,
+            base,
+            headerLength: reader.offset,
+            bodyLength: Math.ceil(tableBits / 8) + Math.ceil(dataBits / 8) + (crc ? 2 * CRC_LENGTH : 0)
+        };
+    }
+
+    // Split a block body into its table and data, checking each against its CRC-32
+    function splitBlockBody(header, body) {
+        const tableOffset = header.base + header.headerLength;
+        const reader = new FieldReader(body, 'table', tableOffset);
+        const table = reader.bytesOf(Math.ceil(header.tableBits / 8), 'table');
+        if (header.crc) reader.checkCrc();
+        reader.begin('data');
+        const dataOffset = tableOffset + reader.offset;
+        const data = reader.bytesOf(Math.ceil(header.dataBits / 8), 'data');
+        if (header.crc) reader.checkCrc();
+        return { ...header, table, tableOffset, data, dataOffset };
+    }
+
+    // `offset` is where the end marker goes (bytes written so far)
+    function writeStreamEnd(entries, offset, originalSize) {
+        const indexOffset = offset + 1;
+        const indexLength = blockIndexLength(entries.length, FORMAT_VERSION);
+        const buffer = new Uint8Array(1 + indexLength + FOOTER_LENGTH);
+        const view = new DataView(buffer.buffer);
+        let position = 0;
+
+        buffer[position++] = BLOCK_TYPE_END;
+        for (const entry of entries) {
+            setUint64(view, position, entry.offset);
+            view.setUint32(position + 8, entry.originalLength, false);
+            position += INDEX_ENTRY_LENGTH;
+        }
+        view.setUint32(position, crc32(buffer.subarray(1, position)), false);
+        position += CRC_LENGTH;
+        setUint64(view, position, indexOffset);
+        setUint64(view, position + 8, originalSize);
+        view.setUint32(position + 16, entries.length, false);
+        buffer.set(FOOTER_MAGIC, position + 20);
+
+        return buffer;
+    }
+
+    function blockIndexLength(blockCount, version) {
+        return blockCount * INDEX_ENTRY_LENGTH + (hasCrc(version) ? CRC_LENGTH : 0);
+    }
+
+    // `fileSize` (when known) is checked against where the footer says the index is
+    function readStreamFooter(bytes, fileHeader, fileSize = null) {
+        const base = fileSize === null ? null : fileSize - FOOTER_LENGTH;
+        if (bytes.length < FOOTER_LENGTH || !FOOTER_MAGIC.every((b, i) => bytes[FOOTER_LENGTH - 4 + i] === b)) {
+            throw new CorruptFileError('block index footer is missing (file truncated?)', { section: 'footer', offset: base });
+        }
+        const reader = new FieldReader(bytes, 'footer', base || 0);
+        const footer = {
+            indexOffset: reader.uint64('index offset'),
+            originalSize: reader.uint64('original size'),
+            blockCount: reader.uint32('block count')
+        };
+        if (fileSize !== null && footer.indexOffset + blockIndexLength(footer.blockCount, fileHeader.version) !== base) {
+            throw new CorruptFileError(`index offset ${footer.indexOffset} and block count ${footer.blockCount} do not end at the footer`, {
+                section: 'footer',
+                field: 'index offset',
+                offset: base
+            });
+        }
+        return footer;
+    }
+
+    // Offsets must increase and stay before the index
+    function readBlockIndex(bytes, blockCount, fileHeader, base = 0) {
+        const reader = new FieldReader(bytes, 'index', base);
+        const entries = [];
+        let originalOffset = 0;
+
+        for (let i = 0; i < blockCount; i++) {
+            const offset = reader.uint64('block offset');
+            const originalLength = reader.uint32('original length');
+            if (offset < fileHeader.headerLength || offset >= base || (i && offset <= entries[i - 1].offset)) {
+                reader.offset -= INDEX_ENTRY_LENGTH;
+                throw reader.fail(`block ${i + 1} offset ${offset} is out of order or outside the blocks`, 'block offset');
+            }
+            entries.push({ offset, originalOffset, originalLength });
+            originalOffset += originalLength;
+        }
+        if (hasCrc(fileHeader.version)) reader.checkCrc();
+
+        return entries;
+    }
+
+    // Archive layout (codec 'archive'), one record per file:
+    // - Magic, version, flags and metadata as above (metadata filename = archive name)
+    // - Shared table length in bits (4 bytes) + table (0 bits unless the sharedTable option is set)
+    // - Header CRC-32 (4 bytes, version 2)
+    // - Entries, each a block record as above (table bits 0 when the shared table is used)
+    // - End marker (1 byte, 0)
+    // - Central directory: per entry [record offset (8 bytes)][mtime (8 bytes, 0 = unknown)]
+    //   [original length (4 bytes)][compressed length (4 bytes)][SHA-256 (32 bytes, when checksummed)]
+    //   [path length (2 bytes)][relative path (UTF-8, '/' separated)]
+    //   [+ CRC-32 of the directory (4 bytes, version 2)]
+    // - Footer: [directory offset (8 bytes)][original size (8 bytes)][entry count (4 bytes)]['HUFD']
+    const ARCHIVE_DIRECTORY_FIXED_LENGTH = 8 + 8 + 4 + 4;
+    const ARCHIVE_FOOTER_MAGIC = new Uint8Array([0x48, 0x55, 0x46, 0x44]);
+    const ARCHIVE_FOOTER_LENGTH = 8 + 8 + 4 + ARCHIVE_FOOTER_MAGIC.length;
+
+    function writeArchiveHeader({ checksum = 'sha256', options = {}, metadata = {}, table = new Uint8Array(0), tableBits = 0 }) {
+        const metadataBytes = encodeMetadata(metadata);
+        const buffer = new Uint8Array(STREAM_PREFIX_LENGTH + metadataBytes.length + 4 + table.length + CRC_LENGTH);
+        const view = new DataView(buffer.buffer);
+        let offset = 0;
+
+        buffer.set(MAGIC, offset);
+        offset += MAGIC.length;
+        buffer[offset++] = FORMAT_VERSION;
+        view.setUint16(offset, encodeFlags('bytes', checksum, 'archive', options), false);
+        offset += 2;
+        view.setUint32(offset, metadataBytes.length, false);
+        offset += 4;
+        buffer.set(metadataBytes, offset);
+        offset += metadataBytes.length;
+        view.setUint32(offset, tableBits, false);
+        offset += 4;
+        buffer.set(table, offset);
+        offset += table.length;
+        view.setUint32(offset, crc32(buffer.subarray(0, offset)), false);
+
+        return buffer;
+    }
+
+    // Bytes up to and including the shared table length, from the first STREAM_PREFIX_LENGTH bytes
+    function archivePrefixLength(prefix) {
+        return metadataEnd(prefix) + 4;
+    }
+
+    // Whole header length (with the shared table), from the first archivePrefixLength() bytes
+    function archiveHeaderLength(prefix) {
+        const reader = new FieldReader(prefix, 'header');
+        reader.offset = archivePrefixLength(prefix) - 4;
+        const tableBits = reader.uint32('shared table length');
+        return reader.offset + Math.ceil(tableBits / 8) + (hasCrc(prefix[MAGIC.length]) ? CRC_LENGTH : 0);
+    }
+
+    // `bytes` must cover archiveHeaderLength(); the shared table is returned with the fields
+    function readArchiveHeader(bytes) {
+        if (!isArchive(bytes)) throw new Error('Not a Huffman archive file');
+        const reader = new FieldReader(bytes, 'header');
+        const { version, flags, alphabet, checksum, codec, options, metadataBytes, metadataOffset } = readPrefix(reader);
+        const tableBits = reader.uint32('shared table length');
+        const tableOffset = reader.offset;
+        const table = reader.bytesOf(Math.ceil(tableBits / 8), 'shared table');
+        if (hasCrc(version)) reader.checkCrc();
+
+        return {
+            version, flags, alphabet, checksum, codec, options,
+            metadata: decodeMetadata(metadataBytes, metadataOffset),
+            table, tableBits, tableOffset,
+            headerLength: reader.offset
+        };
+    }
+
+    // `offset` is where the end marker goes (bytes written so far)
+    function writeArchiveEnd(entries, offset, checksum) {
+        const encoder = new TextEncoder();
+        const checksumLength = CHECKSUM_LENGTHS[checksum];
+        const paths = entries.map(entry => encoder.encode(entry.path));
+        const directoryLength = paths.reduce((sum, path) => sum + ARCHIVE_DIRECTORY_FIXED_LENGTH + checksumLength + 2 + path.length, 0);
+        const buffer = new Uint8Array(1 + directoryLength + CRC_LENGTH + ARCHIVE_FOOTER_LENGTH);
+        const view = new DataView(buffer.buffer);
+        let position = 0;
+        let originalSize = 0;
+
+        buffer[position++] = BLOCK_TYPE_END;
+        entries.forEach((entry, i) => {
+            setUint64(view, position, entry.offset);
+            setUint64(view, position + 8, Math.max(0, Math.round(entry.mtime || 0)));
+            view.setUint32(position + 16, entry.originalLength, false);
+            view.setUint32(position + 20, entry.compressedLength, false);
+            position += ARCHIVE_DIRECTORY_FIXED_LENGTH;
+            if (checksumLength) buffer.set(fromHex(entry.hash), position);
+            position += checksumLength;
+            view.setUint16(position, paths[i].length, false);
+            buffer.set(paths[i], position + 2);
+            position += 2 + paths[i].length;
+            originalSize += entry.originalLength;
+        });
+        view.setUint32(position, crc32(buffer.subarray(1, position)), false);
+        position += CRC_LENGTH;
+        setUint64(view, position, offset + 1);
+        setUint64(view, position + 8, originalSize);
+        view.setUint32(position + 16, entries.length, false);
+        buffer.set(ARCHIVE_FOOTER_MAGIC, position + 20);
+
+        return buffer;
+    }
+
+    function readArchiveFooter(bytes, fileSize = null) {
+        const base = fileSize === null ? null : fileSize - ARCHIVE_FOOTER_LENGTH;
+        if (bytes.length < ARCHIVE_FOOTER_LENGTH
+            || !ARCHIVE_FOOTER_MAGIC.every((b, i) => bytes[ARCHIVE_FOOTER_LENGTH - 4 + i] === b)) {
+            throw new CorruptFileError('archive directory footer is missing (file truncated?)', { section: 'footer', offset: base });
+        }
+        const reader = new FieldReader(bytes, 'footer', base || 0);
+        const footer = {
+            directoryOffset: reader.uint64('directory offset'),
+            originalSize: reader.uint64('original size'),
+            entryCount: reader.uint32('entry count')
+        };
+        if (base !== null && footer.directoryOffset > base) {
+            throw new CorruptFileError(`directory offset ${footer.directoryOffset} is past the footer`, {
+                section: 'footer',
+                field: 'directory offset',
+                offset: base
+            });
+        }
+        return footer;
+    }
+
+    // `bytes` runs from the directory offset to the footer
+    function readArchiveDirectory(bytes, entryCount, fileHeader, base = 0) {
+        const decoder = new TextDecoder();
+        const reader = new FieldReader(bytes, 'directory', base);
+        const checksumLength = CHECKSUM_LENGTHS[fileHeader.checksum];
+        const entries = [];
+
+        for (let i = 0; i < entryCount; i++) {
+            const start = reader.offset;
+            const entry = {
+                index: i,
+                offset: reader.uint64('record offset'),
+                mtime: reader.uint64('modification time') || null,
+                originalLength: reader.uint32('original length'),
+                compressedLength: reader.uint32('compressed length'),
+                hash: checksumLength ? toHex(reader.bytesOf(checksumLength, 'SHA-256')) : null,
+                path: ''
+            };
+            entry.path = decoder.decode(reader.bytesOf(reader.uint16('path length'), 'path'));
+            if (entry.offset < fileHeader.headerLength || entry.offset + entry.compressedLength >= base) {
+                throw new CorruptFileError(`entry ${i + 1} (${entry.path}) points outside the entries`, {
+                    section: 'directory',
+                    field: 'record offset',
+                    offset: base + start
+                });
+            }
+            entries.push(entry);
+        }
+        if (hasCrc(fileHeader.version)) reader.checkCrc();
+        reader.end('directory');
+
+        return entries;
+    }
+
+    // Encrypted layout (codec 'encrypted'), wrapping a complete .bin file of any kind:
+    // - Magic, version, flags (no checksum) and metadata length 0; names, times and the
+    //   SHA-256 all stay inside the ciphertext
+    // - Key derivation (1 byte: 1 = PBKDF2-HMAC-SHA-256)[iterations (4 bytes)]
+    //   [salt (16 bytes)][nonce (12 bytes)]
+    // - Header CRC-32 (4 bytes)
+    // - Ciphertext length (8 bytes) + AES-256-GCM ciphertext, ending in its 16-byte tag
+    //   [+ CRC-32 of both (4 bytes)]
+    // The header (with its CRC) is the GCM additional data, so the parameters cannot be
+    // swapped unnoticed. The CRCs tell damage apart from a wrong passphrase: when they
+    // pass and the tag does not, the key is wrong.
+    const KDFS = [null, 'pbkdf2-sha256'];
+    const SALT_LENGTH = 16;
+    const NONCE_LENGTH = 12;
+
+    function writeEncryptionHeader({ kdf = 'pbkdf2-sha256', iterations, salt, nonce }) {
+        if (salt.length !== SALT_LENGTH || nonce.length !== NONCE_LENGTH) throw new Error('Salt must be 16 bytes and nonce 12 bytes');
+        const buffer = new Uint8Array(STREAM_PREFIX_LENGTH + 1 + 4 + SALT_LENGTH + NONCE_LENGTH + CRC_LENGTH);
+        const view = new DataView(buffer.buffer);
+        let offset = 0;
+
+        buffer.set(MAGIC, offset);
+        offset += MAGIC.length;
+        buffer[offset++] = FORMAT_VERSION;
+        view.setUint16(offset, encodeFlags('bytes', 'none', 'encrypted', {}), false);
+        offset += 2;
+        view.setUint32(offset, 0, false);
+        offset += 4;
+        buffer[offset++] = enumIndex(KDFS, kdf, 'key derivation');
+        view.setUint32(offset, iterations, false);
+        offset += 4;
+        buffer.set(salt, offset);
+        offset += SALT_LENGTH;
+        buffer.set(nonce, offset);
+        offset += NONCE_LENGTH;
+        view.setUint32(offset, crc32(buffer.subarray(0, offset)), false);
+
+        return buffer;
+    }
+
+    function writeEncrypted(header, ciphertext) {
+        const buffer = new Uint8Array(header.length + 8 + ciphertext.length + CRC_LENGTH);
+        const view = new DataView(buffer.buffer);
+        buffer.set(header, 0);
+        setUint64(view, header.length, ciphertext.length);
+        buffer.set(ciphertext, header.length + 8);
+        const end = header.length + 8 + ciphertext.length;
+        view.setUint32(end, crc32(buffer.subarray(header.length, end)), false);
+        return buffer;
+    }
+
+    function readEncrypted(bytes) {
+        if (!isEncrypted(bytes)) throw new Error('Not an encrypted Huffman file');
+        const reader = new FieldReader(bytes, 'header');
+        const { version, metadataBytes, metadataOffset } = readPrefix(reader);
+        const kdfIndex = reader.uint8('key derivation');
+        const kdf = KDFS[kdfIndex];
+        if (!kdf) throw reader.fail(`unsupported key derivation (${kdfIndex})`, 'key derivation');
+        const iterations = reader.uint32('iterations');
+        const salt = reader.bytesOf(SALT_LENGTH, 'salt');
+        const nonce = reader.bytesOf(NONCE_LENGTH, 'nonce');
+        reader.checkCrc();
+        const header = bytes.subarray(0, reader.offset);
+
+        reader.begin('ciphertext');
+        const ciphertextLength = reader.uint64('ciphertext length');
+        const ciphertextOffset = reader.offset;
+        const ciphertext = reader.bytesOf(ciphertextLength, 'ciphertext');
+        reader.checkCrc();
+        reader.end('ciphertext');
+
+        return {
+            version, kdf, iterations, salt, nonce,
+            metadata: decodeMetadata(metadataBytes, metadataOffset),
+            header, ciphertext, ciphertextOffset
+        };
+    }
+
+    // Codebook layout (a code table shared by many files, its own file type):
+    // - Magic signature (4 bytes: 0x89 'H' 'C' 'B'), format version (1 byte, 1)
+    // - Alphabet (1 byte, as in the flags)
+    // - ID (16 bytes): the start of the SHA-256 of the alphabet and the table
+    // - Training corpus: sample count (4 bytes), symbol count (8 bytes)
+    // - Name length (2 bytes) + name (UTF-8)
+    // - Table length in bits (4 bytes) + table (canonical code lengths)
+    // - CRC-32 of everything before (4 bytes)
+    // Files coded with a codebook (codec 'codebook') store only its ID as their table.
+    const CODEBOOK_MAGIC = new Uint8Array([0x89, 0x48, 0x43, 0x42]);
+    const CODEBOOK_VERSION = 1;
+    const CODEBOOK_ID_LENGTH = 16;
+
+    function isCodebook(bytes) {
+        return bytes.length >= CODEBOOK_MAGIC.length && CODEBOOK_MAGIC.every((b, i) => bytes[i] === b);
+    }
+
+    function writeCodebook({ alphabet, id, name = '', sampleCount, symbolCount, table, tableBits }) {
+        const idBytes = fromHex(id);
+        if (idBytes.length !== CODEBOOK_ID_LENGTH) throw new Error(`Codebook ID must be ${CODEBOOK_ID_LENGTH} bytes`);
+        const nameBytes = new TextEncoder().encode(name);
+        if (nameBytes.length > 0xFFFF) throw new Error('Codebook name is too long');
+        const length = CODEBOOK_MAGIC.length + 1 + 1 + CODEBOOK_ID_LENGTH + 4 + 8 + 2 + nameBytes.length + 4 + table.length + CRC_LENGTH;
+        const buffer = new Uint8Array(length);
+        const view = new DataView(buffer.buffer);
+        let offset = 0;
+
+        buffer.set(CODEBOOK_MAGIC, offset);
+        offset += CODEBOOK_MAGIC.length;
+        buffer[offset++] = CODEBOOK_VERSION;
+        buffer[offset++] = enumIndex(ALPHABETS, alphabet, 'alphabet');
+        buffer.set(idBytes, offset);
+        offset += CODEBOOK_ID_LENGTH;
+        view.setUint32(offset, sampleCount, false);
+        offset += 4;
+        setUint64(view, offset, symbolCount);
+        offset += 8;
+        view.setUint16(offset, nameBytes.length, false);
+        offset += 2;
+        buffer.set(nameBytes, offset);
+        offset += nameBytes.length;
+        view.setUint32(offset, tableBits, false);
+        offset += 4;
+        buffer.set(table, offset);
+        offset += table.length;
+        view.setUint32(offset, crc32(buffer.subarray(0, offset)), false);
+
+        return buffer;
+    }
+
+    // The ID is returned as stored; the reader of the table checks it against the table
+    function readCodebook(bytes) {
+        if (!isCodebook(bytes)) throw new Error('Not a Huffman codebook file');
+        const reader = new FieldReader(bytes, 'codebook');
+        reader.offset = CODEBOOK_MAGIC.length;
+        const version = reader.uint8('version');
+        if (version !== CODEBOOK_VERSION) {
+            throw new Error(`Unsupported codebook version ${version} (this reader supports ${CODEBOOK_VERSION})`);
+        }
+        const alphabetIndex = reader.uint8('alphabet');
+        if (alphabetIndex >= ALPHABETS.length) throw reader.fail(`unsupported alphabet (${alphabetIndex})`, 'alphabet');
+        const id = toHex(reader.bytesOf(CODEBOOK_ID_LENGTH, 'ID'));
+        const sampleCount = reader.uint32('sample count');
+        const symbolCount = reader.uint64('symbol count');
+        const name = new TextDecoder().decode(reader.bytesOf(reader.uint16('name length'), 'name'));
+        const tableBits = reader.uint32('table length');
+        const tableOffset = reader.offset;
+        const table = reader.bytesOf(Math.ceil(tableBits / 8), 'table');
+        reader.checkCrc();
+        reader.end('codebook');
+
+        return { version, alphabet: ALPHABETS[alphabetIndex], id, sampleCount, symbolCount, name, table, tableBits, tableOffset };
+    }
+
+    return {
+        MAGIC,
+        FORMAT_VERSION,
+        CRC_LENGTH,
+        STREAM_PREFIX_LENGTH,
+        INDEX_ENTRY_LENGTH,
+        FOOTER_LENGTH,
+        ARCHIVE_FOOTER_LENGTH,
+        CODEBOOK_ID_LENGTH,
+        CorruptFileError,
+        crc32,
+        locate,
+        isContainer,
+        isBlockStream,
+        isArchive,
+        isEncrypted,
+        write,
+        read,
+        writeStreamHeader,
+        streamHeaderLength,
+        readStreamHeader,
+        blockHeaderLength,
+        writeBlock,
+        readBlockHeader,
+        splitBlockBody,
+        writeStreamEnd,
+        blockIndexLength,
+        readStreamFooter,
+        readBlockIndex,
+        writeArchiveHeader,
+        archivePrefixLength,
+        archiveHeaderLength,
+        readArchiveHeader,
+        writeArchiveEnd,
+        readArchiveFooter,
+        readArchiveDirectory,
+        writeEncryptionHeader,
+        writeEncrypted,
+        readEncrypted,
+        isCodebook,
+        writeCodebook,
+        readCodebook
+    };
+});
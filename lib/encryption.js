@@ -0,0 +1,92 @@
+// Huffman Encryption - passphrase protection for finished .bin files (PBKDF2 + AES-256-GCM via WebCrypto)
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./container'));
+    } else {
+        root.HuffmanEncryption = factory(root.HuffmanContainer);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Container) {
+    'use strict';
+
+    // OWASP's 2023 figure for PBKDF2-HMAC-SHA-256; about half a second in a browser
+    const DEFAULT_ITERATIONS = 600000;
+    const MIN_ITERATIONS = 10000;
+    const MAX_ITERATIONS = 10000000; // a damaged count should not stall the reader for minutes
+
+    // The ciphertext was intact (its CRC-32 matched) but the key did not open it
+    class WrongPassphraseError extends Error {
+        constructor() {
+            super('Wrong passphrase');
+            this.name = 'WrongPassphraseError';
+        }
+    }
+
+    function getCrypto() {
+        if (typeof crypto !== 'undefined' && crypto.subtle) return crypto;
+        return require('crypto').webcrypto;
+    }
+
+    async function deriveKey(passphrase, salt, iterations) {
+        const subtle = getCrypto().subtle;
+        const material = await subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt: salt, iterations: iterations },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    // Encrypt a complete .bin file (single file, block stream or archive); options: iterations
+    async function encrypt(bytes, passphrase, options = {}) {
+        if (!passphrase) throw new Error('A passphrase is required');
+        const iterations = options.iterations || DEFAULT_ITERATIONS;
+        if (!Number.isInteger(iterations) || iterations < MIN_ITERATIONS || iterations > MAX_ITERATIONS) {
+            throw new RangeError(`Iterations must be between ${MIN_ITERATIONS} and ${MAX_ITERATIONS}`);
+        }
+        const random = getCrypto();
+        const salt = random.getRandomValues(new Uint8Array(16));
+        const nonce = random.getRandomValues(new Uint8Array(12));
+        const header = Container.writeEncryptionHeader({ iterations, salt, nonce });
+
+        const key = await deriveKey(passphrase, salt, iterations);
+        const ciphertext = await getCrypto().subtle.encrypt({ name: 'AES-GCM', iv: nonce, additionalData: header }, key, bytes);
+        return Container.writeEncrypted(header, new Uint8Array(ciphertext));
+    }
+
+    // Returns the inner .bin file. Damage is a CorruptFileError; a key that does not
+    // open intact ciphertext is a WrongPassphraseError.
+    async function decrypt(bytes, passphrase) {
+        const file = Container.readEncrypted(bytes);
+        if (file.iterations < MIN_ITERATIONS || file.iterations > MAX_ITERATIONS) {
+            throw new Container.CorruptFileError(`iteration count ${file.iterations} is out of range`, {
+                section: 'header',
+                field: 'iterations'
+            });
+        }
+        const key = await deriveKey(passphrase, file.salt, file.iterations);
+        try {
+            const plaintext = await getCrypto().subtle.decrypt({ name: 'AES-GCM', iv: file.nonce, additionalData: file.header }, key, file.ciphertext);
+            return new Uint8Array(plaintext);
+        } catch (error) {
+            if (error.name === 'OperationError') throw new WrongPassphraseError();
+            throw error;
+        }
+    }
+
+    // The parameters an inspector can show without the passphrase
+    function describe(bytes) {
+        const { kdf, iterations, ciphertext } = Container.readEncrypted(bytes);
+        return { cipher: 'aes-256-gcm', kdf, iterations, ciphertextLength: ciphertext.length };
+    }
+
+    return {
+        DEFAULT_ITERATIONS,
+        WrongPassphraseError,
+        isEncrypted: Container.isEncrypted,
+        encrypt,
+        decrypt,
+        describe
+    };
+});
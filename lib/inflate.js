@@ -0,0 +1,464 @@
+// Huffman Inflate - decoder and inspector for standard DEFLATE streams (raw, zlib and gzip)
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./container'));
+    } else {
+        root.HuffmanInflate = factory(root.HuffmanContainer);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Container) {
+    'use strict';
+
+    const FORMAT_GZIP = 'gzip';
+    const FORMAT_ZLIB = 'zlib';
+    const FORMAT_RAW = 'deflate';
+    const MAX_BITS = 15;
+    const END_OF_BLOCK = 256;
+    const LITERAL_SYMBOLS = 288;
+    const DISTANCE_SYMBOLS = 30;
+
+    // gzip header flags (RFC 1952)
+    const GZIP_FHCRC = 0x02;
+    const GZIP_FEXTRA = 0x04;
+    const GZIP_FNAME = 0x08;
+    const GZIP_FCOMMENT = 0x10;
+
+    function noProgress() {}
+
+    // RFC 1951 3.2.5: base and extra bits of length symbols 257-285 and distance symbols 0-29
+    const LENGTH_BASE = [
+        3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31,
+        35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258
+    ];
+    const LENGTH_EXTRA = [
+        0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2,
+        3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0
+    ];
+    const DISTANCE_BASE = [
+        1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193,
+        257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577
+    ];
+    const DISTANCE_EXTRA = [
+        0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6,
+        7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13
+    ];
+    // Order of the code length code lengths in a dynamic block header
+    const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+    // Checksums (gzip uses the same CRC-32 as the .bin sections)
+    const crc32 = Container.crc32;
+
+    function adler32(bytes) {
+        let a = 1;
+        let b = 0;
+        // 5552 is the most bytes that can be summed before b overflows 32 bits
+        for (let start = 0; start < bytes.length; start += 5552) {
+            const end = Math.min(bytes.length, start + 5552);
+            for (let i = start; i < end; i++) {
+                a += bytes[i];
+                b += a;
+            }
+            a %= 65521;
+            b %= 65521;
+        }
+        return ((b << 16) | a) >>> 0;
+    }
+
+    // DEFLATE packs bits starting from the least significant bit of each byte
+    class LsbReader {
+        constructor(bytes, offset) {
+            this.bytes = bytes;
+            this.position = offset * 8;
+        }
+
+        get bytePosition() {
+            return Math.floor(this.position / 8);
+        }
+
+        readBit() {
+            const byte = this.position >>> 3;
+            if (byte >= this.bytes.length) throw new Error('Unexpected end of DEFLATE data');
+            const bit = (this.bytes[byte] >>> (this.position & 7)) & 1;
+            this.position++;
+            return bit;
+        }
+
+        readBits(count) {
+            let value = 0;
+            for (let i = 0; i < count; i++) value |= this.readBit() << i;
+            return value;
+        }
+
+        alignToByte() {
+            this.position = Math.ceil(this.position / 8) * 8;
+        }
+    }
+
+    // Canonical codes as in zlib's puff: code counts per length and the symbols in code order
+    function buildDecoder(lengths) {
+        const counts = new Uint16Array(MAX_BITS + 1);
+        for (let symbol = 0; symbol < lengths.length; symbol++) counts[lengths[symbol]]++;
+        counts[0] = 0;
+
+        let left = 1;
+        for (let length = 1; length <= MAX_BITS; length++) {
+            left = (left << 1) - counts[length];
+            if (left < 0) throw new Error('Over-subscribed Huffman code');
+        }
+
+        const offsets = new Uint16Array(MAX_BITS + 2);
+        for (let length = 1; length <= MAX_BITS; length++) offsets[length + 1] = offsets[length] + counts[length];
+        const symbols = new Uint16Array(lengths.length);
+        for (let symbol = 0; symbol < lengths.length; symbol++) {
+            if (lengths[symbol]) symbols[offsets[lengths[symbol]]++] = symbol;
+        }
+        return { counts, symbols, incomplete: left > 0 };
+    }
+
+    // Incomplete codes are only allowed when they have at most one code (of 1 bit)
+    function checkComplete(decoder, lengths, name, reader) {
+        if (decoder.incomplete && lengths.some(length => length > 1)) {
+            throw new Error(`Incomplete ${name} code at byte ${reader.bytePosition}`);
+        }
+    }
+
+    function decodeSymbol(reader, decoder) {
+        let code = 0;
+        let first = 0;
+        let index = 0;
+        for (let length = 1; length <= MAX_BITS; length++) {
+            code |= reader.readBit();
+            const count = decoder.counts[length];
+            if (code - first < count) return decoder.symbols[index + code - first];
+            index += count;
+            first = (first + count) << 1;
+            code <<= 1;
+        }
+        throw new Error(`Invalid Huffman code at byte ${reader.bytePosition}`);
+    }
+
+    // Code strings of a canonical code, keyed by symbol like generateCodes()
+    function canonicalCodes(lengths) {
+        const counts = new Uint16Array(MAX_BITS + 1);
+        for (let symbol = 0; symbol < lengths.length; symbol++) counts[lengths[symbol]]++;
+        counts[0] = 0;
+        const next = new Uint32Array(MAX_BITS + 1);
+        for (let length = 1, code = 0; length <= MAX_BITS; length++) {
+            code = (code + counts[length - 1]) << 1;
+            next[length] = code;
+        }
+        const codes = {};
+        for (let symbol = 0; symbol < lengths.length; symbol++) {
+            const length = lengths[symbol];
+            if (length) codes[symbol] = (next[length]++).toString(2).padStart(length, '0');
+        }
+        return codes;
+    }
+
+    let fixedTables = null;
+
+    function getFixedTables() {
+        if (!fixedTables) {
+            const literalLengths = new Uint8Array(LITERAL_SYMBOLS);
+            literalLengths.fill(8, 0, 144);
+            literalLengths.fill(9, 144, 256);
+            literalLengths.fill(7, 256, 280);
+            literalLengths.fill(8, 280, 288);
+            const distanceLengths = new Uint8Array(DISTANCE_SYMBOLS).fill(5);
+            fixedTables = {
+                literalLengths,
+                distanceLengths,
+                literalDecoder: buildDecoder(literalLengths),
+                distanceDecoder: buildDecoder(distanceLengths)
+            };
+        }
+        return fixedTables;
+    }
+
+    function readDynamicTables(reader) {
+        const literalCount = reader.readBits(5) + 257;
+        const distanceCount = reader.readBits(5) + 1;
+        const codeLengthCount = reader.readBits(4) + 4;
+        if (literalCount > 286 || distanceCount > DISTANCE_SYMBOLS) {
+            throw new Error(`Too many length or distance symbols at byte ${reader.bytePosition}`);
+        }
+
+        const codeLengthLengths = new Uint8Array(19);
+        for (let i = 0; i < codeLengthCount; i++) codeLengthLengths[CODE_LENGTH_ORDER[i]] = reader.readBits(3);
+        const codeLengthDecoder = buildDecoder(codeLengthLengths);
+        if (codeLengthDecoder.incomplete) throw new Error(`Incomplete code length code at byte ${reader.bytePosition}`);
+
+        // Symbols 16-18 repeat the previous length or a run of zeros
+        const lengths = new Uint8Array(literalCount + distanceCount);
+        for (let i = 0; i < lengths.length;) {
+            const symbol = decodeSymbol(reader, codeLengthDecoder);
+            if (symbol < 16) {
+                lengths[i++] = symbol;
+                continue;
+            }
+            let value = 0;
+            let repeat;
+            if (symbol === 16) {
+                if (i === 0) throw new Error(`Length repeat with no previous length at byte ${reader.bytePosition}`);
+                value = lengths[i - 1];
+                repeat = 3 + reader.readBits(2);
+            } else if (symbol === 17) {
+                repeat = 3 + reader.readBits(3);
+            } else {
+                repeat = 11 + reader.readBits(7);
+            }
+            if (i + repeat > lengths.length) throw new Error(`Too many code lengths at byte ${reader.bytePosition}`);
+            lengths.fill(value, i, i + repeat);
+            i += repeat;
+        }
+
+        const literalLengths = lengths.slice(0, literalCount);
+        const distanceLengths = lengths.slice(literalCount);
+        if (!literalLengths[END_OF_BLOCK]) throw new Error(`Missing end-of-block code at byte ${reader.bytePosition}`);
+        const literalDecoder = buildDecoder(literalLengths);
+        checkComplete(literalDecoder, literalLengths, 'literal/length', reader);
+        const distanceDecoder = buildDecoder(distanceLengths);
+        checkComplete(distanceDecoder, distanceLengths, 'distance', reader);
+
+        return { literalLengths, distanceLengths, literalDecoder, distanceDecoder };
+    }
+
+    // Output grows as blocks are decoded
+    function reserve(out, count) {
+        if (out.length + count <= out.buffer.length) return;
+        let capacity = out.buffer.length * 2;
+        while (capacity < out.length + count) capacity *= 2;
+        const grown = new Uint8Array(capacity);
+        grown.set(out.buffer.subarray(0, out.length));
+        out.buffer = grown;
+    }
+
+    function inflateCodes(reader, out, tables, block) {
+        for (;;) {
+            const symbol = decodeSymbol(reader, tables.literalDecoder);
+            block.literalCounts[symbol]++;
+            if (symbol < 256) {
+                reserve(out, 1);
+                out.buffer[out.length++] = symbol;
+                continue;
+            }
+            if (symbol === END_OF_BLOCK) return;
+
+            const index = symbol - 257;
+            if (index >= LENGTH_BASE.length) throw new Error(`Invalid length symbol ${symbol} at byte ${reader.bytePosition}`);
+            const length = LENGTH_BASE[index] + reader.readBits(LENGTH_EXTRA[index]);
+            const distanceSymbol = decodeSymbol(reader, tables.distanceDecoder);
+            if (distanceSymbol >= DISTANCE_SYMBOLS) {
+                throw new Error(`Invalid distance symbol ${distanceSymbol} at byte ${reader.bytePosition}`);
+            }
+            block.distanceCounts[distanceSymbol]++;
+            const distance = DISTANCE_BASE[distanceSymbol] + reader.readBits(DISTANCE_EXTRA[distanceSymbol]);
+            if (distance > out.length - out.start) {
+                throw new Error(`Distance ${distance} is too far back at byte ${reader.bytePosition}`);
+            }
+
+            // Copies may overlap their own output (distance < length)
+            reserve(out, length);
+            const buffer = out.buffer;
+            for (let i = 0; i < length; i++, out.length++) buffer[out.length] = buffer[out.length - distance];
+        }
+    }
+
+    // Decode DEFLATE blocks starting at byte `offset`; returns the byte offset after the last block.
+    // Each block's code lengths and symbol counts are pushed to `blocks` for the inspector.
+    function inflateRaw(bytes, offset, out, blocks, onProgress) {
+        const reader = new LsbReader(bytes, offset);
+        out.start = out.length;
+
+        for (let final = 0; !final;) {
+            onProgress('inflating', reader.bytePosition / bytes.length);
+            const bitOffset = reader.position;
+            const outputOffset = out.length;
+            final = reader.readBit();
+            const type = reader.readBits(2);
+            const block = {
+                index: blocks.length,
+                type: type === 0 ? 'stored' : type === 1 ? 'fixed' : 'dynamic',
+                final: final === 1,
+                bitOffset: bitOffset,
+                bitLength: 0,
+                outputOffset: outputOffset,
+                outputLength: 0,
+                literalLengths: null,
+                distanceLengths: null,
+                literalCounts: null,
+                distanceCounts: null
+            };
+
+            if (type === 0) {
+                reader.alignToByte();
+                const start = reader.bytePosition;
+                if (start + 4 > bytes.length) throw new Error('Unexpected end of DEFLATE data');
+                const length = bytes[start] | (bytes[start + 1] << 8);
+                const complement = bytes[start + 2] | (bytes[start + 3] << 8);
+                if (length !== (~complement & 0xFFFF)) throw new Error(`Invalid stored block length at byte ${start}`);
+                if (start + 4 + length > bytes.length) throw new Error('Unexpected end of DEFLATE data');
+                reserve(out, length);
+                out.buffer.set(bytes.subarray(start + 4, start + 4 + length), out.length);
+                out.length += length;
+                reader.position = (start + 4 + length) * 8;
+            } else if (type === 3) {
+                throw new Error(`Invalid block type 3 at byte ${Math.floor(bitOffset / 8)}`);
+            } else {
+                const tables = type === 1 ? getFixedTables() : readDynamicTables(reader);
+                block.literalLengths = tables.literalLengths;
+                block.distanceLengths = tables.distanceLengths;
+                block.literalCounts = new Uint32Array(tables.literalLengths.length);
+                block.distanceCounts = new Uint32Array(tables.distanceLengths.length);
+                inflateCodes(reader, out, tables, block);
+            }
+
+            block.bitLength = reader.position - bitOffset;
+            block.outputLength = out.length - outputOffset;
+            blocks.push(block);
+        }
+        onProgress('inflating', reader.bytePosition / bytes.length);
+
+        reader.alignToByte();
+        return reader.bytePosition;
+    }
+
+    // Wrappers
+    function readUint32LE(bytes, offset) {
+        return (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+    }
+
+    function isGzip(bytes, offset = 0) {
+        return bytes.length >= offset + 2 && bytes[offset] === 0x1F && bytes[offset + 1] === 0x8B;
+    }
+
+    function isZlib(bytes) {
+        return bytes.length >= 2 && (bytes[0] & 0x0F) === 8 && (bytes[0] >> 4) <= 7
+            && ((bytes[0] << 8) | bytes[1]) % 31 === 0;
+    }
+
+    // Anything that is not gzip or zlib is taken to be raw DEFLATE
+    function detectFormat(bytes) {
+        if (isGzip(bytes)) return FORMAT_GZIP;
+        if (isZlib(bytes)) return FORMAT_ZLIB;
+        return FORMAT_RAW;
+    }
+
+    // Header strings are zero-terminated ISO 8859-1
+    function readLatin1(bytes, offset) {
+        let end = offset;
+        while (end < bytes.length && bytes[end] !== 0) end++;
+        if (end === bytes.length) throw new Error('gzip header is truncated');
+        return { text: String.fromCharCode(...bytes.subarray(offset, end)), end: end + 1 };
+    }
+
+    function readGzipHeader(bytes, offset) {
+        if (offset + 10 > bytes.length) throw new Error('gzip header is truncated');
+        if (!isGzip(bytes, offset)) throw new Error(`Not a gzip member at byte ${offset}`);
+        if (bytes[offset + 2] !== 8) throw new Error(`Unsupported gzip compression method ${bytes[offset + 2]}`);
+        const flags = bytes[offset + 3];
+        const mtime = readUint32LE(bytes, offset + 4);
+        const header = { filename: '', comment: '', mtime: mtime ? mtime * 1000 : null, os: bytes[offset + 9], length: 0 };
+
+        let position = offset + 10;
+        if (flags & GZIP_FEXTRA) {
+            if (position + 2 > bytes.length) throw new Error('gzip header is truncated');
+            position += 2 + (bytes[position] | (bytes[position + 1] << 8));
+        }
+        if (flags & GZIP_FNAME) ({ text: header.filename, end: position } = readLatin1(bytes, position));
+        if (flags & GZIP_FCOMMENT) ({ text: header.comment, end: position } = readLatin1(bytes, position));
+        if (flags & GZIP_FHCRC) position += 2;
+        if (position > bytes.length) throw new Error('gzip header is truncated');
+
+        header.length = position - offset;
+        return header;
+    }
+
+    // Decode a gzip, zlib or raw DEFLATE stream. Concatenated gzip members are joined, as gunzip does.
+    // Returns { format, data, blocks, header, members, checksum: { type, stored, computed, match }, sizeMatch, trailingBytes }
+    function inflate(input, options = {}) {
+        const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+        const format = options.format || detectFormat(bytes);
+        const onProgress = options.onProgress || noProgress;
+        const out = { buffer: new Uint8Array(Math.max(1024, bytes.length * 4)), length: 0, start: 0 };
+        const blocks = [];
+        let header = null;
+        let members = 0;
+        let checksum = { type: null, stored: null, computed: null, match: null };
+        let sizeMatch = null;
+        let end;
+
+        if (format === FORMAT_GZIP) {
+            checksum = { type: 'CRC-32', stored: [], computed: [], match: true };
+            sizeMatch = true;
+            let offset = 0;
+            do {
+                const member = readGzipHeader(bytes, offset);
+                if (!header) header = member;
+                const start = out.length;
+                end = inflateRaw(bytes, offset + member.length, out, blocks, onProgress);
+                if (end + 8 > bytes.length) throw new Error('gzip trailer is truncated');
+
+                const stored = readUint32LE(bytes, end);
+                const computed = crc32(out.buffer.subarray(start, out.length));
+                checksum.stored.push(stored);
+                checksum.computed.push(computed);
+                if (stored !== computed) checksum.match = false;
+                // ISIZE is the member's size modulo 2^32
+                if (readUint32LE(bytes, end + 4) !== (out.length - start) >>> 0) sizeMatch = false;
+                members++;
+                end += 8;
+                offset = end;
+            } while (isGzip(bytes, offset));
+        } else if (format === FORMAT_ZLIB) {
+            if (!isZlib(bytes)) throw new Error('Not a zlib stream');
+            if (bytes[1] & 0x20) throw new Error('zlib streams with a preset dictionary are not supported');
+            end = inflateRaw(bytes, 2, out, blocks, onProgress);
+            if (end + 4 > bytes.length) throw new Error('zlib trailer is truncated');
+            const stored = ((bytes[end] << 24) | (bytes[end + 1] << 16) | (bytes[end + 2] << 8) | bytes[end + 3]) >>> 0;
+            const computed = adler32(out.buffer.subarray(0, out.length));
+            checksum = { type: 'Adler-32', stored: [stored], computed: [computed], match: stored === computed };
+            members = 1;
+            end += 4;
+        } else if (format === FORMAT_RAW) {
+            end = inflateRaw(bytes, 0, out, blocks, onProgress);
+            members = 1;
+        } else {
+            throw new Error(`Unknown DEFLATE format: ${format}`);
+        }
+
+        return {
+            format: format,
+            data: out.buffer.slice(0, out.length),
+            blocks: blocks,
+            header: header,
+            members: members,
+            checksum: checksum,
+            sizeMatch: sizeMatch,
+            trailingBytes: bytes.length - end
+        };
+    }
+
+    // Inspector labels: the match lengths and distances a symbol stands for
+    function lengthRange(symbol) {
+        const index = symbol - 257;
+        return [LENGTH_BASE[index], LENGTH_BASE[index] + (1 << LENGTH_EXTRA[index]) - 1];
+    }
+
+    function distanceRange(symbol) {
+        return [DISTANCE_BASE[symbol], DISTANCE_BASE[symbol] + (1 << DISTANCE_EXTRA[symbol]) - 1];
+    }
+
+    return {
+        FORMAT_GZIP,
+        FORMAT_ZLIB,
+        FORMAT_RAW,
+        END_OF_BLOCK,
+        crc32,
+        adler32,
+        detectFormat,
+        inflate,
+        canonicalCodes,
+        lengthRange,
+        distanceRange
+    };
+});
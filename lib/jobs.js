@@ -0,0 +1,444 @@
+// Huffman Jobs - compress/decompress requests as run by the worker (or the page as a fallback)
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./codec'), require('./stream'), require('./archive'), require('./inflate'), require('./encryption'), require('./benchmark'));
+    } else {
+        root.HuffmanJobs = factory(root.HuffmanCodec, root.HuffmanStream, root.HuffmanArchive, root.HuffmanInflate, root.HuffmanEncryption, root.HuffmanBenchmark);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Codec, Stream, Archive, Inflate, Encryption, Benchmark) {
+    'use strict';
+
+    // Each job returns { result, transfer } where transfer lists the buffers to hand back without copying
+    async function compress(bytes, options, onProgress) {
+        const symbols = Codec.toSymbols(bytes, options.mode);
+        const model = Codec.buildModel(symbols, {
+            canonical: options.canonical,
+            maxCodeLength: options.maxCodeLength,
+            onProgress
+        });
+        const tableSizes = Codec.measureTables(model, options.mode);
+        // Token files show their vocabulary's codes; the model is built once for both
+        const tokenModel = options.codec === Codec.CODEC_TOKENS && options.mode === 'text' ? Codec.buildTokenModel(symbols) : null;
+        const stats = {};
+        const output = await Codec.compress(symbols, {
+            filename: options.filename,
+            mtime: options.mtime,
+            mimeType: options.mimeType,
+            mode: options.mode,
+            codec: options.codec,
+            window: options.window,
+            codebook: options.codebook,
+            model: model,
+            tokenModel: tokenModel,
+            onProgress: onProgress,
+            onStats: (codecStats) => { stats[options.codec] = codecStats; }
+        });
+
+        // Adaptive, LZ77, context model, token and codebook output is compared with the static encoding
+        // of the same model, whose container differs only in the table and data sections
+        let staticSize = null;
+        if (isCompared(options.codec)) {
+            const { table, data } = Codec.readContainer(output);
+            staticSize = output.length - table.length - data.length + staticBytes(model, options.mode);
+        }
+
+        return {
+            result: {
+                bytes: output,
+                frequencyMap: model.frequencyMap,
+                tree: model.tree,
+                codes: model.codes,
+                canonical: model.canonical,
+                codec: options.codec || Codec.CODEC_HUFFMAN,
+                staticSize: staticSize,
+                lzStats: stats.lz77 || null,
+                contextStats: stats.context || null,
+                tokenStats: stats.tokens || null,
+                tokenModel: tokenModel && {
+                    frequencyMap: tokenModel.frequencyMap,
+                    codes: tokenModel.codes,
+                    escapeCount: tokenModel.escapeCount,
+                    escapeCode: tokenModel.escapeCode
+                },
+                codebookStats: stats.codebook || null,
+                codebook: options.codebook ? Codec.describeCodebook(options.codebook) : null,
+                lengthLimit: model.lengthLimit,
+                tableSizes: tableSizes
+            },
+            transfer: [output.buffer]
+        };
+    }
+
+    async function decompress(bytes, options, onProgress) {
+        const result = await Codec.decompress(bytes, { decoder: options.decoder, codebooks: options.codebooks, onProgress });
+        return { result, transfer: [result.data.buffer] };
+    }
+
+    // Block streams read the File in chunks and return a Blob, so neither side holds
+    // the whole input. Block 1's model stands in for the file in the code views.
+    const STREAM_PREVIEW_SIZE = 64 * 1024;
+
+    function isCompared(codec) {
+        return codec === Codec.CODEC_ADAPTIVE || codec === Codec.CODEC_LZ77
+            || codec === Codec.CODEC_CONTEXT || codec === Codec.CODEC_TOKENS || codec === Codec.CODEC_CODEBOOK;
+    }
+
+    // Table and data bytes of the static encoding of a model
+    function staticBytes(model, mode) {
+        const { tableBits, dataBits } = Codec.measureEncoding(model, mode);
+        return Math.ceil(tableBits / 8) + Math.ceil(dataBits / 8);
+    }
+
+    // The cost of a code length cap summed over all blocks
+    function addLengthLimit(total, block) {
+        if (!block) return total;
+        if (!total) return { ...block };
+        return {
+            maxCodeLength: block.maxCodeLength,
+            huffmanMaxLength: Math.max(total.huffmanMaxLength, block.huffmanMaxLength),
+            huffmanBits: total.huffmanBits + block.huffmanBits,
+            limitedBits: total.limitedBits + block.limitedBits
+        };
+    }
+
+    // LZ77 breakdowns summed over all blocks
+    function addLzStats(total, block) {
+        if (!block) return total;
+        if (!total) return { ...block };
+        return {
+            window: block.window,
+            tableBits: total.tableBits + block.tableBits,
+            literalCount: total.literalCount + block.literalCount,
+            matchCount: total.matchCount + block.matchCount,
+            matchedBytes: total.matchedBytes + block.matchedBytes,
+            literalBits: total.literalBits + block.literalBits,
+            matchBits: total.matchBits + block.matchBits
+        };
+    }
+
+    // Context model and token breakdowns (all counts) summed over all blocks
+    function addCounts(total, block) {
+        if (!block) return total;
+        if (!total) return { ...block };
+        const sum = {};
+        for (const key of Object.keys(block)) sum[key] = total[key] + block[key];
+        return sum;
+    }
+
+    // Block streams move each piece into a Blob as soon as it is produced, so the worker holds
+    // one block at a time; the Blob itself lives in the browser's blob storage (Chromium moves
+    // large ones to disk) until the page downloads it
+    async function compressStream(file, options, onProgress) {
+        let output = new Blob([]);
+        const blocks = [];
+        let first = null;
+        let lengthLimit = null;
+        let lzStats = null;
+        let contextStats = null;
+        let tokenStats = null;
+        let staticDifference = 0;
+
+        onProgress('blocks', 0);
+        for await (const piece of Stream.compress(Stream.readChunks(file), {
+            mode: options.mode,
+            codec: options.codec,
+            window: options.window,
+            canonical: options.canonical,
+            maxCodeLength: options.maxCodeLength,
+            blockSize: options.blockSize,
+            filename: options.filename,
+            mtime: options.mtime,
+            mimeType: options.mimeType,
+            onBlock: (block) => {
+                if (!first) first = block;
+                blocks.push({
+                    originalOffset: block.originalOffset,
+                    originalLength: block.originalLength,
+                    compressedLength: block.compressedLength,
+                    alphabet: block.alphabet,
+                    dataBits: block.dataBits,
+                    analysis: Codec.analyzeCode(block.model.frequencyMap, block.model.codes)
+                });
+                lengthLimit = addLengthLimit(lengthLimit, block.model.lengthLimit);
+                lzStats = addLzStats(lzStats, block.lzStats);
+                contextStats = addCounts(contextStats, block.contextStats);
+                tokenStats = addCounts(tokenStats, block.tokenStats);
+                const coded = block.lzStats || block.contextStats || block.tokenStats;
+                if (block.adaptive) {
+                    staticDifference += staticBytes(block.model, block.alphabet) - Math.ceil(block.dataBits / 8);
+                } else if (coded) {
+                    staticDifference += staticBytes(block.model, block.alphabet)
+                        - Math.ceil(coded.tableBits / 8) - Math.ceil(block.dataBits / 8);
+                }
+                onProgress('blocks', (block.originalOffset + block.originalLength) / (file.size || 1));
+            }
+        })) {
+            output = new Blob([output, piece]);
+        }
+
+        const model = first ? first.model : Codec.buildModel('');
+        const blob = new Blob([output], { type: 'application/octet-stream' });
+        return {
+            result: {
+                blob: blob,
+                blocks: blocks,
+                alphabet: first ? first.alphabet : 'text',
+                frequencyMap: model.frequencyMap,
+                tree: model.tree,
+                codes: model.codes,
+                canonical: model.canonical,
+                codec: options.codec || Codec.CODEC_HUFFMAN,
+                staticSize: isCompared(options.codec) ? blob.size + staticDifference : null,
+                lzStats: lzStats,
+                contextStats: contextStats,
+                tokenStats: tokenStats,
+                tokenModel: null,
+                codebookStats: null,
+                codebook: null,
+                lengthLimit: lengthLimit,
+                tableSizes: Codec.measureTables(model, first ? first.alphabet : 'text'),
+                preview: first ? { data: first.data, dataBits: first.dataBits } : { data: new Uint8Array(0), dataBits: 0 }
+            },
+            transfer: []
+        };
+    }
+
+    async function decompressStream(file, options, onProgress) {
+        let output = new Blob([]);
+        const blocks = [];
+        let header = null;
+        let summary = null;
+        let binaryLength = 0;
+
+        onProgress('blocks', 0);
+        for await (const data of Stream.decompress(Stream.readChunks(file), {
+            decoder: options.decoder,
+            onHeader: (h) => { header = h; },
+            onBlock: (block) => {
+                blocks.push(block);
+                binaryLength += block.dataBits;
+                onProgress('blocks', block.compressedPosition / file.size);
+            },
+            onEnd: (end) => { summary = end; }
+        })) {
+            output = new Blob([output, data]);
+        }
+
+        const blob = new Blob([output], { type: header.metadata.mimeType || 'application/octet-stream' });
+        const preview = new Uint8Array(await blob.slice(0, STREAM_PREVIEW_SIZE).arrayBuffer());
+
+        return {
+            result: {
+                blob: blob,
+                preview: preview,
+                blocks: blocks,
+                hashMatch: summary.hashMatch,
+                sizeMatch: summary.sizeMatch,
+                metadata: {
+                    filename: header.metadata.filename,
+                    mtime: header.metadata.mtime,
+                    mimeType: header.metadata.mimeType,
+                    maxCodeLength: header.metadata.maxCodeLength,
+                    version: header.version,
+                    mode: header.alphabet,
+                    unicode: true,
+                    hash: null,
+                    originalSize: summary.originalSize,
+                    blockCount: summary.blockCount,
+                    blockSize: header.blockSize,
+                    binaryLength: binaryLength
+                }
+            },
+            transfer: [preview.buffer]
+        };
+    }
+
+    // Salvage a damaged block stream: intact blocks are decoded, damaged ones come back as zero bytes
+    async function recoverStream(file, options, onProgress) {
+        const parts = [];
+        const damaged = [];
+        let summary = null;
+
+        onProgress('blocks', 0);
+        for await (const data of Stream.recover(file, {
+            decoder: options.decoder,
+            onBlock: (block) => {
+                if (!block.ok) damaged.push(block);
+                onProgress('blocks', block.compressedPosition / file.size);
+            },
+            onEnd: (end) => { summary = end; }
+        })) {
+            parts.push(data);
+        }
+
+        return {
+            result: {
+                blob: new Blob(parts, { type: 'application/octet-stream' }),
+                damaged: damaged,
+                blockCount: summary.blockCount,
+                recoveredBytes: summary.recoveredBytes,
+                lostBytes: summary.lostBytes,
+                indexError: summary.indexError ? summary.indexError.message : null,
+                complete: summary.complete
+            },
+            transfer: []
+        };
+    }
+
+    async function extractRange(file, options) {
+        const bytes = await Stream.extractRange(file, options.start, options.end, { decoder: options.decoder });
+        return { result: { bytes }, transfer: [bytes.buffer] };
+    }
+
+    // Archives take [{ path, file, mtime }] and read each File only when its entry is encoded.
+    // The shared table (or entry 1's table) stands in for the archive in the code views.
+    async function compressArchive(files, options, onProgress) {
+        const parts = [];
+        const entries = [];
+        const totalSize = files.reduce((sum, item) => sum + item.file.size, 0) || 1;
+        let first = null;
+        let done = 0;
+
+        onProgress('entries', 0);
+        // A shared table's model counts the whole archive, so each entry's own byte counts
+        // are kept for its analysis
+        const counts = [];
+        for await (const piece of Archive.create(files.map((item, i) => ({
+            path: item.path,
+            mtime: item.mtime,
+            read: async () => {
+                const bytes = new Uint8Array(await item.file.arrayBuffer());
+                if (options.sharedTable) counts[i] = Codec.calculateFrequencies(bytes);
+                return bytes;
+            }
+        })), {
+            mode: options.mode,
+            sharedTable: options.sharedTable,
+            canonical: options.canonical,
+            maxCodeLength: options.maxCodeLength,
+            filename: options.filename,
+            mtime: options.mtime,
+            onEntry: (entry) => {
+                if (!first) first = entry;
+                entries.push({
+                    path: entry.path,
+                    originalLength: entry.originalLength,
+                    compressedLength: entry.compressedLength,
+                    alphabet: entry.alphabet,
+                    dataBits: entry.dataBits,
+                    analysis: Codec.analyzeCode(options.sharedTable ? counts[entry.index] : entry.model.frequencyMap, entry.model.codes)
+                });
+                done += entry.originalLength;
+                onProgress('entries', done / totalSize);
+            }
+        })) {
+            parts.push(piece);
+        }
+
+        const model = first ? first.model : Codec.buildModel('');
+        const alphabet = options.sharedTable ? 'bytes' : first ? first.alphabet : 'text';
+        return {
+            result: {
+                blob: new Blob(parts, { type: 'application/octet-stream' }),
+                entries: entries,
+                alphabet: alphabet,
+                frequencyMap: model.frequencyMap,
+                tree: model.tree,
+                codes: model.codes,
+                canonical: model.canonical,
+                codec: Codec.CODEC_HUFFMAN,
+                staticSize: null,
+                lzStats: null,
+                contextStats: null,
+                tokenStats: null,
+                tokenModel: null,
+                codebookStats: null,
+                codebook: null,
+                lengthLimit: model.lengthLimit,
+                tableSizes: Codec.measureTables(model, alphabet),
+                preview: first ? { data: first.data, dataBits: first.dataBits } : { data: new Uint8Array(0), dataBits: 0 }
+            },
+            transfer: []
+        };
+    }
+
+    async function extractEntry(file, options) {
+        const archive = await Archive.openDirectory(file);
+        const bytes = await Archive.extractEntry(archive, options.index, { decoder: options.decoder });
+        return { result: { bytes, path: archive.entries[options.index].path }, transfer: [bytes.buffer] };
+    }
+
+    // Passphrase protection wraps a finished .bin (a Blob); the whole file is held in memory
+    async function encrypt(file, options, onProgress) {
+        onProgress('encrypting', 0);
+        const bytes = await Encryption.encrypt(new Uint8Array(await file.arrayBuffer()), options.passphrase);
+        onProgress('encrypting', 1);
+        return { result: { blob: new Blob([bytes], { type: 'application/octet-stream' }) }, transfer: [] };
+    }
+
+    // Gives back the inner .bin; a wrong passphrase fails with WrongPassphraseError
+    async function decrypt(file, options, onProgress) {
+        onProgress('decrypting', 0);
+        const bytes = await Encryption.decrypt(new Uint8Array(await file.arrayBuffer()), options.passphrase);
+        onProgress('decrypting', 1);
+        return { result: { bytes }, transfer: [bytes.buffer] };
+    }
+
+    // Codebooks are trained on [{ file }], one sample per file; the .hcb file comes back with the codebook
+    async function trainCodebook(files, options, onProgress) {
+        const samples = [];
+        onProgress('samples', 0);
+        for (let i = 0; i < files.length; i++) {
+            samples.push(new Uint8Array(await files[i].file.arrayBuffer()));
+            onProgress('samples', (i + 1) / files.length);
+        }
+        onProgress('training', 0);
+        const codebook = await Codec.trainCodebook(samples, { mode: options.mode, name: options.name });
+        const bytes = Codec.exportCodebook(codebook);
+        onProgress('training', 1);
+        return { result: { codebook, bytes }, transfer: [bytes.buffer] };
+    }
+
+    // Standard gzip/zlib/raw DEFLATE input, decoded with the block tables kept for the inspector
+    async function inflate(bytes, options, onProgress) {
+        const result = Inflate.inflate(bytes, { format: options.format, onProgress });
+        const mode = Codec.detectMode(result.data);
+        result.mode = mode;
+        result.text = mode === 'text' ? new TextDecoder().decode(result.data) : '';
+        return { result, transfer: [result.data.buffer] };
+    }
+
+    // Inputs are [{ name, bytes }]; each runs through every Huffman mode and the native gzip/deflate
+    async function benchmark(inputs, options, onProgress) {
+        const rows = await Benchmark.run(inputs, {
+            methods: options.methods,
+            onProgress: fraction => onProgress('benchmarking', fraction)
+        });
+        return { result: { rows }, transfer: [] };
+    }
+
+    const JOBS = {
+        compress,
+        decompress,
+        compressStream,
+        decompressStream,
+        recoverStream,
+        extractRange,
+        compressArchive,
+        extractEntry,
+        encrypt,
+        decrypt,
+        trainCodebook,
+        inflate,
+        benchmark
+    };
+
+    function run(type, bytes, options = {}, onProgress = () => {}) {
+        if (!JOBS[type]) return Promise.reject(new Error(`Unknown job: ${type}`));
+        return JOBS[type](bytes, options, onProgress);
+    }
+
+    return {
+        run
+    };
+});
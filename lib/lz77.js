@@ -0,0 +1,137 @@
+// Huffman LZ77 - dictionary pre-pass that turns bytes into literals and (length, distance) matches
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.HuffmanLZ77 = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const MIN_MATCH = 3;
+    const MAX_MATCH = 258;
+    const DEFAULT_WINDOW = 32 * 1024;
+    const MIN_WINDOW = 1024;
+    const MAX_WINDOW = 1 << 20;
+    const MAX_CHAIN = 64; // candidates tried per position
+    const HASH_BITS = 15;
+    const PROGRESS_INTERVAL = 1 << 18;
+
+    function noProgress() {}
+
+    // Token symbols: 0-255 is a literal byte, MATCH_BASE + (length - MIN_MATCH) a match
+    const MATCH_BASE = 256;
+
+    // Lengths and distances are sent as a bucket code plus extra bits (as in DEFLATE):
+    // 0-3 stand for themselves, then each power of two is split into two buckets
+    function bucketOf(value) {
+        if (value < 4) return value;
+        const top = 31 - Math.clz32(value);
+        return 2 * top + ((value >>> (top - 1)) & 1);
+    }
+
+    function bucketExtraBits(code) {
+        return code < 4 ? 0 : (code >> 1) - 1;
+    }
+
+    function bucketBase(code) {
+        return code < 4 ? code : (2 | (code & 1)) << ((code >> 1) - 1);
+    }
+
+    function checkWindow(window) {
+        if (!Number.isInteger(window) || window < MIN_WINDOW || window > MAX_WINDOW || (window & (window - 1))) {
+            throw new RangeError(`LZ77 window must be a power of two between ${MIN_WINDOW} and ${MAX_WINDOW} bytes`);
+        }
+        return window;
+    }
+
+    // Greedy parse with hash chains over 3-byte prefixes. Returns the token
+    // stream: symbols[i] per token and, for matches, distances in order.
+    function parse(bytes, options = {}) {
+        const window = checkWindow(options.window || DEFAULT_WINDOW);
+        const onProgress = options.onProgress || noProgress;
+        const n = bytes.length;
+        const head = new Int32Array(1 << HASH_BITS).fill(-1);
+        const prev = new Int32Array(window);
+        const mask = window - 1;
+        const symbols = new Uint16Array(n);
+        const distances = new Uint32Array(Math.floor(n / MIN_MATCH) + 1);
+        let count = 0;
+        let matchCount = 0;
+        let matchedBytes = 0;
+
+        function hash(p) {
+            return Math.imul((bytes[p] << 16) | (bytes[p + 1] << 8) | bytes[p + 2], 2654435761) >>> (32 - HASH_BITS);
+        }
+
+        function insert(p) {
+            const h = hash(p);
+            prev[p & mask] = head[h];
+            head[h] = p;
+        }
+
+        let pos = 0;
+        let nextReport = 0;
+        while (pos < n) {
+            if (pos >= nextReport) {
+                onProgress('matching', pos / n);
+                nextReport += PROGRESS_INTERVAL;
+            }
+
+            let bestLength = 0;
+            let bestDistance = 0;
+            if (pos + MIN_MATCH <= n) {
+                const maxLength = Math.min(MAX_MATCH, n - pos);
+                let candidate = head[hash(pos)];
+                for (let chain = 0; candidate >= 0 && pos - candidate <= window && chain < MAX_CHAIN; chain++) {
+                    if (bytes[candidate + bestLength] === bytes[pos + bestLength]) {
+                        let length = 0;
+                        while (length < maxLength && bytes[candidate + length] === bytes[pos + length]) length++;
+                        if (length > bestLength) {
+                            bestLength = length;
+                            bestDistance = pos - candidate;
+                            if (length === maxLength) break;
+                        }
+                    }
+                    // Slots are reused once the window wraps; older links point forward
+                    const next = prev[candidate & mask];
+                    if (next >= candidate) break;
+                    candidate = next;
+                }
+            }
+
+            if (bestLength >= MIN_MATCH) {
+                symbols[count++] = MATCH_BASE + bestLength - MIN_MATCH;
+                distances[matchCount++] = bestDistance;
+                matchedBytes += bestLength;
+                const end = Math.min(pos + bestLength, n - MIN_MATCH + 1);
+                for (let p = pos; p < end; p++) insert(p);
+                pos += bestLength;
+            } else {
+                symbols[count++] = bytes[pos];
+                if (pos + MIN_MATCH <= n) insert(pos);
+                pos++;
+            }
+        }
+        onProgress('matching', 1);
+
+        return {
+            symbols: symbols.subarray(0, count),
+            distances: distances.subarray(0, matchCount),
+            matchedBytes: matchedBytes
+        };
+    }
+
+    return {
+        MIN_MATCH,
+        MAX_MATCH,
+        MATCH_BASE,
+        DEFAULT_WINDOW,
+        MIN_WINDOW,
+        MAX_WINDOW,
+        bucketOf,
+        bucketExtraBits,
+        bucketBase,
+        parse
+    };
+});
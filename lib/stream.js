@@ -0,0 +1,448 @@
+// Huffman Stream - block-based compression for files of any size, with random access
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./codec'), require('./container'));
+    } else {
+        root.HuffmanStream = factory(root.HuffmanCodec, root.HuffmanContainer);
+    }
+})(typeof self !== 'undefined' ? self : this, function (Codec, Container) {
+    'use strict';
+
+    const DEFAULT_BLOCK_SIZE = 1 << 20;
+    const MAX_BLOCK_SIZE = 1 << 28;
+
+    // Utility Functions
+    function concatBytes(parts, length) {
+        const bytes = new Uint8Array(length);
+        let offset = 0;
+        for (const part of parts) {
+            bytes.set(part, offset);
+            offset += part.length;
+        }
+        return bytes;
+    }
+
+    // Chunks of a Blob/File as Uint8Arrays
+    async function* readChunks(blob) {
+        const reader = blob.stream().getReader();
+        try {
+            for (;;) {
+                const { done, value } = await reader.read();
+                if (done) return;
+                yield value;
+            }
+        } finally {
+            reader.releaseLock();
+        }
+    }
+
+    // Buffers chunks from an async iterable so records can be read whole
+    class ByteQueue {
+        constructor(chunks) {
+            this.iterator = chunks[Symbol.asyncIterator]();
+            this.parts = [];
+            this.length = 0;
+            this.position = 0; // bytes consumed so far
+        }
+
+        // Pull chunks until `count` bytes are buffered; false at end of input
+        async ensure(count) {
+            while (this.length < count) {
+                const { done, value } = await this.iterator.next();
+                if (done) return false;
+                if (value.length) {
+                    this.parts.push(value);
+                    this.length += value.length;
+                }
+            }
+            return true;
+        }
+
+        peek(count) {
+            if (this.parts[0].length < count) {
+                const joined = concatBytes(this.parts, this.length);
+                this.parts = [joined];
+            }
+            return this.parts[0].subarray(0, count);
+        }
+
+        take(count) {
+            const bytes = this.peek(count);
+            const rest = this.parts[0].subarray(count);
+            this.parts[0] = rest;
+            if (!rest.length) this.parts.shift();
+            this.length -= count;
+            this.position += count;
+            return bytes;
+        }
+
+        async read(count) {
+            if (!await this.ensure(count)) {
+                throw new Error(`Unexpected end of file at byte ${this.position + this.length}`);
+            }
+            return this.take(count);
+        }
+
+        // The next byte, without consuming it
+        async nextByte() {
+            return (await this.ensure(1) ? this.peek(1) : await this.read(1))[0];
+        }
+    }
+
+    // Cut input into blocks of blockSize bytes. Text blocks are cut before a
+    // UTF-8 continuation byte so no character is split between two blocks.
+    async function* splitBlocks(chunks, blockSize, textBoundaries) {
+        const queue = new ByteQueue(chunks);
+
+        for (;;) {
+            const full = await queue.ensure(blockSize + 1);
+            if (!full) {
+                if (queue.length) yield queue.take(queue.length);
+                return;
+            }
+
+            let cut = blockSize;
+            if (textBoundaries) {
+                const next = queue.peek(blockSize + 1);
+                while (cut > blockSize - 3 && (next[cut] & 0xC0) === 0x80) cut--;
+                if ((next[cut] & 0xC0) === 0x80) cut = blockSize;
+            }
+            // Copy so the block does not pin the joined buffer it was cut from
+            yield queue.take(cut).slice();
+        }
+    }
+
+    // Compression: yields the .bin file as a sequence of Uint8Array pieces.
+    // options: mode ('auto' | 'text' | 'bytes'), codec ('huffman' | 'adaptive' | 'lz77' | 'context' | 'tokens'),
+    // window (LZ77), canonical, maxCodeLength, checksum,
+    // blockSize, filename, mtime, mimeType, onBlock(info) after each block.
+    async function* compress(chunks, options = {}) {
+        const blockSize = options.blockSize || DEFAULT_BLOCK_SIZE;
+        if (blockSize < 16 || blockSize > MAX_BLOCK_SIZE) {
+            throw new Error(`Block size must be between 16 bytes and ${MAX_BLOCK_SIZE} bytes`);
+        }
+        const mode = options.mode || 'auto';
+        const checksum = options.checksum || 'sha256';
+        const onBlock = options.onBlock || (() => {});
+        const entries = [];
+        let offset = 0;
+        let originalSize = 0;
+
+        function header(alphabet) {
+            const bytes = Container.writeStreamHeader({
+                alphabet: alphabet,
+                checksum: checksum,
+                blockSize: blockSize,
+                metadata: {
+                    filename: options.filename || '',
+                    mtime: options.mtime,
+                    mimeType: options.mimeType,
+                    maxCodeLength: options.maxCodeLength
+                }
+            });
+            offset += bytes.length;
+            return bytes;
+        }
+
+        for await (const block of splitBlocks(chunks, blockSize, mode !== 'bytes')) {
+            const encoded = await Codec.encodeBlock(block, {
+                mode,
+                codec: options.codec,
+                window: options.window,
+                canonical: options.canonical,
+                maxCodeLength: options.maxCodeLength,
+                checksum
+            });
+            if (!entries.length) yield header(encoded.alphabet);
+
+            const bytes = Container.writeBlock(encoded, checksum);
+            entries.push({ offset, originalLength: block.length });
+            onBlock({
+                index: entries.length - 1,
+                originalOffset: originalSize,
+                originalLength: block.length,
+                compressedLength: bytes.length,
+                alphabet: encoded.alphabet,
+                adaptive: encoded.adaptive,
+                lzStats: encoded.lzStats,
+                contextStats: encoded.contextStats,
+                tokenStats: encoded.tokenStats,
+                model: encoded.model,
+                data: encoded.data,
+                dataBits: encoded.dataBits
+            });
+            offset += bytes.length;
+            originalSize += block.length;
+            yield bytes;
+        }
+
+        if (!entries.length) yield header(mode === 'bytes' ? 'bytes' : 'text');
+        yield Container.writeStreamEnd(entries, offset, originalSize);
+    }
+
+    // Sequential decompression: yields each block's original bytes in order.
+    // options: decoder, onHeader(header), onBlock(info) with hashMatch per block,
+    // onEnd({ originalSize, blockCount, sizeMatch, hashMatch }) once the index is read.
+    async function* decompress(chunks, options = {}) {
+        const queue = new ByteQueue(chunks);
+        await queue.ensure(Container.STREAM_PREFIX_LENGTH);
+        const prefix = queue.length ? queue.peek(Math.min(queue.length, Container.STREAM_PREFIX_LENGTH)) : new Uint8Array(0);
+        if (!Container.isBlockStream(prefix)) throw new Error('Not a Huffman block stream file');
+        const header = Container.readStreamHeader(await queue.read(Container.streamHeaderLength(prefix)));
+        if (options.onHeader) options.onHeader(header);
+
+        const blockHeaderLength = Container.blockHeaderLength(header);
+        let originalSize = 0;
+        let blockCount = 0;
+        let hashMatch = header.checksum === 'sha256' ? true : null;
+        let blockSizesMatch = true;
+
+        for (;;) {
+            // A 0 type byte marks the end of the blocks
+            if (await queue.nextByte() === 0) {
+                queue.take(1);
+                break;
+            }
+            let data, block;
+            try {
+                const position = queue.position;
+                const blockHeader = Container.readBlockHeader(await queue.read(blockHeaderLength), header, position);
+                block = Container.splitBlockBody(blockHeader, await queue.read(blockHeader.bodyLength));
+                data = Codec.decodeBlock(block, { decoder: options.decoder, maxCodeLength: header.metadata.maxCodeLength });
+            } catch (error) {
+                throw Container.locate(error, {}, blockCount);
+            }
+
+            const blockHashMatch = block.hash ? await Codec.calculateHash(data) === block.hash : null;
+            if (blockHashMatch === false) hashMatch = false;
+            if (data.length !== block.originalLength) blockSizesMatch = false;
+            if (options.onBlock) {
+                options.onBlock({
+                    index: blockCount,
+                    originalOffset: originalSize,
+                    originalLength: data.length,
+                    compressedPosition: queue.position,
+                    dataBits: block.dataBits,
+                    alphabet: block.alphabet,
+                    hashMatch: blockHashMatch,
+                    sizeMatch: data.length === block.originalLength
+                });
+            }
+            originalSize += data.length;
+            blockCount++;
+            yield data;
+        }
+
+        // Index and footer: the footer records the total size for the final check
+        const indexOffset = queue.position;
+        Container.readBlockIndex(await queue.read(Container.blockIndexLength(blockCount, header.version)), blockCount, header, indexOffset);
+        const footer = Container.readStreamFooter(await queue.read(Container.FOOTER_LENGTH), header);
+        if (options.onEnd) {
+            options.onEnd({
+                originalSize: originalSize,
+                blockCount: blockCount,
+                sizeMatch: blockSizesMatch && originalSize === footer.originalSize && blockCount === footer.blockCount
+                    && footer.indexOffset === indexOffset,
+                hashMatch: hashMatch
+            });
+        }
+    }
+
+    // Random access
+    // A source is a Blob/File (read lazily with slice) or an in-memory Uint8Array
+    function toSource(input) {
+        if (input instanceof Uint8Array) {
+            return { size: input.length, read: async (offset, length) => input.subarray(offset, offset + length) };
+        }
+        return {
+            size: input.size,
+            read: async (offset, length) => new Uint8Array(await input.slice(offset, offset + length).arrayBuffer())
+        };
+    }
+
+    // Read only the header, footer and block index
+    async function openIndex(input) {
+        const source = toSource(input);
+        const prefix = await source.read(0, Container.STREAM_PREFIX_LENGTH);
+        if (!Container.isBlockStream(prefix)) throw new Error('Not a Huffman block stream file');
+        const header = Container.readStreamHeader(await source.read(0, Container.streamHeaderLength(prefix)));
+
+        const footer = Container.readStreamFooter(await source.read(source.size - Container.FOOTER_LENGTH, Container.FOOTER_LENGTH), header, source.size);
+        const indexBytes = await source.read(footer.indexOffset, Container.blockIndexLength(footer.blockCount, header.version));
+        const blocks = Container.readBlockIndex(indexBytes, footer.blockCount, header, footer.indexOffset);
+        blocks.forEach((block, i) => {
+            // The end marker sits just before the index
+            const end = i + 1 < blocks.length ? blocks[i + 1].offset : footer.indexOffset - 1;
+            block.compressedLength = end - block.offset;
+        });
+
+        return { source, header, blocks, originalSize: footer.originalSize, compressedSize: source.size };
+    }
+
+    // Block `i` as stored (header fields, table and encoded data), without decoding it
+    async function readRawBlock(index, i) {
+        const entry = index.blocks[i];
+        if (!entry) throw new RangeError(`No block ${i}`);
+        const bytes = await index.source.read(entry.offset, entry.compressedLength);
+        try {
+            const blockHeader = Container.readBlockHeader(bytes, index.header, entry.offset);
+            if (!blockHeader) {
+                throw new Container.CorruptFileError('the index points at the end marker', { section: 'index', offset: entry.offset });
+            }
+            return Container.splitBlockBody(blockHeader, bytes.subarray(blockHeader.headerLength));
+        } catch (error) {
+            throw Container.locate(error, {}, i);
+        }
+    }
+
+    // Decode block `i` on its own; throws if its checksum does not match
+    async function readBlock(index, i, options = {}) {
+        const block = await readRawBlock(index, i);
+        let data;
+        try {
+            data = Codec.decodeBlock(block, { decoder: options.decoder, maxCodeLength: index.header.metadata.maxCodeLength });
+        } catch (error) {
+            throw Container.locate(error, {}, i);
+        }
+
+        if (block.hash && options.verify !== false && await Codec.calculateHash(data) !== block.hash) {
+            throw new Error(`Block ${i} failed its SHA-256 check`);
+        }
+        return data;
+    }
+
+    // Original bytes [start, end) decoded from only the blocks that overlap the range
+    async function extractRange(input, start, end, options = {}) {
+        const index = input.blocks ? input : await openIndex(input);
+        start = Math.max(0, start);
+        end = Math.min(index.originalSize, end);
+        if (end <= start) return new Uint8Array(0);
+
+        const parts = [];
+        for (let i = 0; i < index.blocks.length; i++) {
+            const entry = index.blocks[i];
+            const blockEnd = entry.originalOffset + entry.originalLength;
+            if (blockEnd <= start || entry.originalOffset >= end) continue;
+            const data = await readBlock(index, i, options);
+            parts.push(data.subarray(Math.max(0, start - entry.originalOffset), Math.min(entry.originalLength, end - entry.originalOffset)));
+        }
+
+        return concatBytes(parts, end - start);
+    }
+
+    // Recovery: yields every block's bytes in order, with damaged blocks filled with zero
+    // bytes so later blocks keep their offsets. The index locates the blocks when it is
+    // intact; otherwise blocks are walked from the header until one cannot be parsed.
+    // options: decoder, onHeader(header), onBlock({ index, originalOffset, originalLength, compressedPosition, ok, error }),
+    // onEnd({ blockCount, damagedBlocks, recoveredBytes, lostBytes, indexError, complete }).
+    async function* recover(input, options = {}) {
+        const source = toSource(input);
+        const prefix = await source.read(0, Container.STREAM_PREFIX_LENGTH);
+        if (!Container.isBlockStream(prefix)) throw new Error('Not a Huffman block stream file');
+        // Without the header nothing after it can be trusted
+        const header = Container.readStreamHeader(await source.read(0, Container.streamHeaderLength(prefix)));
+        if (options.onHeader) options.onHeader(header);
+        const decodeOptions = { decoder: options.decoder, maxCodeLength: header.metadata.maxCodeLength };
+        const onBlock = options.onBlock || (() => {});
+        let indexError = null;
+        let index = null;
+        try {
+            index = await openIndex(input);
+        } catch (error) {
+            indexError = error;
+        }
+
+        const summary = { blockCount: 0, damagedBlocks: 0, recoveredBytes: 0, lostBytes: 0, indexError, complete: true };
+        function report(i, originalOffset, originalLength, compressedPosition, error) {
+            summary.blockCount++;
+            if (error) {
+                summary.damagedBlocks++;
+                summary.lostBytes += originalLength;
+            } else {
+                summary.recoveredBytes += originalLength;
+            }
+            onBlock({ index: i, originalOffset, originalLength, compressedPosition, ok: !error, error: error ? error.message : null });
+        }
+
+        async function decodeChecked(block) {
+            const data = Codec.decodeBlock(block, decodeOptions);
+            if (data.length !== block.originalLength) throw new Error(`Decoded ${data.length} bytes instead of ${block.originalLength}`);
+            if (block.hash && await Codec.calculateHash(data) !== block.hash) throw new Error('SHA-256 mismatch');
+            return data;
+        }
+
+        if (index) {
+            for (let i = 0; i < index.blocks.length; i++) {
+                const entry = index.blocks[i];
+                const end = entry.offset + entry.compressedLength;
+                let data;
+                try {
+                    data = await decodeChecked(await readRawBlock(index, i));
+                } catch (error) {
+                    report(i, entry.originalOffset, entry.originalLength, end, Container.locate(error, {}, i));
+                    yield new Uint8Array(entry.originalLength);
+                    continue;
+                }
+                report(i, entry.originalOffset, entry.originalLength, end, null);
+                yield data;
+            }
+            if (options.onEnd) options.onEnd(summary);
+            return;
+        }
+
+        // Sequential walk: a block whose header is intact can be skipped even if its body is not
+        const headerLength = Container.blockHeaderLength(header);
+        let position = header.headerLength;
+        let originalOffset = 0;
+        for (let i = 0; ; i++) {
+            let blockHeader;
+            try {
+                blockHeader = Container.readBlockHeader(await source.read(position, headerLength), header, position);
+            } catch (error) {
+                // Lengths after a damaged header are unknown, so the walk ends here
+                summary.complete = false;
+                report(i, originalOffset, 0, source.size, Container.locate(error, {}, i));
+                break;
+            }
+            if (!blockHeader) break;
+
+            const bodyOffset = position + blockHeader.headerLength;
+            let data, failure = null;
+            try {
+                data = await decodeChecked(Container.splitBlockBody(blockHeader, await source.read(bodyOffset, blockHeader.bodyLength)));
+            } catch (error) {
+                failure = Container.locate(error, {}, i);
+                // Without a header CRC (version 1) the lengths may be the damaged part
+                if (!blockHeader.crc) {
+                    summary.complete = false;
+                    report(i, originalOffset, 0, source.size, failure);
+                    break;
+                }
+                data = new Uint8Array(blockHeader.originalLength);
+            }
+            position = bodyOffset + blockHeader.bodyLength;
+            report(i, originalOffset, blockHeader.originalLength, position, failure);
+            yield data;
+            originalOffset += blockHeader.originalLength;
+            if (position >= source.size) {
+                summary.complete = false;
+                break;
+            }
+        }
+        if (options.onEnd) options.onEnd(summary);
+    }
+
+    return {
+        DEFAULT_BLOCK_SIZE,
+        MAX_BLOCK_SIZE,
+        readChunks,
+        toSource,
+        compress,
+        decompress,
+        openIndex,
+        readRawBlock,
+        readBlock,
+        extractRange,
+        recover
+    };
+});
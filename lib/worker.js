@@ -0,0 +1,30 @@
+// Huffman Worker - runs codec jobs off the main thread
+// Messages in:  { id, type: a HuffmanJobs job name, input: ArrayBuffer (transferred), Blob, [{ path, file, mtime }] (archives),
+//                [{ file }] (codebook training) or [{ name, bytes }] (benchmark), options }
+// Messages out: { id, type: 'progress', stage, fraction } | { id, type: 'result', result } | { id, type: 'error', message, details }
+//               details carries the CorruptFileError fields (section, field, offset, block) when the input was damaged,
+//               and codebookId when a MissingCodebookError names the codebook to load
+importScripts('container.js', 'bitio.js', 'adaptive.js', 'lz77.js', 'codec.js', 'stream.js', 'archive.js', 'inflate.js', 'encryption.js', 'benchmark.js', 'jobs.js');
+
+self.onmessage = async (event) => {
+    const { id, type, input, options } = event.data;
+    let lastStage = null;
+    let lastPercent = -1;
+
+    function onProgress(stage, fraction) {
+        // Skip messages that would not move the bar
+        const percent = Math.floor(fraction * 100);
+        if (stage === lastStage && percent === lastPercent) return;
+        lastStage = stage;
+        lastPercent = percent;
+        self.postMessage({ id, type: 'progress', stage, fraction });
+    }
+
+    try {
+        const { result, transfer } = await HuffmanJobs.run(type, input instanceof ArrayBuffer ? new Uint8Array(input) : input, options, onProgress);
+        self.postMessage({ id, type: 'result', result }, transfer);
+    } catch (error) {
+        const { name, section, field, offset, block, codebookId } = error;
+        self.postMessage({ id, type: 'error', message: error.message, details: { name, section, field, offset, block, codebookId } });
+    }
+};